@@ -0,0 +1,111 @@
+import { createHash } from "node:crypto";
+import { createReadStream, existsSync, readFileSync, readdirSync, statSync } from "node:fs";
+import { createRequire } from "node:module";
+import path from "node:path";
+
+// Offline support. Fills in the MediaPipe runtime files public/mediapipe
+// does not carry (the WASM binaries, packed assets and full model) from the
+// installed @mediapipe/hands package, in dev and in the build, and emits
+// sw.js with the precache manifest injected: every bundle file, every public
+// file and every file Hands' locateFile can resolve. The manifest's version
+// is a hash of all of it, so any change produces a new service worker and
+// the page can offer the update (see src/lib/serviceWorker.js).
+
+const MEDIAPIPE_DIR = "mediapipe";
+
+// Everything Hands and its loaders pass to locateFile
+const MEDIAPIPE_FILES = [
+    "hands.binarypb",
+    "hand_landmark_lite.tflite",
+    "hand_landmark_full.tflite",
+    "hands_solution_packed_assets_loader.js",
+    "hands_solution_packed_assets.data",
+    "hands_solution_wasm_bin.js",
+    "hands_solution_wasm_bin.wasm",
+    "hands_solution_simd_wasm_bin.js",
+    "hands_solution_simd_wasm_bin.wasm",
+];
+
+const CONTENT_TYPES = {
+    ".binarypb": "application/octet-stream",
+    ".data": "application/octet-stream",
+    ".js": "text/javascript",
+    ".tflite": "application/octet-stream",
+    ".wasm": "application/wasm",
+};
+
+const listFiles = (dir, prefix = "") =>
+    existsSync(dir)
+        ? readdirSync(dir).flatMap((name) => {
+            const full = path.join(dir, name);
+            const relative = prefix ? `${prefix}/${name}` : name;
+            return statSync(full).isDirectory() ? listFiles(full, relative) : [relative];
+        })
+        : [];
+
+export default function pwa({ serviceWorker = "src/sw.js" } = {}) {
+    const require = createRequire(import.meta.url);
+    const packageDir = path.dirname(require.resolve("@mediapipe/hands/package.json"));
+    let config;
+
+    // Runtime files missing from public/mediapipe
+    const missingMediapipeFiles = () =>
+        MEDIAPIPE_FILES.filter(
+            (file) => !existsSync(path.join(config.publicDir, MEDIAPIPE_DIR, file))
+        );
+
+    return {
+        name: "glowfinger-pwa",
+
+        configResolved(resolved) {
+            config = resolved;
+        },
+
+        configureServer(server) {
+            server.middlewares.use((request, response, next) => {
+                const url = request.url.split("?")[0];
+                const file = url.slice(`/${MEDIAPIPE_DIR}/`.length);
+                if (!url.startsWith(`/${MEDIAPIPE_DIR}/`) || !missingMediapipeFiles().includes(file)) {
+                    next();
+                    return;
+                }
+                response.setHeader("Content-Type", CONTENT_TYPES[path.extname(file)]);
+                createReadStream(path.join(packageDir, file)).pipe(response);
+            });
+        },
+
+        generateBundle(_options, bundle) {
+            for (const file of missingMediapipeFiles()) {
+                this.emitFile({
+                    type: "asset",
+                    fileName: `${MEDIAPIPE_DIR}/${file}`,
+                    source: readFileSync(path.join(packageDir, file)),
+                });
+            }
+
+            // Bundle files (now including the MediaPipe files above) and the
+            // public directory, which Vite copies as is
+            const hash = createHash("sha256");
+            const files = [];
+            for (const [fileName, output] of Object.entries(bundle)) {
+                files.push(fileName);
+                hash.update(fileName).update(output.type === "chunk" ? output.code : output.source);
+            }
+            for (const fileName of listFiles(config.publicDir)) {
+                if (bundle[fileName]) continue;
+                files.push(fileName);
+                hash.update(fileName).update(readFileSync(path.join(config.publicDir, fileName)));
+            }
+
+            const manifest = {
+                version: hash.digest("hex").slice(0, 12),
+                files: [config.base, ...files.sort().map((file) => `${config.base}${file}`)],
+            };
+            const source = readFileSync(path.resolve(config.root, serviceWorker), "utf8").replace(
+                "self.__PRECACHE_MANIFEST",
+                JSON.stringify(manifest)
+            );
+            this.emitFile({ type: "asset", fileName: "sw.js", source });
+        },
+    };
+}
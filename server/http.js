@@ -0,0 +1,52 @@
+// Stand-in for the HTTP firmware: `POST /led` with a form body
+// `channel=1&value=255&state=ON`, answered with `LED1 255`, `GET /info` for
+// the device registry's probe and health ping, and
+// `GET /devices`, a discovery endpoint that lists this board.
+// Usage: node server/http.js [port]
+import { createServer } from "node:http";
+import { applyCommand, boardInfo, parsePort } from "./led.js";
+
+const port = parsePort(8080);
+const name = `Stand-in ${port}`;
+
+const sendJson = (res, data) =>
+    res.writeHead(200, { "Content-Type": "application/json" }).end(JSON.stringify(data));
+
+const server = createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+        res.writeHead(204).end();
+        return;
+    }
+    if (req.method === "GET" && req.url === "/info") {
+        sendJson(res, boardInfo(name));
+        return;
+    }
+    if (req.method === "GET" && req.url === "/devices") {
+        // The Host header carries the port, so stand-ins on different ports
+        // are told apart
+        sendJson(res, [{ host: req.headers.host, ...boardInfo(name) }]);
+        return;
+    }
+    if (req.method !== "POST" || req.url !== "/led") {
+        res.writeHead(404, { "Content-Type": "text/plain" }).end("Not found");
+        return;
+    }
+
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+        try {
+            const reply = applyCommand(Object.fromEntries(new URLSearchParams(body)));
+            res.writeHead(200, { "Content-Type": "text/plain" }).end(reply);
+        } catch (error) {
+            res.writeHead(400, { "Content-Type": "text/plain" }).end(error.message);
+        }
+    });
+});
+
+server.listen(port, () => {
+    console.log(`HTTP stand-in listening on http://localhost:${port}/led`);
+});
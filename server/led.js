@@ -0,0 +1,20 @@
+// Simulated board shared by the stand-in servers: applies a command payload
+// and returns the reply text the real firmware would send. The command
+// handling itself lives in src/lib/virtualBoard.js, which the app's virtual
+// device uses too; this adds the console log. The simulated strip is RGB.
+import { BOARD_CHANNELS, createBoard, formatBoardColor } from "../src/lib/virtualBoard.js";
+
+const board = createBoard();
+
+export function applyCommand(payload) {
+    const { channel, value, color, reply } = board.apply(payload);
+    console.log(
+        `[led] ${new Date().toISOString()} channel=${channel} value=${value} levels=${board.getState().levels.join(",")}${color ? ` color=${formatBoardColor(color)}` : ""}`
+    );
+    return reply;
+}
+
+export const parsePort = (fallback) => Number(process.argv[2]) || fallback;
+
+// What the board reports on `GET /info`: name and capabilities
+export const boardInfo = (name) => ({ name, leds: BOARD_CHANNELS, pwm: true, rgb: true });
@@ -0,0 +1,70 @@
+// Stand-in MQTT broker over WebSocket. Accepts CONNECT, acknowledges QoS 1
+// PUBLISH packets and applies every JSON payload published to the LED topic.
+// Usage: node server/mqtt.js [port] [topic]
+import { WebSocketServer } from "ws";
+import { applyCommand, parsePort } from "./led.js";
+import {
+    PACKET,
+    connackPacket,
+    decodePackets,
+    parseConnect,
+    parsePublish,
+    pingrespPacket,
+    pubackPacket,
+} from "../src/lib/transports/mqttPackets.js";
+
+const port = parsePort(8083);
+const ledTopic = process.argv[3] || "glowfinger/led";
+
+const server = new WebSocketServer({
+    port,
+    handleProtocols: (protocols) => (protocols.has("mqtt") ? "mqtt" : false),
+});
+
+server.on("connection", (socket) => {
+    let tail = new Uint8Array(0);
+
+    const handlePacket = (packet) => {
+        switch (packet.type) {
+            case PACKET.CONNECT: {
+                const { clientId } = parseConnect(packet.body);
+                console.log(`[mqtt] ${clientId} connected`);
+                socket.send(connackPacket(0));
+                break;
+            }
+            case PACKET.PUBLISH: {
+                const { topic, qos, packetId, payload } = parsePublish(packet);
+                if (topic === ledTopic) {
+                    try {
+                        applyCommand(JSON.parse(payload));
+                    } catch (error) {
+                        console.warn(`[mqtt] ignored payload: ${error.message}`);
+                    }
+                }
+                if (qos > 0) socket.send(pubackPacket(packetId));
+                break;
+            }
+            case PACKET.PINGREQ:
+                socket.send(pingrespPacket());
+                break;
+            case PACKET.DISCONNECT:
+                socket.close();
+                break;
+            default:
+                console.warn(`[mqtt] unsupported packet type ${packet.type}`);
+        }
+    };
+
+    socket.on("message", (data) => {
+        const buffer = new Uint8Array(tail.length + data.length);
+        buffer.set(tail);
+        buffer.set(data, tail.length);
+        const { packets, rest } = decodePackets(buffer);
+        tail = rest.slice();
+        packets.forEach(handlePacket);
+    });
+});
+
+console.log(
+    `MQTT stand-in listening on ws://localhost:${port}/mqtt (topic ${ledTopic})`
+);
@@ -0,0 +1,30 @@
+// Stand-in for the serial firmware: reads `channel=1&value=255&state=ON`
+// lines from a serial device and answers `OK LED1 255` or `ERR ...`. Point
+// the browser at the other end of a virtual pair, e.g.
+//   socat -d -d pty,raw,echo=0,link=/tmp/glow-app pty,raw,echo=0,link=/tmp/glow-board
+//   node server/serial.js /tmp/glow-board
+// or at a USB-serial adapter looped back to a second adapter.
+import { createReadStream, createWriteStream } from "node:fs";
+import { createInterface } from "node:readline";
+import { applyCommand } from "./led.js";
+
+const path = process.argv[2];
+if (!path) {
+    console.error("Usage: node server/serial.js <device path>");
+    process.exit(1);
+}
+
+const output = createWriteStream(path);
+const lines = createInterface({ input: createReadStream(path) });
+
+lines.on("line", (line) => {
+    if (!line.trim()) return;
+    try {
+        const reply = applyCommand(Object.fromEntries(new URLSearchParams(line.trim())));
+        output.write(`OK ${reply}\n`);
+    } catch (error) {
+        output.write(`ERR ${error.message}\n`);
+    }
+});
+
+console.log(`Serial stand-in attached to ${path}`);
@@ -0,0 +1,33 @@
+// Stand-in for the WebSocket firmware: receives
+// `{"id":1,"channel":1,"value":255,"state":"ON"}` and answers
+// `{"id":1,"reply":"LED1 255"}` or `{"id":1,"error":"..."}`.
+// Usage: node server/websocket.js [port]
+import { WebSocketServer } from "ws";
+import { applyCommand, parsePort } from "./led.js";
+
+const port = parsePort(8081);
+const server = new WebSocketServer({ port });
+
+server.on("connection", (socket, req) => {
+    console.log(`[ws] client connected from ${req.socket.remoteAddress}`);
+
+    socket.on("message", (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch {
+            socket.send(JSON.stringify({ error: "invalid JSON" }));
+            return;
+        }
+        const { id, ...payload } = message;
+        try {
+            socket.send(JSON.stringify({ id, reply: applyCommand(payload) }));
+        } catch (error) {
+            socket.send(JSON.stringify({ id, error: error.message }));
+        }
+    });
+
+    socket.on("close", () => console.log("[ws] client disconnected"));
+});
+
+console.log(`WebSocket stand-in listening on ws://localhost:${port}/`);
@@ -1,213 +1,1272 @@
-import { useEffect, useRef, useState, useCallback } from "react";
-import { Hands, HAND_CONNECTIONS } from "@mediapipe/hands";
-import { Camera } from "@mediapipe/camera_utils";
-import { drawConnectors, drawLandmarks } from "@mediapipe/drawing_utils";
+import { useEffect, useMemo, useRef, useState, useCallback } from "react";
+
+import { COMMAND_STATUS } from "./lib/dispatcher";
+import { TRANSPORT_STATUS, createTransport, getVirtualBoard } from "./lib/transports";
+import { loadSettings, saveSettings, transportOptions } from "./lib/settings";
+import { runConformance } from "./lib/conformance";
+import { DEFAULT_LANGUAGE, createTranslator, messageError, translateHand } from "./lib/i18n";
+import { loadPreferences, savePreferences } from "./lib/preferences";
+import { CUES, createFeedback } from "./lib/feedback";
+import { activeRegistry, formatAddress, loadDevices, saveDevices } from "./lib/devices";
+import { createDevicePool } from "./lib/devicePool";
+import { GESTURES, GESTURE_LABELS } from "./lib/gestures";
+import { HAND_COLORS } from "./lib/tracking";
+import { MOTIONS, MOTION_LABELS } from "./lib/motion";
+import { createSessionPlayer, createSessionRecorder } from "./lib/recorder";
+import { createOfflineSupport } from "./lib/serviceWorker";
+import { createAuditLog } from "./lib/audit";
+import { EVENT_TYPES, createEventLog } from "./lib/eventLog";
+import {
+    activeThreshold,
+    createCalibrationSession,
+    createProfileId,
+    loadProfiles,
+    saveProfiles,
+} from "./lib/calibration";
+import { ARM_STATES, failSafeCommand, loadPin, savePin } from "./lib/safety";
+import { loadScenes, saveScenes } from "./lib/scenes";
+import { colorToHex } from "./lib/color";
+import { CAMERA_STATUS, loadCameraOptions, saveCameraOptions } from "./lib/camera";
+import {
+    MIN_SAMPLES,
+    deleteCustomGesture,
+    loadCustomGestures,
+    normalizeLandmarks,
+    saveCustomGestures,
+    teachGesture,
+} from "./lib/customGestures";
+import { applyCommandToLevels, formatCommand, loadRules, saveRules } from "./lib/actions";
+import { COMMAND_SOURCES } from "./lib/gestureController";
+import { describeControllerError, useHandGestures } from "./hooks/useHandGestures";
+import GestureCanvas from "./components/GestureCanvas";
+import CommandStatus from "./components/CommandStatus";
+import TransportPanel from "./components/TransportPanel";
+import SettingsPanel from "./components/SettingsPanel";
+import RulesPanel from "./components/RulesPanel";
+import SessionPanel from "./components/SessionPanel";
+import TrainingPanel from "./components/TrainingPanel";
+import CameraPanel from "./components/CameraPanel";
+import DevicesPanel from "./components/DevicesPanel";
+import PerformanceHud from "./components/PerformanceHud";
+import ScenesPanel from "./components/ScenesPanel";
+import OfflineStatus from "./components/OfflineStatus";
+import ArmingBadge from "./components/ArmingBadge";
+import AuditPanel from "./components/AuditPanel";
+import SettingsLock from "./components/SettingsLock";
+import EventLogPanel from "./components/EventLogPanel";
+import VirtualDevicePanel from "./components/VirtualDevicePanel";
+import ConformancePanel from "./components/ConformancePanel";
+import PreferencesPanel from "./components/PreferencesPanel";
+import CalibrationPanel from "./components/CalibrationPanel";
 import './App.css';
 
+// Time to get the pose ready before teaching samples are taken
+const TEACH_COUNTDOWN_MS = 3000;
+// The logs stay in English whatever the UI language
+const english = createTranslator(DEFAULT_LANGUAGE);
+
+const dispatcherLabel = (key, t = english) => {
+    if (key === COMMAND_SOURCES.SCENE) return t("dispatcher.scene");
+    if (key === COMMAND_SOURCES.SAFETY) return t("dispatcher.safety");
+    return translateHand(t, key);
+};
+
+// Combined levels of several boards: a channel is as bright as its
+// brightest board, so a toggle turns it off if it is on anywhere
+const mergeLevels = (levelsList) =>
+    levelsList.reduce((merged, levels) => {
+        for (const [channel, value] of Object.entries(levels)) {
+            merged[channel] = Math.max(merged[channel] ?? 0, value);
+        }
+        return merged;
+    }, {});
+
+// Gesture controller options taken from the settings; a calibration profile
+// in use replaces the finger threshold
+const controllerOptions = (settings, calibration) => ({
+    threshold: activeThreshold(calibration, settings.detection.threshold),
+    smoothing: settings.smoothing,
+    hands: settings.hands,
+    knn: settings.training,
+    scheduler: settings.tracking,
+    hold: { holdFrames: settings.detection.holdFrames, holdMs: settings.detection.holdMs },
+    color: settings.color,
+    safety: settings.safety,
+});
+
 function App() {
-    const [gestureText, setGestureText] = useState("OFF");
-    const videoRef = useRef(null);
-    const canvasRef = useRef(null);
-    const handsRef = useRef(null);
-    const cameraRef = useRef(null);
-
-    const onResults = useCallback((results) => {
-        if (!canvasRef.current) return;
-
-        const canvasCtx = canvasRef.current.getContext("2d");
-        const { width, height } = canvasRef.current;
-
-        canvasCtx.save();
-        canvasCtx.clearRect(0, 0, width, height);
-
-        // Draw video frame
-        canvasCtx.drawImage(results.image, 0, 0, width, height);
-
-        if (
-            results.multiHandLandmarks &&
-            results.multiHandLandmarks.length > 0
-        ) {
-            const landmarks = results.multiHandLandmarks[0];
-
-            // Draw hand landmarks and connections
-            drawConnectors(canvasCtx, landmarks, HAND_CONNECTIONS, {
-                color: "#00FF00",
-                lineWidth: 5,
-            });
-            drawLandmarks(canvasCtx, landmarks, {
-                color: "#FF0000",
-                lineWidth: 2,
-            });
-
-            // Check if all fingers are open or closed
-            const isOpen = areAllFingersOpen(landmarks);
-            const newGestureText = isOpen ? "ON" : "OFF";
-            setGestureText(newGestureText);
-
-            // Send the gesture data to the ESP32 server
-            sendGestureToESP32(newGestureText);
+    // Last command shown in the status box, translated when rendered
+    const [statusCommand, setStatusCommand] = useState(null);
+    const gestureTextRef = useRef(formatCommand(null));
+    const [lastMotion, setLastMotion] = useState(null);
+    const [hudVisible, setHudVisible] = useState(false);
+    const [cameraOptions, setCameraOptions] = useState(loadCameraOptions);
+    // Channel levels each board has acknowledged ({ deviceId: levels }),
+    // needed for toggles
+    const levelsRef = useRef({});
+    // Session recording and replay
+    const recorderRef = useRef(null);
+    const recordingRef = useRef(false);
+    const playerRef = useRef(null);
+    const [recording, setRecording] = useState(false);
+    const [recordedFrames, setRecordedFrames] = useState(0);
+    const [replaying, setReplaying] = useState(false);
+    // User-taught gestures, the kNN classifier built from them and the
+    // teaching run in progress
+    const [customGestures, setCustomGestures] = useState([]);
+    const customGesturesRef = useRef(customGestures);
+    const teachRef = useRef(null);
+    const [teaching, setTeaching] = useState(null);
+    const [trainingError, setTrainingError] = useState(null);
+    // Calibration profiles, the wizard in progress and a result not yet saved
+    const [calibrationLibrary, setCalibrationLibrary] = useState(loadProfiles);
+    const calibrationRef = useRef(null);
+    const [calibrating, setCalibrating] = useState(null);
+    const [calibrationResult, setCalibrationResult] = useState(null);
+    const [calibrationError, setCalibrationError] = useState(null);
+    // Registered boards and groups; the device pool holds a transport for
+    // each and stands in for a single transport
+    const [devices, setDevices] = useState(loadDevices);
+    const devicesRef = useRef(devices);
+    const [deviceStatuses, setDeviceStatuses] = useState({});
+    const transportRef = useRef(null);
+    // Color mode swatch, { hex, locked }
+    const [colorSwatch, setColorSwatch] = useState(null);
+    // Gesture sequences and the scenes they play. playingScene is
+    // { sceneId, name, index }.
+    const [sceneLibrary, setSceneLibrary] = useState(loadScenes);
+    const [playingScene, setPlayingScene] = useState(null);
+    const [sequenceProgress, setSequenceProgress] = useState(null);
+    const [commandStatuses, setCommandStatuses] = useState({});
+    const [settings, setSettings] = useState(loadSettings);
+    const settingsRef = useRef(settings);
+    const [rules, setRules] = useState(loadRules);
+
+    const [transportStatus, setTransportStatus] = useState(
+        TRANSPORT_STATUS.DISCONNECTED
+    );
+    const [transportError, setTransportError] = useState(null);
+    // Service worker: offline version and whether a newer one is waiting
+    const offlineRef = useRef(null);
+    const [offlineVersion, setOfflineVersion] = useState(null);
+    const [updateReady, setUpdateReady] = useState(false);
+    const [offlineError, setOfflineError] = useState(null);
+    // Safety: arming, the fail-safe waiting for the link to come back, the
+    // settings PIN and the audit log
+    const [armState, setArmState] = useState(ARM_STATES.DISARMED);
+    const failSafePendingRef = useRef(null);
+    const userDisconnectRef = useRef(false);
+    const [pin, setPin] = useState(loadPin);
+    const [settingsUnlocked, setSettingsUnlocked] = useState(false);
+    const auditRef = useRef(null);
+    const [auditEntries, setAuditEntries] = useState([]);
+    // Persistent event log
+    const eventLogRef = useRef(null);
+    // Language, sound and speech cues and the high-contrast status; `tRef`
+    // lets long-lived callbacks translate in the current language
+    const [preferences, setPreferences] = useState(loadPreferences);
+    const t = useMemo(() => createTranslator(preferences.language), [preferences.language]);
+    const tRef = useRef(t);
+    const feedbackRef = useRef(null);
+    // Last gesture announced per hand, so a changed finger count is not
+    // announced again
+    const announcedRef = useRef(new Map());
+
+    // Camera, hand tracking (in a worker where possible), motion detection,
+    // arming and the fail-safe, color mode, sequences and scenes and the
+    // rules; the controller dispatches the commands once it has `send` (set
+    // below). Its metrics feed the diagnostics HUD, collected whether or not
+    // it is shown.
+    const {
+        controller,
+        hands: handResults,
+        status: cameraStatus,
+        error: cameraError,
+        size: canvasSize,
+    } = useHandGestures({
+        ...controllerOptions(settings, calibrationLibrary),
+        camera: cameraOptions,
+        customGestures,
+        rules,
+        sequences: sceneLibrary.sequences,
+        scenes: sceneLibrary.scenes,
+        // The calibration poses pause the pose rules, as a scene does
+        isPaused: () => calibrationRef.current !== null,
+        levelsFor: (target) =>
+            mergeLevels(
+                (transportRef.current?.resolve(target) ?? []).map(
+                    (device) => levelsRef.current[device.id] ?? {}
+                )
+            ),
+    });
+
+    if (!offlineRef.current) {
+        offlineRef.current = createOfflineSupport();
+    }
+    if (!auditRef.current) {
+        auditRef.current = createAuditLog();
+    }
+    if (!eventLogRef.current) {
+        eventLogRef.current = createEventLog();
+    }
+    if (!feedbackRef.current) {
+        feedbackRef.current = createFeedback(preferences);
+    }
+
+    // Only touches React state when the text actually changes
+    const showCommand = useCallback((command) => {
+        const text = formatCommand(command);
+        if (text === gestureTextRef.current) return;
+        gestureTextRef.current = text;
+        setStatusCommand(command);
+    }, []);
+
+    // Resolves with the boards' reply text, rejects on transport errors;
+    // the same contract as a transport's send
+    const sendGestureToESP32 = useCallback((command, { signal }) => {
+        if (!transportRef.current) {
+            return Promise.reject(messageError("commandStatus.noTransport"));
         }
+        return transportRef.current.send(command, { signal });
+    }, []);
 
-        canvasCtx.restore();
+    const logCommandStatus = useCallback((key, { status, command, attempt, response, error }) => {
+        const log = eventLogRef.current;
+        const text = `${dispatcherLabel(key)}: ${formatCommand(command)}`;
+        if (status === COMMAND_STATUS.PENDING) {
+            log.record(EVENT_TYPES.COMMAND, attempt > 0 ? `${text} (retry ${attempt})` : text, command);
+        } else if (status === COMMAND_STATUS.ACKNOWLEDGED) {
+            log.record(EVENT_TYPES.RESPONSE, `${text} acknowledged: ${response || "(empty reply)"}`);
+        } else if (status === COMMAND_STATUS.FAILED) {
+            log.record(EVENT_TYPES.ERROR, `${text} failed: ${error?.message || error}`);
+        } else if (status === COMMAND_STATUS.IDLE) {
+            log.record(EVENT_TYPES.COMMAND, `${text} cancelled`);
+        }
     }, []);
 
-    const sendGestureToESP32 = (gestureState) => {
-        fetch("http://192.168.4.1/led", {
-            method: "POST",
-            headers: {
-                "Content-Type": "application/x-www-form-urlencoded",
-            },
-            body: `state=${gestureState}`,
-        })
-            .then((response) => response.text())
-            .then((data) => {
-                console.log("LED state:", data);
-            })
-            .catch((error) => {
-                console.error("Error sending data to ESP32:", error);
-            });
-    };
-
-    // Initialize MediaPipe Hands
-    useEffect(() => {
-        const initializeHandTracking = async () => {
-            // Initialize MediaPipe Hands
-            handsRef.current = new Hands({
-                locateFile: (file) => {
-                    return `/mediapipe/${file}`;
-                    // return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-                },
-            });
+    // Color commands and scene steps come too fast to announce one by one;
+    // their failures are still announced
+    const announceCommandStatus = useCallback((key, { status, command }) => {
+        const feedback = feedbackRef.current;
+        const text = formatCommand(command, tRef.current);
+        if (status === COMMAND_STATUS.ACKNOWLEDGED && !command.color && key !== COMMAND_SOURCES.SCENE) {
+            feedback.cue(CUES.SUCCESS);
+            feedback.speak(text);
+        } else if (status === COMMAND_STATUS.FAILED) {
+            feedback.cue(CUES.FAILURE);
+            feedback.speak(tRef.current("speech.failed", { command: text }));
+        }
+    }, []);
 
-            handsRef.current.setOptions({
-                maxNumHands: 1,
-                modelComplexity: 1,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5,
-            });
+    // The controller reports changes only, so a held pose is one entry
+    const logGesture = useCallback(({ hand, result }) => {
+        const custom = result.custom
+            ? `, ${customGesturesRef.current.find(({ id }) => id === result.custom.gesture)?.name ?? "custom"}`
+            : "";
+        eventLogRef.current.record(
+            EVENT_TYPES.GESTURE,
+            `${hand}: ${GESTURE_LABELS[result.gesture]}, ${result.count} finger${result.count === 1 ? "" : "s"}${custom}`
+        );
+    }, []);
 
-            handsRef.current.onResults(onResults);
+    const announceGesture = useCallback(({ hand, result }) => {
+        const t = tRef.current;
+        const name = result.custom
+            ? customGesturesRef.current.find(({ id }) => id === result.custom.gesture)?.name ?? t("hand.custom")
+            : t(`gesture.${result.gesture}`);
+        if (announcedRef.current.get(hand) === name) return;
+        announcedRef.current.set(hand, name);
+        if (!result.custom && result.gesture === GESTURES.NONE) return;
+        feedbackRef.current.cue(CUES.GESTURE);
+        feedbackRef.current.speak(t("speech.gesture", { hand: translateHand(t, hand), gesture: name }));
+    }, []);
 
-            // Automatically start camera when component mounts
-            if (videoRef.current) {
-                startCamera();
+    // Status reports of the controller's dispatchers. `key` is the hand or a
+    // COMMAND_SOURCES value.
+    const handleCommandStatus = useCallback((key, status) => {
+        logCommandStatus(key, status);
+        announceCommandStatus(key, status);
+        if (status.status === COMMAND_STATUS.PENDING) showCommand(status.command);
+        if (status.status === COMMAND_STATUS.ACKNOWLEDGED) {
+            const levels = { ...levelsRef.current };
+            for (const device of transportRef.current?.resolve(status.command.target) ?? []) {
+                levels[device.id] = applyCommandToLevels(levels[device.id] ?? {}, status.command);
             }
-        };
-        initializeHandTracking();
+            levelsRef.current = levels;
+        }
+        if (key === COMMAND_SOURCES.SAFETY && status.status !== COMMAND_STATUS.PENDING) {
+            auditRef.current.record(
+                `fail-safe ${status.status}`,
+                status.error?.message ?? status.response ?? ""
+            );
+        }
+        setCommandStatuses((current) => ({
+            ...current,
+            [key]: status,
+        }));
+    }, [showCommand, logCommandStatus, announceCommandStatus]);
 
-        // Cleanup
-        return () => {
-            stopCamera();
+    const updateCustomGestures = useCallback((next) => {
+        customGesturesRef.current = next;
+        setCustomGestures(next);
+    }, []);
+
+    // Adds or replaces gestures (matched by id) and persists them
+    const storeCustomGestures = useCallback((changed) => {
+        const current = customGesturesRef.current;
+        const byId = new Map(changed.map((gesture) => [gesture.id, gesture]));
+        updateCustomGestures([
+            ...current.map((gesture) => byId.get(gesture.id) ?? gesture),
+            ...changed.filter((gesture) => !current.some(({ id }) => id === gesture.id)),
+        ]);
+        saveCustomGestures(changed).catch((error) =>
+            setTrainingError(tRef.current("error.saveGestures", { error: error.message }))
+        );
+    }, [updateCustomGestures]);
+
+    const finishTeaching = useCallback(() => {
+        const { name, samples } = teachRef.current;
+        teachRef.current = null;
+        setTeaching(null);
+        if (samples.length < MIN_SAMPLES) {
+            setTrainingError(tRef.current("error.teachFrames", { count: samples.length }));
+            return;
+        }
+        storeCustomGestures([teachGesture(customGesturesRef.current, name, samples)]);
+    }, [storeCustomGestures]);
+
+    // Fingers that did not move between the poses keep the settings value
+    const finishCalibration = useCallback(() => {
+        const { name, session } = calibrationRef.current;
+        calibrationRef.current = null;
+        setCalibrating(null);
+        try {
+            const result = session.result({ fallback: settingsRef.current.detection.threshold });
+            setCalibrationResult({ name, ...result });
+        } catch (error) {
+            setCalibrationError(tRef.current("error.calibration", { error: error.message }));
+        }
+    }, []);
+
+    // The controller sends the motion rules' commands itself and only
+    // reports motions for hands that control anything
+    useEffect(() => {
+        const handleMotion = (event) => {
+            if (event.type === MOTIONS.PINCH_DRAG && event.phase === "move") {
+                return;
+            }
+            setLastMotion(event);
+            eventLogRef.current.record(
+                EVENT_TYPES.GESTURE,
+                `${event.hand}: ${MOTION_LABELS[event.type]}${event.phase ? ` (${event.phase})` : ""}`
+            );
         };
-    }, [onResults]);
+        return controller.on("motion", handleMotion);
+    }, [controller]);
 
-    // Function to start the camera
-    const startCamera = () => {
-        if (videoRef.current && !cameraRef.current) {
-            cameraRef.current = new Camera(videoRef.current, {
-                onFrame: async () => {
-                    if (handsRef.current) {
-                        await handsRef.current.send({
-                            image: videoRef.current,
-                        });
-                    }
+    // The controller plays the scene of a completed sequence
+    useEffect(() => {
+        const { scenes: player, sequences } = controller;
+        const log = eventLogRef.current;
+        const unsubscribe = [
+            player.on("start", ({ scene }) => log.record(EVENT_TYPES.SCENE, `Scene "${scene.name}" started`)),
+            player.on("step", ({ scene, index }) =>
+                setPlayingScene({ sceneId: scene.id, name: scene.name, index })
+            ),
+            player.on("end", ({ scene, reason }) => {
+                log.record(
+                    EVENT_TYPES.SCENE,
+                    `Scene "${scene.name}" ${reason === "done" ? "finished" : "stopped"}`
+                );
+                setPlayingScene(null);
+            }),
+            sequences.on("progress", ({ sequence, hand, step, of }) =>
+                setSequenceProgress({ sequenceId: sequence.id, name: sequence.name, hand, step, of })
+            ),
+            sequences.on("cancel", ({ sequence }) =>
+                setSequenceProgress((current) =>
+                    current?.sequenceId === sequence.id ? null : current
+                )
+            ),
+            sequences.on("match", ({ sequence, hand }) => {
+                setSequenceProgress(null);
+                log.record(EVENT_TYPES.GESTURE, `${hand}: sequence "${sequence.name}" completed`);
+            }),
+        ];
+        return () => unsubscribe.forEach((off) => off());
+    }, [controller]);
+
+    // Arming transitions and the fail-safe are audited
+    useEffect(() => {
+        const { arming } = controller;
+        const audit = auditRef.current;
+        setArmState(arming.getState());
+        setAuditEntries(audit.entries());
+        const unsubscribe = [
+            audit.on("change", setAuditEntries),
+            audit.on("entry", ({ event, detail }) =>
+                eventLogRef.current.record(EVENT_TYPES.SAFETY, detail ? `${event}: ${detail}` : event)
+            ),
+            arming.on("state", ({ state, previous, reason }) => {
+                setArmState(state);
+                audit.record(state, `${previous} → ${state}: ${reason}`);
+            }),
+            controller.on("failSafe", ({ reason, command }) =>
+                audit.record("fail-safe", `${reason}: ${formatCommand(command)}`)
+            ),
+        ];
+        return () => unsubscribe.forEach((off) => off());
+    }, [controller]);
+
+    // The controller has already drawn, smoothed and classified the frame
+    // and updated arming, sequences and color mode; this records, teaches
+    // and calibrates. It runs before the controller's pose rules, so
+    // starting a calibration pauses them from this frame on.
+    const handleFrame = useCallback((frame) => {
+        // Replays carry their recorded timestamp so time-based stages
+        // behave as they did live
+        const now = frame.timestamp;
+        const { hands } = frame;
+
+        if (recordingRef.current) {
+            const recorder = recorderRef.current;
+            recorder.record(
+                {
+                    image: controller.getVideo(),
+                    multiHandLandmarks: hands.map(({ raw }) => raw),
+                    multiHandedness: hands.map(({ label, score }, index) => ({
+                        index,
+                        score,
+                        label,
+                    })),
                 },
-                width: 640,
-                height: 480,
-            });
-            cameraRef.current.start();
+                now
+            );
+            if (recorder.frameCount % 10 === 0) setRecordedFrames(recorder.frameCount);
         }
-    };
 
-    // Function to stop the camera
-    const stopCamera = () => {
-        if (cameraRef.current) {
-            cameraRef.current.stop();
-            cameraRef.current = null;
-
-            // Clear canvas when camera is stopped
-            if (canvasRef.current) {
-                const canvasCtx = canvasRef.current.getContext("2d");
-                canvasCtx.clearRect(
-                    0,
-                    0,
-                    canvasRef.current.width,
-                    canvasRef.current.height
-                );
+        // Teaching: count down, then sample the first hand every frame
+        const teach = teachRef.current;
+        if (teach) {
+            if (teach.startedAt === null) teach.startedAt = now;
+            const elapsed = now - teach.startedAt;
+            const capturing = elapsed >= TEACH_COUNTDOWN_MS;
+            if (capturing && hands.length > 0) {
+                teach.samples.push(normalizeLandmarks(hands[0].landmarks, hands[0].hand));
             }
+            const remaining = TEACH_COUNTDOWN_MS + teach.durationMs - elapsed;
+            if (remaining <= 0) {
+                finishTeaching();
+            } else {
+                setTeaching({
+                    name: teach.name,
+                    phase: capturing ? "recording" : "countdown",
+                    secondsLeft: Math.ceil(
+                        (capturing ? remaining : TEACH_COUNTDOWN_MS - elapsed) / 1000
+                    ),
+                    samples: teach.samples.length,
+                });
+            }
+        }
+
+        // Calibration: the first hand's landmarks, open palm then fist
+        const calibration = calibrationRef.current;
+        if (calibration) {
+            const state = calibration.session.update(hands[0]?.landmarks ?? null, now);
+            if (state.phase === "done") finishCalibration();
+            else setCalibrating(state);
+        }
+    }, [controller, finishTeaching, finishCalibration]);
+
+    const startRecording = ({ thumbnails }) => {
+        recorderRef.current = createSessionRecorder({
+            thumbnailWidth: thumbnails ? 160 : 0,
+        });
+        recordingRef.current = true;
+        setRecordedFrames(0);
+        setRecording(true);
+    };
+
+    const stopRecording = () => {
+        recordingRef.current = false;
+        setRecording(false);
+        setRecordedFrames(recorderRef.current.frameCount);
+    };
+
+    const downloadRecording = () => {
+        const url = URL.createObjectURL(recorderRef.current.toBlob());
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `glowfinger-session-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    // Replay feeds recorded results through the tracker in place of the
+    // camera, which is restarted afterwards if it was on
+    const resumeCameraRef = useRef(false);
+
+    const finishReplay = () => {
+        playerRef.current = null;
+        setReplaying(false);
+        if (resumeCameraRef.current) startCamera();
+    };
+
+    const startReplay = (frames, speed) => {
+        resumeCameraRef.current = controller.getStatus() === CAMERA_STATUS.RUNNING;
+        stopCamera();
+        controller.clear();
+        playerRef.current = createSessionPlayer(frames, {
+            onResults: (results) => controller.replay(results),
+            speed,
+            onEnd: finishReplay,
+        });
+        setReplaying(true);
+        playerRef.current.play();
+    };
+
+    const stopReplay = () => {
+        if (!playerRef.current) return;
+        playerRef.current.stop();
+        finishReplay();
+    };
+
+    const startTeaching = ({ name, durationMs }) => {
+        setTrainingError(null);
+        teachRef.current = { name, durationMs, startedAt: null, samples: [] };
+        setTeaching({
+            name,
+            phase: "countdown",
+            secondsLeft: TEACH_COUNTDOWN_MS / 1000,
+            samples: 0,
+        });
+    };
+
+    const cancelTeaching = () => {
+        teachRef.current = null;
+        setTeaching(null);
+    };
+
+    const startCalibration = (name) => {
+        setCalibrationError(null);
+        setCalibrationResult(null);
+        calibrationRef.current = { name, session: createCalibrationSession() };
+        setCalibrating(calibrationRef.current.session.update(null, performance.now()));
+    };
+
+    const cancelCalibration = () => {
+        calibrationRef.current = null;
+        setCalibrating(null);
+    };
+
+    const applyCalibrationLibrary = (next, event, detail) => {
+        setCalibrationLibrary(next);
+        saveProfiles(next);
+        auditRef.current.record(event, detail);
+    };
+
+    // Calibrating an existing name replaces that profile
+    const saveCalibration = ({ name, thresholds }) => {
+        const { profiles } = calibrationLibrary;
+        const existing = profiles.find((profile) => profile.name === name);
+        const profile = {
+            id: existing?.id ?? createProfileId(),
+            name,
+            thresholds,
+            createdAt: new Date().toISOString(),
+        };
+        applyCalibrationLibrary(
+            {
+                active: profile.id,
+                profiles: existing
+                    ? profiles.map((candidate) => (candidate === existing ? profile : candidate))
+                    : [...profiles, profile],
+            },
+            "calibration saved",
+            name
+        );
+        setCalibrationResult(null);
+    };
+
+    const selectCalibrationProfile = (id) => {
+        const profile = calibrationLibrary.profiles.find((candidate) => candidate.id === id);
+        applyCalibrationLibrary(
+            { ...calibrationLibrary, active: profile ? id : null },
+            "calibration profile",
+            profile?.name ?? "none"
+        );
+    };
+
+    const deleteCalibrationProfile = (id) => {
+        const { active, profiles } = calibrationLibrary;
+        const profile = profiles.find((candidate) => candidate.id === id);
+        applyCalibrationLibrary(
+            {
+                active: active === id ? null : active,
+                profiles: profiles.filter((candidate) => candidate.id !== id),
+            },
+            "calibration deleted",
+            profile?.name ?? id
+        );
+    };
+
+    const removeCustomGesture = (id) => {
+        updateCustomGestures(customGesturesRef.current.filter((gesture) => gesture.id !== id));
+        deleteCustomGesture(id).catch((error) =>
+            setTrainingError(tRef.current("error.deleteGesture", { error: error.message }))
+        );
+    };
+
+    // The controller reopens a running camera for device, resolution and
+    // frame rate changes
+    const applyCameraOptions = (next) => {
+        setCameraOptions(next);
+        saveCameraOptions(next);
+        controller.setOptions({ camera: next });
+    };
+
+    const applySettings = (next) => {
+        const changed = Object.keys(next).filter(
+            (section) => JSON.stringify(next[section]) !== JSON.stringify(settings[section])
+        );
+        if (changed.length > 0) auditRef.current.record("settings applied", changed.join(", "));
+        setSettings(next);
+        saveSettings(next);
+    };
+
+    // Stores the PIN record, including its wrong-attempt count and lockout
+    const storePin = (next) => {
+        setPin(next);
+        savePin(next);
+    };
+
+    // Whoever sets a PIN stays unlocked until they lock or reload
+    const applyPin = (next) => {
+        storePin(next);
+        setSettingsUnlocked(next !== null);
+    };
+
+    const settingsLocked = Boolean(pin) && !settingsUnlocked;
+    const lockProps = {
+        pin,
+        unlocked: settingsUnlocked,
+        onUnlock: () => setSettingsUnlocked(true),
+        onAttempt: storePin,
+        onAudit: (event, detail) => auditRef.current.record(event, detail),
+        t,
+    };
+
+    // The fail-safe goes out before the link is closed
+    const disconnectTransport = async () => {
+        const transport = transportRef.current;
+        if (!transport) return;
+        userDisconnectRef.current = true;
+        controller.arming.disarm("disconnected by the user");
+        try {
+            await controller.failSafe("disconnected by the user");
+            await transport.disconnect();
+        } finally {
+            userDisconnectRef.current = false;
+        }
+    };
 
-            // Reset gesture text
-            setGestureText("OFF");
+    // A link of its own, so the run does not disturb the boards' links
+    const runConformanceSuite = async ({ kind, host }, { signal, onResult }) => {
+        const transport = createTransport(
+            kind,
+            transportOptions({ ...settingsRef.current.device, transport: kind, host })
+        );
+        const endpoint = kind === "serial" ? "serial port" : host;
+        try {
+            await transport.connect();
+            if (transport.getStatus() !== TRANSPORT_STATUS.CONNECTED) {
+                throw new Error(`Could not connect to ${endpoint}`);
+            }
+            const report = await runConformance(transport, { signal, onResult });
+            auditRef.current.record(
+                "conformance test",
+                `${endpoint} over ${kind}: ${report.passed} passed, ${report.failed} failed`
+            );
+            return { kind, host: endpoint, ranAt: new Date().toISOString(), ...report };
+        } finally {
+            await transport.disconnect();
         }
     };
 
-    const areAllFingersOpen = (landmarks) => {
-        // MediaPipe hand landmarks:Add commentMore actions
-        // - Wrist: 0
-        // - Thumb: 1 (CMC) -> 2 (MCP) -> 3 (IP) -> 4 (TIP)
-        // - Index: 5 (MCP) -> 6 (PIP) -> 7 (DIP) -> 8 (TIP)
-        // - Middle: 9 (MCP) -> 10 (PIP) -> 11 (DIP) -> 12 (TIP)
-        // - Ring: 13 (MCP) -> 14 (PIP) -> 15 (DIP) -> 16 (TIP)
-        // - Pinky: 17 (MCP) -> 18 (PIP) -> 19 (DIP) -> 20 (TIP)
-
-        // Calculate distance between points using 3D euclidean distance
-        const dist = (p1, p2) => {
-            return Math.sqrt(
-                Math.pow(p1.x - p2.x, 2) +
-                    Math.pow(p1.y - p2.y, 2) +
-                    Math.pow(p1.z - p2.z, 2)
+    const exportAudit = () => {
+        const blob = new Blob([auditRef.current.toCsv()], { type: "text/csv" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `glowfinger-audit-${new Date().toISOString().replace(/[:.]/g, "-")}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const applyPreferences = (next) => {
+        setPreferences(next);
+        savePreferences(next);
+    };
+
+    const testFeedback = () => {
+        feedbackRef.current.cue(CUES.SUCCESS);
+        feedbackRef.current.speak(t("preferences.testPhrase"));
+    };
+
+    useEffect(() => {
+        tRef.current = t;
+        document.documentElement.lang = preferences.language;
+    }, [t, preferences.language]);
+
+    useEffect(() => {
+        const { sounds, speech, language } = preferences;
+        feedbackRef.current.setOptions({ sounds, speech, language });
+    }, [preferences]);
+
+    useEffect(() => () => feedbackRef.current.close(), []);
+
+    const applyRules = (next) => {
+        setRules(next);
+        saveRules(next);
+    };
+
+    const applyDevices = (next) => {
+        setDevices(next);
+        saveDevices(next);
+    };
+
+    const applySceneLibrary = (next) => {
+        setSceneLibrary(next);
+        saveScenes(next);
+    };
+
+    useEffect(() => {
+        controller.setOptions({ rules });
+    }, [controller, rules]);
+
+    // A scene already playing keeps the steps it started with
+    useEffect(() => {
+        controller.setOptions({ scenes: sceneLibrary.scenes, sequences: sceneLibrary.sequences });
+    }, [controller, sceneLibrary]);
+
+    // Whatever is still batched is written before the page goes away
+    useEffect(() => {
+        const flush = () => eventLogRef.current.flush();
+        window.addEventListener("pagehide", flush);
+        return () => window.removeEventListener("pagehide", flush);
+    }, []);
+
+    useEffect(() => {
+        const offline = offlineRef.current;
+        const unsubscribe = [
+            offline.on("ready", ({ version }) => setOfflineVersion(version)),
+            offline.on("update", () => setUpdateReady(true)),
+            offline.on("error", (error) => setOfflineError(error.message)),
+        ];
+        offline.start();
+        return () => unsubscribe.forEach((off) => off());
+    }, []);
+
+    useEffect(() => {
+        loadCustomGestures()
+            .then(updateCustomGestures)
+            .catch((error) =>
+                setTrainingError(tRef.current("error.loadGestures", { error: error.message }))
             );
+    }, [updateCustomGestures]);
+
+    // Apply settings live: handleFrame reads the ref, the controller takes
+    // new options in place
+    useEffect(() => {
+        settingsRef.current = settings;
+    }, [settings]);
+
+    useEffect(() => {
+        controller.setOptions({
+            hold: { holdFrames: settings.detection.holdFrames, holdMs: settings.detection.holdMs },
+        });
+    }, [controller, settings.detection]);
+
+    useEffect(() => {
+        controller.setOptions({ scheduler: settings.tracking });
+    }, [controller, settings.tracking]);
+
+    useEffect(() => {
+        controller.setOptions({ safety: settings.safety });
+    }, [controller, settings.safety]);
+
+    useEffect(() => {
+        controller.setOptions({ color: settings.color });
+    }, [controller, settings.color]);
+
+    // Rebuild the transports whenever the device settings change
+    useEffect(() => {
+        const transport = createDevicePool({
+            deviceSettings: settings.device,
+            registry: activeRegistry(devicesRef.current, settings.device),
+            pingIntervalMs: settings.devices.pingIntervalMs,
+            pingTimeoutMs: settings.devices.probeTimeoutMs,
+        });
+        transportRef.current = transport;
+        setTransportStatus(transport.getStatus());
+        setTransportError(null);
+        setDeviceStatuses(transport.getDeviceStatuses());
+
+        // A link that drops disarms, and its fail-safe goes out once the
+        // link is back; the fail-safe cannot reach the boards before that
+        let connected = transport.getStatus() === TRANSPORT_STATUS.CONNECTED;
+        const linkLost = () => {
+            if (userDisconnectRef.current) return;
+            controller.arming.disarm("link to the boards lost");
+            if (!failSafeCommand(settingsRef.current.safety)) return;
+            failSafePendingRef.current = "link to the boards lost";
+            auditRef.current.record("fail-safe queued", "sent once the link is back");
         };
 
-        // compared to knuckles and wristAdd commentMore actions
-        // When fingers are extended, this ratio will be higher
-        // Hitung jarak ujung jari ke pergelangan tangan dibagi jarak pangkal jari ke pergelangan tangan
-
-        const thumbRatio =
-            dist(landmarks[4], landmarks[0]) / dist(landmarks[2], landmarks[0]);
-        const indexRatio =
-            dist(landmarks[8], landmarks[0]) / dist(landmarks[5], landmarks[0]);
-        const middleRatio =
-            dist(landmarks[12], landmarks[0]) / dist(landmarks[9], landmarks[0]);
-        const ringRatio =
-            dist(landmarks[16], landmarks[0]) / dist(landmarks[13], landmarks[0]);
-        const pinkyRatio =
-            dist(landmarks[20], landmarks[0]) / dist(landmarks[17], landmarks[0]);
-
-        const threshold = 1.5;
-
-        return (
-            thumbRatio > threshold &&
-            indexRatio > threshold &&
-            middleRatio > threshold &&
-            ringRatio > threshold &&
-            pinkyRatio > threshold
+        const log = eventLogRef.current;
+        const unsubscribe = [
+            transport.on("status", (status) => {
+                setTransportStatus(status);
+                log.record(EVENT_TYPES.TRANSPORT, `Link ${status}`);
+                const wasConnected = connected;
+                connected = status === TRANSPORT_STATUS.CONNECTED;
+                if (wasConnected && !connected) linkLost();
+            }),
+            transport.on("connect", () => {
+                setTransportError(null);
+                const reason = failSafePendingRef.current;
+                failSafePendingRef.current = null;
+                if (reason) controller.failSafe(`${reason}, now reconnected`);
+            }),
+            transport.on("error", (error) => {
+                setTransportError(error.message);
+                log.record(EVENT_TYPES.ERROR, `Link: ${error.message}`);
+            }),
+            transport.on("devices", setDeviceStatuses),
+        ];
+
+        // Web Serial needs a user click to pick a port
+        if (settings.device.transport !== "serial") transport.connect();
+
+        // A new link should get the current state, not wait for a change
+        controller.resetCommands();
+
+        return () => {
+            unsubscribe.forEach((off) => off());
+            controller.cancelCommands();
+            transport.close();
+            if (transportRef.current === transport) transportRef.current = null;
+        };
+    }, [controller, settings.device, settings.devices]);
+
+    // Registry edits reach the existing pool; only boards that were added,
+    // removed or moved to another address get a new link
+    useEffect(() => {
+        devicesRef.current = devices;
+        transportRef.current?.setRegistry(activeRegistry(devices, settings.device));
+    }, [devices, settings.device]);
+
+    // The controller sends its commands through the boards' link and
+    // reports their progress
+    useEffect(() => {
+        controller.setOptions({ send: sendGestureToESP32 });
+        const unsubscribe = controller.on("command", ({ source, ...status }) =>
+            handleCommandStatus(source, status)
         );
+        return () => {
+            unsubscribe();
+            controller.setOptions({ send: null });
+        };
+    }, [controller, sendGestureToESP32, handleCommandStatus]);
+
+    // Follow the controller's frames, colors, camera and errors, and open
+    // the camera once <GestureCanvas> has attached it. The controller
+    // disarms and sends the fail-safe itself when the camera fails.
+    useEffect(() => {
+        const log = eventLogRef.current;
+        const unsubscribe = [
+            controller.on("frame", handleFrame),
+            controller.on("gesture", logGesture),
+            controller.on("gesture", announceGesture),
+            controller.on("handLost", ({ hand }) => {
+                announcedRef.current.delete(hand);
+                log.record(EVENT_TYPES.GESTURE, `${hand} hand left the view`);
+            }),
+            controller.on("color", ({ color, locked }) =>
+                setColorSwatch(color ? { hex: colorToHex(color), locked } : null)
+            ),
+            controller.on("clear", () => showCommand(null)),
+            controller.on("status", (status) => log.record(EVENT_TYPES.CAMERA, `Camera ${status}`)),
+            controller.on("error", (error) =>
+                log.record(
+                    EVENT_TYPES.ERROR,
+                    error.source === "camera"
+                        ? `Camera: ${error.message}`
+                        : describeControllerError(error)
+                )
+            ),
+        ];
+
+        // Automatically start camera when component mounts
+        controller.start();
+
+        // Cleanup
+        return () => {
+            unsubscribe.forEach((off) => off());
+            controller.stop();
+        };
+    }, [controller, handleFrame, logGesture, announceGesture, showCommand]);
+
+    // Keep the controller in step with the settings and gestures
+    useEffect(() => {
+        controller.setOptions({
+            threshold: activeThreshold(calibrationLibrary, settings.detection.threshold),
+        });
+    }, [controller, calibrationLibrary, settings.detection.threshold]);
+
+    useEffect(() => {
+        controller.setOptions({ smoothing: settings.smoothing });
+    }, [controller, settings.smoothing]);
+
+    useEffect(() => {
+        controller.setOptions({ hands: settings.hands });
+    }, [controller, settings.hands]);
+
+    useEffect(() => {
+        controller.setOptions({ knn: settings.training });
+    }, [controller, settings.training]);
+
+    useEffect(() => {
+        controller.setOptions({ customGestures });
+    }, [controller, customGestures]);
+
+    const startCamera = () => {
+        controller.start();
+    };
+
+    // Nothing more will be detected: the controller disarms and sends the
+    // fail-safe
+    const stopCamera = () => {
+        controller.stop("camera stopped");
+    };
+
+    // Frames stop arriving while paused; the controller drops any command
+    // still settling, disarms and sends the fail-safe
+    const pauseCamera = () => {
+        controller.pause();
     };
 
     return (
         <div className="flex flex-col items-center justify-center min-h-screen bg-gray-500 px-4 py-8">
             <div className="w-full max-w-4xl flex flex-col items-center gap-6 bg-white shadow-2xl rounded-2xl p-6 sm:p-10">
-                {/* Judul */}
+                {/* Title */}
                 <div className="text-center text-3xl sm:text-4xl md:text-5xl font-extrabold text-white bg-black px-6 py-4 rounded-xl shadow-md">
-                    Hand Gesture Detector
+                    {t("app.title")}
                 </div>
 
+                <PreferencesPanel
+                    preferences={preferences}
+                    t={t}
+                    onChange={applyPreferences}
+                    onTest={testFeedback}
+                />
+
+                <OfflineStatus
+                    version={offlineVersion}
+                    updateReady={updateReady}
+                    error={offlineError}
+                    t={t}
+                    onUpdate={() => offlineRef.current.applyUpdate()}
+                />
+
                 {/* Video & Canvas */}
-                <div className="relative w-full flex justify-center items-center rounded-lg overflow-hidden bg-gray-800 shadow-lg aspect-video">
-                    <video ref={videoRef} className="hidden" />
-                    <canvas
-                        ref={canvasRef}
-                        width="640"
-                        height="480"
-                        className="w-full max-w-full h-auto border border-gray-300 rounded bg-gray-500"
+                <div
+                    className="relative w-full flex justify-center items-center rounded-lg overflow-hidden bg-gray-800 shadow-lg"
+                    style={{ aspectRatio: `${canvasSize.width} / ${canvasSize.height}` }}
+                >
+                    <GestureCanvas
+                        controller={controller}
+                        autoStart={false}
+                        className="w-full h-full border border-gray-300 rounded bg-gray-500"
                     />
+                    {hudVisible ? (
+                        <PerformanceHud
+                            metrics={controller.metrics}
+                            scheduler={controller.scheduler}
+                            transportStatus={transportStatus}
+                            t={t}
+                            onClose={() => setHudVisible(false)}
+                        />
+                    ) : (
+                        <button
+                            type="button"
+                            onClick={() => setHudVisible(true)}
+                            className="absolute top-2 left-2 bg-black/60 text-white text-xs px-2 py-1 rounded"
+                        >
+                            {t("app.diagnostics")}
+                        </button>
+                    )}
                 </div>
 
-                {/* Status */}
-                <div className="text-lg sm:text-xl md:text-2xl text-center text-white font-semibold px-4 py-3 bg-red-500 rounded-xl shadow-md">
-                    Status: {gestureText}
+                <CameraPanel
+                    options={cameraOptions}
+                    status={cameraStatus}
+                    error={cameraError && describeControllerError(cameraError, t)}
+                    disabled={replaying}
+                    t={t}
+                    onChange={applyCameraOptions}
+                    onStart={startCamera}
+                    onPause={pauseCamera}
+                    onResume={() => controller.resume()}
+                    onStop={stopCamera}
+                />
+
+                {/* Status, with the live color in color mode */}
+                <div className="flex items-center gap-3">
+                    <div
+                        role="status"
+                        className={
+                            preferences.highContrast
+                                ? "text-3xl sm:text-5xl text-center text-yellow-300 font-extrabold px-6 py-4 bg-black border-4 border-yellow-300 rounded-xl"
+                                : "text-lg sm:text-xl md:text-2xl text-center text-white font-semibold px-4 py-3 bg-red-500 rounded-xl shadow-md"
+                        }
+                    >
+                        {t("status.label", { text: formatCommand(statusCommand, t) })}
+                    </div>
+                    {colorSwatch && (
+                        <div
+                            className="w-14 h-14 rounded-xl shadow-md border border-gray-300 flex items-center justify-center text-xs font-semibold"
+                            style={{ backgroundColor: colorSwatch.hex }}
+                            title={colorSwatch.hex}
+                        >
+                            {colorSwatch.locked && (
+                                <span className="bg-white/80 rounded px-1">{t("status.colorLocked")}</span>
+                            )}
+                        </div>
+                    )}
                 </div>
+
+                <ArmingBadge
+                    state={armState}
+                    armGesture={settings.safety.armGesture}
+                    t={t}
+                    onDisarm={() => controller.arming.disarm("disarmed by the user")}
+                />
+
+                {/* Recognized gesture per hand */}
+                {handResults.map(({ hand, result }) => (
+                    <div
+                        key={hand}
+                        className={
+                            preferences.highContrast
+                                ? "text-2xl sm:text-3xl font-bold text-center text-black"
+                                : "text-base sm:text-lg text-center"
+                        }
+                    >
+                        <span
+                            className="font-semibold"
+                            style={preferences.highContrast ? undefined : { color: HAND_COLORS[hand].landmarks }}
+                        >
+                            {t(`hand.${hand}`)}:
+                        </span>{" "}
+                        {t(`gesture.${result.gesture}`)} (
+                        {Math.round(result.confidence * 100)}%) ·{" "}
+                        {t("hand.fingers", { count: result.count })}
+                        {result.custom &&
+                            ` · ${customGestures.find(({ id }) => id === result.custom.gesture)?.name ?? t("hand.custom")}`}
+                    </div>
+                ))}
+
+                {/* Last motion gesture */}
+                {lastMotion && (
+                    <div
+                        className={
+                            preferences.highContrast
+                                ? "text-xl sm:text-2xl font-semibold text-center text-black"
+                                : "text-sm sm:text-base text-center text-gray-700"
+                        }
+                    >
+                        {t("motion.last", { motion: t(`motion.${lastMotion.type}`) })}
+                        {lastMotion.phase ? ` (${t(`motion.phase.${lastMotion.phase}`)})` : ""} ·{" "}
+                        {translateHand(t, lastMotion.hand)}
+                    </div>
+                )}
+
+                {/* Sequence in progress and scene playing */}
+                {(sequenceProgress || playingScene) && (
+                    <div className="flex items-center gap-3 text-sm sm:text-base text-gray-700">
+                        {sequenceProgress && (
+                            <span>
+                                {t("sequence.progress", sequenceProgress)} ·{" "}
+                                {translateHand(t, sequenceProgress.hand)}
+                            </span>
+                        )}
+                        {playingScene && (
+                            <>
+                                <span>{t("scene.playing", { name: playingScene.name })}</span>
+                                <button
+                                    type="button"
+                                    onClick={() => controller.scenes.stop()}
+                                    className="bg-black text-white px-3 py-1 rounded-lg"
+                                >
+                                    {t("scene.stop")}
+                                </button>
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* Connection to the board */}
+                <TransportPanel
+                    kind={settings.device.transport}
+                    status={transportStatus}
+                    lastError={transportError}
+                    locked={settingsLocked}
+                    t={t}
+                    onConnect={() => transportRef.current?.connect()}
+                    onDisconnect={disconnectTransport}
+                />
+
+                {/* Last command sent to the ESP32, per hand and for scenes */}
+                {Object.keys(commandStatuses).length === 0 && (
+                    <CommandStatus
+                        status={{ status: COMMAND_STATUS.IDLE }}
+                        t={t}
+                        large={preferences.highContrast}
+                    />
+                )}
+                {Object.entries(commandStatuses).map(([hand, status]) => (
+                    <CommandStatus
+                        key={hand}
+                        label={dispatcherLabel(hand, t)}
+                        status={status}
+                        t={t}
+                        large={preferences.highContrast}
+                    />
+                ))}
+
+                {settings.device.transport === "virtual" && (
+                    <SettingsLock {...lockProps} title={t("lock.virtualDevice")}>
+                        <VirtualDevicePanel
+                            boards={activeRegistry(devices, settings.device).devices.map((device) =>
+                                getVirtualBoard(formatAddress(device))
+                            )}
+                            t={t}
+                        />
+                    </SettingsLock>
+                )}
+
+                <SettingsLock {...lockProps} title={t("lock.devices")}>
+                    <DevicesPanel
+                        registry={devices}
+                        statuses={deviceStatuses}
+                        discovery={{
+                            url: settings.devices.discoveryUrl,
+                            port: settings.device.httpPort,
+                            timeoutMs: settings.devices.probeTimeoutMs,
+                        }}
+                        t={t}
+                        onChange={applyDevices}
+                    />
+                </SettingsLock>
+
+                <SettingsLock {...lockProps} title={t("lock.rules")}>
+                    <RulesPanel
+                        rules={rules}
+                        customGestures={customGestures}
+                        devices={devices}
+                        t={t}
+                        onChange={applyRules}
+                    />
+                </SettingsLock>
+
+                <SettingsLock {...lockProps} title={t("lock.scenes")}>
+                    <ScenesPanel
+                        library={sceneLibrary}
+                        customGestures={customGestures}
+                        devices={devices}
+                        playing={playingScene}
+                        progress={sequenceProgress}
+                        t={t}
+                        onChange={applySceneLibrary}
+                        onPlay={(scene) => controller.scenes.play(scene)}
+                        onStop={() => controller.scenes.stop()}
+                    />
+                </SettingsLock>
+
+                <SettingsLock {...lockProps} title={t("lock.conformance")}>
+                    <ConformancePanel device={settings.device} t={t} onRun={runConformanceSuite} />
+                </SettingsLock>
+
+                <SettingsLock {...lockProps} title={t("lock.calibration")}>
+                    <CalibrationPanel
+                        library={calibrationLibrary}
+                        calibrating={calibrating}
+                        result={calibrationResult}
+                        error={calibrationError}
+                        t={t}
+                        onStart={startCalibration}
+                        onCancel={cancelCalibration}
+                        onSave={saveCalibration}
+                        onDiscard={() => setCalibrationResult(null)}
+                        onSelect={selectCalibrationProfile}
+                        onDelete={deleteCalibrationProfile}
+                    />
+                </SettingsLock>
+
+                <SettingsLock {...lockProps} title={t("lock.training")}>
+                    <TrainingPanel
+                        gestures={customGestures}
+                        teaching={teaching}
+                        error={trainingError}
+                        t={t}
+                        onTeach={startTeaching}
+                        onCancel={cancelTeaching}
+                        onDelete={removeCustomGesture}
+                        onImport={storeCustomGestures}
+                    />
+                </SettingsLock>
+
+                <SettingsLock {...lockProps} title={t("lock.sessions")}>
+                    <SessionPanel
+                        recording={recording}
+                        recordedFrames={recordedFrames}
+                        replaying={replaying}
+                        t={t}
+                        onStartRecording={startRecording}
+                        onStopRecording={stopRecording}
+                        onDownload={downloadRecording}
+                        onReplay={startReplay}
+                        onStopReplay={stopReplay}
+                    />
+                </SettingsLock>
+
+                <SettingsLock
+                    {...lockProps}
+                    title={t("lock.settings")}
+                    manage
+                    onLock={() => setSettingsUnlocked(false)}
+                    onChangePin={applyPin}
+                >
+                    <SettingsPanel settings={settings} t={t} onApply={applySettings} />
+                </SettingsLock>
+
+                <EventLogPanel
+                    eventLog={eventLogRef.current}
+                    canClear={!settingsLocked}
+                    t={t}
+                />
+
+                <AuditPanel
+                    entries={auditEntries}
+                    canClear={!settingsLocked}
+                    t={t}
+                    onExport={exportAudit}
+                    onClear={() => {
+                        auditRef.current.clear();
+                        auditRef.current.record("audit log cleared");
+                    }}
+                />
             </div>
         </div>
     );
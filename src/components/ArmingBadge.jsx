@@ -0,0 +1,38 @@
+import { GESTURES } from "../lib/gestures";
+import { ARM_STATES } from "../lib/safety";
+
+const STATE_STYLES = {
+    [ARM_STATES.DISARMED]: "bg-gray-500",
+    [ARM_STATES.ARMING]: "bg-yellow-500",
+    [ARM_STATES.ARMED]: "bg-green-600",
+};
+
+// Whether gestures control the lights right now. `t` is the translator for
+// the UI language.
+function ArmingBadge({ state, armGesture, t, onDisarm }) {
+    if (armGesture === GESTURES.NONE) return null;
+
+    return (
+        <div className="flex items-center gap-2 text-sm sm:text-base">
+            <span className={`text-white px-3 py-1 rounded-lg capitalize ${STATE_STYLES[state]}`}>
+                {t(`arming.${state}`)}
+            </span>
+            {state === ARM_STATES.DISARMED && (
+                <span className="text-gray-700">
+                    {t("arming.hint", { gesture: t(`gesture.${armGesture}`) })}
+                </span>
+            )}
+            {state === ARM_STATES.ARMED && (
+                <button
+                    type="button"
+                    onClick={onDisarm}
+                    className="border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("arming.disarm")}
+                </button>
+            )}
+        </div>
+    );
+}
+
+export default ArmingBadge;
@@ -0,0 +1,54 @@
+// Newest entries shown; the export has all of them
+const SHOWN_ENTRIES = 100;
+
+// The entries themselves stay English: they are a record that gets exported
+function AuditPanel({ entries, canClear, t, onExport, onClear }) {
+    const shown = entries.slice(-SHOWN_ENTRIES).reverse();
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("audit.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("audit.intro")}</p>
+
+            <div className="flex flex-wrap gap-2 mt-2 text-sm">
+                <button
+                    type="button"
+                    disabled={entries.length === 0}
+                    onClick={onExport}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("log.exportCsv")}
+                </button>
+                <button
+                    type="button"
+                    disabled={!canClear || entries.length === 0}
+                    onClick={onClear}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                    title={canClear ? undefined : t("transport.locked")}
+                >
+                    {t("log.clear")}
+                </button>
+            </div>
+
+            {shown.length === 0 ? (
+                <p className="text-sm text-gray-600 mt-2">{t("audit.empty")}</p>
+            ) : (
+                <table className="mt-2 w-full text-sm">
+                    <tbody>
+                        {shown.map(({ at, event, detail }, index) => (
+                            <tr key={`${at}-${index}`} className="border-b border-gray-200">
+                                <td className="py-1 pr-2 font-mono whitespace-nowrap">
+                                    {new Date(at).toLocaleString()}
+                                </td>
+                                <td className="py-1 pr-2 font-semibold">{event}</td>
+                                <td className="py-1">{detail}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </details>
+    );
+}
+
+export default AuditPanel;
@@ -0,0 +1,184 @@
+import { useState } from "react";
+import { FINGER_NAMES } from "../lib/gestures";
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+const ratio = (value) => value.toFixed(2);
+
+const fingerNote = (t, { usable, margin }) => {
+    if (!usable) return t("calibration.unusable");
+    if (margin < 0) return t("calibration.overlap");
+    return "";
+};
+
+// Calibration wizard and the profiles it saves. `calibrating` is the running
+// wizard's state, `result` a finished calibration waiting to be saved.
+// Changing profiles is a settings change, so App puts the panel behind the
+// settings lock.
+function CalibrationPanel({
+    library,
+    calibrating,
+    result,
+    error,
+    t,
+    onStart,
+    onCancel,
+    onSave,
+    onDiscard,
+    onSelect,
+    onDelete,
+}) {
+    const [name, setName] = useState("");
+
+    const start = (event) => {
+        event.preventDefault();
+        if (!name.trim()) return;
+        onStart(name.trim());
+    };
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("calibration.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("calibration.intro")}</p>
+
+            <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                <label className="flex items-center gap-1">
+                    {t("calibration.profile")}
+                    <select
+                        value={library.active ?? ""}
+                        onChange={(event) => onSelect(event.target.value || null)}
+                        className={inputClass}
+                    >
+                        <option value="">{t("calibration.noProfile")}</option>
+                        {library.profiles.map((profile) => (
+                            <option key={profile.id} value={profile.id}>
+                                {profile.name}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+            </div>
+
+            <form className="mt-3 flex flex-wrap items-center gap-3 text-sm" onSubmit={start}>
+                <input
+                    type="text"
+                    value={name}
+                    placeholder={t("calibration.name")}
+                    disabled={Boolean(calibrating)}
+                    onChange={(event) => setName(event.target.value)}
+                    className={inputClass}
+                />
+                {calibrating ? (
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("calibration.cancel")}
+                    </button>
+                ) : (
+                    <button
+                        type="submit"
+                        disabled={!name.trim() || Boolean(result)}
+                        className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {t("calibration.start")}
+                    </button>
+                )}
+                {calibrating && (
+                    <span className="font-semibold">
+                        {calibrating.phase === "countdown"
+                            ? t("calibration.countdown", {
+                                  pose: t(`calibration.step.${calibrating.step}`),
+                                  seconds: calibrating.secondsLeft,
+                              })
+                            : t("calibration.holding", {
+                                  pose: t(`calibration.step.${calibrating.step}`).toLowerCase(),
+                                  seconds: calibrating.secondsLeft,
+                                  frames: calibrating.frames,
+                              })}
+                    </span>
+                )}
+            </form>
+
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+            {result && (
+                <div className="mt-3 text-sm">
+                    <p className="font-semibold">{t("calibration.result", { name: result.name })}</p>
+                    <table className="mt-1 border-collapse">
+                        <thead>
+                            <tr className="text-left text-gray-600">
+                                <th className="pr-4">{t("calibration.finger")}</th>
+                                <th className="pr-4">{t("calibration.step.fist")}</th>
+                                <th className="pr-4">{t("calibration.step.open")}</th>
+                                <th className="pr-4">{t("calibration.threshold")}</th>
+                                <th />
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {FINGER_NAMES.map((finger) => {
+                                const stats = result.fingers[finger];
+                                const note = fingerNote(t, stats);
+                                return (
+                                    <tr key={finger} className="border-t border-gray-200">
+                                        <td className="pr-4">{t(`finger.${finger}`)}</td>
+                                        <td className="pr-4 font-mono">{ratio(stats.closed.mean)}</td>
+                                        <td className="pr-4 font-mono">{ratio(stats.open.mean)}</td>
+                                        <td className="pr-4 font-mono font-semibold">{ratio(stats.threshold)}</td>
+                                        <td className={note ? "text-orange-700" : ""}>{note}</td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                    <div className="flex gap-2 mt-2">
+                        <button
+                            type="button"
+                            onClick={() => {
+                                onSave(result);
+                                setName("");
+                            }}
+                            className="bg-black text-white px-3 py-1 rounded-lg"
+                        >
+                            {t("calibration.save")}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={onDiscard}
+                            className="border border-gray-400 px-3 py-1 rounded-lg"
+                        >
+                            {t("calibration.discard")}
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <ul className="mt-3 text-sm">
+                {library.profiles.length === 0 && <li className="text-gray-600">{t("calibration.empty")}</li>}
+                {library.profiles.map((profile) => (
+                    <li
+                        key={profile.id}
+                        className="flex flex-wrap items-center gap-2 border-b border-gray-200 py-1"
+                    >
+                        <span className="font-semibold">{profile.name}</span>
+                        {profile.id === library.active && <span className="text-green-700">{t("calibration.inUse")}</span>}
+                        <span className="font-mono text-gray-600">
+                            {FINGER_NAMES.map((finger) => ratio(profile.thresholds[finger])).join(" / ")}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => onDelete(profile.id)}
+                            className="ml-auto px-2 text-red-700"
+                            aria-label={t("calibration.delete", { name: profile.name })}
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+}
+
+export default CalibrationPanel;
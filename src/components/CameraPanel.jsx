@@ -0,0 +1,126 @@
+import { useEffect, useState } from "react";
+import { CAMERA_STATUS, FRAME_RATES, RESOLUTIONS, listCameras } from "../lib/camera";
+
+
+const STATUS_COLORS = {
+    [CAMERA_STATUS.STOPPED]: "bg-gray-400",
+    [CAMERA_STATUS.STARTING]: "bg-yellow-400",
+    [CAMERA_STATUS.RUNNING]: "bg-green-500",
+    [CAMERA_STATUS.PAUSED]: "bg-yellow-400",
+    [CAMERA_STATUS.ERROR]: "bg-red-500",
+};
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+// Camera choice and start/pause/stop. `t` is the translator for the UI
+// language.
+function CameraPanel({ options, status, error, disabled, t, onChange, onStart, onPause, onResume, onStop }) {
+    const [cameras, setCameras] = useState([]);
+    const active = status === CAMERA_STATUS.RUNNING || status === CAMERA_STATUS.PAUSED;
+
+    // Device labels are only visible once camera permission is granted, so
+    // list again whenever the camera starts and when devices come and go
+    useEffect(() => {
+        let cancelled = false;
+        const refresh = () =>
+            listCameras()
+                .then((devices) => !cancelled && setCameras(devices))
+                .catch(() => !cancelled && setCameras([]));
+        refresh();
+        navigator.mediaDevices?.addEventListener?.("devicechange", refresh);
+        return () => {
+            cancelled = true;
+            navigator.mediaDevices?.removeEventListener?.("devicechange", refresh);
+        };
+    }, [status]);
+
+    const update = (patch) => onChange({ ...options, ...patch });
+
+    return (
+        <div className="w-full flex flex-col gap-2 border border-gray-300 rounded-xl p-4 text-sm">
+            <div className="flex flex-wrap items-center gap-3">
+                <span className={`inline-block w-3 h-3 rounded-full ${STATUS_COLORS[status]}`} />
+                <span className="font-semibold">
+                    {t("camera.status", { status: t(`camera.status.${status}`) })}
+                </span>
+
+                <select
+                    value={options.deviceId}
+                    onChange={(event) => update({ deviceId: event.target.value })}
+                    className={inputClass}
+                    aria-label={t("camera.camera")}
+                >
+                    <option value="">{t("camera.default")}</option>
+                    {cameras.map((camera, index) => (
+                        <option key={camera.deviceId || index} value={camera.deviceId}>
+                            {camera.label || t("camera.numbered", { number: index + 1 })}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    value={options.resolution}
+                    onChange={(event) => update({ resolution: event.target.value })}
+                    className={inputClass}
+                    aria-label={t("camera.resolution")}
+                >
+                    {RESOLUTIONS.map((resolution) => (
+                        <option key={resolution} value={resolution}>
+                            {resolution.replace("x", " × ")}
+                        </option>
+                    ))}
+                </select>
+                <select
+                    value={options.frameRate}
+                    onChange={(event) => update({ frameRate: Number(event.target.value) })}
+                    className={inputClass}
+                    aria-label={t("camera.frameRate")}
+                >
+                    {FRAME_RATES.map((frameRate) => (
+                        <option key={frameRate} value={frameRate}>
+                            {t("camera.fps", { rate: frameRate })}
+                        </option>
+                    ))}
+                </select>
+                <label className="flex items-center gap-1">
+                    <input
+                        type="checkbox"
+                        checked={options.mirrored}
+                        onChange={(event) => update({ mirrored: event.target.checked })}
+                    />
+                    {t("camera.mirror")}
+                </label>
+            </div>
+
+            <div className="flex flex-wrap gap-3">
+                <button
+                    type="button"
+                    disabled={disabled || active || status === CAMERA_STATUS.STARTING}
+                    onClick={onStart}
+                    className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("camera.start")}
+                </button>
+                <button
+                    type="button"
+                    disabled={disabled || !active}
+                    onClick={status === CAMERA_STATUS.PAUSED ? onResume : onPause}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {status === CAMERA_STATUS.PAUSED ? t("camera.resume") : t("camera.pause")}
+                </button>
+                <button
+                    type="button"
+                    disabled={disabled || (!active && status !== CAMERA_STATUS.STARTING)}
+                    onClick={onStop}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("camera.stop")}
+                </button>
+            </div>
+
+            {error && <p className="text-red-600">{error}</p>}
+        </div>
+    );
+}
+
+export default CameraPanel;
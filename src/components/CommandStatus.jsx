@@ -0,0 +1,51 @@
+import { COMMAND_STATUS } from "../lib/dispatcher";
+import { formatCommand } from "../lib/actions";
+import { describeError } from "../lib/i18n";
+
+const STATUS_STYLES = {
+    [COMMAND_STATUS.IDLE]: "bg-gray-400",
+    [COMMAND_STATUS.PENDING]: "bg-yellow-500",
+    [COMMAND_STATUS.ACKNOWLEDGED]: "bg-green-600",
+    [COMMAND_STATUS.FAILED]: "bg-red-700",
+};
+
+// `t` is the translator for the UI language; `large` is the high-contrast,
+// large-type variant from the preferences
+function CommandStatus({ label, status, t, large = false }) {
+    const { status: state, attempt, response, error } = status;
+    const command = formatCommand(status.command, t);
+
+    // Idle with a command: it was cancelled before the boards answered
+    let detail = status.command
+        ? t("commandStatus.cancelled", { command })
+        : t("commandStatus.none");
+    if (state === COMMAND_STATUS.PENDING) {
+        detail =
+            attempt > 0
+                ? t("commandStatus.retrying", { command, attempt })
+                : t("commandStatus.sending", { command });
+    } else if (state === COMMAND_STATUS.ACKNOWLEDGED) {
+        detail = t("commandStatus.acknowledgedDetail", {
+            command,
+            response: response || t("commandStatus.emptyReply"),
+        });
+    } else if (state === COMMAND_STATUS.FAILED) {
+        detail = t("commandStatus.failedDetail", {
+            command,
+            error: error?.message ? describeError(t, error) : error,
+        });
+    }
+
+    return (
+        <div
+            className={`text-center text-white rounded-xl shadow-md ${STATUS_STYLES[state]} ${
+                large ? "text-xl sm:text-2xl font-semibold px-6 py-3 border-4 border-black" : "text-sm sm:text-base px-4 py-2"
+            }`}
+        >
+            {label && <span className="font-semibold">{label} · </span>}
+            <span className="font-semibold capitalize">{t(`commandStatus.${state}`)}</span> — {detail}
+        </div>
+    );
+}
+
+export default CommandStatus;
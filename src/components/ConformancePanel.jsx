@@ -0,0 +1,162 @@
+import { useRef, useState } from "react";
+import { MAX_CHANNELS } from "../lib/actions";
+import { TRANSPORTS } from "../lib/transports";
+import { CONFORMANCE_STATUS, CONFORMANCE_SUITE, REJECTED } from "../lib/conformance";
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+const STATUS_STYLES = {
+    [CONFORMANCE_STATUS.PASS]: "text-green-700",
+    [CONFORMANCE_STATUS.FAIL]: "text-red-700",
+    [CONFORMANCE_STATUS.UNVERIFIED]: "text-orange-700",
+};
+
+// Runs the protocol conformance suite against one endpoint: any transport
+// at any address, with the ports and paths from Settings → Device. `onRun`
+// does the run and resolves with the report; results stream in through
+// `onResult` meanwhile. Test names follow the UI language; the details stay
+// English, as in the downloaded report.
+function ConformancePanel({ device, t, onRun }) {
+    const [kind, setKind] = useState(device.transport);
+    const [host, setHost] = useState(device.host);
+    const [results, setResults] = useState([]);
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+    const [running, setRunning] = useState(false);
+    const abortRef = useRef(null);
+
+    const run = async (event) => {
+        event.preventDefault();
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setRunning(true);
+        setResults([]);
+        setReport(null);
+        setError(null);
+        try {
+            const finished = await onRun(
+                { kind, host: host.trim() },
+                {
+                    signal: controller.signal,
+                    onResult: (result) => setResults((previous) => [...previous, result]),
+                }
+            );
+            setReport(finished);
+        } catch (runError) {
+            setError(controller.signal.aborted ? t("conformance.stopped") : runError.message);
+        } finally {
+            abortRef.current = null;
+            setRunning(false);
+        }
+    };
+
+    const download = () => {
+        const blob = new Blob([JSON.stringify(report, null, 2)], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `glowfinger-conformance-${report.kind}-${report.host}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("conformance.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">
+                {t("conformance.intro", { count: CONFORMANCE_SUITE.length })}
+            </p>
+
+            <form className="mt-3 flex flex-wrap items-center gap-3 text-sm" onSubmit={run}>
+                <label className="flex items-center gap-1">
+                    {t("settings.device.transport")}
+                    <select
+                        value={kind}
+                        disabled={running}
+                        onChange={(event) => setKind(event.target.value)}
+                        className={inputClass}
+                    >
+                        {Object.keys(TRANSPORTS).map((value) => (
+                            <option key={value} value={value}>
+                                {t(`transport.${value}`)}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-1">
+                    {t("settings.device.host")}
+                    <input
+                        type="text"
+                        value={host}
+                        disabled={running || kind === "serial"}
+                        onChange={(event) => setHost(event.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+                {running ? (
+                    <button
+                        type="button"
+                        onClick={() => abortRef.current?.abort()}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("conformance.stop")}
+                    </button>
+                ) : (
+                    <button
+                        type="submit"
+                        disabled={!host.trim()}
+                        className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {t("conformance.run")}
+                    </button>
+                )}
+                {report && (
+                    <button
+                        type="button"
+                        onClick={download}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("conformance.download")}
+                    </button>
+                )}
+            </form>
+
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+            {report && (
+                <p className="text-sm font-semibold mt-2">
+                    {t("conformance.summary", { passed: report.passed, failed: report.failed })}
+                    {report.unverified > 0 && ` · ${t("conformance.unverified", { count: report.unverified })}`}
+                </p>
+            )}
+
+            {results.length > 0 && (
+                <table className="mt-2 w-full text-sm">
+                    <tbody>
+                        {results.map((result) => (
+                            <tr key={result.id} className="border-b border-gray-200">
+                                <td className={`py-1 pr-2 font-semibold uppercase ${STATUS_STYLES[result.status]}`}>
+                                    {t(`conformance.status.${result.status}`)}
+                                </td>
+                                <td className="py-1 pr-2">
+                                    {t(`conformance.case.${result.id}`, {
+                                        channel: MAX_CHANNELS,
+                                        over: MAX_CHANNELS + 1,
+                                    })}
+                                </td>
+                                <td className="py-1 pr-2 font-mono">
+                                    {result.expect === REJECTED ? t("conformance.rejected") : result.expect}
+                                </td>
+                                <td className="py-1 pr-2">{result.detail}</td>
+                                <td className="py-1 font-mono text-gray-600 whitespace-nowrap">
+                                    {result.ms} ms
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            )}
+        </details>
+    );
+}
+
+export default ConformancePanel;
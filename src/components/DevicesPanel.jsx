@@ -0,0 +1,344 @@
+import { useState } from "react";
+import { MAX_CHANNELS } from "../lib/actions";
+import {
+    DEVICE_STATUS,
+    addDevice,
+    addGroup,
+    discoverDevices,
+    fetchDeviceInfo,
+    formatAddress,
+    probeAddressRange,
+    removeDevice,
+    removeGroup,
+    setGroupMember,
+    updateDevice,
+} from "../lib/devices";
+import { describeError } from "../lib/i18n";
+
+const STATUS_COLORS = {
+    [DEVICE_STATUS.UNKNOWN]: "bg-gray-400",
+    [DEVICE_STATUS.ONLINE]: "bg-green-500",
+    [DEVICE_STATUS.OFFLINE]: "bg-red-500",
+};
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+function DeviceRow({ device, health, t, onChange, onRemove }) {
+    const { capabilities } = device;
+    const setCapabilities = (patch) =>
+        onChange({ capabilities: { ...capabilities, ...patch } });
+    const status = health?.status ?? DEVICE_STATUS.UNKNOWN;
+
+    return (
+        <li className="flex flex-wrap items-center gap-2 border-b border-gray-200 py-2 text-sm">
+            <span
+                className={`inline-block w-3 h-3 rounded-full ${STATUS_COLORS[status]}`}
+                title={t(`devices.status.${status}`)}
+            />
+            <input
+                value={device.name}
+                onChange={(event) => onChange({ name: event.target.value })}
+                className={`${inputClass} w-36`}
+                aria-label={t("devices.name")}
+            />
+            <span className="font-mono">{formatAddress(device)}</span>
+            <label className="flex items-center gap-1">
+                {t("devices.leds")}
+                <input
+                    type="number"
+                    value={capabilities.leds}
+                    min={1}
+                    max={MAX_CHANNELS}
+                    onChange={(event) => {
+                        const leds = Number(event.target.value);
+                        if (Number.isInteger(leds) && leds >= 1 && leds <= MAX_CHANNELS) {
+                            setCapabilities({ leds });
+                        }
+                    }}
+                    className={`${inputClass} w-16`}
+                />
+            </label>
+            <label className="flex items-center gap-1">
+                <input
+                    type="checkbox"
+                    checked={capabilities.pwm}
+                    onChange={(event) => setCapabilities({ pwm: event.target.checked })}
+                />
+                PWM
+            </label>
+            <label className="flex items-center gap-1">
+                <input
+                    type="checkbox"
+                    checked={capabilities.rgb}
+                    onChange={(event) => setCapabilities({ rgb: event.target.checked })}
+                />
+                RGB
+            </label>
+            <span className="text-gray-600">
+                {status === DEVICE_STATUS.ONLINE && health.latencyMs !== null
+                    ? t("devices.latency", { ms: Math.round(health.latencyMs) })
+                    : t(`devices.status.${status}`)}
+            </span>
+            <button type="button" onClick={onRemove} className="ml-auto px-2 text-red-700">
+                ✕
+            </button>
+        </li>
+    );
+}
+
+function DevicesPanel({ registry, statuses, discovery, t, onChange }) {
+    const [name, setName] = useState("");
+    const [host, setHost] = useState("");
+    const [range, setRange] = useState("192.168.4.2-254");
+    const [groupName, setGroupName] = useState("");
+    const [found, setFound] = useState([]);
+    const [busy, setBusy] = useState(null);
+    const [message, setMessage] = useState(null);
+    // Aborts the probe in progress
+    const [probeController, setProbeController] = useState(null);
+
+    const { devices, groups } = registry;
+    const known = new Set(devices.map(formatAddress));
+    const candidates = found.filter((entry) => !known.has(formatAddress(entry)));
+
+    const run = (change) => {
+        try {
+            onChange(change(registry));
+            setMessage(null);
+            return true;
+        } catch (error) {
+            setMessage(describeError(t, error));
+            return false;
+        }
+    };
+
+    // Asks the board for its capabilities first; one that does not answer
+    // is still added, with the defaults
+    const addByAddress = async () => {
+        const address = host.trim();
+        setBusy(t("devices.checking"));
+        let info = null;
+        try {
+            info = await fetchDeviceInfo(address, {
+                port: discovery.port,
+                timeoutMs: discovery.timeoutMs,
+            });
+        } catch {
+            // Added below without capabilities
+        }
+        setBusy(null);
+        const added = run((current) =>
+            addDevice(current, {
+                host: address,
+                name: name || info?.name,
+                capabilities: info?.capabilities,
+            })
+        );
+        if (!added) return;
+        if (!info) setMessage(t("devices.noInfo", { address }));
+        setName("");
+        setHost("");
+    };
+
+    const discover = async () => {
+        setBusy(t("devices.discovering"));
+        setMessage(null);
+        try {
+            const boards = await discoverDevices(discovery.url, { timeoutMs: discovery.timeoutMs * 2 });
+            setFound(boards);
+            if (boards.length === 0) setMessage(t("devices.noneListed"));
+        } catch (error) {
+            setMessage(t("devices.discoveryFailed", { error: describeError(t, error) }));
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const probe = async () => {
+        const controller = new AbortController();
+        setProbeController(controller);
+        setMessage(null);
+        setBusy(t("devices.probing"));
+        try {
+            const boards = await probeAddressRange(range, {
+                port: discovery.port,
+                timeoutMs: discovery.timeoutMs,
+                signal: controller.signal,
+                onProgress: (done, total) => setBusy(t("devices.probingProgress", { done, total })),
+            });
+            setFound(boards);
+            if (boards.length === 0) setMessage(t("devices.noneAnswered"));
+        } catch (error) {
+            setMessage(describeError(t, error));
+        } finally {
+            setProbeController(null);
+            setBusy(null);
+        }
+    };
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("devices.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">
+                {devices.length === 0 ? t("devices.introEmpty") : t("devices.intro")}
+            </p>
+
+            <ul className="mt-2">
+                {devices.map((device) => (
+                    <DeviceRow
+                        key={device.id}
+                        device={device}
+                        health={statuses[device.id]}
+                        t={t}
+                        onChange={(patch) => run((current) => updateDevice(current, device.id, patch))}
+                        onRemove={() => run((current) => removeDevice(current, device.id))}
+                    />
+                ))}
+            </ul>
+
+            <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                <input
+                    value={name}
+                    onChange={(event) => setName(event.target.value)}
+                    placeholder={t("devices.nameOptional")}
+                    className={inputClass}
+                />
+                <input
+                    value={host}
+                    onChange={(event) => setHost(event.target.value)}
+                    placeholder={t("devices.address")}
+                    className={inputClass}
+                />
+                <button
+                    type="button"
+                    disabled={!host.trim() || busy !== null}
+                    onClick={addByAddress}
+                    className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("devices.add")}
+                </button>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mt-3 text-sm">
+                <button
+                    type="button"
+                    disabled={busy !== null}
+                    onClick={discover}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("devices.discover")}
+                </button>
+                <input
+                    value={range}
+                    onChange={(event) => setRange(event.target.value)}
+                    aria-label={t("devices.range")}
+                    className={inputClass}
+                />
+                {probeController ? (
+                    <button
+                        type="button"
+                        onClick={() => probeController.abort()}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("calibration.cancel")}
+                    </button>
+                ) : (
+                    <button
+                        type="button"
+                        disabled={busy !== null}
+                        onClick={probe}
+                        className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {t("devices.probe")}
+                    </button>
+                )}
+                {busy && <span className="text-gray-600">{busy}</span>}
+            </div>
+
+            {candidates.length > 0 && (
+                <ul className="mt-2 text-sm">
+                    {candidates.map((entry) => (
+                        <li key={formatAddress(entry)} className="flex flex-wrap items-center gap-2 py-1">
+                            <span className="font-semibold">{entry.name}</span>
+                            <span className="font-mono">{formatAddress(entry)}</span>
+                            <span className="text-gray-600">
+                                {t("devices.ledCount", { count: entry.capabilities.leds })}
+                                {entry.capabilities.pwm ? " · PWM" : ""}
+                                {entry.capabilities.rgb ? " · RGB" : ""}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => run((current) => addDevice(current, entry))}
+                                className="border border-gray-400 px-2 rounded-lg"
+                            >
+                                {t("devices.add")}
+                            </button>
+                        </li>
+                    ))}
+                    <li className="py-1">
+                        <button
+                            type="button"
+                            onClick={() => run((current) => candidates.reduce(addDevice, current))}
+                            className="border border-gray-400 px-2 rounded-lg"
+                        >
+                            {t("devices.addAll")}
+                        </button>
+                    </li>
+                </ul>
+            )}
+
+            <h3 className="font-semibold mt-4">{t("devices.groups")}</h3>
+            <ul className="text-sm">
+                {groups.map((group) => (
+                    <li key={group.id} className="flex flex-wrap items-center gap-2 border-b border-gray-200 py-2">
+                        <span className="font-semibold">{group.name}</span>
+                        {devices.map((device) => (
+                            <label key={device.id} className="flex items-center gap-1">
+                                <input
+                                    type="checkbox"
+                                    checked={group.deviceIds.includes(device.id)}
+                                    onChange={(event) =>
+                                        run((current) =>
+                                            setGroupMember(current, group.id, device.id, event.target.checked)
+                                        )
+                                    }
+                                />
+                                {device.name}
+                            </label>
+                        ))}
+                        <button
+                            type="button"
+                            onClick={() => run((current) => removeGroup(current, group.id))}
+                            className="ml-auto px-2 text-red-700"
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                <input
+                    value={groupName}
+                    onChange={(event) => setGroupName(event.target.value)}
+                    placeholder={t("devices.groupName")}
+                    className={inputClass}
+                />
+                <button
+                    type="button"
+                    disabled={devices.length === 0}
+                    onClick={() => {
+                        run((current) => addGroup(current, groupName));
+                        setGroupName("");
+                    }}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("devices.addGroup")}
+                </button>
+            </div>
+
+            {message && <p className="text-sm text-red-600 mt-2">{message}</p>}
+        </details>
+    );
+}
+
+export default DevicesPanel;
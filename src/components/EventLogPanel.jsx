@@ -0,0 +1,191 @@
+import { useEffect, useState } from "react";
+import { EVENT_TYPES, eventsToCsv, eventsToJson, filterEvents } from "../lib/eventLog";
+
+const TYPE_STYLES = {
+    [EVENT_TYPES.GESTURE]: "bg-blue-100 text-blue-800",
+    [EVENT_TYPES.COMMAND]: "bg-gray-100 text-gray-800",
+    [EVENT_TYPES.RESPONSE]: "bg-green-100 text-green-800",
+    [EVENT_TYPES.ERROR]: "bg-red-100 text-red-800",
+    [EVENT_TYPES.CAMERA]: "bg-purple-100 text-purple-800",
+    [EVENT_TYPES.TRANSPORT]: "bg-yellow-100 text-yellow-800",
+    [EVENT_TYPES.SCENE]: "bg-pink-100 text-pink-800",
+    [EVENT_TYPES.SAFETY]: "bg-orange-100 text-orange-800",
+};
+
+// Rows rendered at once; the export always has every match
+const SHOWN_ENTRIES = 500;
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// Local time to the millisecond, e.g. 2025-06-24 15:00:01.250
+const formatTime = (at) => {
+    const date = new Date(at);
+    return (
+        `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.` +
+        pad(date.getMilliseconds(), 3)
+    );
+};
+
+const parseTime = (value) => (value ? new Date(value).getTime() : null);
+
+const download = (text, type, extension) => {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `glowfinger-events-${new Date().toISOString().replace(/[:.]/g, "-")}.${extension}`;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+// Loads the log from IndexedDB while open and follows new writes. The
+// messages stay English, as they are stored and exported; the panel and the
+// type names follow the UI language.
+function EventLogPanel({ eventLog, canClear, t }) {
+    const [open, setOpen] = useState(false);
+    const [entries, setEntries] = useState([]);
+    const [types, setTypes] = useState([]);
+    const [text, setText] = useState("");
+    const [from, setFrom] = useState("");
+    const [to, setTo] = useState("");
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!open) return undefined;
+        let cancelled = false;
+        const load = () =>
+            eventLog.entries().then(
+                (list) => {
+                    if (!cancelled) setEntries(list);
+                },
+                (loadError) => {
+                    if (!cancelled) setError(t("log.readFailed", { error: loadError.message }));
+                }
+            );
+        load();
+        const unsubscribe = [
+            eventLog.on("change", load),
+            eventLog.on("error", (writeError) =>
+                setError(t("log.writeFailed", { error: writeError.message }))
+            ),
+        ];
+        return () => {
+            cancelled = true;
+            unsubscribe.forEach((off) => off());
+        };
+    }, [eventLog, open, t]);
+
+    const matching = filterEvents(entries, { types, text, from: parseTime(from), to: parseTime(to) });
+    const shown = matching.slice(-SHOWN_ENTRIES).reverse();
+
+    const toggleType = (type, checked) =>
+        setTypes((current) => (checked ? [...current, type] : current.filter((other) => other !== type)));
+
+    return (
+        <details
+            className="w-full border border-gray-300 rounded-xl p-4"
+            onToggle={(event) => setOpen(event.currentTarget.open)}
+        >
+            <summary className="cursor-pointer font-semibold text-lg">{t("log.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("log.intro")}</p>
+
+            <div className="flex flex-wrap items-center gap-3 mt-2 text-sm">
+                {Object.values(EVENT_TYPES).map((type) => (
+                    <label key={type} className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={types.includes(type)}
+                            onChange={(event) => toggleType(type, event.target.checked)}
+                        />
+                        {t(`log.type.${type}`)}
+                    </label>
+                ))}
+            </div>
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                <input
+                    value={text}
+                    onChange={(event) => setText(event.target.value)}
+                    placeholder={t("log.search")}
+                    className={inputClass}
+                />
+                <label className="flex items-center gap-1">
+                    {t("log.from")}
+                    <input
+                        type="datetime-local"
+                        step={1}
+                        value={from}
+                        onChange={(event) => setFrom(event.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+                <label className="flex items-center gap-1">
+                    {t("log.to")}
+                    <input
+                        type="datetime-local"
+                        step={1}
+                        value={to}
+                        onChange={(event) => setTo(event.target.value)}
+                        className={inputClass}
+                    />
+                </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm">
+                <span className="text-gray-600">
+                    {t("log.count", { shown: matching.length, total: entries.length })}
+                    {matching.length > SHOWN_ENTRIES ? t("log.newest", { count: SHOWN_ENTRIES }) : ""}
+                </span>
+                <button
+                    type="button"
+                    disabled={matching.length === 0}
+                    onClick={() => download(eventsToCsv(matching), "text/csv", "csv")}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("log.exportCsv")}
+                </button>
+                <button
+                    type="button"
+                    disabled={matching.length === 0}
+                    onClick={() => download(eventsToJson(matching), "application/json", "json")}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("log.exportJson")}
+                </button>
+                <button
+                    type="button"
+                    disabled={!canClear || entries.length === 0}
+                    onClick={() =>
+                        eventLog
+                            .clear()
+                            .catch((clearError) => setError(t("log.clearFailed", { error: clearError.message })))
+                    }
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                    title={canClear ? undefined : t("transport.locked")}
+                >
+                    {t("log.clear")}
+                </button>
+            </div>
+
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+            <ol className="mt-2 max-h-96 overflow-y-auto text-sm border border-gray-200 rounded">
+                {shown.map((entry, index) => (
+                    <li
+                        key={entry.id ?? `pending-${index}`}
+                        className="flex flex-wrap items-baseline gap-2 border-b border-gray-100 px-2 py-1"
+                    >
+                        <span className="font-mono text-gray-600">{formatTime(entry.at)}</span>
+                        <span className={`px-1 rounded text-xs ${TYPE_STYLES[entry.type] ?? ""}`}>
+                            {t(`log.type.${entry.type}`)}
+                        </span>
+                        <span>{entry.message}</span>
+                    </li>
+                ))}
+            </ol>
+        </details>
+    );
+}
+
+export default EventLogPanel;
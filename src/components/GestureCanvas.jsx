@@ -0,0 +1,26 @@
+import { useEffect, useRef } from "react";
+
+// Camera view of a GestureController: the hidden video the camera plays into
+// and the canvas the tracker draws the frame and hand overlay on (sized by
+// the tracker, possibly from a worker). With `autoStart` the camera opens on
+// mount; it always stops on unmount. A controller keeps the first canvas it
+// is given, so render one GestureCanvas per controller.
+function GestureCanvas({ controller, autoStart = true, className, style }) {
+    const videoRef = useRef(null);
+    const canvasRef = useRef(null);
+
+    useEffect(() => {
+        controller.attach({ video: videoRef.current, canvas: canvasRef.current });
+        if (autoStart) controller.start();
+        return () => controller.stop();
+    }, [controller, autoStart]);
+
+    return (
+        <>
+            <video ref={videoRef} style={{ display: "none" }} />
+            <canvas ref={canvasRef} className={className} style={style} />
+        </>
+    );
+}
+
+export default GestureCanvas;
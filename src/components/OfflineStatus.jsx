@@ -0,0 +1,28 @@
+// Whether the app works offline, and the prompt to switch to a new version
+function OfflineStatus({ version, updateReady, error, t, onUpdate }) {
+    if (updateReady) {
+        return (
+            <div className="w-full flex flex-wrap items-center justify-center gap-3 text-sm sm:text-base bg-yellow-100 border border-yellow-400 rounded-xl px-4 py-2">
+                <span>{t("offline.updateReady")}</span>
+                <button
+                    type="button"
+                    onClick={onUpdate}
+                    className="bg-black text-white px-3 py-1 rounded-lg"
+                >
+                    {t("offline.reload")}
+                </button>
+            </div>
+        );
+    }
+    if (error) {
+        return <div className="text-xs text-red-600">{t("offline.unavailable", { error })}</div>;
+    }
+    if (!version) return null;
+    return (
+        <div className="text-xs text-gray-500">
+            {t("offline.available")} <span className="font-mono">{version}</span>
+        </div>
+    );
+}
+
+export default OfflineStatus;
@@ -0,0 +1,86 @@
+import { useEffect, useState } from "react";
+import { METRICS } from "../lib/metrics";
+
+// Diagnostics overlay drawn over the camera canvas. Metrics are collected
+// all the time; the HUD only reads them a few times per second while shown.
+
+const REFRESH_MS = 250;
+
+// Metric and the i18n key of its label
+const TIMINGS = [
+    [METRICS.INFERENCE, "hud.inference"],
+    [METRICS.DRAW, "hud.draw"],
+    [METRICS.TRACKING_LATENCY, "hud.trackingLatency"],
+    [METRICS.ACK_ROUND_TRIP, "hud.ackRoundTrip"],
+    [METRICS.GESTURE_TO_ACK, "hud.gestureToAck"],
+];
+
+const formatMs = (value) => (value < 10 ? value.toFixed(1) : Math.round(value));
+
+function PerformanceHud({ metrics, scheduler, transportStatus, t, onClose }) {
+    const [, setRefresh] = useState(0);
+
+    useEffect(() => {
+        const timer = setInterval(() => setRefresh((count) => count + 1), REFRESH_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    const exportCsv = () => {
+        const blob = new Blob([metrics.toCsv()], { type: "text/csv" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `glowfinger-metrics-${new Date().toISOString().replace(/[:.]/g, "-")}.csv`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const { dropped, lost, skip } = scheduler.getStats();
+
+    return (
+        <div className="absolute top-2 left-2 bg-black/70 text-white font-mono text-xs rounded-lg p-3 flex flex-col gap-1 pointer-events-auto">
+            <div className="flex justify-between gap-4">
+                <span>{t("hud.camera")}</span>
+                <span>{t("camera.fps", { rate: metrics.rate(METRICS.CAMERA_FRAME).toFixed(1) })}</span>
+            </div>
+            {TIMINGS.map(([name, label]) => {
+                const summary = metrics.summary(name);
+                return (
+                    <div key={name} className="flex justify-between gap-4">
+                        <span>{t(label)}</span>
+                        <span>
+                            {summary
+                                ? t("hud.timing", { mean: formatMs(summary.mean), p95: formatMs(summary.p95) })
+                                : "–"}
+                        </span>
+                    </div>
+                );
+            })}
+            <div className="flex justify-between gap-4">
+                <span>{t("hud.dropped")}</span>
+                <span>
+                    {dropped}
+                    {skip > 0 ? ` ${t("hud.skipping", { skip })}` : ""}
+                    {lost > 0 ? `, ${t("hud.lost", { lost })}` : ""}
+                </span>
+            </div>
+            <div className="flex justify-between gap-4">
+                <span>{t("hud.transport")}</span>
+                <span className="capitalize">{t(`transport.status.${transportStatus}`)}</span>
+            </div>
+            <div className="flex gap-2 mt-1">
+                <button type="button" onClick={exportCsv} className="border border-white/60 px-2 rounded">
+                    {t("log.exportCsv")}
+                </button>
+                <button type="button" onClick={metrics.reset} className="border border-white/60 px-2 rounded">
+                    {t("hud.reset")}
+                </button>
+                <button type="button" onClick={onClose} className="border border-white/60 px-2 rounded">
+                    {t("hud.hide")}
+                </button>
+            </div>
+        </div>
+    );
+}
+
+export default PerformanceHud;
@@ -0,0 +1,70 @@
+import { LANGUAGES } from "../lib/i18n";
+import { speechSupported } from "../lib/feedback";
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+// Language, sound cues, speech and the high-contrast status. `t` is the
+// translator for the current language; `onTest` plays a cue and speaks a
+// sample phrase with the current choices.
+function PreferencesPanel({ preferences, t, onChange, onTest }) {
+    const canSpeak = speechSupported();
+    const toggle = (key) => (event) => onChange({ ...preferences, [key]: event.target.checked });
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("preferences.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("preferences.intro")}</p>
+
+            <div className="flex flex-col gap-2 mt-3 text-sm">
+                <label className="flex items-center gap-2">
+                    {t("preferences.language")}
+                    <select
+                        value={preferences.language}
+                        onChange={(event) => onChange({ ...preferences, language: event.target.value })}
+                        className={inputClass}
+                    >
+                        {Object.entries(LANGUAGES).map(([code, { label }]) => (
+                            <option key={code} value={code} lang={code}>
+                                {label}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                <label className="flex items-center gap-2">
+                    <input type="checkbox" checked={preferences.sounds} onChange={toggle("sounds")} />
+                    {t("preferences.sounds")}
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={preferences.speech}
+                        disabled={!canSpeak}
+                        onChange={toggle("speech")}
+                    />
+                    {t("preferences.speech")}
+                    {!canSpeak && <span className="text-gray-600">({t("preferences.noSpeech")})</span>}
+                </label>
+                <label className="flex items-center gap-2">
+                    <input
+                        type="checkbox"
+                        checked={preferences.highContrast}
+                        onChange={toggle("highContrast")}
+                    />
+                    {t("preferences.highContrast")}
+                </label>
+                <div>
+                    <button
+                        type="button"
+                        disabled={!preferences.sounds && !preferences.speech}
+                        onClick={onTest}
+                        className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {t("preferences.test")}
+                    </button>
+                </div>
+            </div>
+        </details>
+    );
+}
+
+export default PreferencesPanel;
@@ -0,0 +1,422 @@
+import {
+    ACTION_TYPES,
+    ALL_CHANNELS,
+    ALL_DEVICES,
+    DEFAULT_RULES,
+    MAX_CHANNELS,
+    MAX_VALUE,
+    TRIGGER_TYPES,
+} from "../lib/actions";
+import { FINGER_NAMES, GESTURES, HANDEDNESS } from "../lib/gestures";
+import { MOTIONS } from "../lib/motion";
+import { EMPTY_REGISTRY, deviceTarget, groupTarget, targetName } from "../lib/devices";
+
+const CHANNEL_OPTIONS = [
+    ALL_CHANNELS,
+    ...Array.from({ length: MAX_CHANNELS }, (_, index) => index + 1),
+];
+
+const DEFAULT_TRIGGERS = {
+    [TRIGGER_TYPES.GESTURE]: { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.OPEN_PALM },
+    [TRIGGER_TYPES.COUNT]: { type: TRIGGER_TYPES.COUNT, count: 1 },
+    [TRIGGER_TYPES.FINGERS]: { type: TRIGGER_TYPES.FINGERS, fingers: {} },
+    [TRIGGER_TYPES.MOTION]: { type: TRIGGER_TYPES.MOTION, motion: MOTIONS.WAVE },
+};
+
+// Pinch brightness needs landmarks every frame, toggles need a discrete event
+const ACTIONS_FOR_MOTION = [ACTION_TYPES.SET, ACTION_TYPES.TOGGLE];
+const ACTIONS_FOR_POSE = [ACTION_TYPES.SET, ACTION_TYPES.PINCH];
+
+// Motions that make sense as triggers; pinch-and-drag is a continuous event
+const TRIGGER_MOTIONS = Object.values(MOTIONS).filter(
+    (motion) => motion !== MOTIONS.PINCH_DRAG
+);
+
+const DEFAULT_ACTIONS = {
+    [ACTION_TYPES.SET]: { type: ACTION_TYPES.SET, value: MAX_VALUE },
+    [ACTION_TYPES.PINCH]: { type: ACTION_TYPES.PINCH, min: 0.15, max: 1.2, step: 15 },
+    [ACTION_TYPES.TOGGLE]: { type: ACTION_TYPES.TOGGLE, value: MAX_VALUE },
+};
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+const parseChannel = (value) => (value === ALL_CHANNELS ? value : Number(value));
+
+export function NumberInput({ value, min, max, step = 1, onChange }) {
+    return (
+        <input
+            type="number"
+            value={value}
+            min={min}
+            max={max}
+            step={step}
+            onChange={(event) => {
+                const number = Number(event.target.value);
+                if (event.target.value !== "" && number >= min && number <= max) {
+                    onChange(number);
+                }
+            }}
+            className={`${inputClass} w-20`}
+        />
+    );
+}
+
+const targetLabel = (t, registry, target) => {
+    if (target === ALL_DEVICES) return t("rules.target.all");
+    const type = target.startsWith("group:") ? "group" : "device";
+    const name = targetName(registry, target);
+    return name === null ? t(`rules.target.deleted.${type}`) : t(`rules.target.${type}`, { name });
+};
+
+// Boards, groups or "all"; a target whose board or group was deleted stays
+// selectable so the rule does not silently change
+export function TargetSelect({ target = ALL_DEVICES, registry, t, onChange }) {
+    const targets = [
+        ALL_DEVICES,
+        ...registry.groups.map((group) => groupTarget(group.id)),
+        ...registry.devices.map((device) => deviceTarget(device.id)),
+    ];
+    if (!targets.includes(target)) targets.push(target);
+
+    return (
+        <select
+            value={target}
+            onChange={(event) => onChange(event.target.value)}
+            className={inputClass}
+            aria-label={t("rules.target")}
+        >
+            {targets.map((value) => (
+                <option key={value} value={value}>
+                    {targetLabel(t, registry, value)}
+                </option>
+            ))}
+        </select>
+    );
+}
+
+function RuleRow({ rule, customGestures, devices, isFirst, isLast, t, onChange, onMove, onRemove }) {
+    const { trigger, action } = rule;
+    const setTrigger = (patch) => onChange({ ...rule, trigger: { ...trigger, ...patch } });
+    const setAction = (patch) => onChange({ ...rule, action: { ...action, ...patch } });
+    const actionTypes =
+        trigger.type === TRIGGER_TYPES.MOTION ? ACTIONS_FOR_MOTION : ACTIONS_FOR_POSE;
+
+    const changeTriggerType = (type) => {
+        const allowed = type === TRIGGER_TYPES.MOTION ? ACTIONS_FOR_MOTION : ACTIONS_FOR_POSE;
+        onChange({
+            ...rule,
+            trigger:
+                type === TRIGGER_TYPES.CUSTOM
+                    ? { type, gesture: customGestures[0].id }
+                    : DEFAULT_TRIGGERS[type],
+            action: allowed.includes(action.type)
+                ? action
+                : {
+                    ...DEFAULT_ACTIONS[ACTION_TYPES.SET],
+                    channel: action.channel,
+                    target: action.target,
+                },
+        });
+    };
+
+    return (
+        <li className="flex flex-wrap items-center gap-2 border-b border-gray-200 py-2 text-sm">
+            <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={(event) => onChange({ ...rule, enabled: event.target.checked })}
+                aria-label={t("rules.enabled")}
+            />
+
+            <span className="font-semibold">{t("rules.when")}</span>
+            <select
+                value={rule.hand ?? ""}
+                onChange={(event) => onChange({ ...rule, hand: event.target.value || null })}
+                className={inputClass}
+            >
+                <option value="">{t("rules.hand.either")}</option>
+                <option value={HANDEDNESS.LEFT}>{t("rules.hand.Left")}</option>
+                <option value={HANDEDNESS.RIGHT}>{t("rules.hand.Right")}</option>
+            </select>
+            <span>{t("rules.shows")}</span>
+            <select
+                value={trigger.type}
+                onChange={(event) => changeTriggerType(event.target.value)}
+                className={inputClass}
+            >
+                <option value={TRIGGER_TYPES.GESTURE}>{t("rules.trigger.gesture")}</option>
+                <option value={TRIGGER_TYPES.COUNT}>{t("rules.trigger.count")}</option>
+                <option value={TRIGGER_TYPES.FINGERS}>{t("rules.trigger.fingers")}</option>
+                <option value={TRIGGER_TYPES.MOTION}>{t("rules.trigger.motion")}</option>
+                <option
+                    value={TRIGGER_TYPES.CUSTOM}
+                    disabled={customGestures.length === 0 && trigger.type !== TRIGGER_TYPES.CUSTOM}
+                >
+                    {t("rules.trigger.custom")}
+                </option>
+            </select>
+
+            {trigger.type === TRIGGER_TYPES.CUSTOM && (
+                <select
+                    value={trigger.gesture}
+                    onChange={(event) => setTrigger({ gesture: event.target.value })}
+                    className={inputClass}
+                >
+                    {!customGestures.some((gesture) => gesture.id === trigger.gesture) && (
+                        <option value={trigger.gesture}>{t("rules.deletedGesture")}</option>
+                    )}
+                    {customGestures.map((gesture) => (
+                        <option key={gesture.id} value={gesture.id}>
+                            {gesture.name}
+                        </option>
+                    ))}
+                </select>
+            )}
+
+            {trigger.type === TRIGGER_TYPES.MOTION && (
+                <select
+                    value={trigger.motion}
+                    onChange={(event) => setTrigger({ motion: event.target.value })}
+                    className={inputClass}
+                >
+                    {TRIGGER_MOTIONS.map((motion) => (
+                        <option key={motion} value={motion}>
+                            {t(`motion.${motion}`)}
+                        </option>
+                    ))}
+                </select>
+            )}
+
+            {trigger.type === TRIGGER_TYPES.MOTION && trigger.motion === MOTIONS.HOLD && (
+                <select
+                    value={trigger.gesture ?? ""}
+                    onChange={(event) => setTrigger({ gesture: event.target.value || null })}
+                    className={inputClass}
+                >
+                    <option value="">{t("rules.anyPose")}</option>
+                    {Object.values(GESTURES)
+                        .filter((gesture) => gesture !== GESTURES.NONE)
+                        .map((gesture) => (
+                            <option key={gesture} value={gesture}>
+                                {t(`gesture.${gesture}`)}
+                            </option>
+                        ))}
+                </select>
+            )}
+
+            {trigger.type === TRIGGER_TYPES.GESTURE && (
+                <select
+                    value={trigger.gesture}
+                    onChange={(event) => setTrigger({ gesture: event.target.value })}
+                    className={inputClass}
+                >
+                    {Object.values(GESTURES)
+                        .filter((gesture) => gesture !== GESTURES.NONE)
+                        .map((gesture) => (
+                            <option key={gesture} value={gesture}>
+                                {t(`gesture.${gesture}`)}
+                            </option>
+                        ))}
+                </select>
+            )}
+
+            {trigger.type === TRIGGER_TYPES.COUNT && (
+                <NumberInput
+                    value={trigger.count}
+                    min={0}
+                    max={5}
+                    onChange={(count) => setTrigger({ count })}
+                />
+            )}
+
+            {trigger.type === TRIGGER_TYPES.FINGERS &&
+                FINGER_NAMES.map((name) => (
+                    <label key={name} className="flex items-center gap-1">
+                        {t(`finger.${name}`)}
+                        <select
+                            value={String(trigger.fingers[name] ?? "any")}
+                            onChange={(event) => {
+                                const value = event.target.value;
+                                setTrigger({
+                                    fingers: {
+                                        ...trigger.fingers,
+                                        [name]: value === "any" ? null : value === "true",
+                                    },
+                                });
+                            }}
+                            className={inputClass}
+                        >
+                            <option value="any">{t("rules.finger.any")}</option>
+                            <option value="true">{t("rules.finger.up")}</option>
+                            <option value="false">{t("rules.finger.down")}</option>
+                        </select>
+                    </label>
+                ))}
+
+            <span className="font-semibold">{t("rules.then")}</span>
+            <select
+                value={action.type}
+                onChange={(event) =>
+                    onChange({
+                        ...rule,
+                        action: {
+                            ...DEFAULT_ACTIONS[event.target.value],
+                            channel: action.channel,
+                            target: action.target,
+                        },
+                    })
+                }
+                className={inputClass}
+            >
+                {actionTypes.map((type) => (
+                    <option key={type} value={type}>
+                        {t(`rules.action.${type}`)}
+                    </option>
+                ))}
+            </select>
+
+            <select
+                value={action.channel}
+                onChange={(event) => setAction({ channel: parseChannel(event.target.value) })}
+                className={inputClass}
+            >
+                {CHANNEL_OPTIONS.map((channel) => (
+                    <option key={channel} value={channel}>
+                        {channel === ALL_CHANNELS ? t("command.allLeds") : t("command.led", { channel })}
+                    </option>
+                ))}
+            </select>
+
+            {(devices.devices.length > 0 || (action.target ?? ALL_DEVICES) !== ALL_DEVICES) && (
+                <label className="flex items-center gap-1">
+                    {t("rules.on")}
+                    <TargetSelect
+                        target={action.target}
+                        registry={devices}
+                        t={t}
+                        onChange={(target) => setAction({ target })}
+                    />
+                </label>
+            )}
+
+            {(action.type === ACTION_TYPES.SET || action.type === ACTION_TYPES.TOGGLE) && (
+                <label className="flex items-center gap-1">
+                    {action.type === ACTION_TYPES.TOGGLE ? t("rules.toggleTo") : t("rules.to")}
+
+                    <NumberInput
+                        value={action.value}
+                        min={0}
+                        max={MAX_VALUE}
+                        onChange={(value) => setAction({ value })}
+                    />
+                </label>
+            )}
+
+            {action.type === ACTION_TYPES.PINCH && (
+                <>
+                    <label className="flex items-center gap-1">
+                        {t("rules.from")}
+                        <NumberInput
+                            value={action.min}
+                            min={0}
+                            max={action.max - 0.05}
+                            step={0.05}
+                            onChange={(min) => setAction({ min })}
+                        />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        {t("rules.to")}
+                        <NumberInput
+                            value={action.max}
+                            min={action.min + 0.05}
+                            max={3}
+                            step={0.05}
+                            onChange={(max) => setAction({ max })}
+                        />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        {t("rules.step")}
+                        <NumberInput
+                            value={action.step}
+                            min={1}
+                            max={MAX_VALUE}
+                            onChange={(step) => setAction({ step })}
+                        />
+                    </label>
+                </>
+            )}
+
+            <span className="ml-auto flex gap-1">
+                <button type="button" disabled={isFirst} onClick={() => onMove(-1)} className="px-2">
+                    ↑
+                </button>
+                <button type="button" disabled={isLast} onClick={() => onMove(1)} className="px-2">
+                    ↓
+                </button>
+                <button type="button" onClick={onRemove} className="px-2 text-red-700">
+                    ✕
+                </button>
+            </span>
+        </li>
+    );
+}
+
+function RulesPanel({ rules, customGestures = [], devices = EMPTY_REGISTRY, t, onChange }) {
+    const updateRule = (index, rule) =>
+        onChange(rules.map((current, i) => (i === index ? rule : current)));
+
+    const moveRule = (index, offset) => {
+        const next = [...rules];
+        const [rule] = next.splice(index, 1);
+        next.splice(index + offset, 0, rule);
+        onChange(next);
+    };
+
+    const addRule = () =>
+        onChange([
+            ...rules,
+            {
+                id: `rule-${Date.now()}`,
+                enabled: true,
+                trigger: DEFAULT_TRIGGERS[TRIGGER_TYPES.GESTURE],
+                action: { ...DEFAULT_ACTIONS[ACTION_TYPES.SET], channel: ALL_CHANNELS },
+            },
+        ]);
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("rules.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("rules.intro")}</p>
+            <ul className="mt-2">
+                {rules.map((rule, index) => (
+                    <RuleRow
+                        key={rule.id}
+                        rule={rule}
+                        customGestures={customGestures}
+                        devices={devices}
+                        isFirst={index === 0}
+                        isLast={index === rules.length - 1}
+                        t={t}
+                        onChange={(next) => updateRule(index, next)}
+                        onMove={(offset) => moveRule(index, offset)}
+                        onRemove={() => onChange(rules.filter((_, i) => i !== index))}
+                    />
+                ))}
+            </ul>
+            <div className="flex gap-3 mt-3">
+                <button type="button" onClick={addRule} className="bg-black text-white px-3 py-1 rounded-lg">
+                    {t("rules.add")}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onChange(DEFAULT_RULES)}
+                    className="border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("settings.reset")}
+                </button>
+            </div>
+        </details>
+    );
+}
+
+export default RulesPanel;
@@ -0,0 +1,454 @@
+import { ALL_CHANNELS, ALL_DEVICES, MAX_CHANNELS, MAX_VALUE, TRIGGER_TYPES } from "../lib/actions";
+import { colorToHex } from "../lib/color";
+import { GESTURES, HANDEDNESS } from "../lib/gestures";
+import { DEFAULT_SEQUENCE_WINDOW_MS } from "../lib/sequences";
+import {
+    DEFAULT_SCENES,
+    DEFAULT_SEQUENCES,
+    MAX_DELAY_MS,
+    SCENE_STEP_TYPES,
+    STOP_SCENE,
+    createSceneId,
+} from "../lib/scenes";
+import { NumberInput, TargetSelect } from "./RulesPanel";
+
+const CHANNEL_OPTIONS = [
+    ALL_CHANNELS,
+    ...Array.from({ length: MAX_CHANNELS }, (_, index) => index + 1),
+];
+
+const POSE_GESTURES = Object.values(GESTURES).filter((gesture) => gesture !== GESTURES.NONE);
+
+const DEFAULT_SEQUENCE_STEPS = {
+    [TRIGGER_TYPES.GESTURE]: { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.FIST },
+    [TRIGGER_TYPES.COUNT]: { type: TRIGGER_TYPES.COUNT, count: 1 },
+};
+
+const DEFAULT_SCENE_STEPS = {
+    [SCENE_STEP_TYPES.SET]: { type: SCENE_STEP_TYPES.SET, channel: ALL_CHANNELS, value: MAX_VALUE },
+    [SCENE_STEP_TYPES.COLOR]: { type: SCENE_STEP_TYPES.COLOR, color: { h: 0, s: 100, v: 100 } },
+    [SCENE_STEP_TYPES.DELAY]: { type: SCENE_STEP_TYPES.DELAY, ms: 500 },
+};
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+const parseChannel = (value) => (value === ALL_CHANNELS ? value : Number(value));
+
+const replaceAt = (list, index, item) => list.map((entry, i) => (i === index ? item : entry));
+
+function SequenceStep({ step, customGestures, t, onChange, onRemove }) {
+    const changeType = (type) =>
+        onChange(
+            type === TRIGGER_TYPES.CUSTOM
+                ? { type, gesture: customGestures[0].id }
+                : DEFAULT_SEQUENCE_STEPS[type]
+        );
+
+    return (
+        <span className="flex items-center gap-1 border border-gray-200 rounded px-1">
+            <select
+                value={step.type}
+                onChange={(event) => changeType(event.target.value)}
+                className={inputClass}
+                aria-label={t("scenes.stepType")}
+            >
+                <option value={TRIGGER_TYPES.GESTURE}>{t("rules.trigger.gesture")}</option>
+                <option value={TRIGGER_TYPES.COUNT}>{t("scenes.trigger.count")}</option>
+                <option
+                    value={TRIGGER_TYPES.CUSTOM}
+                    disabled={customGestures.length === 0 && step.type !== TRIGGER_TYPES.CUSTOM}
+                >
+                    {t("scenes.trigger.custom")}
+                </option>
+            </select>
+            {step.type === TRIGGER_TYPES.GESTURE && (
+                <select
+                    value={step.gesture}
+                    onChange={(event) => onChange({ ...step, gesture: event.target.value })}
+                    className={inputClass}
+                >
+                    {POSE_GESTURES.map((gesture) => (
+                        <option key={gesture} value={gesture}>
+                            {t(`gesture.${gesture}`)}
+                        </option>
+                    ))}
+                </select>
+            )}
+            {step.type === TRIGGER_TYPES.COUNT && (
+                <NumberInput
+                    value={step.count}
+                    min={0}
+                    max={5}
+                    onChange={(count) => onChange({ ...step, count })}
+                />
+            )}
+            {step.type === TRIGGER_TYPES.CUSTOM && (
+                <select
+                    value={step.gesture}
+                    onChange={(event) => onChange({ ...step, gesture: event.target.value })}
+                    className={inputClass}
+                >
+                    {!customGestures.some((gesture) => gesture.id === step.gesture) && (
+                        <option value={step.gesture}>{t("rules.deletedGesture")}</option>
+                    )}
+                    {customGestures.map((gesture) => (
+                        <option key={gesture.id} value={gesture.id}>
+                            {gesture.name}
+                        </option>
+                    ))}
+                </select>
+            )}
+            <button type="button" onClick={onRemove} className="px-1 text-red-700" aria-label={t("scenes.removeStep")}>
+                ✕
+            </button>
+        </span>
+    );
+}
+
+function SequenceRow({ sequence, scenes, customGestures, progress, t, onChange, onRemove }) {
+    const setSteps = (steps) => onChange({ ...sequence, steps });
+
+    return (
+        <li className="flex flex-wrap items-center gap-2 border-b border-gray-200 py-2 text-sm">
+            <input
+                type="checkbox"
+                checked={sequence.enabled}
+                onChange={(event) => onChange({ ...sequence, enabled: event.target.checked })}
+                aria-label={t("rules.enabled")}
+            />
+            <input
+                value={sequence.name}
+                onChange={(event) => onChange({ ...sequence, name: event.target.value })}
+                className={`${inputClass} w-32`}
+                aria-label={t("scenes.name")}
+            />
+            <select
+                value={sequence.hand ?? ""}
+                onChange={(event) => onChange({ ...sequence, hand: event.target.value || null })}
+                className={inputClass}
+            >
+                <option value="">{t("rules.hand.either")}</option>
+                <option value={HANDEDNESS.LEFT}>{t("rules.hand.Left")}</option>
+                <option value={HANDEDNESS.RIGHT}>{t("rules.hand.Right")}</option>
+            </select>
+            {sequence.steps.map((step, index) => (
+                <SequenceStep
+                    key={index}
+                    step={step}
+                    customGestures={customGestures}
+                    t={t}
+                    onChange={(next) => setSteps(replaceAt(sequence.steps, index, next))}
+                    onRemove={() => setSteps(sequence.steps.filter((_, i) => i !== index))}
+                />
+            ))}
+            <button
+                type="button"
+                onClick={() => setSteps([...sequence.steps, DEFAULT_SEQUENCE_STEPS[TRIGGER_TYPES.GESTURE]])}
+                className="border border-gray-400 px-2 rounded-lg"
+            >
+                {t("scenes.addStep")}
+            </button>
+            <label className="flex items-center gap-1">
+                {t("scenes.within")}
+                <NumberInput
+                    value={sequence.windowMs}
+                    min={200}
+                    max={10000}
+                    step={100}
+                    onChange={(windowMs) => onChange({ ...sequence, windowMs })}
+                />
+                {t("scenes.msPlays")}
+            </label>
+            <select
+                value={sequence.scene}
+                onChange={(event) => onChange({ ...sequence, scene: event.target.value })}
+                className={inputClass}
+                aria-label={t("scenes.scene")}
+            >
+                <option value={STOP_SCENE}>{t("scenes.stopScene")}</option>
+                {!scenes.some((scene) => scene.id === sequence.scene) && sequence.scene !== STOP_SCENE && (
+                    <option value={sequence.scene}>{t("scenes.deletedScene")}</option>
+                )}
+                {scenes.map((scene) => (
+                    <option key={scene.id} value={scene.id}>
+                        {scene.name}
+                    </option>
+                ))}
+            </select>
+            {progress && (
+                <span className="text-gray-600">
+                    {progress.step}/{progress.of}
+                </span>
+            )}
+            <button type="button" onClick={onRemove} className="ml-auto px-2 text-red-700">
+                ✕
+            </button>
+        </li>
+    );
+}
+
+function SceneStep({ step, devices, current, t, onChange, onRemove }) {
+    const changeType = (type) => onChange({ ...DEFAULT_SCENE_STEPS[type], target: step.target });
+    const setColor = (patch) => onChange({ ...step, color: { ...step.color, ...patch } });
+    const showTarget =
+        step.type !== SCENE_STEP_TYPES.DELAY &&
+        (devices.devices.length > 0 || (step.target ?? ALL_DEVICES) !== ALL_DEVICES);
+
+    return (
+        <li className={`flex flex-wrap items-center gap-2 py-1 pl-4 ${current ? "bg-yellow-100" : ""}`}>
+            <select
+                value={step.type}
+                onChange={(event) => changeType(event.target.value)}
+                className={inputClass}
+                aria-label={t("scenes.stepType")}
+            >
+                <option value={SCENE_STEP_TYPES.SET}>{t("rules.action.set")}</option>
+                <option value={SCENE_STEP_TYPES.COLOR}>{t("scenes.step.color")}</option>
+                <option value={SCENE_STEP_TYPES.DELAY}>{t("scenes.step.delay")}</option>
+            </select>
+
+            {step.type === SCENE_STEP_TYPES.SET && (
+                <>
+                    <select
+                        value={step.channel}
+                        onChange={(event) => onChange({ ...step, channel: parseChannel(event.target.value) })}
+                        className={inputClass}
+                    >
+                        {CHANNEL_OPTIONS.map((channel) => (
+                            <option key={channel} value={channel}>
+                                {channel === ALL_CHANNELS ? t("command.allLeds") : t("command.led", { channel })}
+                            </option>
+                        ))}
+                    </select>
+                    <label className="flex items-center gap-1">
+                        {t("rules.to")}
+                        <NumberInput
+                            value={step.value}
+                            min={0}
+                            max={MAX_VALUE}
+                            onChange={(value) => onChange({ ...step, value })}
+                        />
+                    </label>
+                </>
+            )}
+
+            {step.type === SCENE_STEP_TYPES.COLOR && (
+                <>
+                    <label className="flex items-center gap-1">
+                        {t("scenes.hue")}
+                        <NumberInput value={step.color.h} min={0} max={359} onChange={(h) => setColor({ h })} />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        {t("scenes.saturation")}
+                        <NumberInput value={step.color.s} min={0} max={100} onChange={(s) => setColor({ s })} />
+                    </label>
+                    <label className="flex items-center gap-1">
+                        {t("scenes.brightness")}
+                        <NumberInput value={step.color.v} min={0} max={100} onChange={(v) => setColor({ v })} />
+                    </label>
+                    <span
+                        className="inline-block w-6 h-6 rounded border border-gray-300"
+                        style={{ backgroundColor: colorToHex(step.color) }}
+                    />
+                </>
+            )}
+
+            {step.type === SCENE_STEP_TYPES.DELAY && (
+                <label className="flex items-center gap-1">
+                    <NumberInput
+                        value={step.ms}
+                        min={0}
+                        max={MAX_DELAY_MS}
+                        step={50}
+                        onChange={(ms) => onChange({ ...step, ms })}
+                    />
+                    {t("scenes.ms")}
+                </label>
+            )}
+
+            {showTarget && (
+                <label className="flex items-center gap-1">
+                    {t("rules.on")}
+                    <TargetSelect
+                        target={step.target}
+                        registry={devices}
+                        t={t}
+                        onChange={(target) => onChange({ ...step, target })}
+                    />
+                </label>
+            )}
+
+            <button type="button" onClick={onRemove} className="ml-auto px-2 text-red-700" aria-label={t("scenes.removeStep")}>
+                ✕
+            </button>
+        </li>
+    );
+}
+
+function SceneRow({ scene, devices, playing, t, onChange, onRemove, onPlay, onStop }) {
+    const setSteps = (steps) => onChange({ ...scene, steps });
+    const isPlaying = playing?.sceneId === scene.id;
+
+    return (
+        <li className="border-b border-gray-200 py-2 text-sm">
+            <div className="flex flex-wrap items-center gap-2">
+                <input
+                    value={scene.name}
+                    onChange={(event) => onChange({ ...scene, name: event.target.value })}
+                    className={`${inputClass} w-36`}
+                    aria-label={t("scenes.name")}
+                />
+                <label className="flex items-center gap-1">
+                    {t("scenes.repeat")}
+                    <NumberInput
+                        value={scene.repeat}
+                        min={0}
+                        max={100}
+                        onChange={(repeat) => onChange({ ...scene, repeat })}
+                    />
+                    {scene.repeat === 0 && <span className="text-gray-600">{t("scenes.untilStopped")}</span>}
+                </label>
+                <button
+                    type="button"
+                    onClick={() => (isPlaying ? onStop() : onPlay(scene))}
+                    disabled={!isPlaying && scene.steps.length === 0}
+                    className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {isPlaying ? t("scenes.stop") : t("scenes.play")}
+                </button>
+                <button type="button" onClick={onRemove} className="ml-auto px-2 text-red-700">
+                    ✕
+                </button>
+            </div>
+            <ul>
+                {scene.steps.map((step, index) => (
+                    <SceneStep
+                        key={index}
+                        step={step}
+                        devices={devices}
+                        current={isPlaying && playing.index === index}
+                        t={t}
+                        onChange={(next) => setSteps(replaceAt(scene.steps, index, next))}
+                        onRemove={() => setSteps(scene.steps.filter((_, i) => i !== index))}
+                    />
+                ))}
+            </ul>
+            <button
+                type="button"
+                onClick={() => setSteps([...scene.steps, DEFAULT_SCENE_STEPS[SCENE_STEP_TYPES.SET]])}
+                className="border border-gray-400 px-2 rounded-lg ml-4 mt-1"
+            >
+                {t("scenes.addStep")}
+            </button>
+        </li>
+    );
+}
+
+function ScenesPanel({
+    library,
+    customGestures,
+    devices,
+    playing,
+    progress,
+    t,
+    onChange,
+    onPlay,
+    onStop,
+}) {
+    const { scenes, sequences } = library;
+    const setScenes = (next) => onChange({ ...library, scenes: next });
+    const setSequences = (next) => onChange({ ...library, sequences: next });
+
+    const addSequence = () =>
+        setSequences([
+            ...sequences,
+            {
+                id: createSceneId("sequence"),
+                name: t("scenes.newSequence"),
+                enabled: true,
+                steps: [DEFAULT_SEQUENCE_STEPS[TRIGGER_TYPES.GESTURE]],
+                windowMs: DEFAULT_SEQUENCE_WINDOW_MS,
+                scene: scenes[0]?.id ?? STOP_SCENE,
+            },
+        ]);
+
+    const addScene = () =>
+        setScenes([
+            ...scenes,
+            {
+                id: createSceneId("scene"),
+                name: t("scenes.newScene"),
+                repeat: 1,
+                steps: [DEFAULT_SCENE_STEPS[SCENE_STEP_TYPES.SET]],
+            },
+        ]);
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("scenes.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("scenes.intro")}</p>
+
+            <h3 className="font-semibold mt-3">{t("scenes.sequences")}</h3>
+            <ul>
+                {sequences.map((sequence, index) => (
+                    <SequenceRow
+                        key={sequence.id}
+                        sequence={sequence}
+                        scenes={scenes}
+                        customGestures={customGestures}
+                        progress={progress?.sequenceId === sequence.id ? progress : null}
+                        t={t}
+                        onChange={(next) => setSequences(replaceAt(sequences, index, next))}
+                        onRemove={() => setSequences(sequences.filter((_, i) => i !== index))}
+                    />
+                ))}
+            </ul>
+
+            <h3 className="font-semibold mt-4">{t("scenes.scenes")}</h3>
+            <ul>
+                {scenes.map((scene, index) => (
+                    <SceneRow
+                        key={scene.id}
+                        scene={scene}
+                        devices={devices}
+                        playing={playing}
+                        t={t}
+                        onChange={(next) => setScenes(replaceAt(scenes, index, next))}
+                        onRemove={() => {
+                            if (playing?.sceneId === scene.id) onStop();
+                            setScenes(scenes.filter((_, i) => i !== index));
+                        }}
+                        onPlay={onPlay}
+                        onStop={onStop}
+                    />
+                ))}
+            </ul>
+
+            <div className="flex flex-wrap gap-2 mt-3 text-sm">
+                <button
+                    type="button"
+                    onClick={addSequence}
+                    className="border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("scenes.addSequence")}
+                </button>
+                <button
+                    type="button"
+                    onClick={addScene}
+                    className="border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("scenes.addScene")}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => onChange({ scenes: DEFAULT_SCENES, sequences: DEFAULT_SEQUENCES })}
+                    className="border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("settings.reset")}
+                </button>
+            </div>
+        </details>
+    );
+}
+
+export default ScenesPanel;
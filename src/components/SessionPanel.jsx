@@ -0,0 +1,125 @@
+import { useRef, useState } from "react";
+import { describeError } from "../lib/i18n";
+import { parseSession } from "../lib/recorder";
+
+// Replay speeds and the i18n keys of their names
+const SPEEDS = [
+    { label: "session.speed.realTime", value: 1 },
+    { label: "session.speed.double", value: 2 },
+    { label: "session.speed.fastest", value: Infinity },
+];
+
+function SessionPanel({
+    recording,
+    recordedFrames,
+    replaying,
+    t,
+    onStartRecording,
+    onStopRecording,
+    onDownload,
+    onReplay,
+    onStopReplay,
+}) {
+    const [thumbnails, setThumbnails] = useState(false);
+    const [speedIndex, setSpeedIndex] = useState(0);
+    const [session, setSession] = useState(null);
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const loadSession = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = "";
+        if (!file) return;
+        try {
+            const frames = parseSession(await file.text());
+            setSession({ name: file.name, frames });
+            setMessage(t("session.loaded", { file: file.name, count: frames.length }));
+        } catch (error) {
+            setSession(null);
+            setMessage(t("session.loadFailed", { file: file.name, error: describeError(t, error) }));
+        }
+    };
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("session.title")}</summary>
+
+            <div className="mt-4 flex flex-col gap-4 text-sm">
+                <div className="flex flex-wrap items-center gap-3">
+                    <span className="font-semibold">{t("session.record")}</span>
+                    <label className="flex items-center gap-1">
+                        <input
+                            type="checkbox"
+                            checked={thumbnails}
+                            disabled={recording}
+                            onChange={(event) => setThumbnails(event.target.checked)}
+                        />
+                        {t("session.thumbnails")}
+                    </label>
+                    <button
+                        type="button"
+                        disabled={replaying}
+                        onClick={recording ? onStopRecording : () => onStartRecording({ thumbnails })}
+                        className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {recording ? t("session.stopRecording") : t("session.startRecording")}
+                    </button>
+                    <span>{t("session.frames", { count: recordedFrames })}</span>
+                    <button
+                        type="button"
+                        disabled={recording || recordedFrames === 0}
+                        onClick={onDownload}
+                        className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {t("session.download")}
+                    </button>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-3">
+                    <span className="font-semibold">{t("session.replay")}</span>
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current.click()}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("session.open")}
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept=".jsonl,.ndjson,application/x-ndjson"
+                        className="hidden"
+                        onChange={loadSession}
+                    />
+                    <select
+                        value={speedIndex}
+                        onChange={(event) => setSpeedIndex(Number(event.target.value))}
+                        className="border border-gray-300 rounded px-2 py-1"
+                    >
+                        {SPEEDS.map(({ label }, index) => (
+                            <option key={label} value={index}>
+                                {t(label)}
+                            </option>
+                        ))}
+                    </select>
+                    <button
+                        type="button"
+                        disabled={!session || recording}
+                        onClick={
+                            replaying
+                                ? onStopReplay
+                                : () => onReplay(session.frames, SPEEDS[speedIndex].value)
+                        }
+                        className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {replaying ? t("session.stopReplay") : t("session.replay")}
+                    </button>
+                </div>
+
+                {message && <p>{message}</p>}
+            </div>
+        </details>
+    );
+}
+
+export default SessionPanel;
@@ -0,0 +1,156 @@
+import { useState } from "react";
+import {
+    PIN_LOCKOUT_MS,
+    PIN_PATTERN,
+    clearPinFailures,
+    createPinRecord,
+    pinLockRemaining,
+    recordPinFailure,
+    verifyPin,
+} from "../lib/safety";
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+// Puts a configuration panel behind the optional settings PIN. One unlock
+// opens every locked panel. Too many wrong PINs lock the form for a while;
+// `onAttempt` stores the updated PIN record so the count and the lockout
+// survive a reload. Every attempt, lock and PIN change goes to the audit log.
+// Only the panel with `manage` shows the controls to set, change or remove
+// the PIN and to lock again. The form follows the UI language through `t`;
+// the audit entries stay English.
+function SettingsLock({
+    pin,
+    unlocked,
+    title,
+    manage = false,
+    t,
+    onUnlock,
+    onLock,
+    onChangePin,
+    onAttempt,
+    onAudit,
+    children,
+}) {
+    const [entered, setEntered] = useState("");
+    const [newPin, setNewPin] = useState("");
+    const [message, setMessage] = useState(null);
+
+    const unlock = () => {
+        const wait = pinLockRemaining(pin);
+        if (wait > 0) {
+            setMessage(t("lock.tryAgain", { seconds: Math.ceil(wait / 1000) }));
+            return;
+        }
+        setEntered("");
+        if (verifyPin(pin, entered)) {
+            if (pin.failures > 0 || pin.lockedUntil > 0) onAttempt(clearPinFailures(pin));
+            setMessage(null);
+            onAudit("settings unlocked");
+            onUnlock();
+            return;
+        }
+        const next = recordPinFailure(pin);
+        onAttempt(next);
+        onAudit("wrong PIN", `attempt ${pin.failures + 1}`);
+        if (next.lockedUntil > pin.lockedUntil) {
+            setMessage(t("lock.lockedOut", { seconds: PIN_LOCKOUT_MS / 1000 }));
+            onAudit("PIN lockout", `${PIN_LOCKOUT_MS / 1000} s after ${pin.failures + 1} wrong PINs`);
+            return;
+        }
+        setMessage(t("lock.wrongPin"));
+    };
+
+    const changePin = () => {
+        if (!PIN_PATTERN.test(newPin)) {
+            setMessage(t("lock.invalidPin"));
+            return;
+        }
+        onChangePin(createPinRecord(newPin));
+        onAudit(pin ? "PIN changed" : "PIN set");
+        setNewPin("");
+        setMessage(t("lock.pinSaved"));
+    };
+
+    if (pin && !unlocked) {
+        return (
+            <form
+                className="w-full border border-gray-300 rounded-xl p-4 flex flex-wrap items-center gap-2"
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    unlock();
+                }}
+            >
+                <span className="font-semibold text-lg mr-2">{title ?? t("lock.settings")}</span>
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="off"
+                    value={entered}
+                    onChange={(event) => setEntered(event.target.value)}
+                    placeholder={t("lock.pin")}
+                    className={`${inputClass} w-28`}
+                />
+                <button type="submit" className="bg-black text-white px-3 py-1 rounded-lg">
+                    {t("lock.unlock")}
+                </button>
+                {message && <span className="w-full text-sm text-red-600">{message}</span>}
+            </form>
+        );
+    }
+
+    if (!manage) return children;
+
+    return (
+        <div className="w-full flex flex-col gap-2">
+            {children}
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+                <input
+                    type="password"
+                    inputMode="numeric"
+                    autoComplete="new-password"
+                    value={newPin}
+                    onChange={(event) => setNewPin(event.target.value)}
+                    placeholder={pin ? t("lock.newPin") : t("lock.pinHint")}
+                    className={`${inputClass} w-48`}
+                />
+                <button
+                    type="button"
+                    disabled={!newPin}
+                    onClick={changePin}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {pin ? t("lock.changePin") : t("lock.setPin")}
+                </button>
+                {pin && (
+                    <>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                onChangePin(null);
+                                onAudit("PIN removed");
+                                setMessage(null);
+                            }}
+                            className="border border-gray-400 px-3 py-1 rounded-lg"
+                        >
+                            {t("lock.removePin")}
+                        </button>
+                        <button
+                            type="button"
+                            onClick={() => {
+                                onAudit("settings locked");
+                                setMessage(null);
+                                onLock();
+                            }}
+                            className="bg-black text-white px-3 py-1 rounded-lg"
+                        >
+                            {t("lock.lock")}
+                        </button>
+                    </>
+                )}
+                {message && <span className="text-gray-700">{message}</span>}
+            </div>
+        </div>
+    );
+}
+
+export default SettingsLock;
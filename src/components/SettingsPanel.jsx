@@ -0,0 +1,167 @@
+import { useRef, useState } from "react";
+import { describeError } from "../lib/i18n";
+import {
+    SETTINGS_SCHEMA,
+    parseSettingsFile,
+    serializeSettings,
+    validateSettings,
+    DEFAULT_SETTINGS,
+} from "../lib/settings";
+
+// Select options that are words get a translated name
+const optionLabel = (t, field, option) => (field.optionKeys ? t(`${field.optionKeys}.${option}`) : option);
+
+function SettingsPanel({ settings, t, onApply }) {
+    const [draft, setDraft] = useState(settings);
+    const [errors, setErrors] = useState({});
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const updateField = (section, key, value) => {
+        setDraft((current) => ({
+            ...current,
+            [section]: { ...current[section], [key]: value },
+        }));
+    };
+
+    const apply = (candidate) => {
+        const result = validateSettings(candidate);
+        setErrors(result.errors);
+        if (Object.keys(result.errors).length > 0) {
+            setMessage(t("settings.fixFields"));
+            return;
+        }
+        setDraft(result.settings);
+        setMessage(t("settings.applied"));
+        onApply(result.settings);
+    };
+
+    const exportSettings = () => {
+        const blob = new Blob([serializeSettings(settings)], {
+            type: "application/json",
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "glowfinger-settings.json";
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const importSettings = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = "";
+        if (!file) return;
+        try {
+            const { settings: imported, errors: importErrors } =
+                parseSettingsFile(await file.text());
+            apply(imported);
+            if (Object.keys(importErrors).length > 0) {
+                setErrors(importErrors);
+                setMessage(t("settings.importedWithDefaults"));
+            }
+        } catch (error) {
+            setMessage(t("settings.importFailed", { file: file.name, error: describeError(t, error) }));
+        }
+    };
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("settings.title")}</summary>
+
+            <form
+                className="mt-4 flex flex-col gap-6"
+                onSubmit={(event) => {
+                    event.preventDefault();
+                    apply(draft);
+                }}
+            >
+                {Object.entries(SETTINGS_SCHEMA).map(([section, { fields }]) => (
+                    <fieldset key={section} className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <legend className="font-semibold mb-2">{t(`settings.${section}`)}</legend>
+                        {Object.entries(fields).map(([key, field]) => {
+                            const label = t(`settings.${section}.${key}`);
+                            const error = errors[`${section}.${key}`];
+                            const inputClass = `border rounded px-2 py-1 ${error ? "border-red-600" : "border-gray-300"}`;
+                            return (
+                                <label key={key} className="flex flex-col text-sm gap-1">
+                                    {label}
+                                    {field.type === "select" ? (
+                                        <select
+                                            value={draft[section][key]}
+                                            onChange={(event) => updateField(section, key, event.target.value)}
+                                            className={inputClass}
+                                        >
+                                            {field.options.map((option) => (
+                                                <option key={option} value={option}>
+                                                    {optionLabel(t, field, option)}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    ) : (
+                                        <input
+                                            type={field.type}
+                                            min={field.min}
+                                            max={field.max}
+                                            step={field.step ?? (field.integer ? 1 : undefined)}
+                                            value={draft[section][key]}
+                                            onChange={(event) => updateField(section, key, event.target.value)}
+                                            className={inputClass}
+                                        />
+                                    )}
+                                    {error && (
+                                        <span className="text-red-600">
+                                            {t(error.key, {
+                                                ...error.params,
+                                                field: label,
+                                                hint: t(`settings.${section}.${key}.hint`),
+                                            })}
+                                        </span>
+                                    )}
+                                </label>
+                            );
+                        })}
+                    </fieldset>
+                ))}
+
+                <div className="flex flex-wrap gap-3">
+                    <button type="submit" className="bg-black text-white px-3 py-1 rounded-lg">
+                        {t("settings.apply")}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => apply(DEFAULT_SETTINGS)}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("settings.reset")}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={exportSettings}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("log.exportJson")}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => fileInputRef.current.click()}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("settings.import")}
+                    </button>
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        accept="application/json,.json"
+                        className="hidden"
+                        onChange={importSettings}
+                    />
+                </div>
+
+                {message && <p className="text-sm">{message}</p>}
+            </form>
+        </details>
+    );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,161 @@
+import { useRef, useState } from "react";
+import { parseCustomGesturesFile, serializeCustomGestures } from "../lib/customGestures";
+import { describeError } from "../lib/i18n";
+
+const DURATIONS = [2, 3, 5, 10];
+
+const inputClass = "border border-gray-300 rounded px-2 py-1";
+
+function TrainingPanel({ gestures, teaching, error, t, onTeach, onCancel, onDelete, onImport }) {
+    const [name, setName] = useState("");
+    const [duration, setDuration] = useState(3);
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const exportGestures = () => {
+        const blob = new Blob([serializeCustomGestures(gestures)], {
+            type: "application/json",
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = "glowfinger-gestures.json";
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const importGestures = async (event) => {
+        const [file] = event.target.files;
+        event.target.value = "";
+        if (!file) return;
+        try {
+            const imported = parseCustomGesturesFile(await file.text());
+            onImport(imported);
+            setMessage(t("training.imported", { count: imported.length }));
+        } catch (importError) {
+            setMessage(t("settings.importFailed", { file: file.name, error: describeError(t, importError) }));
+        }
+    };
+
+    const startTeaching = (event) => {
+        event.preventDefault();
+        if (!name.trim()) return;
+        setMessage(null);
+        onTeach({ name, durationMs: duration * 1000 });
+    };
+
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4">
+            <summary className="cursor-pointer font-semibold text-lg">{t("training.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("training.intro")}</p>
+
+            <form className="mt-3 flex flex-wrap items-center gap-3 text-sm" onSubmit={startTeaching}>
+                <input
+                    type="text"
+                    value={name}
+                    placeholder={t("training.name")}
+                    disabled={Boolean(teaching)}
+                    onChange={(event) => setName(event.target.value)}
+                    className={inputClass}
+                />
+                <label className="flex items-center gap-1">
+                    {t("training.holdFor")}
+                    <select
+                        value={duration}
+                        disabled={Boolean(teaching)}
+                        onChange={(event) => setDuration(Number(event.target.value))}
+                        className={inputClass}
+                    >
+                        {DURATIONS.map((seconds) => (
+                            <option key={seconds} value={seconds}>
+                                {t("training.seconds", { seconds })}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                {teaching ? (
+                    <button
+                        type="button"
+                        onClick={onCancel}
+                        className="border border-gray-400 px-3 py-1 rounded-lg"
+                    >
+                        {t("calibration.cancel")}
+                    </button>
+                ) : (
+                    <button
+                        type="submit"
+                        disabled={!name.trim()}
+                        className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+                    >
+                        {t("training.teach")}
+                    </button>
+                )}
+                {teaching && (
+                    <span className="font-semibold">
+                        {teaching.phase === "countdown"
+                            ? t("training.countdown", { seconds: teaching.secondsLeft })
+                            : t("training.holding", {
+                                  name: teaching.name,
+                                  seconds: teaching.secondsLeft,
+                                  samples: teaching.samples,
+                              })}
+                    </span>
+                )}
+            </form>
+
+            {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+
+            <ul className="mt-3 text-sm">
+                {gestures.length === 0 && <li className="text-gray-600">{t("training.empty")}</li>}
+                {gestures.map((gesture) => (
+                    <li
+                        key={gesture.id}
+                        className="flex items-center gap-2 border-b border-gray-200 py-1"
+                    >
+                        <span className="font-semibold">{gesture.name}</span>
+                        <span className="text-gray-600">
+                            {t("training.samples", { count: gesture.samples.length })}
+                        </span>
+                        <button
+                            type="button"
+                            onClick={() => onDelete(gesture.id)}
+                            className="ml-auto px-2 text-red-700"
+                            aria-label={t("calibration.delete", { name: gesture.name })}
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            <div className="flex flex-wrap gap-3 mt-3 text-sm">
+                <button
+                    type="button"
+                    disabled={gestures.length === 0}
+                    onClick={exportGestures}
+                    className="border border-gray-400 px-3 py-1 rounded-lg disabled:opacity-50"
+                >
+                    {t("log.exportJson")}
+                </button>
+                <button
+                    type="button"
+                    onClick={() => fileInputRef.current.click()}
+                    className="border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("settings.import")}
+                </button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    accept="application/json,.json"
+                    className="hidden"
+                    onChange={importGestures}
+                />
+            </div>
+
+            {message && <p className="text-sm mt-2">{message}</p>}
+        </details>
+    );
+}
+
+export default TrainingPanel;
@@ -0,0 +1,46 @@
+import { TRANSPORT_STATUS } from "../lib/transports";
+
+const STATUS_STYLES = {
+    [TRANSPORT_STATUS.DISCONNECTED]: "bg-gray-400",
+    [TRANSPORT_STATUS.CONNECTING]: "bg-yellow-500",
+    [TRANSPORT_STATUS.CONNECTED]: "bg-green-600",
+    [TRANSPORT_STATUS.ERROR]: "bg-red-700",
+};
+
+// `t` is the translator for the UI language; `lastError` comes from the
+// transport and stays as it was reported. Disconnecting is a configuration
+// change, so it is not offered while the settings are `locked`.
+function TransportPanel({ kind, status, lastError, locked, t, onConnect, onDisconnect }) {
+    const isConnected = status === TRANSPORT_STATUS.CONNECTED;
+    const blocked = isConnected && locked;
+
+    return (
+        <div className="w-full flex flex-wrap items-center justify-center gap-3 text-sm sm:text-base">
+            <span className="font-semibold">{t(`transport.${kind}`)}</span>
+
+            <span
+                className={`text-white px-3 py-1 rounded-lg capitalize ${STATUS_STYLES[status]}`}
+            >
+                {t(`transport.status.${status}`)}
+            </span>
+
+            <button
+                type="button"
+                onClick={isConnected ? onDisconnect : onConnect}
+                disabled={blocked}
+                title={blocked ? t("transport.locked") : undefined}
+                className="bg-black text-white px-3 py-1 rounded-lg disabled:opacity-50"
+            >
+                {isConnected ? t("transport.disconnect") : t("transport.connect")}
+            </button>
+
+            {lastError && (
+                <span className="w-full text-center text-red-700">
+                    {lastError}
+                </span>
+            )}
+        </div>
+    );
+}
+
+export default TransportPanel;
@@ -0,0 +1,71 @@
+import { useEffect, useState } from "react";
+import { colorToRgb } from "../lib/color";
+
+// Plain channels light up amber; once a color command arrived the whole
+// strip shows it, as on the stand-in's RGB strip
+const PLAIN_LED = { r: 255, g: 176, b: 0 };
+
+const ledRgb = (color) => {
+    if (!color) return PLAIN_LED;
+    const [a, b, c] = color.values;
+    return color.format === "HSV" ? colorToRgb({ h: a, s: b, v: c }) : { r: a, g: b, b: c };
+};
+
+function VirtualBoard({ board, t }) {
+    const [state, setState] = useState(board.getState);
+
+    useEffect(() => board.on("change", setState), [board]);
+
+    const { r, g, b } = ledRgb(state.color);
+
+    return (
+        <div className="mt-3">
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+                <span className="font-semibold">{board.name}</span>
+                <span className="text-gray-600">{t("virtual.stats", state.stats)}</span>
+                <button
+                    type="button"
+                    onClick={board.reset}
+                    className="ml-auto border border-gray-400 px-3 py-1 rounded-lg"
+                >
+                    {t("virtual.reset")}
+                </button>
+            </div>
+            <div className="flex flex-wrap gap-3 mt-2">
+                {state.levels.map((level, index) => (
+                    <div key={index} className="flex flex-col items-center text-xs">
+                        <span
+                            className="w-8 h-8 rounded-full border border-gray-400"
+                            style={{
+                                backgroundColor: `rgb(${r} ${g} ${b} / ${0.1 + (0.9 * level) / 255})`,
+                                boxShadow: level > 0 ? `0 0 ${4 + (12 * level) / 255}px rgb(${r} ${g} ${b})` : "none",
+                            }}
+                            title={t("virtual.channel", { channel: index + 1, level })}
+                        />
+                        <span className="font-mono mt-1">{level}</span>
+                    </div>
+                ))}
+            </div>
+            <p className="text-sm text-gray-600 mt-1">
+                {t("virtual.lastReply")}{" "}
+                <span className="font-mono">{state.lastReply ?? t("virtual.noReply")}</span>
+            </p>
+        </div>
+    );
+}
+
+// The simulated boards the virtual device transport drives, one per board
+// in the active registry
+function VirtualDevicePanel({ boards, t }) {
+    return (
+        <details className="w-full border border-gray-300 rounded-xl p-4" open>
+            <summary className="cursor-pointer font-semibold text-lg">{t("virtual.title")}</summary>
+            <p className="text-sm text-gray-600 mt-2">{t("virtual.intro")}</p>
+            {boards.map((board) => (
+                <VirtualBoard key={board.name} board={board} t={t} />
+            ))}
+        </details>
+    );
+}
+
+export default VirtualDevicePanel;
@@ -0,0 +1,71 @@
+import { useEffect, useRef, useState } from "react";
+import { GestureController } from "../lib/gestureController";
+import { CAMERA_STATUS } from "../lib/camera";
+import { DEFAULT_LANGUAGE, createTranslator, describeError } from "../lib/i18n";
+
+// React binding for GestureController. Creates one controller for the
+// component's lifetime (the options are read once; change them later with
+// controller.setOptions) and follows its state: the hands in view with their
+// results, the camera status, the last error (an Error with its `source`;
+// describeControllerError turns it into text) and the canvas size. The hands
+// only update when a gesture, count or confidence step changes, not on every
+// frame. Render the camera view with <GestureCanvas controller={controller} />.
+
+const handsSummary = (hands) =>
+    hands
+        .map(({ hand, result }) =>
+            [
+                hand,
+                result.gesture,
+                Math.round(result.confidence * 10),
+                result.count,
+                result.custom?.gesture,
+            ].join(":")
+        )
+        .join("|");
+
+const english = createTranslator(DEFAULT_LANGUAGE);
+
+// The error as text in the language of `t` (English without one). Camera
+// errors carry an i18n key; tracking errors come from MediaPipe in English.
+export function describeControllerError(error, t = english) {
+    if (error.source === "tracking") return t("error.tracking", { error: error.message });
+    return describeError(t, error);
+}
+
+export function useHandGestures(options) {
+    const controllerRef = useRef(null);
+    if (!controllerRef.current) {
+        controllerRef.current = new GestureController(options);
+    }
+    const controller = controllerRef.current;
+    const [hands, setHands] = useState([]);
+    const [status, setStatus] = useState(() => controller.getStatus());
+    const [error, setError] = useState(null);
+    const [size, setSize] = useState(() => controller.getSize());
+
+    useEffect(() => {
+        let summary = "";
+        const unsubscribe = [
+            controller.on("frame", (frame) => {
+                const next = handsSummary(frame.hands);
+                if (next === summary) return;
+                summary = next;
+                setHands(frame.hands.map(({ hand, result }) => ({ hand, result })));
+            }),
+            controller.on("clear", () => {
+                summary = "";
+                setHands([]);
+            }),
+            controller.on("status", (next) => {
+                setStatus(next);
+                if (next === CAMERA_STATUS.STARTING || next === CAMERA_STATUS.RUNNING) setError(null);
+            }),
+            controller.on("error", setError),
+            controller.on("resize", setSize),
+        ];
+        return () => unsubscribe.forEach((off) => off());
+    }, [controller]);
+
+    return { controller, hands, status, error, size };
+}
@@ -0,0 +1,21 @@
+// Entry point of the library build (npm run build:lib): the gesture
+// controller, its React bindings and what is needed to read its events and
+// feed its `send`, `rules`, `safety`, `color` and `scenes` options. The app itself starts at main.jsx.
+
+export { COMMAND_SOURCES, GestureController, DEFAULT_CONTROLLER_OPTIONS } from "./lib/gestureController";
+export { useHandGestures, describeControllerError } from "./hooks/useHandGestures";
+export { default as GestureCanvas } from "./components/GestureCanvas";
+
+export { GESTURES, GESTURE_LABELS } from "./lib/gestures";
+export { MOTIONS, MOTION_LABELS } from "./lib/motion";
+export { CAMERA_STATUS, RESOLUTIONS, FRAME_RATES, listCameras } from "./lib/camera";
+export { DEFAULT_ASSETS_PATH, HAND_COLORS } from "./lib/tracking";
+export { METRICS } from "./lib/metrics";
+export { calibrateThresholds, createCalibrationSession } from "./lib/calibration";
+export { COMMAND_STATUS } from "./lib/dispatcher";
+export { DEFAULT_RULES, formatCommand } from "./lib/actions";
+export { ARM_STATES, FAIL_SAFE_ACTIONS } from "./lib/safety";
+export { COLOR_FORMATS, COLOR_MODES } from "./lib/color";
+export { DEFAULT_SCENES, DEFAULT_SEQUENCES, SCENE_STEP_TYPES, STOP_SCENE } from "./lib/scenes";
+export { TRANSPORTS, TRANSPORT_STATUS, createTransport, getVirtualBoard } from "./lib/transports";
+export { CONFORMANCE_STATUS, CONFORMANCE_SUITE, runConformance } from "./lib/conformance";
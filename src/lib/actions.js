@@ -0,0 +1,275 @@
+import {
+    FINGER_NAMES,
+    GESTURES,
+    GESTURE_LABELS,
+    HANDEDNESS,
+    pinchDistance,
+} from "./gestures";
+import { createTranslator, DEFAULT_LANGUAGE } from "./i18n";
+import { MOTIONS } from "./motion";
+
+// Gesture-to-action rule table. Rules are checked in order and the first one
+// whose trigger matches the classifier result produces the device command
+// `{ channel, value }`, where channel is 1..MAX_CHANNELS or "all" and value is
+// a PWM level from 0 (off) to 255 (full). A rule can be limited to the left
+// or right hand with `hand`; without it the rule applies to either hand.
+//
+// Frame rules (gesture, count, fingers) are evaluated on every frame and
+// mirror the pose. Motion rules fire once per motion event (swipe, wave,
+// hold) and may toggle a channel instead of setting it. Custom triggers match
+// a user-taught gesture by id (see customGestures.js).
+//
+// An action's `target` picks the boards it drives: "all" (the default),
+// "device:<id>" or "group:<id>" from the device registry (see devices.js).
+// The target travels on the command as `target`. Color mode (color.js)
+// adds `color` ({ h, s, v }) and `colorFormat` to the commands it makes.
+
+export const RULES_STORAGE_KEY = "glowfinger.rules";
+export const MAX_CHANNELS = 8;
+export const MAX_VALUE = 255;
+export const ALL_CHANNELS = "all";
+export const ALL_DEVICES = "all";
+
+export const TRIGGER_TYPES = {
+    GESTURE: "gesture",
+    COUNT: "count",
+    FINGERS: "fingers",
+    MOTION: "motion",
+    CUSTOM: "custom",
+};
+
+export const ACTION_TYPES = {
+    SET: "set",
+    PINCH: "pinch",
+    TOGGLE: "toggle",
+};
+
+export const DEFAULT_RULES = [
+    {
+        id: "fist-off",
+        enabled: true,
+        trigger: { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.FIST },
+        action: { type: ACTION_TYPES.SET, channel: ALL_CHANNELS, value: 0 },
+    },
+    {
+        id: "open-on",
+        enabled: true,
+        trigger: { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.OPEN_PALM },
+        action: { type: ACTION_TYPES.SET, channel: ALL_CHANNELS, value: MAX_VALUE },
+    },
+    // Thumb and index out, the rest folded. The index has to be out: with
+    // only the thumb out (thumbs up or down) the count rules below apply.
+    {
+        id: "pinch-brightness",
+        enabled: true,
+        trigger: {
+            type: TRIGGER_TYPES.FINGERS,
+            fingers: { thumb: true, index: true, middle: false, ring: false, pinky: false },
+        },
+        action: {
+            type: ACTION_TYPES.PINCH,
+            channel: ALL_CHANNELS,
+            min: 0.15,
+            max: 1.2,
+            step: 15,
+        },
+    },
+    ...[1, 2, 3].map((count) => ({
+        id: `count-${count}`,
+        enabled: true,
+        trigger: { type: TRIGGER_TYPES.COUNT, count },
+        action: { type: ACTION_TYPES.SET, channel: count, value: MAX_VALUE },
+    })),
+    {
+        id: "wave-toggle",
+        enabled: true,
+        trigger: { type: TRIGGER_TYPES.MOTION, motion: MOTIONS.WAVE },
+        action: { type: ACTION_TYPES.TOGGLE, channel: ALL_CHANNELS, value: MAX_VALUE },
+    },
+    {
+        id: "swipe-up-on",
+        enabled: true,
+        trigger: { type: TRIGGER_TYPES.MOTION, motion: MOTIONS.SWIPE_UP },
+        action: { type: ACTION_TYPES.SET, channel: ALL_CHANNELS, value: MAX_VALUE },
+    },
+    {
+        id: "swipe-down-off",
+        enabled: true,
+        trigger: { type: TRIGGER_TYPES.MOTION, motion: MOTIONS.SWIPE_DOWN },
+        action: { type: ACTION_TYPES.SET, channel: ALL_CHANNELS, value: 0 },
+    },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Whether a classifier result matches a frame trigger (also used for
+// sequence steps)
+export const matchesTrigger = (trigger, result) => {
+    switch (trigger.type) {
+        case TRIGGER_TYPES.GESTURE:
+            return result.gesture === trigger.gesture;
+        case TRIGGER_TYPES.COUNT:
+            return result.count === trigger.count;
+        case TRIGGER_TYPES.FINGERS:
+            return FINGER_NAMES.every(
+                (name) =>
+                    trigger.fingers[name] === undefined ||
+                    trigger.fingers[name] === null ||
+                    result.fingers[name].extended === trigger.fingers[name]
+            );
+        case TRIGGER_TYPES.CUSTOM:
+            return result.custom?.gesture === trigger.gesture;
+        default:
+            return false;
+    }
+};
+
+// Maps the normalized pinch distance linearly onto 0..255, snapped to `step`
+// so small jitter does not produce a new command every frame
+export const pinchToValue = (distance, { min, max, step = 1 }) => {
+    const t = clamp((distance - min) / (max - min), 0, 1);
+    return clamp(Math.round((t * MAX_VALUE) / step) * step, 0, MAX_VALUE);
+};
+
+// Current level of a channel; "all" counts as on when any channel is on
+const levelOf = (levels, channel) =>
+    channel === ALL_CHANNELS
+        ? Math.max(0, ...Object.values(levels))
+        : levels[channel] ?? 0;
+
+const runAction = (action, landmarks, levelsFor = () => ({})) => {
+    const target = action.target ?? ALL_DEVICES;
+    if (action.type === ACTION_TYPES.PINCH) {
+        return {
+            channel: action.channel,
+            value: pinchToValue(pinchDistance(landmarks), action),
+            target,
+        };
+    }
+    if (action.type === ACTION_TYPES.TOGGLE) {
+        return {
+            channel: action.channel,
+            value: levelOf(levelsFor(target), action.channel) > 0 ? 0 : action.value,
+            target,
+        };
+    }
+    return { channel: action.channel, value: action.value, target };
+};
+
+// Applies a sent command to a { channel: level } map
+export const applyCommandToLevels = (levels, { channel, value }) => {
+    if (channel !== ALL_CHANNELS) return { ...levels, [channel]: value };
+    return Object.fromEntries(
+        Array.from({ length: MAX_CHANNELS }, (_, index) => [index + 1, value])
+    );
+};
+
+const matchesHand = (rule, hand) => !rule.hand || !hand || rule.hand === hand;
+
+// Returns the command for this frame, or null when no rule matches
+export function evaluateRules(rules, result, landmarks, hand = null) {
+    const rule = rules.find(
+        (candidate) =>
+            candidate.enabled &&
+            matchesHand(candidate, hand) &&
+            matchesTrigger(candidate.trigger, result)
+    );
+    return rule ? runAction(rule.action, landmarks) : null;
+}
+
+const matchesMotion = (trigger, event) =>
+    trigger.type === TRIGGER_TYPES.MOTION &&
+    trigger.motion === event.type &&
+    (event.type !== MOTIONS.HOLD || !trigger.gesture || trigger.gesture === event.gesture);
+
+// Returns the command for a motion event, or null when no rule matches.
+// `levelsFor(target)` returns the current channel levels of the boards a
+// target drives, needed for toggles.
+export function evaluateMotionRules(rules, event, levelsFor) {
+    const rule = rules.find(
+        (candidate) =>
+            candidate.enabled &&
+            matchesHand(candidate, event.hand) &&
+            matchesMotion(candidate.trigger, event)
+    );
+    return rule ? runAction(rule.action, null, levelsFor) : null;
+}
+
+export const isMotionRule = (rule) => rule.trigger.type === TRIGGER_TYPES.MOTION;
+
+const isSameColor = (a, b) =>
+    a === b || (a != null && b != null && a.h === b.h && a.s === b.s && a.v === b.v);
+
+export const isSameCommand = (a, b) =>
+    a === b ||
+    (a != null &&
+        b != null &&
+        a.channel === b.channel &&
+        a.value === b.value &&
+        (a.target ?? ALL_DEVICES) === (b.target ?? ALL_DEVICES) &&
+        isSameColor(a.color, b.color));
+
+const english = createTranslator(DEFAULT_LANGUAGE);
+
+// Human-readable command in the language of `t` (see i18n.js); English by
+// default, which is what the logs use
+export const formatCommand = (command, t = english) => {
+    if (!command) return t("command.none");
+    const target =
+        command.channel === ALL_CHANNELS
+            ? t("command.allLeds")
+            : t("command.led", { channel: command.channel });
+    if (command.color) return t("command.color", { target, ...command.color });
+    if (command.value === 0) return t("command.off", { target });
+    if (command.value === MAX_VALUE) return t("command.on", { target });
+    return t("command.level", { target, percent: Math.round((command.value / MAX_VALUE) * 100) });
+};
+
+const isValidChannel = (channel) =>
+    channel === ALL_CHANNELS ||
+    (Number.isInteger(channel) && channel >= 1 && channel <= MAX_CHANNELS);
+
+const isValidTarget = (target) =>
+    target === undefined || target === ALL_DEVICES || /^(device|group):.+/.test(target);
+
+const isValidRule = (rule) => {
+    if (!rule || typeof rule.id !== "string") return false;
+    if (rule.hand && !Object.values(HANDEDNESS).includes(rule.hand)) return false;
+    const { trigger, action } = rule;
+    const triggerOk =
+        (trigger?.type === TRIGGER_TYPES.GESTURE && trigger.gesture in GESTURE_LABELS) ||
+        (trigger?.type === TRIGGER_TYPES.COUNT && Number.isInteger(trigger.count) &&
+            trigger.count >= 0 && trigger.count <= 5) ||
+        (trigger?.type === TRIGGER_TYPES.FINGERS && typeof trigger.fingers === "object") ||
+        (trigger?.type === TRIGGER_TYPES.MOTION && Object.values(MOTIONS).includes(trigger.motion)) ||
+        (trigger?.type === TRIGGER_TYPES.CUSTOM && typeof trigger.gesture === "string");
+
+    if (!triggerOk || !isValidChannel(action?.channel) || !isValidTarget(action.target)) {
+        return false;
+    }
+    const validValue =
+        Number.isInteger(action.value) && action.value >= 0 && action.value <= MAX_VALUE;
+    if (action.type === ACTION_TYPES.SET) return validValue;
+    // Toggles need an event to fire on, pinch brightness needs landmarks
+    if (action.type === ACTION_TYPES.TOGGLE) return validValue && isMotionRule(rule);
+    return (
+        action.type === ACTION_TYPES.PINCH &&
+        !isMotionRule(rule) &&
+        action.max > action.min &&
+        action.step > 0
+    );
+};
+
+export function loadRules(storage = window.localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(RULES_STORAGE_KEY));
+        if (Array.isArray(stored) && stored.every(isValidRule)) return stored;
+    } catch {
+        // Fall through to the defaults
+    }
+    return DEFAULT_RULES;
+}
+
+export function saveRules(rules, storage = window.localStorage) {
+    storage.setItem(RULES_STORAGE_KEY, JSON.stringify(rules));
+}
@@ -0,0 +1,59 @@
+import { createEmitter } from "./emitter";
+
+// Audit log of safety-relevant transitions (arming, fail-safe commands,
+// settings lock and changes), kept in localStorage so it survives reloads.
+// Entries are { at, event, detail } with `at` an ISO timestamp; only the
+// newest `maxEntries` are kept. Emits "change" with the entries and "entry"
+// with each new one.
+
+export const AUDIT_STORAGE_KEY = "glowfinger.audit";
+export const MAX_AUDIT_ENTRIES = 500;
+
+const csvField = (value) =>
+    /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+
+const loadEntries = (storage) => {
+    try {
+        const entries = JSON.parse(storage.getItem(AUDIT_STORAGE_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch {
+        return [];
+    }
+};
+
+export function createAuditLog({
+    storage = window.localStorage,
+    maxEntries = MAX_AUDIT_ENTRIES,
+    now = () => new Date(),
+} = {}) {
+    const emitter = createEmitter();
+    let entries = loadEntries(storage);
+
+    const store = (next) => {
+        entries = next;
+        try {
+            storage.setItem(AUDIT_STORAGE_KEY, JSON.stringify(entries));
+        } catch {
+            // Storage full: the entry stays in memory for this session
+        }
+        emitter.emit("change", entries);
+    };
+
+    const record = (event, detail = "") => {
+        const entry = { at: now().toISOString(), event, detail };
+        store([...entries, entry].slice(-maxEntries));
+        emitter.emit("entry", entry);
+    };
+
+    const toCsv = () =>
+        `${["at,event,detail", ...entries.map(({ at, event, detail }) =>
+            [at, event, detail].map(csvField).join(","))].join("\n")}\n`;
+
+    return {
+        on: emitter.on,
+        record,
+        entries: () => entries,
+        clear: () => store([]),
+        toCsv,
+    };
+}
@@ -0,0 +1,191 @@
+import { FINGER_NAMES, fingerRatios } from "./gestures";
+
+// Per-user calibration of the finger-extension thresholds. The classifier
+// calls a finger extended when its tip-to-wrist over base-to-wrist ratio
+// (see fingerRatios) is above a threshold; one number for every finger fails
+// small hands, stiff fingers and above all the thumb, whose ratio moves much
+// less. The wizard records an open palm and a fist for a few seconds each,
+// and each finger's threshold is put between its two ratio distributions.
+//
+// Everything but the storage works on plain landmark arrays (21 { x, y, z }
+// per frame), so it can be fed recorded frames outside the browser.
+
+export const CALIBRATION_STORAGE_KEY = "glowfinger.calibration";
+const CALIBRATION_VERSION = 1;
+
+export const CALIBRATION_STEPS = {
+    OPEN: "open",
+    FIST: "fist",
+};
+
+export const DEFAULT_CALIBRATION_OPTIONS = {
+    // Get-ready time before each step, then how long the pose is recorded
+    countdownMs: 2000,
+    holdMs: 3000,
+};
+
+// Fewer frames than this per step cannot give a usable distribution
+export const MIN_CALIBRATION_FRAMES = 15;
+
+// Derived thresholds are kept within what the classifier can work with
+export const MIN_THRESHOLD = 0.8;
+export const MAX_THRESHOLD = 3;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const percentile = (sorted, fraction) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+// Summary of one finger's ratios over one step
+export function ratioStats(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+    return {
+        count: sorted.length,
+        mean,
+        sd: Math.sqrt(variance),
+        min: sorted[0],
+        p10: percentile(sorted, 0.1),
+        p90: percentile(sorted, 0.9),
+        max: sorted[sorted.length - 1],
+    };
+}
+
+// Threshold between a closed and an open distribution: the point that is
+// the same number of standard deviations from both means, kept inside the
+// gap between the closed 90th and open 10th percentiles when there is one
+export function thresholdBetween(closed, open) {
+    const spread = closed.sd + open.sd;
+    let threshold =
+        spread > 0
+            ? (closed.mean * open.sd + open.mean * closed.sd) / spread
+            : (closed.mean + open.mean) / 2;
+    if (open.p10 > closed.p90) threshold = clamp(threshold, closed.p90, open.p10);
+    return clamp(threshold, MIN_THRESHOLD, MAX_THRESHOLD);
+}
+
+// Per-finger thresholds from open-palm and fist frames. Each finger reports
+// its stats, the threshold and how cleanly the two poses separate:
+// `margin` is half the gap between the closed 90th and open 10th
+// percentiles (negative when they overlap), and a finger whose open ratios
+// are not above its closed ones keeps `fallback`.
+export function calibrateThresholds(openFrames, fistFrames, { fallback = 1.5 } = {}) {
+    if (openFrames.length < MIN_CALIBRATION_FRAMES || fistFrames.length < MIN_CALIBRATION_FRAMES) {
+        throw new Error(
+            `Need at least ${MIN_CALIBRATION_FRAMES} frames of each pose ` +
+                `(got ${openFrames.length} open, ${fistFrames.length} fist)`
+        );
+    }
+    const openRatios = openFrames.map(fingerRatios);
+    const fistRatios = fistFrames.map(fingerRatios);
+
+    const fingers = Object.fromEntries(
+        FINGER_NAMES.map((name) => {
+            const open = ratioStats(openRatios.map((ratios) => ratios[name]));
+            const closed = ratioStats(fistRatios.map((ratios) => ratios[name]));
+            const usable = open.mean > closed.mean;
+            return [
+                name,
+                {
+                    open,
+                    closed,
+                    threshold: usable ? round(thresholdBetween(closed, open)) : fallback,
+                    margin: (open.p10 - closed.p90) / 2,
+                    usable,
+                },
+            ];
+        })
+    );
+    return {
+        thresholds: Object.fromEntries(FINGER_NAMES.map((name) => [name, fingers[name].threshold])),
+        fingers,
+    };
+}
+
+// Runs the wizard from the frame loop: open palm, then fist, each after a
+// countdown. `update` takes the frame's landmarks (null without a hand) and
+// returns { step, phase: "countdown" | "recording" | "done", secondsLeft,
+// frames }; once done, `result` calibrates from what was recorded.
+export function createCalibrationSession(options = {}) {
+    const config = { ...DEFAULT_CALIBRATION_OPTIONS, ...options };
+    const steps = Object.values(CALIBRATION_STEPS);
+    const frames = Object.fromEntries(steps.map((step) => [step, []]));
+    let index = 0;
+    let stepStartedAt = null;
+
+    const update = (landmarks, timestamp) => {
+        if (index >= steps.length) return { step: null, phase: "done", secondsLeft: 0, frames: 0 };
+        if (stepStartedAt === null) stepStartedAt = timestamp;
+        const step = steps[index];
+        const elapsed = timestamp - stepStartedAt;
+        if (elapsed < config.countdownMs) {
+            return {
+                step,
+                phase: "countdown",
+                secondsLeft: Math.ceil((config.countdownMs - elapsed) / 1000),
+                frames: 0,
+            };
+        }
+        if (landmarks) frames[step].push(landmarks);
+        const remaining = config.countdownMs + config.holdMs - elapsed;
+        if (remaining <= 0) {
+            index++;
+            stepStartedAt = null;
+            if (index >= steps.length) return { step: null, phase: "done", secondsLeft: 0, frames: 0 };
+        }
+        return {
+            step,
+            phase: "recording",
+            secondsLeft: Math.max(0, Math.ceil(remaining / 1000)),
+            frames: frames[step].length,
+        };
+    };
+
+    return {
+        update,
+        result: (calibrateOptions) =>
+            calibrateThresholds(
+                frames[CALIBRATION_STEPS.OPEN],
+                frames[CALIBRATION_STEPS.FIST],
+                calibrateOptions
+            ),
+    };
+}
+
+// Named profiles: { active, profiles: [{ id, name, thresholds, createdAt }] }
+// with `active` null for the threshold in the settings
+
+export const createProfileId = () =>
+    `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const isValidProfile = (profile) =>
+    typeof profile?.id === "string" &&
+    typeof profile.name === "string" &&
+    FINGER_NAMES.every((name) => Number.isFinite(profile.thresholds?.[name]));
+
+export function loadProfiles(storage = window.localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(CALIBRATION_STORAGE_KEY));
+        if (Array.isArray(stored?.profiles) && stored.profiles.every(isValidProfile)) {
+            const active = stored.profiles.some(({ id }) => id === stored.active) ? stored.active : null;
+            return { active, profiles: stored.profiles };
+        }
+    } catch {
+        // Fall through to no profiles
+    }
+    return { active: null, profiles: [] };
+}
+
+export function saveProfiles({ active, profiles }, storage = window.localStorage) {
+    storage.setItem(
+        CALIBRATION_STORAGE_KEY,
+        JSON.stringify({ version: CALIBRATION_VERSION, active, profiles })
+    );
+}
+
+// What the classifier's `threshold` option should be
+export const activeThreshold = ({ active, profiles }, fallback) =>
+    profiles.find(({ id }) => id === active)?.thresholds ?? fallback;
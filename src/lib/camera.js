@@ -0,0 +1,227 @@
+import { createEmitter } from "./emitter";
+import { messageError } from "./i18n";
+
+// Webcam source for the hand tracker. Opens the chosen device with
+// getUserMedia at the requested resolution and frame rate, then calls
+// `onFrame` once per video frame (waiting for it before asking for the next
+// one). Emits "status" on every state change and "error" when the camera
+// cannot be opened or goes away. The error's message is English, for the
+// logs; its `key` and `params` give the same message in the UI language.
+
+export const CAMERA_STORAGE_KEY = "glowfinger.camera";
+
+export const CAMERA_STATUS = {
+    STOPPED: "stopped",
+    STARTING: "starting",
+    RUNNING: "running",
+    PAUSED: "paused",
+    ERROR: "error",
+};
+
+export const RESOLUTIONS = ["320x240", "640x480", "1280x720", "1920x1080"];
+export const FRAME_RATES = [15, 24, 30, 60];
+
+export const DEFAULT_CAMERA_OPTIONS = {
+    // Empty means the browser's default camera
+    deviceId: "",
+    resolution: "640x480",
+    frameRate: 30,
+    // Show the image like a mirror (selfie view); only affects drawing
+    mirrored: false,
+};
+
+export const parseResolution = (resolution) => {
+    const [width, height] = resolution.split("x").map(Number);
+    return { width, height };
+};
+
+export function loadCameraOptions(storage = window.localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(CAMERA_STORAGE_KEY)) || {};
+        return {
+            deviceId: typeof stored.deviceId === "string" ? stored.deviceId : "",
+            resolution: RESOLUTIONS.includes(stored.resolution)
+                ? stored.resolution
+                : DEFAULT_CAMERA_OPTIONS.resolution,
+            frameRate: FRAME_RATES.includes(stored.frameRate)
+                ? stored.frameRate
+                : DEFAULT_CAMERA_OPTIONS.frameRate,
+            mirrored: stored.mirrored === true,
+        };
+    } catch {
+        return DEFAULT_CAMERA_OPTIONS;
+    }
+}
+
+export function saveCameraOptions(options, storage = window.localStorage) {
+    storage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(options));
+}
+
+export async function listCameras() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((device) => device.kind === "videoinput");
+}
+
+// getUserMedia rejects with DOMExceptions whose names say what went wrong.
+// Returns the i18n key of the message to show; "camera.error.other" shows
+// the error's own message as `{error}`.
+export function describeCameraError(error) {
+    switch (error?.name) {
+        case "NotAllowedError":
+        case "SecurityError":
+            return "camera.error.denied";
+        case "NotFoundError":
+        case "OverconstrainedError":
+            return "camera.error.notFound";
+        case "NotReadableError":
+        case "AbortError":
+            return "camera.error.inUse";
+        case "NotSupportedError":
+            return "camera.error.unsupported";
+        case "Disconnected":
+            return "camera.error.disconnected";
+        default:
+            return error?.message ? "camera.error.other" : "camera.error.failed";
+    }
+}
+
+export function createCameraSource(video, { onFrame }) {
+    const emitter = createEmitter();
+    let status = CAMERA_STATUS.STOPPED;
+    let stream = null;
+    // Bumped on every start/stop so a stale frame loop or a slow
+    // getUserMedia call from an earlier start gives up
+    let generation = 0;
+    // Same for the frame loop, which pause/resume also restart
+    let loopToken = 0;
+
+    const setStatus = (next) => {
+        status = next;
+        emitter.emit("status", next);
+    };
+
+    const releaseStream = () => {
+        if (stream) {
+            for (const track of stream.getTracks()) {
+                track.onended = null;
+                track.stop();
+            }
+        }
+        stream = null;
+        video.srcObject = null;
+    };
+
+    const scheduleFrame = (callback) => {
+        if (video.requestVideoFrameCallback) video.requestVideoFrameCallback(callback);
+        else requestAnimationFrame(callback);
+    };
+
+    const loop = (token) => {
+        scheduleFrame(async () => {
+            if (token !== loopToken) return;
+            try {
+                await onFrame(video);
+            } catch (error) {
+                emitter.emit("error", error);
+            }
+            loop(token);
+        });
+    };
+
+    const fail = (error) => {
+        generation++;
+        loopToken++;
+        releaseStream();
+        emitter.emit("error", messageError(describeCameraError(error), { error: error?.message }));
+        setStatus(CAMERA_STATUS.ERROR);
+    };
+
+    const start = async ({ deviceId, resolution, frameRate }) => {
+        const current = ++generation;
+        releaseStream();
+        setStatus(CAMERA_STATUS.STARTING);
+
+        if (!navigator.mediaDevices?.getUserMedia) {
+            fail(Object.assign(new Error("No getUserMedia"), { name: "NotSupportedError" }));
+            return;
+        }
+
+        const { width, height } = parseResolution(resolution);
+        let opened;
+        try {
+            opened = await navigator.mediaDevices.getUserMedia({
+                audio: false,
+                video: {
+                    deviceId: deviceId ? { exact: deviceId } : undefined,
+                    width: { ideal: width },
+                    height: { ideal: height },
+                    frameRate: { ideal: frameRate },
+                },
+            });
+        } catch (error) {
+            if (current === generation) fail(error);
+            return;
+        }
+        if (current !== generation) {
+            opened.getTracks().forEach((track) => track.stop());
+            return;
+        }
+
+        stream = opened;
+        const [track] = stream.getVideoTracks();
+        // Fires when the camera is unplugged or revoked by the system
+        track.onended = () => {
+            if (current === generation) {
+                fail(Object.assign(new Error("The camera was disconnected."), { name: "Disconnected" }));
+            }
+        };
+
+        video.srcObject = stream;
+        video.muted = true;
+        video.playsInline = true;
+        try {
+            await video.play();
+        } catch (error) {
+            if (current === generation) fail(error);
+            return;
+        }
+        if (current !== generation) return;
+
+        setStatus(CAMERA_STATUS.RUNNING);
+        loop(++loopToken);
+    };
+
+    const stop = () => {
+        generation++;
+        loopToken++;
+        releaseStream();
+        setStatus(CAMERA_STATUS.STOPPED);
+    };
+
+    // Keeps the stream open but stops handing frames to the tracker
+    const pause = () => {
+        if (status !== CAMERA_STATUS.RUNNING) return;
+        loopToken++;
+        video.pause();
+        setStatus(CAMERA_STATUS.PAUSED);
+    };
+
+    const resume = async () => {
+        if (status !== CAMERA_STATUS.PAUSED) return;
+        setStatus(CAMERA_STATUS.RUNNING);
+        loop(++loopToken);
+        await video.play();
+    };
+
+    return {
+        on: emitter.on,
+        start,
+        stop,
+        pause,
+        resume,
+        getStatus: () => status,
+        // Actual size the camera delivers, which may differ from the request
+        getSize: () => ({ width: video.videoWidth, height: video.videoHeight }),
+    };
+}
@@ -0,0 +1,172 @@
+import { ALL_CHANNELS, ALL_DEVICES, MAX_VALUE } from "./actions";
+import { GESTURES, WRIST, pinchDistance } from "./gestures";
+
+// Color mode for addressable RGB strips: the wrist's horizontal position on
+// screen picks the hue, pinch distance the brightness and hand height the
+// saturation. Showing the lock pose freezes the current color until the
+// pose is shown again. Colors are HSV with h in degrees (0-359) and s, v in
+// percent, snapped to coarse steps so tracking jitter does not produce a new
+// command every frame.
+
+export const COLOR_MODES = {
+    OFF: "off",
+    EITHER: "either",
+    LEFT: "Left",
+    RIGHT: "Right",
+};
+
+export const COLOR_FORMATS = {
+    RGB: "rgb",
+    HSV: "hsv",
+};
+
+export const DEFAULT_COLOR_OPTIONS = {
+    lockGesture: GESTURES.FIST,
+    // Pinch distances (in palm sizes) for darkest and brightest
+    pinchMin: 0.15,
+    pinchMax: 1.2,
+};
+
+const HUE_STEP = 3;
+const PERCENT_STEP = 2;
+// Forming the lock pose moves the hand and closes the pinch, so the color
+// that gets locked is the one from just before the pose appeared
+const LOCK_LOOKBACK_MS = 250;
+
+const clamp01 = (value) => Math.min(1, Math.max(0, value));
+const snap = (value, step) => Math.round(value / step) * step;
+
+// h 0-360, s and v 0-1 to { r, g, b } 0-255
+export function hsvToRgb(h, s, v) {
+    const f = (n) => {
+        const k = (n + h / 60) % 6;
+        return v - v * s * Math.max(0, Math.min(k, 4 - k, 1));
+    };
+    return {
+        r: Math.round(f(5) * MAX_VALUE),
+        g: Math.round(f(3) * MAX_VALUE),
+        b: Math.round(f(1) * MAX_VALUE),
+    };
+}
+
+export const colorToRgb = ({ h, s, v }) => hsvToRgb(h, s / 100, v / 100);
+
+export const colorToHex = (color) => {
+    const { r, g, b } = colorToRgb(color);
+    return `#${[r, g, b].map((part) => part.toString(16).padStart(2, "0")).join("")}`;
+};
+
+// Maps one hand to a color. `mirrored` flips x so moving the hand to the
+// right of the screen always moves the hue the same way.
+export function handToColor(landmarks, { pinchMin, pinchMax, mirrored = false }) {
+    const wrist = landmarks[WRIST];
+    const x = clamp01(mirrored ? 1 - wrist.x : wrist.x);
+    const brightness =
+        pinchMax > pinchMin
+            ? clamp01((pinchDistance(landmarks) - pinchMin) / (pinchMax - pinchMin))
+            : 1;
+    return {
+        h: snap(x * 359, HUE_STEP) % 360,
+        // Top of the frame is fully saturated
+        s: snap(clamp01(1 - wrist.y) * 100, PERCENT_STEP),
+        v: snap(brightness * 100, PERCENT_STEP),
+    };
+}
+
+// Which of the frame's hands drives the color, if any
+export const pickColorHand = (hands, mode) => {
+    if (mode === COLOR_MODES.OFF) return null;
+    return hands.find(({ hand }) => mode === COLOR_MODES.EITHER || hand === mode) ?? null;
+};
+
+export const colorCommand = (color, format, target = ALL_DEVICES) => ({
+    channel: ALL_CHANNELS,
+    value: Math.round((color.v / 100) * MAX_VALUE),
+    color,
+    colorFormat: format,
+    target,
+});
+
+// Follows the color hand frame by frame and handles the lock pose. `update`
+// returns { color, locked }; color is null until a hand has been seen.
+export function createColorTracker(options = {}) {
+    let config = { ...DEFAULT_COLOR_OPTIONS, ...options };
+    let history = [];
+    let locked = null;
+    let inLockPose = false;
+
+    const update = (landmarks, gesture, now, mirrored) => {
+        const lockPose = gesture === config.lockGesture;
+        if (lockPose && !inLockPose) {
+            if (locked) {
+                locked = null;
+            } else {
+                const before = history.filter(({ t }) => t <= now - LOCK_LOOKBACK_MS);
+                locked = (before[before.length - 1] ?? history[0])?.color ?? null;
+            }
+        }
+        inLockPose = lockPose;
+
+        if (!lockPose) {
+            history.push({ t: now, color: handToColor(landmarks, { ...config, mirrored }) });
+            history = history.filter(({ t }) => t > now - 2 * LOCK_LOOKBACK_MS);
+        }
+        return {
+            color: locked ?? history[history.length - 1]?.color ?? null,
+            locked: locked !== null,
+        };
+    };
+
+    const setOptions = (next) => {
+        config = { ...config, ...next };
+    };
+
+    const reset = () => {
+        history = [];
+        locked = null;
+        inLockPose = false;
+    };
+
+    return { update, setOptions, reset };
+}
+
+// Latest-wins rate limiter: `send` runs at most once per `intervalMs`;
+// values pushed in between replace each other and the newest goes out when
+// the interval is up
+export function createRateLimiter(send, intervalMs) {
+    let interval = intervalMs;
+    let lastSentAt = -Infinity;
+    let pending = null;
+    let timer = null;
+
+    const flush = () => {
+        timer = null;
+        if (pending === null) return;
+        const value = pending;
+        pending = null;
+        lastSentAt = performance.now();
+        send(value);
+    };
+
+    const push = (value) => {
+        pending = value;
+        if (timer) return;
+        const wait = lastSentAt + interval - performance.now();
+        if (wait <= 0) flush();
+        else timer = setTimeout(flush, wait);
+    };
+
+    const cancel = () => {
+        clearTimeout(timer);
+        timer = null;
+        pending = null;
+    };
+
+    return {
+        push,
+        cancel,
+        setInterval: (next) => {
+            interval = next;
+        },
+    };
+}
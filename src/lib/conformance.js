@@ -0,0 +1,162 @@
+import { ALL_CHANNELS, MAX_CHANNELS, MAX_VALUE } from "./actions";
+import { COLOR_FORMATS, colorCommand } from "./color";
+
+// Protocol conformance check: sends a scripted suite of the commands the app
+// produces (plus two it must never need, to see they are refused) over any
+// transport and compares the replies with what the app expects from the
+// firmware (see virtualBoard.js). Meant for checking a new firmware build, or
+// a stand-in, before it goes on stage.
+
+export const CONFORMANCE_STATUS = {
+    PASS: "pass",
+    FAIL: "fail",
+    // The transport only shows that the command was delivered (MQTT's
+    // PUBACK comes from the broker), not what the firmware made of it
+    UNVERIFIED: "unverified",
+};
+
+// `expect` is the reply text, or REJECTED for a command the firmware has to
+// refuse with an error
+export const REJECTED = "rejected";
+
+export const CONFORMANCE_SUITE = [
+    {
+        id: "all-on",
+        label: "All channels on",
+        command: { channel: ALL_CHANNELS, value: MAX_VALUE },
+        expect: "ALL 255",
+    },
+    {
+        id: "all-off",
+        label: "All channels off",
+        command: { channel: ALL_CHANNELS, value: 0 },
+        expect: "ALL 0",
+    },
+    {
+        id: "channel-on",
+        label: "Channel 1 on",
+        command: { channel: 1, value: MAX_VALUE },
+        expect: "LED1 255",
+    },
+    {
+        id: "channel-off",
+        label: "Channel 1 off",
+        command: { channel: 1, value: 0 },
+        expect: "LED1 0",
+    },
+    {
+        id: "pwm-half",
+        label: `Channel ${MAX_CHANNELS} at half brightness`,
+        command: { channel: MAX_CHANNELS, value: 128 },
+        expect: `LED${MAX_CHANNELS} 128`,
+    },
+    {
+        id: "pwm-lowest",
+        label: "Channel 2 at the lowest level",
+        command: { channel: 2, value: 1 },
+        expect: "LED2 1",
+    },
+    {
+        id: "color-rgb",
+        label: "Green as RGB",
+        command: colorCommand({ h: 120, s: 100, v: 100 }, COLOR_FORMATS.RGB),
+        expect: "ALL 255 RGB 0,255,0",
+    },
+    {
+        id: "color-hsv",
+        label: "Dim blue as HSV",
+        command: colorCommand({ h: 240, s: 100, v: 50 }, COLOR_FORMATS.HSV),
+        expect: "ALL 128 HSV 240,100,50",
+    },
+    {
+        id: "reject-channel",
+        label: `Refuses channel ${MAX_CHANNELS + 1}`,
+        command: { channel: MAX_CHANNELS + 1, value: MAX_VALUE },
+        expect: REJECTED,
+    },
+    {
+        id: "reject-value",
+        label: "Refuses value 256",
+        command: { channel: 1, value: MAX_VALUE + 1 },
+        expect: REJECTED,
+    },
+    // Leaves the board dark
+    {
+        id: "all-off-again",
+        label: "All channels off again",
+        command: { channel: ALL_CHANNELS, value: 0 },
+        expect: "ALL 0",
+    },
+];
+
+// Serial replies carry an "OK " prefix the other links do not
+const firmwareReply = (reply) => String(reply ?? "").replace(/^OK /, "").trim();
+
+const judge = (testCase, kind, { reply, error, timedOut }) => {
+    // Silence is not a refusal
+    if (timedOut) return { status: CONFORMANCE_STATUS.FAIL, detail: error.message };
+    if (kind === "mqtt") {
+        return error
+            ? { status: CONFORMANCE_STATUS.FAIL, detail: error.message }
+            : { status: CONFORMANCE_STATUS.UNVERIFIED, detail: `delivered (${reply})` };
+    }
+    if (testCase.expect === REJECTED) {
+        return error
+            ? { status: CONFORMANCE_STATUS.PASS, detail: `refused: ${error.message}` }
+            : { status: CONFORMANCE_STATUS.FAIL, detail: `accepted: ${reply}` };
+    }
+    if (error) return { status: CONFORMANCE_STATUS.FAIL, detail: error.message };
+    const got = firmwareReply(reply);
+    return got === testCase.expect
+        ? { status: CONFORMANCE_STATUS.PASS, detail: got }
+        : { status: CONFORMANCE_STATUS.FAIL, detail: `expected "${testCase.expect}", got "${got}"` };
+};
+
+// Runs the suite one command at a time over a connected transport. Each
+// command gets `timeoutMs` for its reply; `onResult` sees every result as it
+// comes in. Resolves with { results, passed, failed, unverified }; aborting
+// `signal` stops the run and rejects.
+export async function runConformance(
+    transport,
+    { suite = CONFORMANCE_SUITE, timeoutMs = 3000, signal, onResult } = {}
+) {
+    const results = [];
+    for (const testCase of suite) {
+        signal?.throwIfAborted();
+        const controller = new AbortController();
+        const timeout = new Error(`no reply within ${timeoutMs} ms`);
+        const timer = setTimeout(() => controller.abort(timeout), timeoutMs);
+        const stop = () => controller.abort(signal.reason);
+        signal?.addEventListener("abort", stop, { once: true });
+
+        const startedAt = performance.now();
+        let outcome;
+        try {
+            outcome = { reply: await transport.send(testCase.command, { signal: controller.signal }) };
+        } catch (error) {
+            const timedOut = controller.signal.reason === timeout;
+            outcome = { error: timedOut ? timeout : error, timedOut };
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener("abort", stop);
+        }
+        signal?.throwIfAborted();
+
+        const result = {
+            id: testCase.id,
+            label: testCase.label,
+            expect: testCase.expect,
+            ms: Math.round(performance.now() - startedAt),
+            ...judge(testCase, transport.kind, outcome),
+        };
+        results.push(result);
+        onResult?.(result);
+    }
+    const count = (status) => results.filter((result) => result.status === status).length;
+    return {
+        results,
+        passed: count(CONFORMANCE_STATUS.PASS),
+        failed: count(CONFORMANCE_STATUS.FAIL),
+        unverified: count(CONFORMANCE_STATUS.UNVERIFIED),
+    };
+}
@@ -0,0 +1,165 @@
+import { HANDEDNESS, WRIST, palmSize } from "./gestures";
+import { messageError } from "./i18n";
+import { STORES, withStore } from "./idb";
+
+// User-taught gestures. While teaching, every frame of the held pose becomes
+// a sample: the 21 landmarks relative to the wrist, divided by palm size (and
+// mirrored for the left hand, so one set of samples covers both hands).
+// Recognition is k-nearest-neighbours over those samples.
+//
+// A gesture is stored as
+//   { id, name, samples: [[x0, y0, z0, x1, ...], ...], createdAt, updatedAt }
+// and exported as { version: 1, gestures: [...] }.
+
+export const CUSTOM_GESTURES_VERSION = 1;
+// Older samples are thinned out beyond this many per gesture
+export const MAX_SAMPLES = 300;
+// A teaching run has to see the hand at least this many times
+export const MIN_SAMPLES = 10;
+
+export const DEFAULT_KNN_OPTIONS = {
+    neighbours: 5,
+    // Largest RMS landmark distance (in palm sizes) to the nearest matching
+    // sample that still counts as a match
+    maxDistance: 0.35,
+};
+
+const VECTOR_LENGTH = 21 * 3;
+
+export function normalizeLandmarks(landmarks, hand = null) {
+    const wrist = landmarks[WRIST];
+    const scale = palmSize(landmarks) || 1;
+    const flip = hand === HANDEDNESS.LEFT ? -1 : 1;
+    const vector = [];
+    for (const point of landmarks) {
+        vector.push(
+            (flip * (point.x - wrist.x)) / scale,
+            (point.y - wrist.y) / scale,
+            ((point.z ?? 0) - (wrist.z ?? 0)) / scale
+        );
+    }
+    return vector;
+}
+
+// Root mean square distance per landmark between two sample vectors
+const sampleDistance = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < VECTOR_LENGTH; i++) sum += (a[i] - b[i]) ** 2;
+    return Math.sqrt(sum / 21);
+};
+
+// Keeps every n-th sample so the set stays under `limit` but still spans
+// the whole recording
+export const thinSamples = (samples, limit = MAX_SAMPLES) => {
+    if (samples.length <= limit) return samples;
+    const step = samples.length / limit;
+    return Array.from({ length: limit }, (_, index) => samples[Math.floor(index * step)]);
+};
+
+// Returns `(landmarks, hand) -> { gesture, name, confidence, distance }` or
+// null when no gesture is close enough
+export function createKnnClassifier(gestures, options = {}) {
+    const config = { ...DEFAULT_KNN_OPTIONS, ...options };
+    const samples = gestures.flatMap((gesture) =>
+        gesture.samples.map((vector) => ({ gesture, vector }))
+    );
+
+    return (landmarks, hand = null) => {
+        if (samples.length === 0) return null;
+        const vector = normalizeLandmarks(landmarks, hand);
+        const nearest = samples
+            .map((sample) => ({ sample, distance: sampleDistance(vector, sample.vector) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, Math.min(config.neighbours, samples.length));
+
+        const votes = new Map();
+        for (const { sample } of nearest) {
+            votes.set(sample.gesture, (votes.get(sample.gesture) || 0) + 1);
+        }
+        let winner = null;
+        let winnerVotes = 0;
+        for (const [gesture, count] of votes) {
+            if (count > winnerVotes) {
+                winner = gesture;
+                winnerVotes = count;
+            }
+        }
+
+        const distance = nearest.find(({ sample }) => sample.gesture === winner).distance;
+        if (distance > config.maxDistance) return null;
+        return {
+            gesture: winner.id,
+            name: winner.name,
+            confidence: winnerVotes / nearest.length,
+            distance,
+        };
+    };
+}
+
+const isValidCustomGesture = (gesture) =>
+    gesture &&
+    typeof gesture.id === "string" &&
+    typeof gesture.name === "string" &&
+    gesture.name.trim() !== "" &&
+    Array.isArray(gesture.samples) &&
+    gesture.samples.length > 0 &&
+    gesture.samples.every(
+        (vector) =>
+            Array.isArray(vector) &&
+            vector.length === VECTOR_LENGTH &&
+            vector.every(Number.isFinite)
+    );
+
+export const createCustomGestureId = () =>
+    `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Adds freshly taught samples under `name`, extending the gesture with that
+// name if there is one. Returns the new or updated gesture.
+export function teachGesture(gestures, name, samples, now = Date.now()) {
+    const trimmed = name.trim();
+    const existing = gestures.find(
+        (gesture) => gesture.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (existing) {
+        return {
+            ...existing,
+            samples: thinSamples([...existing.samples, ...samples]),
+            updatedAt: now,
+        };
+    }
+    return {
+        id: createCustomGestureId(),
+        name: trimmed,
+        samples: thinSamples(samples),
+        createdAt: now,
+        updatedAt: now,
+    };
+}
+
+export const serializeCustomGestures = (gestures) =>
+    JSON.stringify({ version: CUSTOM_GESTURES_VERSION, gestures }, null, 2);
+
+// Parses an exported file; throws when it is not a gesture export
+export function parseCustomGesturesFile(text) {
+    const data = JSON.parse(text);
+    if (!data || !Array.isArray(data.gestures)) {
+        throw messageError("training.error.notAFile");
+    }
+    const invalid = data.gestures.findIndex((gesture) => !isValidCustomGesture(gesture));
+    if (invalid !== -1) throw messageError("training.error.invalid", { number: invalid + 1 });
+    return data.gestures;
+}
+
+export const loadCustomGestures = () =>
+    withStore(STORES.CUSTOM_GESTURES, "readonly", (store) => store.getAll()).then(
+        (gestures) =>
+            gestures.filter(isValidCustomGesture).sort((a, b) => a.createdAt - b.createdAt)
+    );
+
+export const saveCustomGestures = (gestures) =>
+    withStore(STORES.CUSTOM_GESTURES, "readwrite", (store) => {
+        for (const gesture of gestures) store.put(gesture);
+    });
+
+export const deleteCustomGesture = (id) =>
+    withStore(STORES.CUSTOM_GESTURES, "readwrite", (store) => store.delete(id));
@@ -0,0 +1,232 @@
+import { createEmitter } from "./emitter";
+import { createTransport, TRANSPORT_STATUS } from "./transports";
+import { transportOptions } from "./settings";
+import {
+    DEVICE_STATUS,
+    adaptCommand,
+    devicePort,
+    fetchDeviceInfo,
+    formatAddress,
+    resolveTarget,
+} from "./devices";
+
+// One transport per board in the registry, behind the same surface as a
+// single transport (kind, getStatus, on, connect, disconnect, send), so the
+// dispatcher does not need to know how many boards there are. `send` routes
+// a command to the boards its `target` resolves to and resolves once every
+// one of them has acknowledged. The "status" event carries the combined
+// transport status; "devices" carries per-board health from the periodic
+// `/info` ping as `{ [id]: { status, transport, latencyMs, checkedAt } }`.
+
+const combineStatuses = (statuses) => {
+    if (statuses.length > 0 && statuses.every((status) => status === TRANSPORT_STATUS.CONNECTED)) {
+        return TRANSPORT_STATUS.CONNECTED;
+    }
+    if (statuses.includes(TRANSPORT_STATUS.ERROR)) return TRANSPORT_STATUS.ERROR;
+    if (statuses.some((status) => status !== TRANSPORT_STATUS.DISCONNECTED)) {
+        return TRANSPORT_STATUS.CONNECTING;
+    }
+    return TRANSPORT_STATUS.DISCONNECTED;
+};
+
+export function createDevicePool({
+    deviceSettings,
+    registry,
+    pingIntervalMs = 5000,
+    pingTimeoutMs = 1500,
+}) {
+    const emitter = createEmitter();
+    const entries = new Map();
+    // Web Serial and virtual boards cannot be pinged over HTTP; their link
+    // is the status
+    const pingable = !["serial", "virtual"].includes(deviceSettings.transport);
+    let current = { devices: [], groups: [] };
+    let status = TRANSPORT_STATUS.DISCONNECTED;
+    let wantConnected = false;
+    let pinging = false;
+
+    const updateStatus = () => {
+        const next = combineStatuses(
+            [...entries.values()].map(({ transport }) => transport.getStatus())
+        );
+        if (next === status) return;
+        status = next;
+        emitter.emit("status", status);
+        if (status === TRANSPORT_STATUS.CONNECTED) emitter.emit("connect");
+        if (status === TRANSPORT_STATUS.DISCONNECTED) emitter.emit("disconnect");
+    };
+
+    const getDeviceStatuses = () =>
+        Object.fromEntries(
+            [...entries.values()].map(({ device, transport, health }) => {
+                const link = transport.getStatus();
+                const online = pingable
+                    ? health.status
+                    : link === TRANSPORT_STATUS.CONNECTED
+                        ? DEVICE_STATUS.ONLINE
+                        : DEVICE_STATUS.OFFLINE;
+                return [device.id, { ...health, status: online, transport: link }];
+            })
+        );
+
+    const emitDevices = () => emitter.emit("devices", getDeviceStatuses());
+
+    const setHealth = (entry, health) => {
+        if (entries.get(entry.device.id) !== entry) return;
+        entry.health = { ...entry.health, ...health };
+        emitDevices();
+    };
+
+    const addEntry = (device) => {
+        const transport = createTransport(
+            deviceSettings.transport,
+            transportOptions({
+                ...deviceSettings,
+                // A virtual board is named after the whole address, so boards
+                // on one host but different ports get a simulation each
+                host: deviceSettings.transport === "virtual" ? formatAddress(device) : device.host,
+                httpPort: devicePort(device, deviceSettings.httpPort),
+            })
+        );
+        const entry = {
+            device,
+            transport,
+            health: { status: DEVICE_STATUS.UNKNOWN, latencyMs: null, checkedAt: null },
+        };
+        entry.unsubscribe = [
+            transport.on("status", () => {
+                updateStatus();
+                emitDevices();
+            }),
+            transport.on("error", (error) =>
+                emitter.emit(
+                    "error",
+                    current.single ? error : new Error(`${device.name}: ${error.message}`)
+                )
+            ),
+        ];
+        entries.set(device.id, entry);
+        if (wantConnected) transport.connect();
+    };
+
+    const removeEntry = (entry) => {
+        entry.unsubscribe.forEach((off) => off());
+        entry.transport.disconnect();
+        entries.delete(entry.device.id);
+    };
+
+    // Boards whose address changed get a new transport; renames and
+    // capability edits keep the existing link
+    const setRegistry = (next) => {
+        const ids = new Set(next.devices.map(({ id }) => id));
+        for (const entry of [...entries.values()]) {
+            if (!ids.has(entry.device.id)) removeEntry(entry);
+        }
+        for (const device of next.devices) {
+            const entry = entries.get(device.id);
+            if (entry && entry.device.host === device.host && entry.device.port === device.port) {
+                entry.device = device;
+                continue;
+            }
+            if (entry) removeEntry(entry);
+            addEntry(device);
+        }
+        current = next;
+        updateStatus();
+        emitDevices();
+    };
+
+    // The board from the device settings may run firmware without /info
+    const ping = async () => {
+        if (pinging || current.single) return;
+        pinging = true;
+        await Promise.all(
+            [...entries.values()].map(async (entry) => {
+                const startedAt = performance.now();
+                try {
+                    await fetchDeviceInfo(entry.device.host, {
+                        port: devicePort(entry.device, deviceSettings.httpPort),
+                        timeoutMs: pingTimeoutMs,
+                    });
+                    setHealth(entry, {
+                        status: DEVICE_STATUS.ONLINE,
+                        latencyMs: performance.now() - startedAt,
+                        checkedAt: Date.now(),
+                    });
+                } catch {
+                    setHealth(entry, {
+                        status: DEVICE_STATUS.OFFLINE,
+                        latencyMs: null,
+                        checkedAt: Date.now(),
+                    });
+                }
+            })
+        );
+        pinging = false;
+    };
+
+    const connect = async () => {
+        wantConnected = true;
+        await Promise.all([...entries.values()].map(({ transport }) => transport.connect()));
+    };
+
+    const disconnect = async () => {
+        wantConnected = false;
+        await Promise.all([...entries.values()].map(({ transport }) => transport.disconnect()));
+    };
+
+    const send = async (command, { signal } = {}) => {
+        const sends = resolveTarget(current, command.target)
+            .map((device) => [device, adaptCommand(command, device.capabilities)])
+            .filter(([, adapted]) => adapted !== null);
+        if (sends.length === 0) throw new Error("No device matches this action's target");
+
+        const results = await Promise.allSettled(
+            sends.map(([device, adapted]) =>
+                entries.get(device.id).transport.send(adapted, { signal })
+            )
+        );
+        if (signal?.aborted) throw signal.reason;
+
+        const failures = results
+            .map((result, index) => [sends[index][0], result])
+            .filter(([, result]) => result.status === "rejected");
+        if (failures.length > 0) {
+            if (current.single) throw failures[0][1].reason;
+            throw new Error(
+                failures
+                    .map(([device, { reason }]) => `${device.name}: ${reason?.message ?? reason}`)
+                    .join("; ")
+            );
+        }
+        // A reply is as good as a ping
+        for (const [device] of sends) {
+            setHealth(entries.get(device.id), { status: DEVICE_STATUS.ONLINE, checkedAt: Date.now() });
+        }
+        if (sends.length === 1) return results[0].value;
+        return sends.map(([device], index) => `${device.name}: ${results[index].value}`).join("; ");
+    };
+
+    const pingTimer = pingable ? setInterval(ping, pingIntervalMs) : null;
+
+    const close = () => {
+        if (pingTimer) clearInterval(pingTimer);
+        for (const entry of [...entries.values()]) removeEntry(entry);
+    };
+
+    setRegistry(registry);
+    if (pingable) ping();
+
+    return {
+        kind: deviceSettings.transport,
+        on: emitter.on,
+        getStatus: () => status,
+        getDeviceStatuses,
+        resolve: (target) => resolveTarget(current, target),
+        setRegistry,
+        connect,
+        disconnect,
+        send,
+        close,
+    };
+}
@@ -0,0 +1,386 @@
+import { ALL_DEVICES, MAX_CHANNELS, MAX_VALUE } from "./actions";
+import { messageError } from "./i18n";
+
+// Device registry: the boards the app drives, what each can do and how they
+// are grouped. Boards are added by address, from a discovery endpoint or by
+// probing an address range; each one answers `GET /info` on its HTTP port
+// with `{ "name": "...", "leds": 8, "pwm": true, "rgb": false }`, which is
+// also the periodic health ping. A board's address may carry that port
+// ("localhost:8082"); without one it uses the HTTP port from the device
+// settings. Rules address boards through a target string: "all",
+// "device:<id>" or "group:<id>".
+//
+// With an empty registry the app keeps driving the single board from
+// Settings → Device, as it always did.
+
+export const DEVICES_STORAGE_KEY = "glowfinger.devices";
+export const DEVICES_VERSION = 1;
+export const DEFAULT_DEVICE_ID = "default";
+// Address ranges are capped so a typo cannot start thousands of requests
+export const MAX_PROBE_HOSTS = 256;
+
+export const DEVICE_STATUS = {
+    UNKNOWN: "unknown",
+    ONLINE: "online",
+    OFFLINE: "offline",
+};
+
+export const DEFAULT_CAPABILITIES = {
+    leds: MAX_CHANNELS,
+    pwm: true,
+    rgb: false,
+};
+
+export const EMPTY_REGISTRY = { devices: [], groups: [] };
+
+export const deviceTarget = (id) => `device:${id}`;
+export const groupTarget = (id) => `group:${id}`;
+
+// "group:abc" → ["group", "abc"]
+const splitTarget = (target) => {
+    const index = target.indexOf(":");
+    return [target.slice(0, index), target.slice(index + 1)];
+};
+
+const createId = (prefix) =>
+    `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// A host name or IPv4 address, optionally followed by a port
+const HOST_PATTERN = /^[\w.-]+(:\d{1,5})?$/;
+
+// "localhost:8082" → { host: "localhost", port: 8082 }. Without a port,
+// `port` is null. Throws on an invalid address.
+export function parseAddress(text) {
+    const address = String(text ?? "").trim();
+    if (!HOST_PATTERN.test(address)) throw messageError("devices.error.address", { address });
+    const [host, port] = address.split(":");
+    if (port === undefined) return { host, port: null };
+    const number = Number(port);
+    if (number < 1 || number > 65535) throw messageError("devices.error.port", { port });
+    return { host, port: number };
+}
+
+export const formatAddress = ({ host, port }) => (port ? `${host}:${port}` : host);
+
+const isValidPort = (port) => port === null || (Number.isInteger(port) && port >= 1 && port <= 65535);
+
+export const parseCapabilities = (info = {}) => ({
+    leds:
+        Number.isInteger(info.leds) && info.leds >= 1 && info.leds <= MAX_CHANNELS
+            ? info.leds
+            : DEFAULT_CAPABILITIES.leds,
+    pwm: typeof info.pwm === "boolean" ? info.pwm : DEFAULT_CAPABILITIES.pwm,
+    rgb: typeof info.rgb === "boolean" ? info.rgb : DEFAULT_CAPABILITIES.rgb,
+});
+
+// Adds a board, or updates the one already registered at that address.
+// `host` may include the port; a separate `port` takes precedence. Throws on
+// an invalid address.
+export function addDevice(registry, { host, port, name, capabilities }) {
+    const parsed = parseAddress(host);
+    if (port !== undefined && port !== null) {
+        if (!isValidPort(port)) throw messageError("devices.error.port", { port });
+        parsed.port = port;
+    }
+    const address = formatAddress(parsed);
+    const existing = registry.devices.find(
+        (device) => device.host === parsed.host && device.port === parsed.port
+    );
+    if (existing) {
+        return updateDevice(registry, existing.id, {
+            name: name?.trim() || existing.name,
+            capabilities: capabilities ?? existing.capabilities,
+        });
+    }
+    const device = {
+        id: createId("device"),
+        name: name?.trim() || address,
+        host: parsed.host,
+        port: parsed.port,
+        capabilities: parseCapabilities(capabilities),
+    };
+    return { ...registry, devices: [...registry.devices, device] };
+}
+
+export const updateDevice = (registry, id, patch) => ({
+    ...registry,
+    devices: registry.devices.map((device) =>
+        device.id === id ? { ...device, ...patch } : device
+    ),
+});
+
+export const removeDevice = (registry, id) => ({
+    devices: registry.devices.filter((device) => device.id !== id),
+    groups: registry.groups.map((group) => ({
+        ...group,
+        deviceIds: group.deviceIds.filter((deviceId) => deviceId !== id),
+    })),
+});
+
+export function addGroup(registry, name) {
+    const trimmed = String(name ?? "").trim();
+    if (!trimmed) throw messageError("devices.error.groupName");
+    return {
+        ...registry,
+        groups: [...registry.groups, { id: createId("group"), name: trimmed, deviceIds: [] }],
+    };
+}
+
+export const removeGroup = (registry, id) => ({
+    ...registry,
+    groups: registry.groups.filter((group) => group.id !== id),
+});
+
+export const setGroupMember = (registry, groupId, deviceId, member) => ({
+    ...registry,
+    groups: registry.groups.map((group) => {
+        if (group.id !== groupId) return group;
+        const others = group.deviceIds.filter((id) => id !== deviceId);
+        return { ...group, deviceIds: member ? [...others, deviceId] : others };
+    }),
+});
+
+// The registry the app actually drives: the registered boards, or the single
+// board from the device settings when none are registered (or when the
+// transport is Web Serial, which talks to one port). A single board answers
+// every target.
+export function activeRegistry(registry, deviceSettings) {
+    if (registry.devices.length > 0 && deviceSettings.transport !== "serial") {
+        return registry;
+    }
+    return {
+        devices: [
+            {
+                id: DEFAULT_DEVICE_ID,
+                name: deviceSettings.host,
+                host: deviceSettings.host,
+                port: null,
+                // Nothing is known about this board, so send it everything;
+                // firmware ignores fields it does not understand
+                capabilities: { ...DEFAULT_CAPABILITIES, rgb: true },
+            },
+        ],
+        groups: [],
+        single: true,
+    };
+}
+
+// The boards a target string addresses; unknown ids address nothing
+export function resolveTarget(registry, target = ALL_DEVICES) {
+    if (registry.single || target === ALL_DEVICES) return registry.devices;
+    const [type, id] = splitTarget(target);
+    if (type === "device") return registry.devices.filter((device) => device.id === id);
+    if (type === "group") {
+        const group = registry.groups.find((candidate) => candidate.id === id);
+        return group ? registry.devices.filter((device) => group.deviceIds.includes(device.id)) : [];
+    }
+    return [];
+}
+
+// The name of a board or group target, null once it has been deleted
+export const targetName = (registry, target) => {
+    const [type, id] = splitTarget(target);
+    const list = type === "group" ? registry.groups : registry.devices;
+    return list.find((entry) => entry.id === id)?.name ?? null;
+};
+
+// Fits a command to a board: channels it does not have are skipped (null),
+// boards without RGB get a color's brightness only and boards without PWM
+// only get fully on or off
+export function adaptCommand(command, capabilities) {
+    if (typeof command.channel === "number" && command.channel > capabilities.leds) return null;
+    let adapted = command;
+    if (adapted.color && !capabilities.rgb) {
+        adapted = { ...adapted };
+        delete adapted.color;
+        delete adapted.colorFormat;
+    }
+    if (capabilities.pwm || adapted.value === 0) return adapted;
+    return { ...adapted, value: MAX_VALUE };
+}
+
+const isValidDevice = (device) =>
+    device &&
+    typeof device.id === "string" &&
+    typeof device.name === "string" &&
+    HOST_PATTERN.test(device.host ?? "") &&
+    !device.host.includes(":") &&
+    isValidPort(device.port ?? null) &&
+    typeof device.capabilities === "object";
+
+const isValidGroup = (group) =>
+    group &&
+    typeof group.id === "string" &&
+    typeof group.name === "string" &&
+    Array.isArray(group.deviceIds);
+
+export function loadDevices(storage = window.localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(DEVICES_STORAGE_KEY));
+        if (
+            Array.isArray(stored?.devices) &&
+            Array.isArray(stored?.groups) &&
+            stored.devices.every(isValidDevice) &&
+            stored.groups.every(isValidGroup)
+        ) {
+            return {
+                devices: stored.devices.map((device) => ({
+                    ...device,
+                    // Registries saved before boards had ports
+                    port: device.port ?? null,
+                    capabilities: parseCapabilities(device.capabilities),
+                })),
+                groups: stored.groups,
+            };
+        }
+    } catch {
+        // Fall through to an empty registry
+    }
+    return EMPTY_REGISTRY;
+}
+
+export function saveDevices(registry, storage = window.localStorage) {
+    storage.setItem(
+        DEVICES_STORAGE_KEY,
+        JSON.stringify({
+            version: DEVICES_VERSION,
+            devices: registry.devices,
+            groups: registry.groups,
+        })
+    );
+}
+
+export const deviceInfoUrl = (host, port = 80) =>
+    `http://${host}${port === 80 ? "" : `:${port}`}/info`;
+
+// Fetches JSON, giving up after `timeoutMs` or when `signal` aborts
+async function fetchJson(url, { timeoutMs, signal }) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(messageError("devices.error.timedOut")), timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener("abort", onAbort, { once: true });
+    try {
+        const response = await fetch(url, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return await response.json();
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+    }
+}
+
+// The port a board's `/info` and HTTP commands go to
+export const devicePort = (device, httpPort = 80) => device.port ?? httpPort;
+
+// Asks one board for its name and capabilities; rejects when it does not
+// answer in time. `port` is used when `host` does not carry one.
+export async function fetchDeviceInfo(address, { port = 80, timeoutMs = 1500, signal } = {}) {
+    const parsed = parseAddress(address);
+    const info = await fetchJson(deviceInfoUrl(parsed.host, devicePort(parsed, port)), {
+        timeoutMs,
+        signal,
+    });
+    return {
+        ...parsed,
+        name: typeof info?.name === "string" && info.name ? info.name : formatAddress(parsed),
+        capabilities: parseCapabilities(info),
+    };
+}
+
+// A discovery endpoint lists boards as `[{ "host": "...", "name": "...",
+// "leds": 8, ... }]` (or `{ "devices": [...] }`). `host` may carry the port,
+// or the entry may give it as `port`.
+export async function discoverDevices(url, { timeoutMs = 3000, signal } = {}) {
+    const data = await fetchJson(url, { timeoutMs, signal });
+    const entries = Array.isArray(data) ? data : data?.devices;
+    if (!Array.isArray(entries)) throw messageError("devices.error.notAList");
+    return entries.flatMap((entry) => {
+        let parsed;
+        try {
+            parsed = parseAddress(entry?.host);
+        } catch {
+            return [];
+        }
+        if (Number.isInteger(entry.port) && isValidPort(entry.port)) parsed.port = entry.port;
+        return [
+            {
+                ...parsed,
+                name: typeof entry.name === "string" && entry.name ? entry.name : formatAddress(parsed),
+                capabilities: parseCapabilities(entry),
+            },
+        ];
+    });
+}
+
+const parseIp = (text) => {
+    const parts = text.trim().split(".").map(Number);
+    if (parts.length !== 4 || parts.some((part) => !Number.isInteger(part) || part < 0 || part > 255)) {
+        throw messageError("devices.error.ip", { address: text.trim() });
+    }
+    return parts.reduce((value, part) => value * 256 + part, 0);
+};
+
+const formatIp = (value) =>
+    [24, 16, 8, 0].map((shift) => Math.floor(value / 2 ** shift) % 256).join(".");
+
+// "192.168.4.10-40", "192.168.4.10-192.168.4.40" or "192.168.4.0/24" to a
+// list of addresses. Throws on malformed or oversized ranges.
+export function parseAddressRange(text) {
+    const range = String(text ?? "").trim();
+    let first;
+    let last;
+    if (range.includes("/")) {
+        const [address, bits] = range.split("/");
+        const prefix = Number(bits);
+        if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+            throw messageError("devices.error.prefix", { bits });
+        }
+        const size = 2 ** (32 - prefix);
+        first = Math.floor(parseIp(address) / size) * size;
+        last = first + size - 1;
+        // Skip the network and broadcast addresses
+        if (size > 2) {
+            first++;
+            last--;
+        }
+    } else if (range.includes("-")) {
+        const [start, end] = range.split("-");
+        first = parseIp(start);
+        last = end.includes(".")
+            ? parseIp(end)
+            : first - (first % 256) + parseIp(`0.0.0.${end}`);
+    } else {
+        first = last = parseIp(range);
+    }
+    if (last < first) throw messageError("devices.error.rangeOrder");
+    if (last - first + 1 > MAX_PROBE_HOSTS) {
+        throw messageError("devices.error.rangeSize", { count: MAX_PROBE_HOSTS });
+    }
+    return Array.from({ length: last - first + 1 }, (_, index) => formatIp(first + index));
+}
+
+// Asks every address in `range` for its info, a few at a time. Resolves with
+// the boards that answered; `onProgress(done, total)` follows along.
+export async function probeAddressRange(
+    range,
+    { port = 80, timeoutMs = 1500, concurrency = 8, signal, onProgress } = {}
+) {
+    const hosts = parseAddressRange(range);
+    const found = [];
+    let next = 0;
+    let done = 0;
+    const worker = async () => {
+        while (next < hosts.length && !signal?.aborted) {
+            const host = hosts[next++];
+            try {
+                found.push(await fetchDeviceInfo(host, { port, timeoutMs, signal }));
+            } catch {
+                // Nothing there, or not a board
+            }
+            done++;
+            if (onProgress) onProgress(done, hosts.length);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, hosts.length) }, worker));
+    return found.sort((a, b) => hosts.indexOf(a.host) - hosts.indexOf(b.host));
+}
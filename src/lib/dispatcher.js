@@ -0,0 +1,176 @@
+// Command dispatcher: turns the per-frame gesture stream into a small number of
+// device commands. A new state has to be held for `holdFrames` frames and
+// `holdMs` milliseconds before it is sent, only one request is ever in flight
+// (a newer command aborts the older one), and failed sends are retried with
+// exponential backoff. Status reports carry `detectedAt`, the time the
+// command's state was first seen, so callers can measure end-to-end latency.
+// A command cancelled while in flight is reported as idle, so a status shown
+// as pending does not stay that way; one replaced by a newer command is not
+// reported again, the newer one's pending report takes its place.
+
+export const COMMAND_STATUS = {
+    IDLE: "idle",
+    PENDING: "pending",
+    ACKNOWLEDGED: "acknowledged",
+    FAILED: "failed",
+};
+
+const DEFAULT_OPTIONS = {
+    holdFrames: 3,
+    holdMs: 0,
+    maxRetries: 3,
+    retryDelayMs: 250,
+    isEqual: Object.is,
+};
+
+const sleep = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener(
+            "abort",
+            () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            },
+            { once: true }
+        );
+    });
+
+export function createCommandDispatcher({ send, onStatus, ...options }) {
+    const config = { ...DEFAULT_OPTIONS, ...options };
+
+    let candidate;
+    let candidateFrames = 0;
+    let candidateSince = 0;
+    let hasCandidate = false;
+
+    let committed;
+    let hasCommitted = false;
+    // { controller, command, detectedAt, attempt } of the send in progress
+    let inFlight = null;
+
+    const report = (status) => {
+        if (onStatus) onStatus(status);
+    };
+
+    const dispatch = async (command, detectedAt) => {
+        // Coalesce: whatever is still on the wire is stale now
+        if (inFlight) inFlight.controller.abort();
+        const controller = new AbortController();
+        const current = { controller, command, detectedAt, attempt: 0 };
+        inFlight = current;
+        const { signal } = controller;
+
+        for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+            current.attempt = attempt;
+            report({
+                status: COMMAND_STATUS.PENDING,
+                command,
+                attempt,
+                response: null,
+                error: null,
+                detectedAt,
+            });
+            try {
+                const response = await send(command, { signal });
+                if (signal.aborted) return;
+                inFlight = null;
+                report({
+                    status: COMMAND_STATUS.ACKNOWLEDGED,
+                    command,
+                    attempt,
+                    response,
+                    error: null,
+                    detectedAt,
+                });
+                return;
+            } catch (error) {
+                if (signal.aborted) return;
+                if (attempt === config.maxRetries) {
+                    inFlight = null;
+                    report({
+                        status: COMMAND_STATUS.FAILED,
+                        command,
+                        attempt,
+                        response: null,
+                        error,
+                        detectedAt,
+                    });
+                    return;
+                }
+                try {
+                    await sleep(config.retryDelayMs * 2 ** attempt, signal);
+                } catch {
+                    return;
+                }
+            }
+        }
+    };
+
+    // Feed one observation per frame. Returns true when it triggered a send.
+    // Pushing null means "no command this frame" and restarts the hold timer.
+    const push = (state, now = performance.now()) => {
+        if (state === null) {
+            hasCandidate = false;
+            candidateFrames = 0;
+            return false;
+        }
+        if (hasCandidate && config.isEqual(candidate, state)) {
+            candidateFrames++;
+        } else {
+            candidate = state;
+            candidateFrames = 1;
+            candidateSince = now;
+            hasCandidate = true;
+        }
+
+        const held =
+            candidateFrames >= config.holdFrames &&
+            now - candidateSince >= config.holdMs;
+        if (!held) return false;
+        if (hasCommitted && config.isEqual(committed, candidate)) return false;
+
+        committed = candidate;
+        hasCommitted = true;
+        dispatch(candidate, candidateSince);
+        return true;
+    };
+
+    // Send a one-off command right away, skipping the hold check. Used for
+    // discrete events such as motion gestures.
+    const sendNow = (command, now = performance.now()) => {
+        hasCandidate = false;
+        candidateFrames = 0;
+        committed = command;
+        hasCommitted = true;
+        return dispatch(command, now);
+    };
+
+    const setOptions = (next) => {
+        Object.assign(config, next);
+    };
+
+    // Forget the pending and last sent state so the next held state is resent
+    const reset = () => {
+        hasCandidate = false;
+        candidateFrames = 0;
+        hasCommitted = false;
+    };
+
+    const cancel = () => {
+        if (!inFlight) return;
+        const { controller, command, detectedAt, attempt } = inFlight;
+        inFlight = null;
+        controller.abort();
+        report({
+            status: COMMAND_STATUS.IDLE,
+            command,
+            attempt,
+            response: null,
+            error: null,
+            detectedAt,
+        });
+    };
+
+    return { push, sendNow, setOptions, reset, cancel };
+}
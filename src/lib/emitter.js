@@ -0,0 +1,25 @@
+// Minimal event emitter shared by transports and other long-lived services.
+// `on` returns an unsubscribe function so React effects can clean up easily.
+
+export function createEmitter() {
+    const listeners = new Map();
+
+    const off = (event, handler) => {
+        const handlers = listeners.get(event);
+        if (handlers) handlers.delete(handler);
+    };
+
+    const on = (event, handler) => {
+        if (!listeners.has(event)) listeners.set(event, new Set());
+        listeners.get(event).add(handler);
+        return () => off(event, handler);
+    };
+
+    const emit = (event, payload) => {
+        const handlers = listeners.get(event);
+        if (!handlers) return;
+        for (const handler of [...handlers]) handler(payload);
+    };
+
+    return { on, off, emit };
+}
@@ -0,0 +1,122 @@
+import { createEmitter } from "./emitter";
+import { STORES, withStore } from "./idb";
+
+// Persistent event log for debugging field reports ("the light turned off
+// by itself at 3pm"): gesture changes, commands and the boards' replies,
+// errors, camera and link changes, scenes and safety events. Entries are
+// { id, at, type, message, data } with `at` in epoch milliseconds. Writes
+// are batched and land in IndexedDB about once a second; the oldest entries
+// go once there are more than `maxEntries`.
+//
+// Emits "change" after every write and "error" when IndexedDB fails (the
+// entries of that batch are lost).
+
+export const EVENT_TYPES = {
+    GESTURE: "gesture",
+    COMMAND: "command",
+    RESPONSE: "response",
+    ERROR: "error",
+    CAMERA: "camera",
+    TRANSPORT: "transport",
+    SCENE: "scene",
+    SAFETY: "safety",
+};
+
+export const MAX_EVENT_ENTRIES = 5000;
+
+const csvField = (value) => {
+    const text = String(value ?? "");
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const eventsToCsv = (entries) =>
+    `${[
+        "at,type,message,data",
+        ...entries.map(({ at, type, message, data }) =>
+            [new Date(at).toISOString(), type, message, data === undefined ? "" : JSON.stringify(data)]
+                .map(csvField)
+                .join(",")
+        ),
+    ].join("\n")}\n`;
+
+export const eventsToJson = (entries) =>
+    JSON.stringify(
+        {
+            version: 1,
+            entries: entries.map(({ at, ...entry }) => ({ ...entry, at: new Date(at).toISOString() })),
+        },
+        null,
+        2
+    );
+
+// Filters for the timeline: types to show (all when empty), a case-
+// insensitive text match and an optional time range in epoch milliseconds
+export const filterEvents = (entries, { types = [], text = "", from = null, to = null }) => {
+    const needle = text.trim().toLowerCase();
+    return entries.filter(
+        (entry) =>
+            (types.length === 0 || types.includes(entry.type)) &&
+            (from === null || entry.at >= from) &&
+            (to === null || entry.at <= to) &&
+            (!needle || entry.message.toLowerCase().includes(needle))
+    );
+};
+
+export function createEventLog({ maxEntries = MAX_EVENT_ENTRIES, flushMs = 1000 } = {}) {
+    const emitter = createEmitter();
+    let pending = [];
+    let timer = null;
+
+    // Deletes the oldest entries beyond maxEntries, in the same transaction
+    const trim = (store) => {
+        const counting = store.count();
+        counting.onsuccess = () => {
+            let excess = counting.result - maxEntries;
+            if (excess <= 0) return;
+            const cursor = store.openCursor();
+            cursor.onsuccess = () => {
+                if (!cursor.result || excess <= 0) return;
+                cursor.result.delete();
+                excess--;
+                cursor.result.continue();
+            };
+        };
+    };
+
+    const flush = async () => {
+        clearTimeout(timer);
+        timer = null;
+        if (pending.length === 0) return;
+        const batch = pending;
+        pending = [];
+        try {
+            await withStore(STORES.EVENTS, "readwrite", (store) => {
+                for (const entry of batch) store.add(entry);
+                trim(store);
+            });
+            emitter.emit("change");
+        } catch (error) {
+            emitter.emit("error", error);
+        }
+    };
+
+    const record = (type, message, data) => {
+        const entry = { at: Date.now(), type, message };
+        pending.push(data === undefined ? entry : { ...entry, data });
+        if (!timer) timer = setTimeout(flush, flushMs);
+    };
+
+    // Everything stored, oldest first, plus what is still waiting to be written
+    const entries = async () => [
+        ...(await withStore(STORES.EVENTS, "readonly", (store) => store.getAll())),
+        ...pending,
+    ];
+
+    const clear = async () => {
+        pending = [];
+        await withStore(STORES.EVENTS, "readwrite", (store) => store.clear());
+        emitter.emit("change");
+    };
+
+    return { on: emitter.on, record, flush, entries, clear };
+}
@@ -0,0 +1,84 @@
+import { DEFAULT_LANGUAGE, LANGUAGES } from "./i18n";
+
+// Audio feedback for people watching the lamp instead of the screen: short
+// tones (Web Audio) and spoken announcements (Web Speech), each switched on
+// separately. Both do nothing where the browser lacks the API. An
+// announcement waits for the one being spoken; when another is already
+// waiting, both are dropped for the newest, so speech never lags far behind
+// the hands.
+
+export const CUES = {
+    GESTURE: "gesture",
+    SUCCESS: "success",
+    FAILURE: "failure",
+};
+
+// [frequency Hz, duration s] played one after another
+const TONES = {
+    [CUES.GESTURE]: [[660, 0.07]],
+    [CUES.SUCCESS]: [[880, 0.07], [1320, 0.1]],
+    [CUES.FAILURE]: [[330, 0.12], [220, 0.2]],
+};
+
+const VOLUME = 0.15;
+
+export const speechSupported = () =>
+    typeof window !== "undefined" && "speechSynthesis" in window;
+
+export function createFeedback(options = {}) {
+    let config = { sounds: false, speech: false, language: DEFAULT_LANGUAGE, ...options };
+    let audio = null;
+
+    // Browsers only start audio after a user gesture; the context is made on
+    // first use and resumed in case it was created too early
+    const context = () => {
+        if (!audio) {
+            const AudioContext = window.AudioContext ?? window.webkitAudioContext;
+            if (!AudioContext) return null;
+            audio = new AudioContext();
+        }
+        if (audio.state === "suspended") audio.resume();
+        return audio;
+    };
+
+    const cue = (kind) => {
+        if (!config.sounds) return;
+        const ctx = context();
+        if (!ctx) return;
+        let at = ctx.currentTime;
+        for (const [frequency, duration] of TONES[kind]) {
+            const oscillator = ctx.createOscillator();
+            const gain = ctx.createGain();
+            oscillator.frequency.value = frequency;
+            // Short fades, so the tones do not click
+            gain.gain.setValueAtTime(0, at);
+            gain.gain.linearRampToValueAtTime(VOLUME, at + 0.01);
+            gain.gain.linearRampToValueAtTime(0, at + duration);
+            oscillator.connect(gain).connect(ctx.destination);
+            oscillator.start(at);
+            oscillator.stop(at + duration);
+            at += duration;
+        }
+    };
+
+    const speak = (text) => {
+        if (!config.speech || !speechSupported() || !text) return;
+        const utterance = new SpeechSynthesisUtterance(text);
+        utterance.lang = LANGUAGES[config.language].speech;
+        if (window.speechSynthesis.pending) window.speechSynthesis.cancel();
+        window.speechSynthesis.speak(utterance);
+    };
+
+    const setOptions = (next) => {
+        config = { ...config, ...next };
+        if (!config.speech && speechSupported()) window.speechSynthesis.cancel();
+    };
+
+    const close = () => {
+        if (speechSupported()) window.speechSynthesis.cancel();
+        audio?.close();
+        audio = null;
+    };
+
+    return { cue, speak, setOptions, close };
+}
@@ -0,0 +1,83 @@
+// Decides which camera frames go to the hand tracker. At most one frame is in
+// flight at a time (newer frames are dropped rather than queued), and when
+// the capture-to-result latency stays above the target the scheduler starts
+// skipping frames on purpose so the tracker can catch up; it sends more
+// again once latency has recovered. A frame the tracker never answers (a
+// worker that dropped or crashed on it) is given up after `lostAfter` times
+// the target latency and counted as lost, so the loop does not stall.
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+    targetLatencyMs: 120,
+    // Never skip more than this many frames in a row
+    maxSkip: 4,
+    // Weight of the newest latency sample in the moving average
+    smoothing: 0.2,
+    // Multiple of targetLatencyMs after which an unanswered frame is lost
+    lostAfter: 10,
+};
+
+export function createFrameScheduler(options = {}) {
+    let config = { ...DEFAULT_SCHEDULER_OPTIONS, ...options };
+    let inFlight = null;
+    let latencyMs = 0;
+    let skip = 0;
+    let sinceSent = 0;
+    let sent = 0;
+    let dropped = 0;
+    let lost = 0;
+
+    // Called for every captured frame; false means drop this one
+    const shouldSend = (now = performance.now()) => {
+        if (inFlight !== null && now - inFlight > config.targetLatencyMs * config.lostAfter) {
+            inFlight = null;
+            lost++;
+        }
+        if (inFlight !== null || sinceSent < skip) {
+            sinceSent++;
+            dropped++;
+            return false;
+        }
+        return true;
+    };
+
+    const markSent = (capturedAt) => {
+        inFlight = capturedAt;
+        sinceSent = 0;
+        sent++;
+    };
+
+    // Called when the tracker has finished the frame captured at
+    // `capturedAt`. Returns the frame's latency, or null when the frame was
+    // not one the scheduler sent (a replayed one, for example).
+    const markDone = (capturedAt, now = performance.now()) => {
+        if (inFlight === null || capturedAt !== inFlight) return null;
+        inFlight = null;
+        const sample = now - capturedAt;
+        latencyMs = latencyMs === 0 ? sample : latencyMs + config.smoothing * (sample - latencyMs);
+        if (latencyMs > config.targetLatencyMs) {
+            skip = Math.min(config.maxSkip, skip + 1);
+        } else if (latencyMs < config.targetLatencyMs * 0.7) {
+            skip = Math.max(0, skip - 1);
+        }
+        return sample;
+    };
+
+    // The tracker gave up on the frame (error, reset): stop waiting for it
+    const abandon = () => {
+        inFlight = null;
+    };
+
+    const setOptions = (next) => {
+        config = { ...config, ...next };
+        skip = Math.min(skip, config.maxSkip);
+    };
+
+    return {
+        shouldSend,
+        markSent,
+        markDone,
+        abandon,
+        setOptions,
+        getStats: () => ({ latencyMs, skip, sent, dropped, lost }),
+    };
+}
@@ -0,0 +1,623 @@
+import { createEmitter } from "./emitter";
+import {
+    DEFAULT_ASSETS_PATH,
+    DEFAULT_TRACKING_OPTIONS,
+    createTracker,
+    unpackLandmarks,
+} from "./tracking";
+import { createFrameScheduler } from "./frameScheduler";
+import { createMetrics, METRICS } from "./metrics";
+import { createMotionDetector, MOTIONS } from "./motion";
+import { CAMERA_STATUS, DEFAULT_CAMERA_OPTIONS, createCameraSource, parseResolution } from "./camera";
+import { COMMAND_STATUS, createCommandDispatcher } from "./dispatcher";
+import {
+    ALL_DEVICES,
+    applyCommandToLevels,
+    evaluateMotionRules,
+    evaluateRules,
+    isSameCommand,
+} from "./actions";
+import {
+    COLOR_FORMATS,
+    COLOR_MODES,
+    DEFAULT_COLOR_OPTIONS,
+    colorCommand,
+    createColorTracker,
+    createRateLimiter,
+    pickColorHand,
+} from "./color";
+import { GESTURES } from "./gestures";
+import {
+    ARM_STATES,
+    DEFAULT_SAFETY_OPTIONS,
+    FAIL_SAFE_ACTIONS,
+    createArmingController,
+    failSafeCommand,
+} from "./safety";
+import { STOP_SCENE, createScenePlayer, stepToCommand } from "./scenes";
+import { createSequenceMatcher } from "./sequences";
+
+// Hand gesture controller: the camera, the frame scheduler, the hand tracker
+// (MediaPipe Hands, smoothing, classification and the overlay, see
+// tracking/) and the motion detector behind one event-emitter API, with no
+// React in it. Attach a <video> and a <canvas>, start it and listen:
+//
+//   "frame"      every tracked frame, { timestamp, inferenceMs, drawMs, hands }
+//                with { hand, label, score, result, landmarks, raw } per hand
+//   "landmarks"  every tracked frame, { timestamp, hands: [{ hand, landmarks }] }
+//   "gesture"    { hand, result, timestamp } when a hand's gesture, finger
+//                count or custom gesture changes
+//   "handLost"   { hand, timestamp } when a hand leaves the view
+//   "motion"     swipes, waves, pinch-drags and holds (see motion.js)
+//   "command"    { source, ...status } for the commands it dispatches; the
+//                source is the hand or a COMMAND_SOURCES value
+//   "color"      { hand, color, locked } when the color hand's color changes,
+//                { hand: null, color: null } once there is none
+//   "failSafe"   { reason, command } when the fail-safe command goes out
+//   "status"     the camera status; "resize" { width, height } of the canvas
+//   "error"      Errors with `source` "camera" or "tracking"
+//   "ready", "clear"
+//
+// Landmarks are arrays of 21 { x, y, z }. Given `send` (same contract as a
+// transport's send) it also drives the boards:
+//
+// - `rules` become LED commands, one dispatcher per hand: pose rules once the
+//   pose has been held, motion rules right away. A motion command latches
+//   the pose it was made in, so the pose rule does not undo it straight away.
+// - `safety` arms the hands (`arming`, see safety.js): they only control
+//   anything while armed. The fail-safe command goes out when an armed hand
+//   is lost, the camera fails or pauses, or on `failSafe(reason)`.
+// - `color` lets one hand pick a color instead of running its rules; new
+//   colors go out on its dispatcher, at most one per `minIntervalMs`.
+// - `sequences` of poses play `scenes` (`scenes` is the player, `sequences`
+//   the matcher, for their events); pose rules pause while a scene plays.
+//   Scene steps and the fail-safe have a dispatcher each.
+
+const TRACKING_KEYS = ["threshold", "smoothing", "hands", "knn"];
+// Options merged key by key instead of replaced
+const NESTED_KEYS = ["camera", "color", "safety"];
+
+// Dispatchers next to the per-hand ones
+export const COMMAND_SOURCES = {
+    SCENE: "scene",
+    SAFETY: "safety",
+};
+
+export const DEFAULT_CONTROLLER_OPTIONS = {
+    ...Object.fromEntries(TRACKING_KEYS.map((key) => [key, DEFAULT_TRACKING_OPTIONS[key]])),
+    camera: DEFAULT_CAMERA_OPTIONS,
+    // Color mode (see color.js); off unless a hand is picked
+    color: {
+        ...DEFAULT_COLOR_OPTIONS,
+        mode: COLOR_MODES.OFF,
+        format: COLOR_FORMATS.RGB,
+        minIntervalMs: 100,
+    },
+    // Arming and the fail-safe (see safety.js); always armed and no
+    // fail-safe unless set
+    safety: {
+        ...DEFAULT_SAFETY_OPTIONS,
+        armGesture: GESTURES.NONE,
+        failSafe: FAIL_SAFE_ACTIONS.NONE,
+        failSafeLevel: 0,
+    },
+    sequences: [],
+    scenes: [],
+    // Frame scheduler and motion detector options
+    scheduler: {},
+    motion: {},
+    customGestures: [],
+    // Hands this returns false for make no motion events and no commands,
+    // on top of arming and the color hand
+    isControlling: () => true,
+    // Pose rules send nothing while this returns true (motion rules still
+    // fire), on top of a scene playing
+    isPaused: () => false,
+    rules: [],
+    send: null,
+    // (target) => { [channel]: level } the boards a rule's target reaches
+    // are at, for toggles. Without it the controller goes by the levels its
+    // own acknowledged commands set, per target.
+    levelsFor: null,
+    hold: { holdFrames: 3, holdMs: 0 },
+    assetsPath: DEFAULT_ASSETS_PATH,
+};
+
+const trackingOptions = (options) => ({
+    ...Object.fromEntries(TRACKING_KEYS.map((key) => [key, options[key]])),
+    mirrored: options.camera.mirrored,
+});
+
+const mergeOptions = (base, next) => ({
+    ...base,
+    ...next,
+    ...Object.fromEntries(
+        NESTED_KEYS.filter((key) => key in next).map((key) => [key, { ...base[key], ...next[key] }])
+    ),
+});
+
+const colorKey = ({ hand, color, locked }) =>
+    color ? [hand, color.h, color.s, color.v, locked].join("|") : "";
+
+const gestureKey = (result) => [result.gesture, result.count, result.custom?.gesture].join("|");
+
+const reopens = (previous, next) =>
+    next.deviceId !== previous.deviceId ||
+    next.resolution !== previous.resolution ||
+    next.frameRate !== previous.frameRate;
+
+export class GestureController {
+    #emitter = createEmitter();
+    #options;
+    #tracker = null;
+    #camera = null;
+    #canvas = null;
+    #video = null;
+    #size;
+    #motion;
+    // Last gesture key per hand in view
+    #gestures = new Map();
+    // Own dispatch (with `send` only): dispatchers by source, the pose
+    // command per hand, the pose a motion command latched and acknowledged
+    // levels
+    #dispatchers = new Map();
+    #poseCommands = new Map();
+    #latches = new Map();
+    #levels = new Map();
+    // Whether the last frame came from the camera rather than a replay,
+    // whose recorded timestamps cannot be timed against
+    #live = false;
+    // Color mode: the tracker follows the color hand, the limiter spaces
+    // out its commands
+    #colorTracker;
+    #colorLimiter;
+    #colorCommand = null;
+    #colorKey = "";
+
+    constructor(options = {}) {
+        this.#options = mergeOptions(DEFAULT_CONTROLLER_OPTIONS, options);
+        const { color, safety } = this.#options;
+        this.#size = parseResolution(this.#options.camera.resolution);
+        // Public so a diagnostics view can show them; pass `metrics` to
+        // collect other timings in the same place
+        this.scheduler = createFrameScheduler(this.#options.scheduler);
+        this.metrics = options.metrics ?? createMetrics();
+        this.#motion = createMotionDetector(this.#options.motion);
+        this.#motion.on("motion", (event) => this.#handleMotion(event));
+
+        this.#colorTracker = createColorTracker(color);
+        this.#colorLimiter = createRateLimiter(
+            ({ hand, command }) => this.sendCommand(hand, command),
+            color.minIntervalMs
+        );
+
+        // Public for their events and state; disarm with arming.disarm(reason)
+        this.arming = createArmingController(safety);
+        this.arming.on("handLost", () => {
+            if (this.arming.getState() === ARM_STATES.ARMED) this.failSafe("hand lost");
+        });
+        this.scenes = createScenePlayer({
+            send: (step) =>
+                this.sendCommand(COMMAND_SOURCES.SCENE, stepToCommand(step, this.#options.color.format)),
+            cancel: () => this.#dispatchers.get(COMMAND_SOURCES.SCENE)?.cancel(),
+        });
+        this.sequences = createSequenceMatcher(this.#options.sequences);
+        // A completed sequence plays its scene, or stops the one playing
+        this.sequences.on("match", ({ sequence }) => {
+            if (sequence.scene === STOP_SCENE) {
+                this.scenes.stop();
+                return;
+            }
+            const scene = this.#options.scenes.find(({ id }) => id === sequence.scene);
+            if (scene?.steps.length > 0) this.scenes.play(scene);
+        });
+    }
+
+    on(event, handler) {
+        return this.#emitter.on(event, handler);
+    }
+
+    // A canvas can hand its drawing over to a worker only once, so the first
+    // video and canvas stay attached for the controller's lifetime
+    attach({ video, canvas }) {
+        if (this.#tracker) {
+            if (canvas !== this.#canvas || video !== this.#video) {
+                throw new Error("A GestureController cannot move to another video or canvas");
+            }
+            return;
+        }
+        this.#canvas = canvas;
+        this.#video = video;
+        this.#tracker = createTracker(canvas, {
+            options: trackingOptions(this.#options),
+            assetsPath: this.#options.assetsPath,
+        });
+        this.#tracker.setCustomGestures(this.#options.customGestures);
+        this.#tracker.resize(this.#size.width, this.#size.height);
+        this.#tracker.on("frame", (frame) => this.#handleFrame(frame));
+        this.#tracker.on("ready", () => this.#emitter.emit("ready"));
+        this.#tracker.on("error", (error) => {
+            this.scheduler.abandon();
+            this.#emitter.emit("error", Object.assign(error, { source: "tracking" }));
+        });
+
+        this.#camera = createCameraSource(video, { onFrame: (source) => this.#sendFrame(source) });
+        this.#camera.on("status", (status) => this.#handleStatus(status));
+        this.#camera.on("error", (error) =>
+            this.#emitter.emit("error", Object.assign(error, { source: "camera" }))
+        );
+    }
+
+    // Opens the camera with the current camera options
+    start() {
+        if (!this.#camera) return Promise.reject(new Error("Attach a video and canvas first"));
+        return this.#camera.start(this.#options.camera);
+    }
+
+    // With a reason, a camera that was on counts as control lost: the hands
+    // are disarmed and the fail-safe goes out. Without one, e.g. when a
+    // component unmounts, it only stops.
+    stop(reason) {
+        const wasOn = this.getStatus() !== CAMERA_STATUS.STOPPED;
+        this.#camera?.stop();
+        if (reason && wasOn) this.#loseControl(reason);
+    }
+
+    // Frames stop arriving, so this is control lost as well
+    pause() {
+        this.#camera?.pause();
+        this.resetCommands();
+        this.#loseControl("camera paused");
+    }
+
+    resume() {
+        return this.#camera?.resume();
+    }
+
+    // Runs recorded results (see recorder.js) through classification and
+    // drawing in place of camera frames
+    replay(results) {
+        this.#tracker?.replay(results);
+    }
+
+    // Blanks the overlay and forgets the hands, e.g. once the camera stops
+    clear() {
+        this.#tracker?.clear();
+        this.scheduler.abandon();
+        const now = performance.now();
+        for (const hand of this.#gestures.keys()) this.#motion.lost(hand, now);
+        this.#gestures.clear();
+        this.sequences.cancel();
+        this.cancelCommands();
+        this.#resetColor();
+        this.#emitter.emit("clear");
+    }
+
+    // Sends a command on a hand's (or a COMMAND_SOURCES) dispatcher right
+    // away, skipping the hold check; needs `send`. Resolves once the command
+    // has settled.
+    sendCommand(source, command) {
+        return this.#getDispatcher(source).sendNow(command);
+    }
+
+    // Forgets what was sent, so the poses in view are sent again, e.g. to a
+    // link that has just come up
+    resetCommands() {
+        for (const dispatcher of this.#dispatchers.values()) dispatcher.reset();
+    }
+
+    // Drops the commands in flight, the color waiting to go out and the
+    // motion latches, e.g. for a fail-safe command that has to win
+    cancelCommands() {
+        this.#latches.clear();
+        this.#colorLimiter.cancel();
+        this.#colorCommand = null;
+        for (const dispatcher of this.#dispatchers.values()) {
+            dispatcher.cancel();
+            dispatcher.reset();
+        }
+    }
+
+    // Sends the fail-safe command, if one is set, in place of whatever the
+    // hands or a scene were doing. Resolves once it has settled.
+    failSafe(reason) {
+        const command = failSafeCommand(this.#options.safety);
+        if (!command || !this.#options.send) return Promise.resolve();
+        this.scenes.stop();
+        this.cancelCommands();
+        this.#emitter.emit("failSafe", { reason, command });
+        return this.sendCommand(COMMAND_SOURCES.SAFETY, command);
+    }
+
+    // Takes any subset of the options; camera changes that need a new stream
+    // reopen a running camera
+    setOptions(next) {
+        const previous = this.#options;
+        const options = mergeOptions(previous, next);
+        this.#options = options;
+
+        const tracking = Object.fromEntries(
+            TRACKING_KEYS.filter((key) => key in next).map((key) => [key, options[key]])
+        );
+        if (options.camera.mirrored !== previous.camera.mirrored) {
+            tracking.mirrored = options.camera.mirrored;
+        }
+        if (Object.keys(tracking).length > 0) this.#tracker?.setOptions(tracking);
+        if (next.customGestures) this.#tracker?.setCustomGestures(options.customGestures);
+        if (next.scheduler) this.scheduler.setOptions(options.scheduler);
+        if (next.motion) this.#motion.setOptions(options.motion);
+        if (next.hold) {
+            for (const dispatcher of this.#dispatchers.values()) dispatcher.setOptions(options.hold);
+        }
+        if (next.safety) this.arming.setOptions(options.safety);
+        if (next.sequences) this.sequences.setSequences(options.sequences);
+        if (next.color) {
+            this.#colorTracker.setOptions(options.color);
+            this.#colorLimiter.setInterval(options.color.minIntervalMs);
+            if (options.color.mode === COLOR_MODES.OFF) {
+                this.#colorLimiter.cancel();
+                this.#colorCommand = null;
+                this.#resetColor();
+            }
+        }
+        if ("send" in next && !options.send) {
+            for (const dispatcher of this.#dispatchers.values()) dispatcher.cancel();
+        }
+
+        if (next.camera && reopens(previous.camera, options.camera)) {
+            this.#resize(parseResolution(options.camera.resolution));
+            const status = this.getStatus();
+            if (status === CAMERA_STATUS.RUNNING || status === CAMERA_STATUS.PAUSED) this.start();
+        }
+    }
+
+    getOptions() {
+        return this.#options;
+    }
+
+    // The attached video, e.g. for recording thumbnails
+    getVideo() {
+        return this.#video;
+    }
+
+    getStatus() {
+        return this.#camera?.getStatus() ?? CAMERA_STATUS.STOPPED;
+    }
+
+    // Canvas size: the requested resolution until the camera reports its own
+    getSize() {
+        return this.#size;
+    }
+
+    // The controller cannot be used again afterwards
+    destroy() {
+        this.stop();
+        this.scenes.stop();
+        this.#colorLimiter.cancel();
+        for (const dispatcher of this.#dispatchers.values()) dispatcher.cancel();
+        this.#tracker?.close();
+    }
+
+    #loseControl(reason) {
+        this.arming.disarm(reason);
+        this.failSafe(reason);
+    }
+
+    // Hand the frame over as an ImageBitmap unless the tracker is still busy
+    // or the scheduler is skipping frames to catch up
+    async #sendFrame(video) {
+        this.metrics.tick(METRICS.CAMERA_FRAME);
+        if (!this.scheduler.shouldSend()) return;
+        const timestamp = performance.now();
+        this.scheduler.markSent(timestamp);
+        try {
+            this.#tracker.send(await createImageBitmap(video), timestamp);
+        } catch (error) {
+            this.scheduler.abandon();
+            throw error;
+        }
+    }
+
+    #handleStatus(status) {
+        this.#emitter.emit("status", status);
+        if (status === CAMERA_STATUS.RUNNING) {
+            const size = this.#camera.getSize();
+            if (size.width && size.height) this.#resize(size);
+        }
+        // Nothing more will be detected
+        if (status === CAMERA_STATUS.STOPPED || status === CAMERA_STATUS.ERROR) this.clear();
+        // Unplugged or refused
+        if (status === CAMERA_STATUS.ERROR) this.#loseControl("camera error");
+    }
+
+    #resize(size) {
+        if (size.width === this.#size.width && size.height === this.#size.height) return;
+        this.#size = size;
+        this.#tracker?.resize(size.width, size.height);
+        this.#emitter.emit("resize", size);
+    }
+
+    // Replays carry their recorded timestamp so time-based stages (motion,
+    // hold times) behave as they did live
+    #handleFrame(frame) {
+        const { timestamp } = frame;
+        const latency = this.scheduler.markDone(timestamp);
+        if (latency !== null) this.metrics.record(METRICS.TRACKING_LATENCY, latency);
+        // Replayed frames skip inference
+        if (frame.inferenceMs > 0) this.metrics.record(METRICS.INFERENCE, frame.inferenceMs);
+        this.metrics.record(METRICS.DRAW, frame.drawMs);
+
+        this.#live = frame.inferenceMs > 0;
+
+        const hands = frame.hands.map((hand) => ({
+            ...hand,
+            landmarks: unpackLandmarks(hand.landmarks),
+            raw: unpackLandmarks(hand.raw),
+        }));
+        // Two hands with the same label: the first one counts
+        const counted = hands.filter(
+            (hand, index) => hands.findIndex(({ hand: other }) => other === hand.hand) === index
+        );
+
+        // Hands only control anything while armed, and the color hand picks
+        // a color instead. A sequence completed by this frame's pose starts
+        // its scene before the pose's own rule could be sent; the color
+        // hand moves around on purpose, so it completes none.
+        const { isControlling, isPaused, send, rules, color } = this.#options;
+        const armed = this.arming.update(hands, timestamp) === ARM_STATES.ARMED;
+        const colorHand = armed ? (pickColorHand(hands, color.mode)?.hand ?? null) : null;
+        const controls = (hand) => armed && hand !== colorHand && isControlling(hand);
+        for (const { hand, result } of counted) {
+            if (controls(hand)) this.sequences.update(hand, result, timestamp);
+            else this.sequences.lost(hand, timestamp);
+        }
+
+        const emit = this.#emitter.emit;
+        emit("frame", { ...frame, hands });
+        emit("landmarks", { timestamp, hands: hands.map(({ hand, landmarks }) => ({ hand, landmarks })) });
+
+        const paused = () => isPaused() || this.scenes.getPlaying() !== null;
+        for (const { hand, landmarks, result } of counted) {
+            const key = gestureKey(result);
+            if (this.#gestures.get(hand) !== key) {
+                this.#gestures.set(hand, key);
+                emit("gesture", { hand, result, timestamp });
+            }
+            // Motion events are emitted synchronously from here
+            const controlling = controls(hand);
+            if (controlling) this.#motion.update(hand, landmarks, result, timestamp);
+            else this.#motion.lost(hand, timestamp);
+            if (send) {
+                const command =
+                    controlling && !paused() ? evaluateRules(rules, result, landmarks, hand) : null;
+                this.#pushPoseCommand(hand, command, timestamp);
+            }
+        }
+        const seen = new Set(counted.map(({ hand }) => hand));
+
+        // A hand that left the frame stops counting towards its hold time
+        for (const hand of [...this.#gestures.keys()]) {
+            if (seen.has(hand)) continue;
+            this.#gestures.delete(hand);
+            this.#motion.lost(hand, timestamp);
+            this.sequences.lost(hand, timestamp);
+            emit("handLost", { hand, timestamp });
+        }
+        for (const [source, dispatcher] of this.#dispatchers) {
+            if (!seen.has(source)) dispatcher.push(null, timestamp);
+        }
+
+        if (colorHand) {
+            this.#updateColor(counted.find(({ hand }) => hand === colorHand), timestamp);
+        } else {
+            this.#showColor({ hand: null, color: null });
+        }
+    }
+
+    // Only new colors are sent, at most one per minIntervalMs
+    #updateColor({ hand, landmarks, result }, timestamp) {
+        const { format } = this.#options.color;
+        const { color, locked } = this.#colorTracker.update(
+            landmarks,
+            result.gesture,
+            timestamp,
+            this.#options.camera.mirrored
+        );
+        if (color && this.#options.send) {
+            const command = colorCommand(color, format);
+            if (!isSameCommand(command, this.#colorCommand)) {
+                this.#colorCommand = command;
+                this.#colorLimiter.push({ hand, command });
+            }
+        }
+        this.#showColor({ hand, color, locked });
+    }
+
+    #resetColor() {
+        this.#colorTracker.reset();
+        this.#showColor({ hand: null, color: null });
+    }
+
+    #showColor(event) {
+        const key = colorKey(event);
+        if (key === this.#colorKey) return;
+        this.#colorKey = key;
+        this.#emitter.emit("color", event);
+    }
+
+    #handleMotion(event) {
+        this.#emitter.emit("motion", event);
+        if (!this.#options.send) return;
+        if (event.type === MOTIONS.PINCH_DRAG && event.phase === "move") return;
+        // Toggles need the current levels
+        const command = evaluateMotionRules(
+            this.#options.rules,
+            event,
+            this.#options.levelsFor ?? ((target) => this.#levels.get(target ?? ALL_DEVICES) ?? {})
+        );
+        if (!command) return;
+        // The pose rule does not immediately undo the motion's command
+        this.#latches.set(event.hand, this.#poseCommands.get(event.hand) ?? null);
+        this.#getDispatcher(event.hand).sendNow(command);
+    }
+
+    // The latch holds until the pose rule's command changes
+    #pushPoseCommand(hand, command, timestamp) {
+        this.#poseCommands.set(hand, command);
+        const dispatcher = this.#getDispatcher(hand);
+        if (this.#latches.has(hand)) {
+            const latched = this.#latches.get(hand);
+            if (command === null || isSameCommand(command, latched)) {
+                dispatcher.push(null, timestamp);
+                return;
+            }
+            this.#latches.delete(hand);
+        }
+        dispatcher.push(command, timestamp);
+    }
+
+    // Scene steps and the fail-safe were not detected at all
+    #isHand(source) {
+        return source !== COMMAND_SOURCES.SCENE && source !== COMMAND_SOURCES.SAFETY;
+    }
+
+    // Times the round trip to the boards, and for a hand's live commands
+    // the whole way from the pose being seen
+    #send(command, options) {
+        if (!this.#options.send) return Promise.reject(new Error("No send set"));
+        const stop = this.metrics.time(METRICS.ACK_ROUND_TRIP);
+        return this.#options.send(command, options).then((reply) => {
+            stop();
+            return reply;
+        });
+    }
+
+    #getDispatcher(source) {
+        let dispatcher = this.#dispatchers.get(source);
+        if (!dispatcher) {
+            dispatcher = createCommandDispatcher({
+                send: (command, options) => this.#send(command, options),
+                onStatus: (status) => {
+                    if (status.status === COMMAND_STATUS.ACKNOWLEDGED) {
+                        const target = status.command.target ?? ALL_DEVICES;
+                        this.#levels.set(
+                            target,
+                            applyCommandToLevels(this.#levels.get(target) ?? {}, status.command)
+                        );
+                        if (this.#isHand(source) && this.#live) {
+                            this.metrics.record(
+                                METRICS.GESTURE_TO_ACK,
+                                performance.now() - status.detectedAt
+                            );
+                        }
+                    }
+                    this.#emitter.emit("command", { source, ...status });
+                },
+                isEqual: isSameCommand,
+                ...this.#options.hold,
+            });
+            this.#dispatchers.set(source, dispatcher);
+        }
+        return dispatcher;
+    }
+}
@@ -0,0 +1,230 @@
+// Static hand pose classifier. Pure function over the 21 MediaPipe hand
+// landmarks:
+// - Wrist: 0
+// - Thumb: 1 (CMC) -> 2 (MCP) -> 3 (IP) -> 4 (TIP)
+// - Index: 5 (MCP) -> 6 (PIP) -> 7 (DIP) -> 8 (TIP)
+// - Middle: 9 (MCP) -> 10 (PIP) -> 11 (DIP) -> 12 (TIP)
+// - Ring: 13 (MCP) -> 14 (PIP) -> 15 (DIP) -> 16 (TIP)
+// - Pinky: 17 (MCP) -> 18 (PIP) -> 19 (DIP) -> 20 (TIP)
+
+export const WRIST = 0;
+
+export const FINGERS = {
+    thumb: { base: 2, tip: 4 },
+    index: { base: 5, tip: 8 },
+    middle: { base: 9, tip: 12 },
+    ring: { base: 13, tip: 16 },
+    pinky: { base: 17, tip: 20 },
+};
+
+export const FINGER_NAMES = Object.keys(FINGERS);
+
+export const HANDEDNESS = {
+    LEFT: "Left",
+    RIGHT: "Right",
+};
+
+export const GESTURES = {
+    NONE: "none",
+    FIST: "fist",
+    OPEN_PALM: "open_palm",
+    POINTING: "pointing",
+    PEACE: "peace",
+    THUMBS_UP: "thumbs_up",
+    THUMBS_DOWN: "thumbs_down",
+    OK: "ok",
+};
+
+export const GESTURE_LABELS = {
+    [GESTURES.NONE]: "No gesture",
+    [GESTURES.FIST]: "Fist",
+    [GESTURES.OPEN_PALM]: "Open palm",
+    [GESTURES.POINTING]: "Pointing",
+    [GESTURES.PEACE]: "Peace",
+    [GESTURES.THUMBS_UP]: "Thumbs up",
+    [GESTURES.THUMBS_DOWN]: "Thumbs down",
+    [GESTURES.OK]: "OK",
+};
+
+// Finger states each gesture needs: true = extended, false = folded,
+// missing = either. Extra geometric checks live in GESTURE_CHECKS.
+const GESTURE_PATTERNS = {
+    [GESTURES.FIST]: { thumb: false, index: false, middle: false, ring: false, pinky: false },
+    [GESTURES.OPEN_PALM]: { thumb: true, index: true, middle: true, ring: true, pinky: true },
+    [GESTURES.POINTING]: { index: true, middle: false, ring: false, pinky: false },
+    [GESTURES.PEACE]: { index: true, middle: true, ring: false, pinky: false },
+    [GESTURES.THUMBS_UP]: { thumb: true, index: false, middle: false, ring: false, pinky: false },
+    [GESTURES.THUMBS_DOWN]: { thumb: true, index: false, middle: false, ring: false, pinky: false },
+    [GESTURES.OK]: { middle: true, ring: true, pinky: true },
+};
+
+export const DEFAULT_CLASSIFIER_OPTIONS = {
+    // Tip-to-wrist over base-to-wrist ratio above which a finger counts as
+    // extended. A number applies to every finger, an object sets each one.
+    threshold: 1.5,
+    // How soft the extended/folded decision is around the threshold
+    softness: 0.08,
+    // Thumb-index tip distance, relative to palm size, that counts as touching
+    pinchRatio: 0.3,
+    // How far (relative to palm size) the thumb tip has to reach past the
+    // index knuckle, on the thumb side, to count as extended. Only used when
+    // the handedness is known.
+    thumbReach: 0.05,
+    // MediaPipe handedness label of this hand, if known
+    handedness: null,
+    // Below this the result is reported as GESTURES.NONE
+    minConfidence: 0.5,
+};
+
+export const dist = (p1, p2) =>
+    Math.sqrt(
+        Math.pow(p1.x - p2.x, 2) +
+            Math.pow(p1.y - p2.y, 2) +
+            Math.pow(p1.z - p2.z, 2)
+    );
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+// Wrist to middle-finger MCP: a scale reference that barely changes with pose
+export const palmSize = (landmarks) => dist(landmarks[WRIST], landmarks[9]);
+
+export const resolveThresholds = (threshold) =>
+    Object.fromEntries(
+        FINGER_NAMES.map((name) => [
+            name,
+            typeof threshold === "number" ? threshold : threshold[name],
+        ])
+    );
+
+// Tip-to-wrist distance divided by base-to-wrist distance per finger; the
+// ratio grows as the finger extends away from the palm
+export const fingerRatios = (landmarks) =>
+    Object.fromEntries(
+        Object.entries(FINGERS).map(([name, { base, tip }]) => [
+            name,
+            dist(landmarks[tip], landmarks[WRIST]) /
+                dist(landmarks[base], landmarks[WRIST]),
+        ])
+    );
+
+// Normalized thumb-index tip distance, 0 when the tips touch
+export const pinchDistance = (landmarks) =>
+    dist(landmarks[4], landmarks[8]) / palmSize(landmarks);
+
+// MediaPipe labels hands as if the input were mirrored (selfie view). For a
+// camera image that is not mirrored the label is the opposite of the hand the
+// user actually raised.
+export const userHand = (label, mirrored = false) => {
+    if (mirrored) return label;
+    return label === HANDEDNESS.LEFT ? HANDEDNESS.RIGHT : HANDEDNESS.LEFT;
+};
+
+// Side of the palm the thumb is on. With the fingers pointing up and the palm
+// facing the camera a "Left"-labelled hand has its thumb towards smaller x and
+// a "Right" one towards larger x; the sides swap when the back of the hand
+// faces the camera. Returns a unit vector in image space plus the palm
+// orientation, or null without handedness.
+export function thumbSide(landmarks, handedness) {
+    if (!handedness) return null;
+    const wrist = landmarks[WRIST];
+    const axis = { x: landmarks[9].x - wrist.x, y: landmarks[9].y - wrist.y };
+    const length = Math.hypot(axis.x, axis.y) || 1;
+    // Perpendicular to the wrist -> middle MCP axis
+    const normal = { x: -axis.y / length, y: axis.x / length };
+    const expected = handedness === HANDEDNESS.LEFT ? -1 : 1;
+    // Which side the index knuckle is on tells whether the palm faces us
+    const indexSide = Math.sign(
+        (landmarks[5].x - landmarks[17].x) * normal.x +
+            (landmarks[5].y - landmarks[17].y) * normal.y
+    );
+    const palmFacing = indexSide === 0 || indexSide === expected;
+    const sign = palmFacing ? expected : -expected;
+    return { x: normal.x * sign, y: normal.y * sign, palmFacing };
+}
+
+// Thumb tip offset past the index knuckle along the thumb side, relative to
+// palm size. Positive when the thumb sticks out, negative when it is folded
+// across the palm.
+export const thumbReach = (landmarks, side) =>
+    ((landmarks[4].x - landmarks[5].x) * side.x +
+        (landmarks[4].y - landmarks[5].y) * side.y) /
+    palmSize(landmarks);
+
+// Additional evidence (0..1) for gestures that are more than finger states
+const GESTURE_CHECKS = {
+    // Image y grows downwards, so "up" is a tip above its MCP
+    [GESTURES.THUMBS_UP]: (landmarks) =>
+        sigmoid(((landmarks[2].y - landmarks[4].y) / palmSize(landmarks) - 0.3) * 12),
+    [GESTURES.THUMBS_DOWN]: (landmarks) =>
+        sigmoid(((landmarks[4].y - landmarks[2].y) / palmSize(landmarks) - 0.3) * 12),
+    [GESTURES.OK]: (landmarks, options) =>
+        sigmoid((options.pinchRatio - pinchDistance(landmarks)) / 0.05),
+};
+
+export function classifyGesture(landmarks, options = {}) {
+    const config = { ...DEFAULT_CLASSIFIER_OPTIONS, ...options };
+    const thresholds = resolveThresholds(config.threshold);
+    const ratios = fingerRatios(landmarks);
+
+    const side = thumbSide(landmarks, config.handedness);
+
+    const fingers = {};
+    for (const name of FINGER_NAMES) {
+        let pExtended = sigmoid((ratios[name] - thresholds[name]) / config.softness);
+        // The distance ratio alone cannot tell a thumb folded across the palm
+        // from one held out, so require it to reach out on the thumb side too
+        if (name === "thumb" && side) {
+            pExtended *= sigmoid(
+                (thumbReach(landmarks, side) - config.thumbReach) / (config.softness / 2)
+            );
+        }
+        fingers[name] = {
+            extended: pExtended > 0.5,
+            ratio: ratios[name],
+            pExtended,
+            confidence: Math.max(pExtended, 1 - pExtended),
+        };
+    }
+
+    const scores = {};
+    for (const [gesture, pattern] of Object.entries(GESTURE_PATTERNS)) {
+        let score = 1;
+        for (const [name, extended] of Object.entries(pattern)) {
+            const p = fingers[name].pExtended;
+            score *= extended ? p : 1 - p;
+        }
+        const check = GESTURE_CHECKS[gesture];
+        if (check) score *= check(landmarks, config);
+        scores[gesture] = score;
+    }
+
+    let gesture = GESTURES.NONE;
+    let confidence = 0;
+    for (const [name, score] of Object.entries(scores)) {
+        if (score > confidence) {
+            gesture = name;
+            confidence = score;
+        }
+    }
+    if (confidence < config.minConfidence) {
+        gesture = GESTURES.NONE;
+        confidence = 1 - confidence;
+    }
+
+    const count = FINGER_NAMES.filter((name) => fingers[name].extended).length;
+    const countConfidence = FINGER_NAMES.reduce(
+        (product, name) => product * fingers[name].confidence,
+        1
+    );
+
+    return {
+        gesture,
+        confidence,
+        handedness: config.handedness,
+        palmFacing: side ? side.palmFacing : null,
+        count,
+        countConfidence,
+        fingers,
+        scores,
+    };
+}
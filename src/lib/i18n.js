@@ -0,0 +1,985 @@
+// UI text in each supported language. Messages are looked up by key and
+// fill `{name}` placeholders from the params; a key with `.one` / `.other`
+// variants picks one by `params.count`. Missing keys fall back to English,
+// then to the key itself, so a half-finished translation still shows
+// something readable.
+//
+// Every part of the UI goes through here: the main screen and the
+// configuration panels below it, the settings lock and the diagnostics HUD.
+// Only the entries of the event and audit logs stay English, because they
+// are records that get exported and compared; the panels showing them are
+// translated.
+
+export const LANGUAGES = {
+    en: { label: "English", speech: "en-US" },
+    id: { label: "Bahasa Indonesia", speech: "id-ID" },
+};
+
+export const DEFAULT_LANGUAGE = "en";
+
+export const MESSAGES = {
+    en: {
+        "app.title": "Hand Gesture Detector",
+        "app.diagnostics": "Diagnostics",
+        "status.label": "Status: {text}",
+        "status.colorLocked": "Locked",
+        "hand.Left": "Left",
+        "hand.Right": "Right",
+        "hand.name": "{hand} hand",
+        "hand.fingers.one": "{count} finger",
+        "hand.fingers.other": "{count} fingers",
+        "hand.custom": "custom",
+        "motion.last": "Last motion: {motion}",
+        "motion.phase.start": "start",
+        "motion.phase.end": "end",
+        "sequence.progress": "Sequence: {name} {step}/{of}",
+        "scene.playing": "Playing scene: {name}",
+        "scene.stop": "Stop",
+        "dispatcher.scene": "Scene",
+        "dispatcher.safety": "Fail-safe",
+        "commandStatus.idle": "idle",
+        "commandStatus.pending": "pending",
+        "commandStatus.acknowledged": "acknowledged",
+        "commandStatus.failed": "failed",
+        "commandStatus.none": "No command sent yet",
+        "commandStatus.cancelled": "{command} cancelled",
+        "commandStatus.sending": "Sending {command}",
+        "commandStatus.retrying": "Sending {command} (retry {attempt})",
+        "commandStatus.acknowledgedDetail": "{command} acknowledged: {response}",
+        "commandStatus.emptyReply": "(empty reply)",
+        "commandStatus.failedDetail": "{command} failed: {error}",
+        "arming.disarmed": "disarmed",
+        "arming.arming": "arming",
+        "arming.armed": "armed",
+        "arming.hint": "Hold {gesture} to arm gesture control",
+        "arming.disarm": "Disarm",
+        "transport.http": "HTTP POST",
+        "transport.websocket": "WebSocket",
+        "transport.mqtt": "MQTT over WebSocket",
+        "transport.serial": "Web Serial (USB)",
+        "transport.virtual": "Virtual device (simulated)",
+        "transport.status.disconnected": "disconnected",
+        "transport.status.connecting": "connecting",
+        "transport.status.connected": "connected",
+        "transport.status.error": "error",
+        "transport.connect": "Connect",
+        "transport.disconnect": "Disconnect",
+        "transport.locked": "Unlock the settings first",
+        "lock.settings": "Settings are locked",
+        "lock.devices": "Devices are locked",
+        "lock.rules": "Rules are locked",
+        "lock.scenes": "Scenes are locked",
+        "lock.conformance": "Conformance tests are locked",
+        "lock.calibration": "Calibration is locked",
+        "lock.training": "Custom gestures are locked",
+        "lock.sessions": "Session recording is locked",
+        "lock.virtualDevice": "The virtual device is locked",
+        "lock.pin": "PIN",
+        "lock.unlock": "Unlock",
+        "lock.wrongPin": "Wrong PIN",
+        "lock.tryAgain": "Too many wrong PINs; try again in {seconds} s",
+        "lock.lockedOut": "Too many wrong PINs; locked for {seconds} s",
+        "lock.newPin": "New PIN",
+        "lock.pinHint": "Settings PIN (4-8 digits)",
+        "lock.invalidPin": "The PIN must be 4 to 8 digits",
+        "lock.pinSaved": "PIN saved",
+        "lock.setPin": "Set PIN",
+        "lock.changePin": "Change PIN",
+        "lock.removePin": "Remove PIN",
+        "lock.lock": "Lock",
+        "camera.status": "Camera: {status}",
+        "camera.status.stopped": "Stopped",
+        "camera.status.starting": "Starting…",
+        "camera.status.running": "Running",
+        "camera.status.paused": "Paused",
+        "camera.status.error": "Error",
+        "camera.camera": "Camera",
+        "camera.default": "Default camera",
+        "camera.numbered": "Camera {number}",
+        "camera.resolution": "Resolution",
+        "camera.frameRate": "Frame rate",
+        "camera.fps": "{rate} fps",
+        "camera.mirror": "Mirror",
+        "camera.start": "Start",
+        "camera.pause": "Pause",
+        "camera.resume": "Resume",
+        "camera.stop": "Stop",
+        "camera.error.denied":
+            "Camera permission was denied. Allow camera access for this site and press Start.",
+        "camera.error.notFound": "The selected camera was not found. Pick another camera.",
+        "camera.error.inUse": "The camera is in use by another application or could not be started.",
+        "camera.error.unsupported":
+            "This browser cannot access cameras (a secure https:// or localhost page is required).",
+        "camera.error.disconnected": "The camera was disconnected.",
+        "camera.error.failed": "The camera could not be started.",
+        "camera.error.other": "{error}",
+        "command.none": "—",
+        "command.allLeds": "All LEDs",
+        "command.led": "LED {channel}",
+        "command.on": "{target} ON",
+        "command.off": "{target} OFF",
+        "command.level": "{target} {percent}%",
+        "command.color": "{target} hue {h}°, saturation {s}%, brightness {v}%",
+        "gesture.none": "No gesture",
+        "gesture.fist": "Fist",
+        "gesture.open_palm": "Open palm",
+        "gesture.pointing": "Pointing",
+        "gesture.peace": "Peace",
+        "gesture.thumbs_up": "Thumbs up",
+        "gesture.thumbs_down": "Thumbs down",
+        "gesture.ok": "OK",
+        "motion.swipe_left": "Swipe left",
+        "motion.swipe_right": "Swipe right",
+        "motion.swipe_up": "Swipe up",
+        "motion.swipe_down": "Swipe down",
+        "motion.wave": "Wave",
+        "motion.hold": "Hold pose",
+        "motion.pinch_drag": "Pinch and drag",
+        "error.saveGestures": "Could not save gestures: {error}",
+        "error.deleteGesture": "Could not delete gesture: {error}",
+        "error.loadGestures": "Could not load custom gestures: {error}",
+        "error.teachFrames": "Saw the hand in only {count} frames; keep it in view and try again",
+        "error.calibration": "{error}; keep the hand in view and try again",
+        "error.tracking": "Hand tracking failed: {error}",
+        "speech.gesture": "{hand}: {gesture}",
+        "speech.failed": "{command} failed",
+        "preferences.title": "Preferences",
+        "preferences.intro":
+            "Language, sound and display of the main screen. Saved in this browser; they are not settings, so they need no PIN.",
+        "preferences.language": "Language",
+        "preferences.sounds": "Sound cues for gestures and command results",
+        "preferences.speech": "Spoken announcements",
+        "preferences.noSpeech": "This browser has no speech synthesis",
+        "preferences.highContrast": "High-contrast, large-type status",
+        "preferences.test": "Try it",
+        "preferences.testPhrase": "Gesture control ready",
+        "offline.updateReady": "A new version of GlowFinger is ready.",
+        "offline.reload": "Reload",
+        "offline.unavailable": "Offline use unavailable: {error}",
+        "offline.available": "Available offline · version",
+        "hud.camera": "Camera",
+        "hud.inference": "Inference",
+        "hud.draw": "Draw",
+        "hud.trackingLatency": "Capture → result",
+        "hud.ackRoundTrip": "HTTP round trip",
+        "hud.gestureToAck": "Gesture → ack",
+        "hud.timing": "{mean} ms (p95 {p95})",
+        "hud.dropped": "Dropped frames",
+        "hud.skipping": "(skipping {skip})",
+        "hud.lost": "{lost} lost",
+        "hud.transport": "Transport",
+        "hud.reset": "Reset",
+        "hud.hide": "Hide",
+        "log.title": "Event log",
+        "log.intro":
+            "Gestures, commands, replies, errors, camera and link changes, newest first. No type ticked shows every type.",
+        "log.type.gesture": "gesture",
+        "log.type.command": "command",
+        "log.type.response": "response",
+        "log.type.error": "error",
+        "log.type.camera": "camera",
+        "log.type.transport": "transport",
+        "log.type.scene": "scene",
+        "log.type.safety": "safety",
+        "log.search": "Search messages",
+        "log.from": "from",
+        "log.to": "to",
+        "log.count": "{shown} of {total} entries",
+        "log.newest": ", newest {count} shown",
+        "log.exportCsv": "Export CSV",
+        "log.exportJson": "Export JSON",
+        "log.clear": "Clear",
+        "log.readFailed": "Could not read the event log: {error}",
+        "log.writeFailed": "Could not write the event log: {error}",
+        "log.clearFailed": "Could not clear the event log: {error}",
+        "audit.title": "Audit log",
+        "audit.intro": "Arming, fail-safe commands and settings access, newest first.",
+        "audit.empty": "Nothing logged yet.",
+        "virtual.title": "Virtual device",
+        "virtual.intro":
+            "Simulated boards that take the same commands and give the same replies as the firmware. Latency, packet loss and error replies are set in Settings → Device.",
+        "virtual.stats": "{received} received · {lost} lost · {errors} error replies",
+        "virtual.reset": "Reset",
+        "virtual.channel": "Channel {channel}: {level}",
+        "virtual.lastReply": "Last reply:",
+        "virtual.noReply": "none yet",
+        "settings.title": "Settings",
+        "settings.device": "Device",
+        "settings.device.transport": "Transport",
+        "settings.device.host": "Address",
+        "settings.device.httpPort": "HTTP port",
+        "settings.device.httpPath": "HTTP endpoint path",
+        "settings.device.bodyFormat": "HTTP body format",
+        "settings.device.bodyFormat.hint": "Use {channel}, {value} (0-255) and/or {state} (ON/OFF)",
+        "settings.device.websocketPort": "WebSocket port",
+        "settings.device.websocketPath": "WebSocket path",
+        "settings.device.mqttPort": "MQTT port",
+        "settings.device.mqttPath": "MQTT path",
+        "settings.device.mqttTopic": "MQTT topic",
+        "settings.device.baudRate": "Serial baud rate",
+        "settings.device.virtualLatencyMs": "Virtual latency (ms)",
+        "settings.device.virtualJitterMs": "Virtual jitter (ms)",
+        "settings.device.virtualLossPercent": "Virtual packet loss (%)",
+        "settings.device.virtualErrorPercent": "Virtual error replies (%)",
+        "settings.devices": "Device registry",
+        "settings.devices.discoveryUrl": "Discovery endpoint",
+        "settings.devices.discoveryUrl.hint": "An http:// URL that lists boards as JSON",
+        "settings.devices.pingIntervalMs": "Health ping interval (ms)",
+        "settings.devices.probeTimeoutMs": "Probe timeout (ms)",
+        "settings.detection": "Detection",
+        "settings.detection.threshold": "Finger open ratio",
+        "settings.detection.holdFrames": "Hold frames",
+        "settings.detection.holdMs": "Hold time (ms)",
+        "settings.smoothing": "Smoothing",
+        "settings.smoothing.filter": "Landmark filter",
+        "settings.smoothing.minCutoff": "One Euro min cutoff (Hz)",
+        "settings.smoothing.beta": "One Euro beta",
+        "settings.smoothing.alpha": "Exponential alpha",
+        "settings.smoothing.hysteresis": "Hysteresis margin (ratio)",
+        "settings.smoothing.voteWindow": "Vote window (frames)",
+        "settings.color": "Color mode",
+        "settings.color.mode": "Color hand",
+        "settings.color.format": "Color payload",
+        "settings.color.lockGesture": "Lock pose",
+        "settings.color.minIntervalMs": "Min time between colors (ms)",
+        "settings.color.pinchMin": "Pinch for darkest (palm sizes)",
+        "settings.color.pinchMax": "Pinch for brightest (palm sizes)",
+        "settings.safety": "Safety",
+        "settings.safety.armGesture": "Arm gesture",
+        "settings.safety.armHoldMs": "Hold to arm (ms)",
+        "settings.safety.disarmAfterMs": "Disarm after no hand for (ms)",
+        "settings.safety.handLostMs": "Hand lost after (ms)",
+        "settings.safety.failSafe": "Fail-safe command",
+        "settings.safety.failSafeLevel": "Fail-safe level (0-255)",
+        "settings.training": "Custom gestures",
+        "settings.training.neighbours": "Neighbours (k)",
+        "settings.training.maxDistance": "Max match distance (palm sizes)",
+        "settings.tracking": "Performance",
+        "settings.tracking.targetLatencyMs": "Target latency (ms)",
+        "settings.tracking.maxSkip": "Max skipped frames in a row",
+        "settings.hands": "Hand tracking",
+        "settings.hands.maxNumHands": "Max hands",
+        "settings.hands.modelComplexity": "Model complexity",
+        "settings.hands.minDetectionConfidence": "Min detection confidence",
+        "settings.hands.minTrackingConfidence": "Min tracking confidence",
+        "settings.apply": "Apply",
+        "settings.reset": "Reset to defaults",
+        "settings.import": "Import JSON",
+        "settings.fixFields": "Fix the highlighted fields before applying",
+        "settings.applied": "Settings applied and saved",
+        "settings.importedWithDefaults": "Imported, but invalid values were replaced with defaults",
+        "settings.importFailed": "Could not import {file}: {error}",
+        "settings.error.number": "{field} must be a number",
+        "settings.error.integer": "{field} must be a whole number",
+        "settings.error.range": "{field} must be between {min} and {max}",
+        "settings.error.option": "{field} must be one of {options}",
+        "settings.error.required": "{field} is required",
+        "settings.error.invalid": "{field} is invalid",
+        "settings.error.invalidHint": "{field} is invalid ({hint})",
+        "settings.filter.none": "None",
+        "settings.filter.exponential": "Exponential",
+        "settings.filter.oneEuro": "One Euro",
+        "settings.colorMode.off": "Off",
+        "settings.colorMode.either": "Either hand",
+        "settings.colorMode.Left": "Left hand",
+        "settings.colorMode.Right": "Right hand",
+        "settings.colorFormat.rgb": "RGB",
+        "settings.colorFormat.hsv": "HSV",
+        "settings.failSafe.none": "None",
+        "settings.failSafe.off": "All off",
+        "settings.failSafe.level": "Set a level",
+        "finger.thumb": "Thumb",
+        "finger.index": "Index",
+        "finger.middle": "Middle",
+        "finger.ring": "Ring",
+        "finger.pinky": "Pinky",
+        "calibration.title": "Calibration",
+        "calibration.intro":
+            "Fits the finger open/closed thresholds to one person's hand. Click Calibrate, then hold an open palm and a fist in front of the camera when asked, a few seconds each. Gesture actions pause meanwhile. Without a profile every finger uses Settings → Finger open ratio.",
+        "calibration.profile": "Profile",
+        "calibration.noProfile": "None (settings threshold)",
+        "calibration.name": "Profile name",
+        "calibration.start": "Calibrate",
+        "calibration.cancel": "Cancel",
+        "calibration.step.open": "Open palm",
+        "calibration.step.fist": "Fist",
+        "calibration.countdown": "Get ready for: {pose} in {seconds}…",
+        "calibration.holding": "Hold {pose}: {seconds} s · {frames} frames",
+        "calibration.result": "Result for \"{name}\"",
+        "calibration.finger": "Finger",
+        "calibration.threshold": "Threshold",
+        "calibration.unusable": "no difference between the poses, keeps the settings value",
+        "calibration.overlap": "the poses overlap, expect some flicker",
+        "calibration.save": "Save and use",
+        "calibration.discard": "Discard",
+        "calibration.empty": "No profiles yet.",
+        "calibration.inUse": "in use",
+        "calibration.delete": "Delete {name}",
+        "training.title": "Custom gestures",
+        "training.intro":
+            "Name a pose, click Teach, then hold it in front of the camera until the countdown finishes. Teaching an existing name adds more samples to it. Trained gestures can be used as triggers under Gesture actions.",
+        "training.name": "Gesture name",
+        "training.holdFor": "hold for",
+        "training.seconds": "{seconds} s",
+        "training.teach": "Teach",
+        "training.countdown": "Get ready: {seconds}…",
+        "training.holding": "Hold \"{name}\": {seconds} s · {samples} samples",
+        "training.empty": "No custom gestures yet.",
+        "training.samples.one": "{count} sample",
+        "training.samples.other": "{count} samples",
+        "training.imported.one": "Imported {count} gesture",
+        "training.imported.other": "Imported {count} gestures",
+        "session.title": "Record & replay",
+        "session.record": "Record",
+        "session.thumbnails": "Save frame thumbnails",
+        "session.startRecording": "Start recording",
+        "session.stopRecording": "Stop recording",
+        "session.frames.one": "{count} frame",
+        "session.frames.other": "{count} frames",
+        "session.download": "Download .jsonl",
+        "session.replay": "Replay",
+        "session.stopReplay": "Stop replay",
+        "session.open": "Open session…",
+        "session.speed.realTime": "Real time",
+        "session.speed.double": "2×",
+        "session.speed.fastest": "As fast as possible",
+        "session.loaded.one": "{file}: {count} frame",
+        "session.loaded.other": "{file}: {count} frames",
+        "session.loadFailed": "Could not load {file}: {error}",
+        "conformance.title": "Conformance test",
+        "conformance.intro":
+            "Sends {count} scripted commands to a board, real or virtual, and checks each reply against what this app expects from the firmware. The board's LEDs change while it runs and end up off.",
+        "conformance.run": "Run",
+        "conformance.stop": "Stop",
+        "conformance.stopped": "Stopped",
+        "conformance.download": "Download report",
+        "conformance.summary": "{passed} passed · {failed} failed",
+        "conformance.unverified": "{count} unverified",
+        "conformance.rejected": "error",
+        "conformance.status.pass": "pass",
+        "conformance.status.fail": "fail",
+        "conformance.status.unverified": "unverified",
+        "conformance.case.all-on": "All channels on",
+        "conformance.case.all-off": "All channels off",
+        "conformance.case.channel-on": "Channel 1 on",
+        "conformance.case.channel-off": "Channel 1 off",
+        "conformance.case.pwm-half": "Channel {channel} at half brightness",
+        "conformance.case.pwm-lowest": "Channel 2 at the lowest level",
+        "conformance.case.color-rgb": "Green as RGB",
+        "conformance.case.color-hsv": "Dim blue as HSV",
+        "conformance.case.reject-channel": "Refuses channel {over}",
+        "conformance.case.reject-value": "Refuses value 256",
+        "conformance.case.all-off-again": "All channels off again",
+        "devices.title": "Devices",
+        "devices.introEmpty":
+            "No boards registered; commands go to the board in Settings → Device.",
+        "devices.intro": "Gesture actions can target one board, a group or all of them.",
+        "devices.status.unknown": "unknown",
+        "devices.status.online": "online",
+        "devices.status.offline": "offline",
+        "devices.latency": "{ms} ms",
+        "devices.name": "Name",
+        "devices.nameOptional": "Name (optional)",
+        "devices.address": "Address, e.g. 192.168.4.20 or localhost:8082",
+        "devices.leds": "LEDs",
+        "devices.ledCount.one": "{count} LED",
+        "devices.ledCount.other": "{count} LEDs",
+        "devices.add": "Add",
+        "devices.addAll": "Add all",
+        "devices.discover": "Discover",
+        "devices.range": "Address range",
+        "devices.probe": "Probe range",
+        "devices.checking": "Checking…",
+        "devices.discovering": "Discovering…",
+        "devices.probing": "Probing…",
+        "devices.probingProgress": "Probing {done}/{total}…",
+        "devices.noInfo": "{address} did not answer /info; added with default capabilities",
+        "devices.noneListed": "The discovery endpoint listed no boards",
+        "devices.discoveryFailed": "Discovery failed: {error}",
+        "devices.noneAnswered": "No board answered in that range",
+        "devices.groups": "Groups",
+        "devices.groupName": "Group name",
+        "devices.addGroup": "Add group",
+        "devices.error.address": "\"{address}\" is not a valid address",
+        "devices.error.port": "\"{port}\" is not a valid port",
+        "devices.error.groupName": "Give the group a name",
+        "devices.error.timedOut": "Timed out",
+        "devices.error.notAList": "The discovery endpoint did not return a device list",
+        "devices.error.ip": "\"{address}\" is not an IPv4 address",
+        "devices.error.prefix": "\"/{bits}\" is not a valid prefix length",
+        "devices.error.rangeOrder": "The range ends before it starts",
+        "devices.error.rangeSize": "Probe at most {count} addresses at a time",
+        "session.error.json": "Line {line} is not valid JSON",
+        "session.error.frame": "Line {line} is not a session frame",
+        "session.error.empty": "Session is empty",
+        "training.error.notAFile": "Not a gesture file",
+        "training.error.invalid": "Gesture {number} is invalid",
+        "settings.error.notAFile": "Not a settings file",
+        "rules.title": "Gesture actions",
+        "rules.intro": "Rules are checked top to bottom; the first match decides the command.",
+        "rules.add": "Add rule",
+        "rules.enabled": "Enabled",
+        "rules.when": "When",
+        "rules.shows": "shows",
+        "rules.then": "then",
+        "rules.hand.either": "either hand",
+        "rules.hand.Left": "left hand",
+        "rules.hand.Right": "right hand",
+        "rules.trigger.gesture": "gesture",
+        "rules.trigger.count": "finger count",
+        "rules.trigger.fingers": "finger pattern",
+        "rules.trigger.motion": "motion",
+        "rules.trigger.custom": "custom gesture",
+        "rules.deletedGesture": "(deleted gesture)",
+        "rules.anyPose": "any pose",
+        "rules.finger.any": "any",
+        "rules.finger.up": "up",
+        "rules.finger.down": "down",
+        "rules.action.set": "set",
+        "rules.action.pinch": "pinch brightness",
+        "rules.action.toggle": "toggle",
+        "rules.on": "on",
+        "rules.to": "to",
+        "rules.toggleTo": "between off and",
+        "rules.from": "from",
+        "rules.step": "step",
+        "rules.target": "Target",
+        "rules.target.all": "all devices",
+        "rules.target.device": "{name}",
+        "rules.target.group": "group {name}",
+        "rules.target.deleted.device": "(deleted device)",
+        "rules.target.deleted.group": "(deleted group)",
+        "scenes.title": "Scenes & sequences",
+        "scenes.intro":
+            "A sequence plays its scene when its poses are shown in order within the time window. Pose rules are paused while a scene plays.",
+        "scenes.sequences": "Sequences",
+        "scenes.scenes": "Scenes",
+        "scenes.addSequence": "Add sequence",
+        "scenes.addScene": "Add scene",
+        "scenes.newSequence": "New sequence",
+        "scenes.newScene": "New scene",
+        "scenes.name": "Name",
+        "scenes.stepType": "Step type",
+        "scenes.addStep": "+ step",
+        "scenes.removeStep": "Remove step",
+        "scenes.trigger.count": "fingers",
+        "scenes.trigger.custom": "custom",
+        "scenes.within": "within",
+        "scenes.msPlays": "ms plays",
+        "scenes.scene": "Scene",
+        "scenes.stopScene": "(stop scene)",
+        "scenes.deletedScene": "(deleted scene)",
+        "scenes.step.color": "color",
+        "scenes.step.delay": "wait",
+        "scenes.hue": "hue",
+        "scenes.saturation": "sat",
+        "scenes.brightness": "bri",
+        "scenes.ms": "ms",
+        "scenes.repeat": "repeat",
+        "scenes.untilStopped": "(until stopped)",
+        "scenes.play": "Play",
+        "scenes.stop": "Stop",
+        "commandStatus.noTransport": "No transport selected",
+    },
+    id: {
+        "app.title": "Detektor Gestur Tangan",
+        "app.diagnostics": "Diagnostik",
+        "status.label": "Status: {text}",
+        "status.colorLocked": "Terkunci",
+        "hand.Left": "Kiri",
+        "hand.Right": "Kanan",
+        "hand.name": "Tangan {hand}",
+        "hand.fingers.one": "{count} jari",
+        "hand.fingers.other": "{count} jari",
+        "hand.custom": "kustom",
+        "motion.last": "Gerakan terakhir: {motion}",
+        "motion.phase.start": "mulai",
+        "motion.phase.end": "selesai",
+        "sequence.progress": "Urutan: {name} {step}/{of}",
+        "scene.playing": "Memutar adegan: {name}",
+        "scene.stop": "Hentikan",
+        "dispatcher.scene": "Adegan",
+        "dispatcher.safety": "Pengaman",
+        "commandStatus.idle": "siaga",
+        "commandStatus.pending": "menunggu",
+        "commandStatus.acknowledged": "diterima",
+        "commandStatus.failed": "gagal",
+        "commandStatus.none": "Belum ada perintah yang dikirim",
+        "commandStatus.cancelled": "{command} dibatalkan",
+        "commandStatus.sending": "Mengirim {command}",
+        "commandStatus.retrying": "Mengirim {command} (percobaan ulang {attempt})",
+        "commandStatus.acknowledgedDetail": "{command} diterima: {response}",
+        "commandStatus.emptyReply": "(balasan kosong)",
+        "commandStatus.failedDetail": "{command} gagal: {error}",
+        "arming.disarmed": "nonaktif",
+        "arming.arming": "mengaktifkan",
+        "arming.armed": "aktif",
+        "arming.hint": "Tahan {gesture} untuk mengaktifkan kontrol gestur",
+        "arming.disarm": "Nonaktifkan",
+        "transport.http": "HTTP POST",
+        "transport.websocket": "WebSocket",
+        "transport.mqtt": "MQTT lewat WebSocket",
+        "transport.serial": "Web Serial (USB)",
+        "transport.virtual": "Perangkat virtual (simulasi)",
+        "transport.status.disconnected": "terputus",
+        "transport.status.connecting": "menyambung",
+        "transport.status.connected": "tersambung",
+        "transport.status.error": "galat",
+        "transport.connect": "Sambungkan",
+        "transport.disconnect": "Putuskan",
+        "transport.locked": "Buka kunci pengaturan dulu",
+        "lock.settings": "Pengaturan terkunci",
+        "lock.devices": "Perangkat terkunci",
+        "lock.rules": "Aturan terkunci",
+        "lock.scenes": "Adegan terkunci",
+        "lock.conformance": "Uji kesesuaian terkunci",
+        "lock.calibration": "Kalibrasi terkunci",
+        "lock.training": "Gestur kustom terkunci",
+        "lock.sessions": "Perekaman sesi terkunci",
+        "lock.virtualDevice": "Perangkat virtual terkunci",
+        "lock.pin": "PIN",
+        "lock.unlock": "Buka kunci",
+        "lock.wrongPin": "PIN salah",
+        "lock.tryAgain": "Terlalu banyak PIN salah; coba lagi dalam {seconds} dtk",
+        "lock.lockedOut": "Terlalu banyak PIN salah; terkunci selama {seconds} dtk",
+        "lock.newPin": "PIN baru",
+        "lock.pinHint": "PIN pengaturan (4-8 angka)",
+        "lock.invalidPin": "PIN harus 4 sampai 8 angka",
+        "lock.pinSaved": "PIN disimpan",
+        "lock.setPin": "Pasang PIN",
+        "lock.changePin": "Ganti PIN",
+        "lock.removePin": "Hapus PIN",
+        "lock.lock": "Kunci",
+        "camera.status": "Kamera: {status}",
+        "camera.status.stopped": "Berhenti",
+        "camera.status.starting": "Memulai…",
+        "camera.status.running": "Berjalan",
+        "camera.status.paused": "Dijeda",
+        "camera.status.error": "Galat",
+        "camera.camera": "Kamera",
+        "camera.default": "Kamera bawaan",
+        "camera.numbered": "Kamera {number}",
+        "camera.resolution": "Resolusi",
+        "camera.frameRate": "Laju bingkai",
+        "camera.fps": "{rate} fps",
+        "camera.mirror": "Cermin",
+        "camera.start": "Mulai",
+        "camera.pause": "Jeda",
+        "camera.resume": "Lanjutkan",
+        "camera.stop": "Hentikan",
+        "camera.error.denied":
+            "Izin kamera ditolak. Izinkan akses kamera untuk situs ini lalu tekan Mulai.",
+        "camera.error.notFound": "Kamera yang dipilih tidak ditemukan. Pilih kamera lain.",
+        "camera.error.inUse": "Kamera sedang dipakai aplikasi lain atau tidak dapat dimulai.",
+        "camera.error.unsupported":
+            "Peramban ini tidak dapat mengakses kamera (perlu halaman https:// yang aman atau localhost).",
+        "camera.error.disconnected": "Kamera terputus.",
+        "camera.error.failed": "Kamera tidak dapat dimulai.",
+        "camera.error.other": "{error}",
+        "command.none": "—",
+        "command.allLeds": "Semua LED",
+        "command.led": "LED {channel}",
+        "command.on": "{target} NYALA",
+        "command.off": "{target} MATI",
+        "command.level": "{target} {percent}%",
+        "command.color": "{target} rona {h}°, saturasi {s}%, kecerahan {v}%",
+        "gesture.none": "Tanpa gestur",
+        "gesture.fist": "Kepalan",
+        "gesture.open_palm": "Telapak terbuka",
+        "gesture.pointing": "Menunjuk",
+        "gesture.peace": "Tanda damai",
+        "gesture.thumbs_up": "Jempol ke atas",
+        "gesture.thumbs_down": "Jempol ke bawah",
+        "gesture.ok": "OK",
+        "motion.swipe_left": "Usap ke kiri",
+        "motion.swipe_right": "Usap ke kanan",
+        "motion.swipe_up": "Usap ke atas",
+        "motion.swipe_down": "Usap ke bawah",
+        "motion.wave": "Lambaian",
+        "motion.hold": "Tahan pose",
+        "motion.pinch_drag": "Cubit dan seret",
+        "error.saveGestures": "Gagal menyimpan gestur: {error}",
+        "error.deleteGesture": "Gagal menghapus gestur: {error}",
+        "error.loadGestures": "Gagal memuat gestur kustom: {error}",
+        "error.teachFrames":
+            "Tangan hanya terlihat di {count} frame; jaga agar tetap terlihat lalu coba lagi",
+        "error.calibration": "{error}; jaga agar tangan tetap terlihat lalu coba lagi",
+        "error.tracking": "Pelacakan tangan gagal: {error}",
+        "speech.gesture": "{hand}: {gesture}",
+        "speech.failed": "{command} gagal",
+        "preferences.title": "Preferensi",
+        "preferences.intro":
+            "Bahasa, suara dan tampilan layar utama. Disimpan di peramban ini; ini bukan pengaturan, jadi tidak perlu PIN.",
+        "preferences.language": "Bahasa",
+        "preferences.sounds": "Isyarat bunyi untuk gestur dan hasil perintah",
+        "preferences.speech": "Pengumuman lisan",
+        "preferences.noSpeech": "Peramban ini tidak mendukung sintesis suara",
+        "preferences.highContrast": "Status kontras tinggi dengan huruf besar",
+        "preferences.test": "Coba",
+        "preferences.testPhrase": "Kontrol gestur siap",
+        "offline.updateReady": "Versi baru GlowFinger sudah siap.",
+        "offline.reload": "Muat ulang",
+        "offline.unavailable": "Mode luring tidak tersedia: {error}",
+        "offline.available": "Tersedia luring · versi",
+        "hud.camera": "Kamera",
+        "hud.inference": "Inferensi",
+        "hud.draw": "Gambar",
+        "hud.trackingLatency": "Tangkap → hasil",
+        "hud.ackRoundTrip": "Pulang-pergi HTTP",
+        "hud.gestureToAck": "Gestur → balasan",
+        "hud.timing": "{mean} md (p95 {p95})",
+        "hud.dropped": "Frame terbuang",
+        "hud.skipping": "(melewati {skip})",
+        "hud.lost": "{lost} hilang",
+        "hud.transport": "Koneksi",
+        "hud.reset": "Atur ulang",
+        "hud.hide": "Sembunyikan",
+        "log.title": "Log peristiwa",
+        "log.intro":
+            "Gestur, perintah, balasan, galat, perubahan kamera dan koneksi, terbaru di atas. Tanpa jenis dicentang, semua jenis ditampilkan.",
+        "log.type.gesture": "gestur",
+        "log.type.command": "perintah",
+        "log.type.response": "balasan",
+        "log.type.error": "galat",
+        "log.type.camera": "kamera",
+        "log.type.transport": "koneksi",
+        "log.type.scene": "adegan",
+        "log.type.safety": "pengaman",
+        "log.search": "Cari pesan",
+        "log.from": "dari",
+        "log.to": "sampai",
+        "log.count": "{shown} dari {total} entri",
+        "log.newest": ", {count} terbaru ditampilkan",
+        "log.exportCsv": "Ekspor CSV",
+        "log.exportJson": "Ekspor JSON",
+        "log.clear": "Hapus",
+        "log.readFailed": "Gagal membaca log peristiwa: {error}",
+        "log.writeFailed": "Gagal menulis log peristiwa: {error}",
+        "log.clearFailed": "Gagal menghapus log peristiwa: {error}",
+        "audit.title": "Log audit",
+        "audit.intro": "Pengaktifan, perintah pengaman dan akses pengaturan, terbaru di atas.",
+        "audit.empty": "Belum ada catatan.",
+        "virtual.title": "Perangkat virtual",
+        "virtual.intro":
+            "Papan simulasi yang menerima perintah dan memberi balasan yang sama dengan firmware. Latensi, paket hilang dan balasan galat diatur di Pengaturan → Perangkat.",
+        "virtual.stats": "{received} diterima · {lost} hilang · {errors} balasan galat",
+        "virtual.reset": "Atur ulang",
+        "virtual.channel": "Kanal {channel}: {level}",
+        "virtual.lastReply": "Balasan terakhir:",
+        "virtual.noReply": "belum ada",
+        "settings.title": "Pengaturan",
+        "settings.device": "Perangkat",
+        "settings.device.transport": "Koneksi",
+        "settings.device.host": "Alamat",
+        "settings.device.httpPort": "Port HTTP",
+        "settings.device.httpPath": "Path endpoint HTTP",
+        "settings.device.bodyFormat": "Format isi HTTP",
+        "settings.device.bodyFormat.hint":
+            "Gunakan {channel}, {value} (0-255) dan/atau {state} (ON/OFF)",
+        "settings.device.websocketPort": "Port WebSocket",
+        "settings.device.websocketPath": "Path WebSocket",
+        "settings.device.mqttPort": "Port MQTT",
+        "settings.device.mqttPath": "Path MQTT",
+        "settings.device.mqttTopic": "Topik MQTT",
+        "settings.device.baudRate": "Baud rate serial",
+        "settings.device.virtualLatencyMs": "Latensi virtual (md)",
+        "settings.device.virtualJitterMs": "Jitter virtual (md)",
+        "settings.device.virtualLossPercent": "Paket hilang virtual (%)",
+        "settings.device.virtualErrorPercent": "Balasan galat virtual (%)",
+        "settings.devices": "Daftar perangkat",
+        "settings.devices.discoveryUrl": "Endpoint penemuan",
+        "settings.devices.discoveryUrl.hint": "URL http:// yang mendaftar papan sebagai JSON",
+        "settings.devices.pingIntervalMs": "Selang ping kesehatan (md)",
+        "settings.devices.probeTimeoutMs": "Batas waktu probe (md)",
+        "settings.detection": "Deteksi",
+        "settings.detection.threshold": "Rasio jari terbuka",
+        "settings.detection.holdFrames": "Frame tahan",
+        "settings.detection.holdMs": "Waktu tahan (md)",
+        "settings.smoothing": "Penghalusan",
+        "settings.smoothing.filter": "Filter landmark",
+        "settings.smoothing.minCutoff": "Cutoff minimum One Euro (Hz)",
+        "settings.smoothing.beta": "Beta One Euro",
+        "settings.smoothing.alpha": "Alfa eksponensial",
+        "settings.smoothing.hysteresis": "Margin histeresis (rasio)",
+        "settings.smoothing.voteWindow": "Jendela voting (frame)",
+        "settings.color": "Mode warna",
+        "settings.color.mode": "Tangan warna",
+        "settings.color.format": "Muatan warna",
+        "settings.color.lockGesture": "Pose kunci",
+        "settings.color.minIntervalMs": "Jeda minimum antarwarna (md)",
+        "settings.color.pinchMin": "Cubitan untuk tergelap (ukuran telapak)",
+        "settings.color.pinchMax": "Cubitan untuk terterang (ukuran telapak)",
+        "settings.safety": "Keamanan",
+        "settings.safety.armGesture": "Gestur pengaktif",
+        "settings.safety.armHoldMs": "Tahan untuk mengaktifkan (md)",
+        "settings.safety.disarmAfterMs": "Nonaktif setelah tanpa tangan selama (md)",
+        "settings.safety.handLostMs": "Tangan hilang setelah (md)",
+        "settings.safety.failSafe": "Perintah pengaman",
+        "settings.safety.failSafeLevel": "Level pengaman (0-255)",
+        "settings.training": "Gestur kustom",
+        "settings.training.neighbours": "Tetangga (k)",
+        "settings.training.maxDistance": "Jarak cocok maksimum (ukuran telapak)",
+        "settings.tracking": "Kinerja",
+        "settings.tracking.targetLatencyMs": "Target latensi (md)",
+        "settings.tracking.maxSkip": "Maksimum frame dilewati berturut-turut",
+        "settings.hands": "Pelacakan tangan",
+        "settings.hands.maxNumHands": "Maksimum tangan",
+        "settings.hands.modelComplexity": "Kompleksitas model",
+        "settings.hands.minDetectionConfidence": "Keyakinan deteksi minimum",
+        "settings.hands.minTrackingConfidence": "Keyakinan pelacakan minimum",
+        "settings.apply": "Terapkan",
+        "settings.reset": "Kembalikan ke bawaan",
+        "settings.import": "Impor JSON",
+        "settings.fixFields": "Perbaiki kolom yang ditandai sebelum menerapkan",
+        "settings.applied": "Pengaturan diterapkan dan disimpan",
+        "settings.importedWithDefaults":
+            "Diimpor, tetapi nilai yang tidak valid diganti dengan bawaan",
+        "settings.importFailed": "Gagal mengimpor {file}: {error}",
+        "settings.error.number": "{field} harus berupa angka",
+        "settings.error.integer": "{field} harus bilangan bulat",
+        "settings.error.range": "{field} harus antara {min} dan {max}",
+        "settings.error.option": "{field} harus salah satu dari {options}",
+        "settings.error.required": "{field} wajib diisi",
+        "settings.error.invalid": "{field} tidak valid",
+        "settings.error.invalidHint": "{field} tidak valid ({hint})",
+        "settings.filter.none": "Tanpa filter",
+        "settings.filter.exponential": "Eksponensial",
+        "settings.filter.oneEuro": "One Euro",
+        "settings.colorMode.off": "Mati",
+        "settings.colorMode.either": "Tangan mana saja",
+        "settings.colorMode.Left": "Tangan kiri",
+        "settings.colorMode.Right": "Tangan kanan",
+        "settings.colorFormat.rgb": "RGB",
+        "settings.colorFormat.hsv": "HSV",
+        "settings.failSafe.none": "Tidak ada",
+        "settings.failSafe.off": "Matikan semua",
+        "settings.failSafe.level": "Atur level",
+        "finger.thumb": "Ibu jari",
+        "finger.index": "Telunjuk",
+        "finger.middle": "Tengah",
+        "finger.ring": "Manis",
+        "finger.pinky": "Kelingking",
+        "calibration.title": "Kalibrasi",
+        "calibration.intro":
+            "Menyesuaikan ambang jari terbuka/tertutup dengan tangan satu orang. Klik Kalibrasi, lalu tahan telapak terbuka dan kepalan di depan kamera saat diminta, masing-masing beberapa detik. Aksi gestur dijeda selama itu. Tanpa profil, setiap jari memakai Pengaturan → Rasio jari terbuka.",
+        "calibration.profile": "Profil",
+        "calibration.noProfile": "Tanpa profil (ambang pengaturan)",
+        "calibration.name": "Nama profil",
+        "calibration.start": "Kalibrasi",
+        "calibration.cancel": "Batal",
+        "calibration.step.open": "Telapak terbuka",
+        "calibration.step.fist": "Kepalan",
+        "calibration.countdown": "Bersiap untuk: {pose} dalam {seconds}…",
+        "calibration.holding": "Tahan {pose}: {seconds} dtk · {frames} frame",
+        "calibration.result": "Hasil untuk \"{name}\"",
+        "calibration.finger": "Jari",
+        "calibration.threshold": "Ambang",
+        "calibration.unusable": "tidak ada beda antara kedua pose, memakai nilai pengaturan",
+        "calibration.overlap": "kedua pose tumpang tindih, bisa sedikit berkedip",
+        "calibration.save": "Simpan dan pakai",
+        "calibration.discard": "Buang",
+        "calibration.empty": "Belum ada profil.",
+        "calibration.inUse": "dipakai",
+        "calibration.delete": "Hapus {name}",
+        "training.title": "Gestur kustom",
+        "training.intro":
+            "Beri nama sebuah pose, klik Ajarkan, lalu tahan di depan kamera sampai hitung mundur selesai. Mengajarkan nama yang sudah ada menambah sampelnya. Gestur yang sudah diajarkan bisa dipakai sebagai pemicu di Aksi gestur.",
+        "training.name": "Nama gestur",
+        "training.holdFor": "tahan selama",
+        "training.seconds": "{seconds} dtk",
+        "training.teach": "Ajarkan",
+        "training.countdown": "Bersiap: {seconds}…",
+        "training.holding": "Tahan \"{name}\": {seconds} dtk · {samples} sampel",
+        "training.empty": "Belum ada gestur kustom.",
+        "training.samples.one": "{count} sampel",
+        "training.samples.other": "{count} sampel",
+        "training.imported.one": "{count} gestur diimpor",
+        "training.imported.other": "{count} gestur diimpor",
+        "session.title": "Rekam & putar ulang",
+        "session.record": "Rekam",
+        "session.thumbnails": "Simpan gambar kecil frame",
+        "session.startRecording": "Mulai merekam",
+        "session.stopRecording": "Berhenti merekam",
+        "session.frames.one": "{count} frame",
+        "session.frames.other": "{count} frame",
+        "session.download": "Unduh .jsonl",
+        "session.replay": "Putar ulang",
+        "session.stopReplay": "Hentikan putar ulang",
+        "session.open": "Buka sesi…",
+        "session.speed.realTime": "Waktu nyata",
+        "session.speed.double": "2×",
+        "session.speed.fastest": "Secepat mungkin",
+        "session.loaded.one": "{file}: {count} frame",
+        "session.loaded.other": "{file}: {count} frame",
+        "session.loadFailed": "Gagal memuat {file}: {error}",
+        "conformance.title": "Uji kesesuaian",
+        "conformance.intro":
+            "Mengirim {count} perintah terskrip ke papan, nyata atau virtual, dan memeriksa setiap balasan terhadap yang diharapkan aplikasi ini dari firmware. LED papan berubah selama uji berjalan dan berakhir mati.",
+        "conformance.run": "Jalankan",
+        "conformance.stop": "Hentikan",
+        "conformance.stopped": "Dihentikan",
+        "conformance.download": "Unduh laporan",
+        "conformance.summary": "{passed} lulus · {failed} gagal",
+        "conformance.unverified": "{count} tak terverifikasi",
+        "conformance.rejected": "galat",
+        "conformance.status.pass": "lulus",
+        "conformance.status.fail": "gagal",
+        "conformance.status.unverified": "tak terverifikasi",
+        "conformance.case.all-on": "Semua kanal nyala",
+        "conformance.case.all-off": "Semua kanal mati",
+        "conformance.case.channel-on": "Kanal 1 nyala",
+        "conformance.case.channel-off": "Kanal 1 mati",
+        "conformance.case.pwm-half": "Kanal {channel} pada setengah kecerahan",
+        "conformance.case.pwm-lowest": "Kanal 2 pada level terendah",
+        "conformance.case.color-rgb": "Hijau sebagai RGB",
+        "conformance.case.color-hsv": "Biru redup sebagai HSV",
+        "conformance.case.reject-channel": "Menolak kanal {over}",
+        "conformance.case.reject-value": "Menolak nilai 256",
+        "conformance.case.all-off-again": "Semua kanal mati lagi",
+        "devices.title": "Perangkat",
+        "devices.introEmpty":
+            "Belum ada papan terdaftar; perintah dikirim ke papan di Pengaturan → Perangkat.",
+        "devices.intro": "Aksi gestur bisa menuju satu papan, satu grup atau semuanya.",
+        "devices.status.unknown": "tidak diketahui",
+        "devices.status.online": "daring",
+        "devices.status.offline": "luring",
+        "devices.latency": "{ms} md",
+        "devices.name": "Nama",
+        "devices.nameOptional": "Nama (opsional)",
+        "devices.address": "Alamat, mis. 192.168.4.20 atau localhost:8082",
+        "devices.leds": "LED",
+        "devices.ledCount.one": "{count} LED",
+        "devices.ledCount.other": "{count} LED",
+        "devices.add": "Tambah",
+        "devices.addAll": "Tambah semua",
+        "devices.discover": "Temukan",
+        "devices.range": "Rentang alamat",
+        "devices.probe": "Periksa rentang",
+        "devices.checking": "Memeriksa…",
+        "devices.discovering": "Mencari…",
+        "devices.probing": "Memeriksa rentang…",
+        "devices.probingProgress": "Memeriksa {done}/{total}…",
+        "devices.noInfo": "{address} tidak menjawab /info; ditambahkan dengan kemampuan bawaan",
+        "devices.noneListed": "Endpoint penemuan tidak mendaftar papan apa pun",
+        "devices.discoveryFailed": "Penemuan gagal: {error}",
+        "devices.noneAnswered": "Tidak ada papan yang menjawab di rentang itu",
+        "devices.groups": "Grup",
+        "devices.groupName": "Nama grup",
+        "devices.addGroup": "Tambah grup",
+        "devices.error.address": "\"{address}\" bukan alamat yang valid",
+        "devices.error.port": "\"{port}\" bukan port yang valid",
+        "devices.error.groupName": "Beri nama grup",
+        "devices.error.timedOut": "Waktu habis",
+        "devices.error.notAList": "Endpoint penemuan tidak mengembalikan daftar perangkat",
+        "devices.error.ip": "\"{address}\" bukan alamat IPv4",
+        "devices.error.prefix": "\"/{bits}\" bukan panjang prefiks yang valid",
+        "devices.error.rangeOrder": "Rentang berakhir sebelum dimulai",
+        "devices.error.rangeSize": "Periksa paling banyak {count} alamat sekaligus",
+        "session.error.json": "Baris {line} bukan JSON yang valid",
+        "session.error.frame": "Baris {line} bukan frame sesi",
+        "session.error.empty": "Sesi kosong",
+        "training.error.notAFile": "Bukan berkas gestur",
+        "training.error.invalid": "Gestur {number} tidak valid",
+        "settings.error.notAFile": "Bukan berkas pengaturan",
+        "rules.title": "Aksi gestur",
+        "rules.intro":
+            "Aturan diperiksa dari atas ke bawah; yang pertama cocok menentukan perintah.",
+        "rules.add": "Tambah aturan",
+        "rules.enabled": "Aktif",
+        "rules.when": "Saat",
+        "rules.shows": "menunjukkan",
+        "rules.then": "maka",
+        "rules.hand.either": "tangan mana pun",
+        "rules.hand.Left": "tangan kiri",
+        "rules.hand.Right": "tangan kanan",
+        "rules.trigger.gesture": "gestur",
+        "rules.trigger.count": "jumlah jari",
+        "rules.trigger.fingers": "pola jari",
+        "rules.trigger.motion": "gerakan",
+        "rules.trigger.custom": "gestur kustom",
+        "rules.deletedGesture": "(gestur terhapus)",
+        "rules.anyPose": "pose apa pun",
+        "rules.finger.any": "bebas",
+        "rules.finger.up": "naik",
+        "rules.finger.down": "turun",
+        "rules.action.set": "atur",
+        "rules.action.pinch": "kecerahan cubit",
+        "rules.action.toggle": "alihkan",
+        "rules.on": "pada",
+        "rules.to": "ke",
+        "rules.toggleTo": "antara mati dan",
+        "rules.from": "dari",
+        "rules.step": "langkah",
+        "rules.target": "Target",
+        "rules.target.all": "semua perangkat",
+        "rules.target.device": "{name}",
+        "rules.target.group": "grup {name}",
+        "rules.target.deleted.device": "(perangkat terhapus)",
+        "rules.target.deleted.group": "(grup terhapus)",
+        "scenes.title": "Adegan & urutan",
+        "scenes.intro":
+            "Sebuah urutan memutar adegannya saat pose-posenya ditunjukkan berurutan dalam jendela waktu. Aturan pose dijeda selama adegan diputar.",
+        "scenes.sequences": "Urutan",
+        "scenes.scenes": "Adegan",
+        "scenes.addSequence": "Tambah urutan",
+        "scenes.addScene": "Tambah adegan",
+        "scenes.newSequence": "Urutan baru",
+        "scenes.newScene": "Adegan baru",
+        "scenes.name": "Nama",
+        "scenes.stepType": "Jenis langkah",
+        "scenes.addStep": "+ langkah",
+        "scenes.removeStep": "Hapus langkah",
+        "scenes.trigger.count": "jari",
+        "scenes.trigger.custom": "kustom",
+        "scenes.within": "dalam",
+        "scenes.msPlays": "md memutar",
+        "scenes.scene": "Adegan",
+        "scenes.stopScene": "(hentikan adegan)",
+        "scenes.deletedScene": "(adegan terhapus)",
+        "scenes.step.color": "warna",
+        "scenes.step.delay": "tunggu",
+        "scenes.hue": "rona",
+        "scenes.saturation": "sat",
+        "scenes.brightness": "ker",
+        "scenes.ms": "md",
+        "scenes.repeat": "ulangi",
+        "scenes.untilStopped": "(sampai dihentikan)",
+        "scenes.play": "Putar",
+        "scenes.stop": "Hentikan",
+        "commandStatus.noTransport": "Tidak ada transport yang dipilih",
+    },
+};
+
+const lookup = (language, key) => MESSAGES[language]?.[key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+
+// The browser's language when it is supported, English otherwise
+export const detectLanguage = (languages = globalThis.navigator?.languages ?? []) =>
+    languages.map((tag) => tag.split("-")[0]).find((code) => code in LANGUAGES) ?? DEFAULT_LANGUAGE;
+
+// t(key, params) for one language
+export function createTranslator(language) {
+    return (key, params = {}) => {
+        const plural =
+            params.count !== undefined
+                ? lookup(language, `${key}.${params.count === 1 ? "one" : "other"}`)
+                : undefined;
+        const message = plural ?? lookup(language, key) ?? key;
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            name in params ? String(params[name]) : match
+        );
+    };
+}
+
+const english = createTranslator(DEFAULT_LANGUAGE);
+
+// An Error for the user: its message is the English text of `key`, for the
+// logs, and `key` and `params` let the UI show it in its own language
+export const messageError = (key, params = {}) =>
+    Object.assign(new Error(english(key, params)), { key, params });
+
+// An error as text in the language of `t`; errors without a key (from the
+// browser or the network) keep their own message
+export const describeError = (t, error) => (error.key ? t(error.key, error.params) : error.message);
+
+// Hand names come from the tracker in English ("Left", "Right")
+export const translateHand = (t, hand) => t("hand.name", { hand: t(`hand.${hand}`) });
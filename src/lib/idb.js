@@ -0,0 +1,57 @@
+// Small promise layer over IndexedDB. Everything the app keeps in the browser
+// beyond simple preferences lives in one database; each entry in MIGRATIONS
+// upgrades the schema by one version, so add new stores by appending.
+
+const DATABASE_NAME = "glowfinger";
+
+export const STORES = {
+    CUSTOM_GESTURES: "customGestures",
+    EVENTS: "events",
+};
+
+const MIGRATIONS = [
+    (db) => db.createObjectStore(STORES.CUSTOM_GESTURES, { keyPath: "id" }),
+    // Keys grow with every entry, so key order is time order
+    (db) => db.createObjectStore(STORES.EVENTS, { keyPath: "id", autoIncrement: true }),
+];
+
+export const requestToPromise = (request) =>
+    new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+let databasePromise = null;
+
+export function openDatabase() {
+    if (!databasePromise) {
+        if (typeof indexedDB === "undefined") {
+            return Promise.reject(new Error("IndexedDB is not available"));
+        }
+        const request = indexedDB.open(DATABASE_NAME, MIGRATIONS.length);
+        request.onupgradeneeded = (event) => {
+            for (let version = event.oldVersion; version < MIGRATIONS.length; version++) {
+                MIGRATIONS[version](request.result, request.transaction);
+            }
+        };
+        databasePromise = requestToPromise(request).catch((error) => {
+            databasePromise = null;
+            throw error;
+        });
+    }
+    return databasePromise;
+}
+
+// Runs `work(store)` in a transaction and resolves with its return value (or
+// the result of the request it returned) once the transaction completes
+export async function withStore(storeName, mode, work) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const outcome = work(transaction.objectStore(storeName));
+        transaction.oncomplete = () =>
+            resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
@@ -0,0 +1,133 @@
+// Rolling timing metrics for the diagnostics HUD. Each metric keeps its last
+// `windowSize` samples (milliseconds); `tick` records the interval between
+// calls, so frame rates come from the same data. The clock is injectable so
+// the numbers can be checked without a browser or real time passing.
+
+export const METRICS = {
+    CAMERA_FRAME: "cameraFrameMs",
+    INFERENCE: "inferenceMs",
+    DRAW: "drawMs",
+    TRACKING_LATENCY: "trackingLatencyMs",
+    ACK_ROUND_TRIP: "ackRoundTripMs",
+    GESTURE_TO_ACK: "gestureToAckMs",
+};
+
+// Upper bucket edges in ms; the last bucket is open-ended
+export const HISTOGRAM_BUCKETS = [5, 10, 20, 35, 50, 75, 100, 150, 250, 500, 1000];
+
+const percentile = (sorted, fraction) =>
+    sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+
+export function createMetrics({ windowSize = 300, now = () => performance.now() } = {}) {
+    const series = new Map();
+    const lastTicks = new Map();
+
+    const samplesOf = (name) => {
+        let samples = series.get(name);
+        if (!samples) {
+            samples = [];
+            series.set(name, samples);
+        }
+        return samples;
+    };
+
+    const record = (name, value) => {
+        if (!Number.isFinite(value)) return;
+        const samples = samplesOf(name);
+        samples.push({ t: now(), value });
+        if (samples.length > windowSize) samples.shift();
+    };
+
+    // Records the time since the previous tick of the same name
+    const tick = (name) => {
+        const t = now();
+        const previous = lastTicks.get(name);
+        lastTicks.set(name, t);
+        if (previous !== undefined) record(name, t - previous);
+    };
+
+    // Starts a timer; calling the returned function records and returns
+    // the elapsed time
+    const time = (name) => {
+        const start = now();
+        return () => {
+            const elapsed = now() - start;
+            record(name, elapsed);
+            return elapsed;
+        };
+    };
+
+    // Wraps an async function so every successful call records its duration
+    const timed = (name, fn) => async (...args) => {
+        const stop = time(name);
+        const result = await fn(...args);
+        stop();
+        return result;
+    };
+
+    // Events per second over the last `windowMs`, from tick intervals
+    const rate = (name, windowMs = 1000) => {
+        const cutoff = now() - windowMs;
+        const recent = (series.get(name) || []).filter((sample) => sample.t >= cutoff);
+        if (recent.length === 0) return 0;
+        const total = recent.reduce((sum, sample) => sum + sample.value, 0);
+        return (1000 * recent.length) / total;
+    };
+
+    const summary = (name) => {
+        const values = (series.get(name) || []).map((sample) => sample.value);
+        if (values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        return {
+            count: values.length,
+            last: values[values.length - 1],
+            mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+            min: sorted[0],
+            p50: percentile(sorted, 0.5),
+            p95: percentile(sorted, 0.95),
+            max: sorted[sorted.length - 1],
+        };
+    };
+
+    const histogram = (name, buckets = HISTOGRAM_BUCKETS) => {
+        const counts = new Array(buckets.length + 1).fill(0);
+        for (const { value } of series.get(name) || []) {
+            const index = buckets.findIndex((edge) => value < edge);
+            counts[index === -1 ? buckets.length : index]++;
+        }
+        return counts.map((count, index) => ({
+            from: index === 0 ? 0 : buckets[index - 1],
+            to: index < buckets.length ? buckets[index] : Infinity,
+            count,
+        }));
+    };
+
+    // One row per metric and bucket: metric,from_ms,to_ms,count
+    const toCsv = (buckets = HISTOGRAM_BUCKETS) => {
+        const rows = ["metric,from_ms,to_ms,count"];
+        for (const name of series.keys()) {
+            for (const { from, to, count } of histogram(name, buckets)) {
+                rows.push(`${name},${from},${to === Infinity ? "" : to},${count}`);
+            }
+        }
+        return `${rows.join("\n")}\n`;
+    };
+
+    const reset = () => {
+        series.clear();
+        lastTicks.clear();
+    };
+
+    return {
+        record,
+        tick,
+        time,
+        timed,
+        rate,
+        summary,
+        histogram,
+        toCsv,
+        reset,
+        names: () => [...series.keys()],
+    };
+}
@@ -0,0 +1,214 @@
+import { createEmitter } from "./emitter";
+import { GESTURES, pinchDistance } from "./gestures";
+
+// Motion gestures built from the recent history of landmark positions:
+// swipes, waves, pinch-and-drag and "hold a pose for N ms". Feed one frame at
+// a time with `update`; detections are emitted as events carrying a
+// `timestamp`, under their own name ("swipe", "wave", "pinchdrag", "hold")
+// and under "motion" for subscribers that want everything.
+//
+// Directions are from the user's point of view. The camera image is not
+// mirrored by default, so moving the hand to the user's right moves it
+// towards smaller x in the image.
+
+export const MOTIONS = {
+    SWIPE_LEFT: "swipe_left",
+    SWIPE_RIGHT: "swipe_right",
+    SWIPE_UP: "swipe_up",
+    SWIPE_DOWN: "swipe_down",
+    WAVE: "wave",
+    HOLD: "hold",
+    PINCH_DRAG: "pinch_drag",
+};
+
+export const MOTION_LABELS = {
+    [MOTIONS.SWIPE_LEFT]: "Swipe left",
+    [MOTIONS.SWIPE_RIGHT]: "Swipe right",
+    [MOTIONS.SWIPE_UP]: "Swipe up",
+    [MOTIONS.SWIPE_DOWN]: "Swipe down",
+    [MOTIONS.WAVE]: "Wave",
+    [MOTIONS.HOLD]: "Hold pose",
+    [MOTIONS.PINCH_DRAG]: "Pinch and drag",
+};
+
+export const DEFAULT_MOTION_OPTIONS = {
+    mirrored: false,
+    // Landmark that drives swipes: 0 = wrist, 8 = index tip
+    swipePoint: 0,
+    // Minimum travel (normalized image units) within swipeWindowMs
+    swipeDistance: 0.25,
+    swipeWindowMs: 400,
+    // The main axis has to dominate the other one by this factor
+    swipeDominance: 2,
+    // Wave: this many direction reversals of at least waveAmplitude within
+    // waveWindowMs
+    waveReversals: 4,
+    waveAmplitude: 0.04,
+    waveWindowMs: 1500,
+    // Pause after a swipe or wave before the next one can fire
+    cooldownMs: 600,
+    // Thumb-index distance (relative to palm size) that starts a pinch
+    pinchRatio: 0.3,
+    // How long a pose has to be held to emit "hold"
+    holdMs: 1500,
+    // History older than this is dropped
+    historyMs: 2000,
+};
+
+const sideways = (dx, mirrored) => {
+    const toImageRight = dx > 0;
+    // Not mirrored: image right is the user's left
+    return toImageRight === mirrored ? MOTIONS.SWIPE_RIGHT : MOTIONS.SWIPE_LEFT;
+};
+
+// Per-hand motion state
+const createTrack = () => ({
+    history: [],
+    cooldownUntil: 0,
+    pinch: null,
+    pose: null,
+    poseSince: 0,
+    holdFired: false,
+});
+
+export function createMotionDetector(options = {}) {
+    let config = { ...DEFAULT_MOTION_OPTIONS, ...options };
+    const emitter = createEmitter();
+    const tracks = new Map();
+
+    const emit = (name, event) => {
+        emitter.emit(name, event);
+        emitter.emit("motion", event);
+    };
+
+    const detectSwipe = (track, hand, timestamp) => {
+        const { history } = track;
+        const windowStart = timestamp - config.swipeWindowMs;
+        const first = history.find((sample) => sample.t >= windowStart);
+        const last = history[history.length - 1];
+        if (!first || first === last) return false;
+
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+        let type = null;
+        if (Math.abs(dx) >= config.swipeDistance && Math.abs(dx) > Math.abs(dy) * config.swipeDominance) {
+            type = sideways(dx, config.mirrored);
+        } else if (Math.abs(dy) >= config.swipeDistance && Math.abs(dy) > Math.abs(dx) * config.swipeDominance) {
+            type = dy < 0 ? MOTIONS.SWIPE_UP : MOTIONS.SWIPE_DOWN;
+        }
+        if (!type) return false;
+
+        const durationMs = last.t - first.t;
+        emit("swipe", { type, hand, timestamp, durationMs, dx, dy });
+        return true;
+    };
+
+    const detectWave = (track, hand, timestamp) => {
+        const samples = track.history.filter(
+            (sample) => sample.t >= timestamp - config.waveWindowMs
+        );
+        let reversals = 0;
+        let direction = 0;
+        let extreme = samples[0]?.wristX;
+        for (const { wristX } of samples) {
+            const delta = wristX - extreme;
+            if (direction >= 0 && delta > 0) {
+                extreme = wristX;
+                direction = direction || 1;
+            } else if (direction <= 0 && delta < 0) {
+                extreme = wristX;
+                direction = direction || -1;
+            } else if (Math.abs(delta) >= config.waveAmplitude) {
+                // Moved far enough back from the last extreme: a reversal
+                reversals++;
+                direction = -direction;
+                extreme = wristX;
+            }
+        }
+        if (reversals < config.waveReversals) return false;
+        emit("wave", { type: MOTIONS.WAVE, hand, timestamp, reversals });
+        return true;
+    };
+
+    const updatePinch = (track, hand, landmarks, timestamp) => {
+        const pinched = pinchDistance(landmarks) < config.pinchRatio;
+        const x = (landmarks[4].x + landmarks[8].x) / 2;
+        const y = (landmarks[4].y + landmarks[8].y) / 2;
+
+        if (pinched && !track.pinch) {
+            track.pinch = { x, y, startedAt: timestamp };
+            emit("pinchdrag", { type: MOTIONS.PINCH_DRAG, phase: "start", hand, timestamp, dx: 0, dy: 0 });
+        } else if (track.pinch) {
+            const dx = config.mirrored ? x - track.pinch.x : track.pinch.x - x;
+            const dy = y - track.pinch.y;
+            const phase = pinched ? "move" : "end";
+            emit("pinchdrag", { type: MOTIONS.PINCH_DRAG, phase, hand, timestamp, dx, dy });
+            if (!pinched) track.pinch = null;
+        }
+    };
+
+    const updateHold = (track, hand, gesture, timestamp) => {
+        if (gesture !== track.pose) {
+            track.pose = gesture;
+            track.poseSince = timestamp;
+            track.holdFired = false;
+            return;
+        }
+        if (
+            gesture !== GESTURES.NONE &&
+            !track.holdFired &&
+            timestamp - track.poseSince >= config.holdMs
+        ) {
+            track.holdFired = true;
+            emit("hold", {
+                type: MOTIONS.HOLD,
+                hand,
+                timestamp,
+                gesture,
+                durationMs: timestamp - track.poseSince,
+            });
+        }
+    };
+
+    // Feed one frame for one hand. `result` is the classifier output.
+    const update = (hand, landmarks, result, timestamp) => {
+        let track = tracks.get(hand);
+        if (!track) {
+            track = createTrack();
+            tracks.set(hand, track);
+        }
+
+        const point = landmarks[config.swipePoint];
+        track.history.push({ t: timestamp, x: point.x, y: point.y, wristX: landmarks[0].x });
+        while (track.history.length && track.history[0].t < timestamp - config.historyMs) {
+            track.history.shift();
+        }
+
+        if (timestamp >= track.cooldownUntil) {
+            // A wave is made of small back-and-forth swipes, so check it first
+            if (detectWave(track, hand, timestamp) || detectSwipe(track, hand, timestamp)) {
+                track.cooldownUntil = timestamp + config.cooldownMs;
+                track.history = [];
+            }
+        }
+
+        updatePinch(track, hand, landmarks, timestamp);
+        updateHold(track, hand, result.gesture, timestamp);
+    };
+
+    // The hand left the frame: finish any drag and forget its history
+    const lost = (hand, timestamp) => {
+        const track = tracks.get(hand);
+        if (!track) return;
+        if (track.pinch) {
+            emit("pinchdrag", { type: MOTIONS.PINCH_DRAG, phase: "end", hand, timestamp, dx: 0, dy: 0 });
+        }
+        tracks.delete(hand);
+    };
+
+    const setOptions = (next) => {
+        config = { ...config, ...next };
+    };
+
+    return { on: emitter.on, update, lost, setOptions };
+}
@@ -0,0 +1,41 @@
+import { DEFAULT_LANGUAGE, LANGUAGES, detectLanguage } from "./i18n";
+
+// Per-user preferences of the main screen: UI language, sound cues, spoken
+// announcements and the high-contrast status. Kept apart from the settings
+// because they are about the person at the screen, not the installation,
+// so the settings PIN does not cover them.
+
+export const PREFERENCES_STORAGE_KEY = "glowfinger.preferences";
+const PREFERENCES_VERSION = 1;
+
+export const DEFAULT_PREFERENCES = {
+    language: DEFAULT_LANGUAGE,
+    sounds: false,
+    speech: false,
+    highContrast: false,
+};
+
+// Invalid or missing fields take their default; the language defaults to
+// the browser's
+export function loadPreferences(storage = window.localStorage) {
+    const defaults = { ...DEFAULT_PREFERENCES, language: detectLanguage() };
+    try {
+        const stored = JSON.parse(storage.getItem(PREFERENCES_STORAGE_KEY))?.preferences ?? {};
+        return {
+            language: stored.language in LANGUAGES ? stored.language : defaults.language,
+            sounds: typeof stored.sounds === "boolean" ? stored.sounds : defaults.sounds,
+            speech: typeof stored.speech === "boolean" ? stored.speech : defaults.speech,
+            highContrast:
+                typeof stored.highContrast === "boolean" ? stored.highContrast : defaults.highContrast,
+        };
+    } catch {
+        return defaults;
+    }
+}
+
+export function savePreferences(preferences, storage = window.localStorage) {
+    storage.setItem(
+        PREFERENCES_STORAGE_KEY,
+        JSON.stringify({ version: PREFERENCES_VERSION, preferences })
+    );
+}
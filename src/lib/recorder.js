@@ -0,0 +1,155 @@
+import { messageError } from "./i18n";
+
+// Landmark session recording and replay. A session is a JSON Lines file, one
+// frame per line:
+//   {"t":0,"multiHandLandmarks":[[{"x":..,"y":..,"z":..},...]],
+//    "multiHandedness":[{"index":0,"score":0.98,"label":"Right"}],
+//    "thumbnail":"data:image/jpeg;base64,..."}
+// `t` is milliseconds since the first frame; `thumbnail` is optional.
+// Replaying feeds the same `results` shape back into `onResults`, with
+// `timestamp` set so time-based stages behave as they did live and the
+// frame's `thumbnail`, if it has one.
+
+export const SESSION_MIME_TYPE = "application/x-ndjson";
+
+const round = (value) => Math.round(value * 1e5) / 1e5;
+
+const compactLandmarks = (hands = []) =>
+    hands.map((landmarks) =>
+        landmarks.map(({ x, y, z }) => ({ x: round(x), y: round(y), z: round(z) }))
+    );
+
+const compactHandedness = (handedness = []) =>
+    handedness.map(({ index, score, label }) => ({ index, score: round(score), label }));
+
+export function createSessionRecorder({ thumbnailWidth = 0, thumbnailEvery = 5 } = {}) {
+    const lines = [];
+    let startTime = null;
+    let frameIndex = 0;
+    let canvas = null;
+
+    const thumbnail = (image) => {
+        if (!thumbnailWidth || !image || frameIndex % thumbnailEvery !== 0) return undefined;
+        const sourceWidth = image.videoWidth || image.width;
+        const sourceHeight = image.videoHeight || image.height;
+        if (!sourceWidth || !sourceHeight) return undefined;
+        if (!canvas) canvas = document.createElement("canvas");
+        canvas.width = thumbnailWidth;
+        canvas.height = Math.round((thumbnailWidth * sourceHeight) / sourceWidth);
+        canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+        return canvas.toDataURL("image/jpeg", 0.6);
+    };
+
+    const record = (results, timestamp = performance.now()) => {
+        if (startTime === null) startTime = timestamp;
+        const frame = {
+            t: Math.round(timestamp - startTime),
+            multiHandLandmarks: compactLandmarks(results.multiHandLandmarks),
+            multiHandedness: compactHandedness(results.multiHandedness),
+        };
+        const image = thumbnail(results.image);
+        if (image) frame.thumbnail = image;
+        lines.push(JSON.stringify(frame));
+        frameIndex++;
+    };
+
+    const toBlob = () =>
+        new Blob([lines.map((line) => `${line}\n`).join("")], { type: SESSION_MIME_TYPE });
+
+    const clear = () => {
+        lines.length = 0;
+        startTime = null;
+        frameIndex = 0;
+    };
+
+    return { record, toBlob, clear, get frameCount() { return lines.length; } };
+}
+
+// Parses a JSON Lines session; throws with the line number on bad input
+export function parseSession(text) {
+    const frames = [];
+    text.split("\n").forEach((line, index) => {
+        if (!line.trim()) return;
+        let frame;
+        try {
+            frame = JSON.parse(line);
+        } catch {
+            throw messageError("session.error.json", { line: index + 1 });
+        }
+        if (!Number.isFinite(frame.t) || !Array.isArray(frame.multiHandLandmarks)) {
+            throw messageError("session.error.frame", { line: index + 1 });
+        }
+        frames.push(frame);
+    });
+    if (frames.length === 0) throw messageError("session.error.empty");
+    return frames;
+}
+
+// Plays frames into `onResults`. `speed` is a playback rate (1 = real time)
+// or Infinity to run as fast as possible; timestamps passed on are always
+// the recorded ones, offset by `startTime`, so the pipeline sees the same
+// timing either way.
+export function createSessionPlayer(frames, { onResults, onEnd, speed = 1, startTime = performance.now() }) {
+    let index = 0;
+    let timer = null;
+    let playing = false;
+
+    const emit = (frame) => {
+        onResults({
+            multiHandLandmarks: frame.multiHandLandmarks,
+            multiHandedness: frame.multiHandedness,
+            timestamp: startTime + frame.t,
+            thumbnail: frame.thumbnail,
+        });
+    };
+
+    const finish = () => {
+        playing = false;
+        timer = null;
+        if (onEnd) onEnd();
+    };
+
+    const step = () => {
+        if (!playing) return;
+        if (speed === Infinity) {
+            // Yield every batch so the page stays responsive
+            const batchEnd = Math.min(index + 200, frames.length);
+            while (index < batchEnd) emit(frames[index++]);
+        } else {
+            emit(frames[index++]);
+        }
+        if (index >= frames.length) {
+            finish();
+            return;
+        }
+        const delay =
+            speed === Infinity ? 0 : (frames[index].t - frames[index - 1].t) / speed;
+        timer = setTimeout(step, Math.max(0, delay));
+    };
+
+    const play = () => {
+        if (playing || index >= frames.length) return;
+        playing = true;
+        step();
+    };
+
+    const pause = () => {
+        playing = false;
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    const stop = () => {
+        pause();
+        index = 0;
+    };
+
+    return {
+        play,
+        pause,
+        stop,
+        get playing() { return playing; },
+        get position() { return index; },
+        get length() { return frames.length; },
+    };
+}
@@ -0,0 +1,182 @@
+import { createEmitter } from "./emitter";
+import { ALL_CHANNELS, ALL_DEVICES, MAX_VALUE } from "./actions";
+import { GESTURES, GESTURE_LABELS } from "./gestures";
+
+// Safety controls. Control gestures only count while the system is armed:
+// the arm gesture has to be held for `armHoldMs`, and with no hand in view
+// for `disarmAfterMs` it disarms again. An arm gesture of "none" means
+// always armed. The fail-safe command is what the app sends when control is
+// lost: the hand disappears (for `handLostMs`), the camera stops or the link
+// to the boards drops.
+//
+// The arming controller emits "state" ({ state, previous, reason, timestamp })
+// on every transition and "handLost" ({ timestamp }) once per disappearance.
+
+export const ARM_STATES = {
+    DISARMED: "disarmed",
+    ARMING: "arming",
+    ARMED: "armed",
+};
+
+export const FAIL_SAFE_ACTIONS = {
+    NONE: "none",
+    OFF: "off",
+    LEVEL: "level",
+};
+
+export const DEFAULT_SAFETY_OPTIONS = {
+    armGesture: GESTURES.OK,
+    armHoldMs: 1500,
+    disarmAfterMs: 10000,
+    handLostMs: 1000,
+};
+
+// null when no fail-safe is configured
+export const failSafeCommand = ({ failSafe, failSafeLevel }) => {
+    if (failSafe === FAIL_SAFE_ACTIONS.NONE) return null;
+    return {
+        channel: ALL_CHANNELS,
+        value: failSafe === FAIL_SAFE_ACTIONS.LEVEL ? Math.min(MAX_VALUE, failSafeLevel) : 0,
+        target: ALL_DEVICES,
+    };
+};
+
+export function createArmingController(options = {}) {
+    const emitter = createEmitter();
+    let config = { ...DEFAULT_SAFETY_OPTIONS, ...options };
+    const alwaysArmed = () => config.armGesture === GESTURES.NONE;
+
+    let state = alwaysArmed() ? ARM_STATES.ARMED : ARM_STATES.DISARMED;
+    let armingSince = null;
+    let lastHandAt = null;
+    let handPresent = false;
+
+    const setState = (next, reason, timestamp) => {
+        if (next === state) return;
+        const previous = state;
+        state = next;
+        emitter.emit("state", { state, previous, reason, timestamp });
+    };
+
+    // Feed every frame's hands ({ result } each); returns the state
+    const update = (hands, timestamp) => {
+        if (hands.length > 0) {
+            lastHandAt = timestamp;
+            handPresent = true;
+        } else if (handPresent && timestamp - lastHandAt >= config.handLostMs) {
+            handPresent = false;
+            emitter.emit("handLost", { timestamp });
+        }
+        if (alwaysArmed()) return state;
+
+        const showing = hands.some(({ result }) => result.gesture === config.armGesture);
+        const pose = GESTURE_LABELS[config.armGesture];
+        if (state === ARM_STATES.DISARMED && showing) {
+            armingSince = timestamp;
+            setState(ARM_STATES.ARMING, `${pose} shown`, timestamp);
+        } else if (state === ARM_STATES.ARMING && !showing) {
+            setState(ARM_STATES.DISARMED, `${pose} released too early`, timestamp);
+        } else if (state === ARM_STATES.ARMING && timestamp - armingSince >= config.armHoldMs) {
+            setState(ARM_STATES.ARMED, `${pose} held`, timestamp);
+        } else if (
+            state === ARM_STATES.ARMED &&
+            hands.length === 0 &&
+            timestamp - lastHandAt >= config.disarmAfterMs
+        ) {
+            setState(ARM_STATES.DISARMED, "no hand in view", timestamp);
+        }
+        return state;
+    };
+
+    // Also forgets the hand, so no hand-lost event follows
+    const disarm = (reason, timestamp = performance.now()) => {
+        handPresent = false;
+        armingSince = null;
+        if (alwaysArmed()) return;
+        setState(ARM_STATES.DISARMED, reason, timestamp);
+    };
+
+    const setOptions = (next) => {
+        const wasAlwaysArmed = alwaysArmed();
+        config = { ...config, ...next };
+        if (alwaysArmed()) setState(ARM_STATES.ARMED, "arming turned off", performance.now());
+        else if (wasAlwaysArmed) setState(ARM_STATES.DISARMED, "arming turned on", performance.now());
+    };
+
+    return {
+        on: emitter.on,
+        update,
+        disarm,
+        setOptions,
+        getState: () => state,
+    };
+}
+
+// Settings PIN. The digest only keeps the PIN out of plain sight in
+// localStorage: anyone with the browser's developer tools can clear it, and
+// crypto.subtle is not available on a board's plain-http page. The lock keeps
+// casual hands off the settings, it is not access control. Wrong attempts and
+// the lockout they trigger are stored in the same record, so reloading the
+// page does not reset them.
+
+export const PIN_STORAGE_KEY = "glowfinger.pin";
+export const PIN_PATTERN = /^\d{4,8}$/;
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MS = 30000;
+
+// FNV-1a, repeated so the digest is not a one-step lookup
+const digest = (salt, pin) => {
+    let hash = 0x811c9dc5;
+    for (let round = 0; round < 1000; round++) {
+        for (const char of `${salt}:${pin}:${hash}`) {
+            hash ^= char.charCodeAt(0);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+    }
+    return hash.toString(16).padStart(8, "0");
+};
+
+export function createPinRecord(pin) {
+    if (!PIN_PATTERN.test(pin)) throw new Error("The PIN must be 4 to 8 digits");
+    const salt = Math.random().toString(36).slice(2, 10);
+    return { salt, digest: digest(salt, pin), failures: 0, lockedUntil: 0 };
+}
+
+export const verifyPin = (record, pin) => digest(record.salt, pin) === record.digest;
+
+// Milliseconds until the record accepts another attempt, 0 when it does now
+export const pinLockRemaining = (record, now = Date.now()) => Math.max(0, record.lockedUntil - now);
+
+// The record after a wrong PIN: MAX_PIN_ATTEMPTS in a row lock it for
+// PIN_LOCKOUT_MS and start the count over
+export function recordPinFailure(record, now = Date.now()) {
+    const failures = record.failures + 1;
+    if (failures >= MAX_PIN_ATTEMPTS) {
+        return { ...record, failures: 0, lockedUntil: now + PIN_LOCKOUT_MS };
+    }
+    return { ...record, failures };
+}
+
+export const clearPinFailures = (record) => ({ ...record, failures: 0, lockedUntil: 0 });
+
+export function loadPin(storage = window.localStorage) {
+    try {
+        const record = JSON.parse(storage.getItem(PIN_STORAGE_KEY));
+        if (typeof record?.salt === "string" && typeof record?.digest === "string") {
+            return {
+                salt: record.salt,
+                digest: record.digest,
+                failures: Number.isInteger(record.failures) ? record.failures : 0,
+                lockedUntil: Number.isFinite(record.lockedUntil) ? record.lockedUntil : 0,
+            };
+        }
+    } catch {
+        // No PIN
+    }
+    return null;
+}
+
+export function savePin(record, storage = window.localStorage) {
+    if (record) storage.setItem(PIN_STORAGE_KEY, JSON.stringify(record));
+    else storage.removeItem(PIN_STORAGE_KEY);
+}
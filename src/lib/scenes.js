@@ -0,0 +1,230 @@
+import { createEmitter } from "./emitter";
+import {
+    ALL_CHANNELS,
+    ALL_DEVICES,
+    MAX_CHANNELS,
+    MAX_VALUE,
+    TRIGGER_TYPES,
+} from "./actions";
+import { colorCommand } from "./color";
+import { GESTURES, GESTURE_LABELS, HANDEDNESS } from "./gestures";
+import { DEFAULT_SEQUENCE_WINDOW_MS, SEQUENCE_STEP_TYPES } from "./sequences";
+
+// Scenes are timelines of device commands and delays, started by gesture
+// sequences (see sequences.js) or from the Scenes panel. A scene plays its
+// steps in order `repeat` times (0 = until stopped); starting another scene
+// or stopping it interrupts it between steps. Commands are not awaited: the
+// dispatcher replaces one still in flight when the next step is due, so a
+// slow board cannot stretch the timeline.
+//
+// Stored together with the sequences in localStorage as
+// `{ version: 1, scenes: [...], sequences: [...] }`.
+
+export const SCENES_STORAGE_KEY = "glowfinger.scenes";
+export const SCENES_VERSION = 1;
+
+export const SCENE_STEP_TYPES = {
+    SET: "set",
+    COLOR: "color",
+    DELAY: "delay",
+};
+
+// A sequence whose scene is STOP_SCENE interrupts whatever is playing
+export const STOP_SCENE = "stop";
+export const MAX_DELAY_MS = 60000;
+// A looping scene takes at least this long per pass, delays or not
+const MIN_PASS_MS = 50;
+
+export const DEFAULT_SCENES = [
+    {
+        id: "party",
+        name: "Party",
+        repeat: 0,
+        steps: [
+            { type: SCENE_STEP_TYPES.SET, channel: ALL_CHANNELS, value: MAX_VALUE },
+            { type: SCENE_STEP_TYPES.DELAY, ms: 250 },
+            { type: SCENE_STEP_TYPES.SET, channel: ALL_CHANNELS, value: 0 },
+            { type: SCENE_STEP_TYPES.DELAY, ms: 250 },
+        ],
+    },
+    {
+        id: "reading-light",
+        name: "Reading light",
+        repeat: 1,
+        steps: [
+            { type: SCENE_STEP_TYPES.SET, channel: ALL_CHANNELS, value: 0 },
+            { type: SCENE_STEP_TYPES.DELAY, ms: 300 },
+            { type: SCENE_STEP_TYPES.COLOR, color: { h: 36, s: 40, v: 80 } },
+        ],
+    },
+];
+
+export const DEFAULT_SEQUENCES = [
+    {
+        id: "party",
+        name: "Party",
+        enabled: true,
+        steps: [
+            { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.FIST },
+            { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.OPEN_PALM },
+            { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.FIST },
+        ],
+        windowMs: DEFAULT_SEQUENCE_WINDOW_MS,
+        scene: "party",
+    },
+    {
+        id: "reading-light",
+        name: "Reading light",
+        enabled: true,
+        steps: [
+            { type: TRIGGER_TYPES.COUNT, count: 2 },
+            { type: TRIGGER_TYPES.GESTURE, gesture: GESTURES.THUMBS_UP },
+        ],
+        windowMs: DEFAULT_SEQUENCE_WINDOW_MS,
+        scene: "reading-light",
+    },
+];
+
+export const createSceneId = (prefix) =>
+    `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// The device command a set or color step sends
+export const stepToCommand = (step, colorFormat) =>
+    step.type === SCENE_STEP_TYPES.COLOR
+        ? colorCommand(step.color, colorFormat, step.target ?? ALL_DEVICES)
+        : { channel: step.channel, value: step.value, target: step.target ?? ALL_DEVICES };
+
+const isPercent = (value) => Number.isInteger(value) && value >= 0 && value <= 100;
+
+const isValidStep = (step) => {
+    if (step?.type === SCENE_STEP_TYPES.DELAY) {
+        return Number.isInteger(step.ms) && step.ms >= 0 && step.ms <= MAX_DELAY_MS;
+    }
+    if (step?.type === SCENE_STEP_TYPES.COLOR) {
+        const { h, s, v } = step.color ?? {};
+        return Number.isInteger(h) && h >= 0 && h < 360 && isPercent(s) && isPercent(v);
+    }
+    return (
+        step?.type === SCENE_STEP_TYPES.SET &&
+        (step.channel === ALL_CHANNELS ||
+            (Number.isInteger(step.channel) && step.channel >= 1 && step.channel <= MAX_CHANNELS)) &&
+        Number.isInteger(step.value) &&
+        step.value >= 0 &&
+        step.value <= MAX_VALUE
+    );
+};
+
+const isValidScene = (scene) =>
+    typeof scene?.id === "string" &&
+    typeof scene.name === "string" &&
+    Number.isInteger(scene.repeat) &&
+    scene.repeat >= 0 &&
+    Array.isArray(scene.steps) &&
+    scene.steps.every(isValidStep);
+
+const isValidSequenceStep = (step) =>
+    SEQUENCE_STEP_TYPES.includes(step?.type) &&
+    ((step.type === TRIGGER_TYPES.GESTURE && step.gesture in GESTURE_LABELS) ||
+        (step.type === TRIGGER_TYPES.COUNT && Number.isInteger(step.count) &&
+            step.count >= 0 && step.count <= 5) ||
+        (step.type === TRIGGER_TYPES.CUSTOM && typeof step.gesture === "string"));
+
+const isValidSequence = (sequence) =>
+    typeof sequence?.id === "string" &&
+    typeof sequence.name === "string" &&
+    typeof sequence.enabled === "boolean" &&
+    (!sequence.hand || Object.values(HANDEDNESS).includes(sequence.hand)) &&
+    Number.isInteger(sequence.windowMs) &&
+    sequence.windowMs > 0 &&
+    typeof sequence.scene === "string" &&
+    Array.isArray(sequence.steps) &&
+    sequence.steps.every(isValidSequenceStep);
+
+export function loadScenes(storage = window.localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(SCENES_STORAGE_KEY));
+        if (
+            Array.isArray(stored?.scenes) &&
+            Array.isArray(stored?.sequences) &&
+            stored.scenes.every(isValidScene) &&
+            stored.sequences.every(isValidSequence)
+        ) {
+            return { scenes: stored.scenes, sequences: stored.sequences };
+        }
+    } catch {
+        // Fall through to the defaults
+    }
+    return { scenes: DEFAULT_SCENES, sequences: DEFAULT_SEQUENCES };
+}
+
+export function saveScenes({ scenes, sequences }, storage = window.localStorage) {
+    storage.setItem(
+        SCENES_STORAGE_KEY,
+        JSON.stringify({ version: SCENES_VERSION, scenes, sequences })
+    );
+}
+
+// Resolves after `ms`, or early when `signal` aborts
+const wait = (ms, signal) =>
+    new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        signal.addEventListener(
+            "abort",
+            () => {
+                clearTimeout(timer);
+                resolve();
+            },
+            { once: true }
+        );
+    });
+
+// Plays one scene at a time. `send(step)` is called for every set and color
+// step; `cancel()` when a scene is interrupted, to drop the command in
+// flight. Emits "start" ({ scene }), "step" ({ scene, index, pass }) and
+// "end" ({ scene, reason: "done" | "stopped" }).
+export function createScenePlayer({ send, cancel }) {
+    const emitter = createEmitter();
+    let current = null;
+
+    const stop = () => {
+        if (!current) return;
+        const { scene, controller } = current;
+        current = null;
+        controller.abort();
+        if (cancel) cancel();
+        emitter.emit("end", { scene, reason: "stopped" });
+    };
+
+    const play = async (scene) => {
+        stop();
+        const controller = new AbortController();
+        const { signal } = controller;
+        current = { scene, controller };
+        emitter.emit("start", { scene });
+
+        for (let pass = 0; scene.repeat === 0 || pass < scene.repeat; pass++) {
+            const passStartedAt = performance.now();
+            for (const [index, step] of scene.steps.entries()) {
+                if (signal.aborted) return;
+                emitter.emit("step", { scene, index, pass });
+                if (step.type === SCENE_STEP_TYPES.DELAY) await wait(step.ms, signal);
+                else send(step);
+            }
+            if (signal.aborted) return;
+            const elapsed = performance.now() - passStartedAt;
+            if (scene.repeat !== 1 && elapsed < MIN_PASS_MS) {
+                await wait(MIN_PASS_MS - elapsed, signal);
+            }
+        }
+        if (signal.aborted) return;
+        current = null;
+        emitter.emit("end", { scene, reason: "done" });
+    };
+
+    return {
+        on: emitter.on,
+        play,
+        stop,
+        getPlaying: () => current?.scene ?? null,
+    };
+}
@@ -0,0 +1,106 @@
+import { createEmitter } from "./emitter";
+import { TRIGGER_TYPES, matchesTrigger } from "./actions";
+
+// Gesture-sequence matcher. The per-frame classifier results are reduced to
+// pose changes (a held pose counts once), and each sequence waits for its
+// steps in order: fist → open palm → fist within 2 s, say. Poses in between
+// that are not the next step are ignored; a sequence whose window runs out,
+// or whose hand leaves the frame, is cancelled. Steps are rule triggers of
+// the gesture, finger-count or custom type (see actions.js).
+//
+// Events: "progress" ({ sequence, hand, step, of, timestamp }) when a step
+// matches, "match" ({ sequence, hand, timestamp }) when the last one does and
+// "cancel" ({ sequence, hand, reason, timestamp }) with reason "timeout",
+// "lost" or "manual".
+
+export const SEQUENCE_STEP_TYPES = [TRIGGER_TYPES.GESTURE, TRIGGER_TYPES.COUNT, TRIGGER_TYPES.CUSTOM];
+
+export const DEFAULT_SEQUENCE_WINDOW_MS = 2000;
+
+// What counts as "the pose changed"
+const poseKey = (result) => `${result.gesture}|${result.count}|${result.custom?.gesture ?? ""}`;
+
+const appliesToHand = (sequence, hand) => !sequence.hand || sequence.hand === hand;
+
+export function createSequenceMatcher(sequences = []) {
+    const emitter = createEmitter();
+    let active = sequences;
+    // Per hand: the last pose and the progress of every sequence
+    const hands = new Map();
+
+    const stateOf = (hand) => {
+        let state = hands.get(hand);
+        if (!state) {
+            state = { pose: null, progress: new Map() };
+            hands.set(hand, state);
+        }
+        return state;
+    };
+
+    const cancelAll = (hand, state, reason, timestamp) => {
+        for (const [id, { sequence }] of state.progress) {
+            emitter.emit("cancel", { sequence, hand, reason, timestamp });
+            state.progress.delete(id);
+        }
+    };
+
+    const expire = (hand, state, timestamp) => {
+        for (const [id, { sequence, startedAt }] of state.progress) {
+            if (timestamp - startedAt > (sequence.windowMs ?? DEFAULT_SEQUENCE_WINDOW_MS)) {
+                state.progress.delete(id);
+                emitter.emit("cancel", { sequence, hand, reason: "timeout", timestamp });
+            }
+        }
+    };
+
+    const advance = (hand, state, result, timestamp) => {
+        for (const sequence of active) {
+            if (!sequence.enabled || sequence.steps.length === 0 || !appliesToHand(sequence, hand)) {
+                continue;
+            }
+            const progress = state.progress.get(sequence.id) ?? { sequence, step: 0, startedAt: timestamp };
+            if (!matchesTrigger(sequence.steps[progress.step], result)) continue;
+
+            const step = progress.step + 1;
+            if (step < sequence.steps.length) {
+                state.progress.set(sequence.id, { ...progress, step });
+                emitter.emit("progress", { sequence, hand, step, of: sequence.steps.length, timestamp });
+                continue;
+            }
+            // Complete: one match per pose change, so nothing else in
+            // progress for this hand carries on
+            state.progress.clear();
+            emitter.emit("match", { sequence, hand, timestamp });
+            return;
+        }
+    };
+
+    // Feed one classifier result per hand and frame
+    const update = (hand, result, timestamp) => {
+        const state = stateOf(hand);
+        expire(hand, state, timestamp);
+        const pose = poseKey(result);
+        if (pose === state.pose) return;
+        state.pose = pose;
+        advance(hand, state, result, timestamp);
+    };
+
+    const lost = (hand, timestamp) => {
+        const state = hands.get(hand);
+        if (!state) return;
+        cancelAll(hand, state, "lost", timestamp);
+        hands.delete(hand);
+    };
+
+    const cancel = (timestamp = performance.now()) => {
+        for (const [hand, state] of hands) cancelAll(hand, state, "manual", timestamp);
+    };
+
+    // Edited sequences start over, so partial matches are dropped
+    const setSequences = (next) => {
+        active = next;
+        for (const state of hands.values()) state.progress.clear();
+    };
+
+    return { on: emitter.on, update, lost, cancel, setSequences };
+}
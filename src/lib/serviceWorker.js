@@ -0,0 +1,68 @@
+import { createEmitter } from "./emitter";
+
+// Offline support on the page side: registers the service worker built by
+// plugins/pwa.js (production builds only, the dev server has none) and
+// follows its versions. Emits "ready" ({ version }) once the app is cached
+// and works offline, "update" when a newer version has been downloaded and
+// is waiting, and "error". `applyUpdate` lets the waiting version take over
+// and reloads the page once it has.
+
+const requestVersion = (worker) =>
+    new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = ({ data }) => resolve(data.version);
+        worker.postMessage({ type: "GET_VERSION" }, [channel.port2]);
+    });
+
+export function createOfflineSupport({ url = "/sw.js", enabled = import.meta.env.PROD } = {}) {
+    const emitter = createEmitter();
+    let registration = null;
+    let started = false;
+
+    const emitReady = (worker) =>
+        requestVersion(worker).then((version) => emitter.emit("ready", { version }));
+
+    // A worker that finishes installing while another controls the page is
+    // an update; the first one ever is the app becoming available offline
+    const track = (worker) => {
+        worker.addEventListener("statechange", () => {
+            if (worker.state === "installed" && navigator.serviceWorker.controller) {
+                emitter.emit("update");
+            }
+            if (worker.state === "activated") emitReady(worker);
+        });
+    };
+
+    const checkForUpdate = () =>
+        registration?.update().catch(() => {
+            // Offline; the next check will do
+        });
+
+    const start = async () => {
+        if (started || !enabled || !("serviceWorker" in navigator)) return;
+        started = true;
+        try {
+            registration = await navigator.serviceWorker.register(url);
+        } catch (error) {
+            emitter.emit("error", error);
+            return;
+        }
+        if (registration.installing) track(registration.installing);
+        registration.addEventListener("updatefound", () => track(registration.installing));
+        if (registration.waiting && navigator.serviceWorker.controller) emitter.emit("update");
+        if (navigator.serviceWorker.controller) emitReady(navigator.serviceWorker.controller);
+        // Coming back online is the moment a new version may be reachable
+        window.addEventListener("online", checkForUpdate);
+    };
+
+    const applyUpdate = () => {
+        const waiting = registration?.waiting;
+        if (!waiting) return;
+        navigator.serviceWorker.addEventListener("controllerchange", () => window.location.reload(), {
+            once: true,
+        });
+        waiting.postMessage({ type: "SKIP_WAITING" });
+    };
+
+    return { on: emitter.on, start, applyUpdate, checkForUpdate };
+}
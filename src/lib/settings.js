@@ -0,0 +1,278 @@
+import { TRANSPORTS } from "./transports";
+import { FILTER_TYPES } from "./smoothing";
+import { COLOR_FORMATS, COLOR_MODES } from "./color";
+import { GESTURES } from "./gestures";
+import { DEFAULT_SAFETY_OPTIONS, FAIL_SAFE_ACTIONS } from "./safety";
+import { messageError } from "./i18n";
+
+// Runtime settings: defaults, valid ranges, localStorage persistence and the
+// JSON import/export format used to copy a config between machines.
+
+export const SETTINGS_STORAGE_KEY = "glowfinger.settings";
+export const SETTINGS_VERSION = 1;
+
+export const DEFAULT_SETTINGS = {
+    device: {
+        transport: "http",
+        host: "192.168.4.1",
+        httpPort: 80,
+        httpPath: "/led",
+        bodyFormat: "channel={channel}&value={value}&state={state}",
+        websocketPort: 81,
+        websocketPath: "/",
+        mqttPort: 8083,
+        mqttPath: "/mqtt",
+        mqttTopic: "glowfinger/led",
+        baudRate: 115200,
+        virtualLatencyMs: 30,
+        virtualJitterMs: 20,
+        virtualLossPercent: 0,
+        virtualErrorPercent: 0,
+    },
+    devices: {
+        discoveryUrl: "http://192.168.4.1/devices",
+        pingIntervalMs: 5000,
+        probeTimeoutMs: 1500,
+    },
+    detection: {
+        threshold: 1.5,
+        holdFrames: 5,
+        holdMs: 150,
+    },
+    smoothing: {
+        filter: FILTER_TYPES.ONE_EURO,
+        minCutoff: 1.0,
+        beta: 0.05,
+        alpha: 0.5,
+        hysteresis: 0.1,
+        voteWindow: 5,
+    },
+    color: {
+        mode: COLOR_MODES.OFF,
+        format: COLOR_FORMATS.RGB,
+        lockGesture: GESTURES.FIST,
+        minIntervalMs: 100,
+        pinchMin: 0.15,
+        pinchMax: 1.2,
+    },
+    safety: {
+        ...DEFAULT_SAFETY_OPTIONS,
+        failSafe: FAIL_SAFE_ACTIONS.OFF,
+        failSafeLevel: 0,
+    },
+    training: {
+        neighbours: 5,
+        maxDistance: 0.35,
+    },
+    tracking: {
+        targetLatencyMs: 120,
+        maxSkip: 4,
+    },
+    hands: {
+        maxNumHands: 2,
+        modelComplexity: 1,
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5,
+    },
+};
+
+// Field descriptors drive both validation and the settings form. The form's
+// text is in the i18n tables: `settings.<section>` and
+// `settings.<section>.<field>` label the sections and fields, fields with
+// `hint` have a `.hint` too, and `optionKeys` is the key prefix that names a
+// select's options (numbers show as they are).
+export const SETTINGS_SCHEMA = {
+    device: {
+        fields: {
+            transport: { type: "select", options: Object.keys(TRANSPORTS), optionKeys: "transport" },
+            host: { type: "text", pattern: /^[\w.-]+$/ },
+            httpPort: { type: "number", min: 1, max: 65535, integer: true },
+            httpPath: { type: "text", pattern: /^\// },
+            bodyFormat: { type: "text", pattern: /\{(state|channel|value)\}/, hint: true },
+            websocketPort: { type: "number", min: 1, max: 65535, integer: true },
+            websocketPath: { type: "text", pattern: /^\// },
+            mqttPort: { type: "number", min: 1, max: 65535, integer: true },
+            mqttPath: { type: "text", pattern: /^\// },
+            mqttTopic: { type: "text", pattern: /^[^#+]+$/ },
+            baudRate: {
+                type: "select",
+                options: [9600, 19200, 38400, 57600, 115200, 230400, 460800, 921600],
+            },
+            // Fault injection for the virtual device transport
+            virtualLatencyMs: { type: "number", min: 0, max: 5000, integer: true },
+            virtualJitterMs: { type: "number", min: 0, max: 5000, integer: true },
+            virtualLossPercent: { type: "number", min: 0, max: 100, integer: true },
+            virtualErrorPercent: { type: "number", min: 0, max: 100, integer: true },
+        },
+    },
+    devices: {
+        fields: {
+            discoveryUrl: { type: "text", pattern: /^https?:\/\/\S+$/, hint: true },
+            pingIntervalMs: { type: "number", min: 1000, max: 60000, integer: true },
+            probeTimeoutMs: { type: "number", min: 200, max: 10000, integer: true },
+        },
+    },
+    detection: {
+        fields: {
+            threshold: { type: "number", min: 1, max: 3, step: 0.05 },
+            holdFrames: { type: "number", min: 1, max: 60, integer: true },
+            holdMs: { type: "number", min: 0, max: 5000, integer: true },
+        },
+    },
+    smoothing: {
+        fields: {
+            filter: { type: "select", options: Object.values(FILTER_TYPES), optionKeys: "settings.filter" },
+            minCutoff: { type: "number", min: 0.01, max: 10, step: 0.05 },
+            beta: { type: "number", min: 0, max: 1, step: 0.005 },
+            alpha: { type: "number", min: 0.05, max: 1, step: 0.05 },
+            hysteresis: { type: "number", min: 0, max: 0.5, step: 0.01 },
+            voteWindow: { type: "number", min: 1, max: 30, integer: true },
+        },
+    },
+    color: {
+        fields: {
+            // Which hand drives the color; its pose rules are skipped
+            mode: { type: "select", options: Object.values(COLOR_MODES), optionKeys: "settings.colorMode" },
+            format: { type: "select", options: Object.values(COLOR_FORMATS), optionKeys: "settings.colorFormat" },
+            lockGesture: {
+                type: "select",
+                options: Object.values(GESTURES).filter((gesture) => gesture !== GESTURES.NONE),
+                optionKeys: "gesture",
+            },
+            minIntervalMs: { type: "number", min: 20, max: 2000, integer: true },
+            pinchMin: { type: "number", min: 0, max: 3, step: 0.05 },
+            pinchMax: { type: "number", min: 0, max: 3, step: 0.05 },
+        },
+    },
+    safety: {
+        fields: {
+            // "none" keeps gesture control always armed
+            armGesture: { type: "select", options: Object.values(GESTURES), optionKeys: "gesture" },
+            armHoldMs: { type: "number", min: 0, max: 10000, integer: true },
+            disarmAfterMs: { type: "number", min: 1000, max: 600000, integer: true },
+            handLostMs: { type: "number", min: 100, max: 10000, integer: true },
+            failSafe: { type: "select", options: Object.values(FAIL_SAFE_ACTIONS), optionKeys: "settings.failSafe" },
+            failSafeLevel: { type: "number", min: 0, max: 255, integer: true },
+        },
+    },
+    training: {
+        fields: {
+            neighbours: { type: "number", min: 1, max: 25, integer: true },
+            maxDistance: { type: "number", min: 0.05, max: 2, step: 0.05 },
+        },
+    },
+    tracking: {
+        fields: {
+            // Frames are skipped while tracking takes longer than this
+            targetLatencyMs: { type: "number", min: 30, max: 1000, integer: true },
+            maxSkip: { type: "number", min: 0, max: 10, integer: true },
+        },
+    },
+    hands: {
+        fields: {
+            maxNumHands: { type: "number", min: 1, max: 4, integer: true },
+            modelComplexity: { type: "select", options: [0, 1] },
+            minDetectionConfidence: { type: "number", min: 0, max: 1, step: 0.05 },
+            minTrackingConfidence: { type: "number", min: 0, max: 1, step: 0.05 },
+        },
+    },
+};
+
+// [value, null] or [null, error] with the error's i18n key and params
+const validateField = (field, value) => {
+    if (field.type === "number") {
+        const number = Number(value);
+        if (value === "" || !Number.isFinite(number)) return [null, { key: "settings.error.number" }];
+        if (field.integer && !Number.isInteger(number)) return [null, { key: "settings.error.integer" }];
+        if (number < field.min || number > field.max) {
+            return [null, { key: "settings.error.range", params: { min: field.min, max: field.max } }];
+        }
+        return [number, null];
+    }
+    if (field.type === "select") {
+        const option = field.options.find((candidate) => String(candidate) === String(value));
+        if (option === undefined) {
+            return [null, { key: "settings.error.option", params: { options: field.options.join(", ") } }];
+        }
+        return [option, null];
+    }
+    const text = String(value ?? "").trim();
+    if (!text) return [null, { key: "settings.error.required" }];
+    if (field.pattern && !field.pattern.test(text)) {
+        return [null, { key: field.hint ? "settings.error.invalidHint" : "settings.error.invalid" }];
+    }
+    return [text, null];
+};
+
+// Checks every field against the schema. Missing sections or fields fall back
+// to the defaults; invalid ones are reported under "section.field" as
+// `{ key, params }` for the translator and keep their default value in the
+// returned settings.
+export function validateSettings(input = {}) {
+    const settings = {};
+    const errors = {};
+    for (const [section, { fields }] of Object.entries(SETTINGS_SCHEMA)) {
+        settings[section] = { ...DEFAULT_SETTINGS[section] };
+        const values = input[section] || {};
+        for (const [key, field] of Object.entries(fields)) {
+            if (!(key in values)) continue;
+            const [value, error] = validateField(field, values[key]);
+            if (error) errors[`${section}.${key}`] = { params: {}, ...error };
+            else settings[section][key] = value;
+        }
+    }
+    return { settings, errors };
+}
+
+export function loadSettings(storage = window.localStorage) {
+    try {
+        const stored = JSON.parse(storage.getItem(SETTINGS_STORAGE_KEY));
+        return validateSettings(stored?.settings).settings;
+    } catch {
+        return validateSettings().settings;
+    }
+}
+
+export function saveSettings(settings, storage = window.localStorage) {
+    storage.setItem(SETTINGS_STORAGE_KEY, serializeSettings(settings));
+}
+
+export const serializeSettings = (settings) =>
+    JSON.stringify({ version: SETTINGS_VERSION, settings }, null, 2);
+
+// Parses an exported file; throws when it is not a settings export
+export function parseSettingsFile(text) {
+    const data = JSON.parse(text);
+    if (!data || typeof data.settings !== "object") {
+        throw messageError("settings.error.notAFile");
+    }
+    return validateSettings(data.settings);
+}
+
+// Builds the options each transport factory expects
+export const transportOptions = (device) => {
+    switch (device.transport) {
+        case "websocket":
+            return { url: `ws://${device.host}:${device.websocketPort}${device.websocketPath}` };
+        case "mqtt":
+            return {
+                url: `ws://${device.host}:${device.mqttPort}${device.mqttPath}`,
+                topic: device.mqttTopic,
+            };
+        case "serial":
+            return { baudRate: device.baudRate };
+        case "virtual":
+            return {
+                name: device.host,
+                latencyMs: device.virtualLatencyMs,
+                jitterMs: device.virtualJitterMs,
+                lossPercent: device.virtualLossPercent,
+                errorPercent: device.virtualErrorPercent,
+            };
+        default:
+            return {
+                url: `http://${device.host}${device.httpPort === 80 ? "" : `:${device.httpPort}`}${device.httpPath}`,
+                bodyFormat: device.bodyFormat,
+            };
+    }
+};
@@ -0,0 +1,234 @@
+import {
+    DEFAULT_CLASSIFIER_OPTIONS,
+    FINGER_NAMES,
+    classifyGesture,
+    resolveThresholds,
+} from "./gestures";
+
+// Filtering stage between raw MediaPipe landmarks and gesture decisions:
+// 1. a One Euro (or plain exponential) filter on every landmark coordinate,
+// 2. hysteresis on each finger ratio (separate enter and exit thresholds),
+// 3. majority voting over the last few classified frames.
+
+export const FILTER_TYPES = {
+    NONE: "none",
+    EXPONENTIAL: "exponential",
+    ONE_EURO: "oneEuro",
+};
+
+export const DEFAULT_SMOOTHING_OPTIONS = {
+    filter: FILTER_TYPES.ONE_EURO,
+    // One Euro: cutoff frequency (Hz) at rest and how fast it opens with speed
+    minCutoff: 1.0,
+    beta: 0.05,
+    derivateCutoff: 1.0,
+    // Exponential: weight of the newest sample
+    alpha: 0.5,
+    // Finger ratio must rise above threshold + margin to count as extended
+    // and drop below threshold - margin to count as folded again
+    hysteresis: 0.1,
+    // Frames in the majority vote window
+    voteWindow: 5,
+    // Start from scratch after the hand has been gone this long
+    resetAfterMs: 500,
+};
+
+const smoothingFactor = (cutoff, dt) => {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+};
+
+// One Euro filter for a single value (Casiez et al. 2012). `t` in seconds.
+export function createOneEuroFilter({ minCutoff, beta, derivateCutoff }) {
+    let previous = null;
+    let previousDerivative = 0;
+    let previousTime = 0;
+
+    return (value, t) => {
+        if (previous === null || t <= previousTime) {
+            previous = value;
+            previousTime = t;
+            return value;
+        }
+        const dt = t - previousTime;
+        const derivative = (value - previous) / dt;
+        const aDerivative = smoothingFactor(derivateCutoff, dt);
+        previousDerivative = aDerivative * derivative + (1 - aDerivative) * previousDerivative;
+        const cutoff = minCutoff + beta * Math.abs(previousDerivative);
+        const a = smoothingFactor(cutoff, dt);
+        previous = a * value + (1 - a) * previous;
+        previousTime = t;
+        return previous;
+    };
+}
+
+export function createExponentialFilter({ alpha }) {
+    let previous = null;
+    return (value) => {
+        previous = previous === null ? value : alpha * value + (1 - alpha) * previous;
+        return previous;
+    };
+}
+
+const AXES = ["x", "y", "z"];
+
+// Filters all 21 landmarks. Returns a function (landmarks, timeMs) -> landmarks.
+export function createLandmarkFilter(options = {}) {
+    const config = { ...DEFAULT_SMOOTHING_OPTIONS, ...options };
+    if (config.filter === FILTER_TYPES.NONE) return (landmarks) => landmarks;
+
+    const makeFilter = () =>
+        config.filter === FILTER_TYPES.EXPONENTIAL
+            ? createExponentialFilter(config)
+            : createOneEuroFilter(config);
+    let filters = null;
+
+    return (landmarks, timeMs) => {
+        if (!filters) {
+            filters = landmarks.map(() => AXES.map(makeFilter));
+        }
+        return landmarks.map((point, index) => {
+            const filtered = { ...point };
+            AXES.forEach((axis, axisIndex) => {
+                filtered[axis] = filters[index][axisIndex](point[axis], timeMs / 1000);
+            });
+            return filtered;
+        });
+    };
+}
+
+// Per-finger hysteresis. `enter` and `exit` are numbers or per-finger
+// objects; `thresholds()` gives the ratio threshold each finger has to cross
+// next, given whether it is currently extended.
+export function createFingerHysteresis({ enter, exit }) {
+    const enterThresholds = resolveThresholds(enter);
+    const exitThresholds = resolveThresholds(exit);
+    const extended = Object.fromEntries(FINGER_NAMES.map((name) => [name, false]));
+
+    return {
+        thresholds: () =>
+            Object.fromEntries(
+                FINGER_NAMES.map((name) => [
+                    name,
+                    extended[name] ? exitThresholds[name] : enterThresholds[name],
+                ])
+            ),
+        update: (fingers) => {
+            for (const name of FINGER_NAMES) extended[name] = fingers[name].extended;
+        },
+    };
+}
+
+// Most frequent value over the last `size` pushes. Ties keep the value that
+// won last time, so a split window does not flip the output.
+export function createMajorityVote(size) {
+    const recent = [];
+    let current;
+
+    return (value) => {
+        recent.push(value);
+        if (recent.length > size) recent.shift();
+
+        const counts = new Map();
+        for (const item of recent) counts.set(item, (counts.get(item) || 0) + 1);
+        let best = current;
+        let bestCount = counts.get(current) || 0;
+        for (const [item, count] of counts) {
+            if (count > bestCount) {
+                best = item;
+                bestCount = count;
+            }
+        }
+        current = best;
+        return current;
+    };
+}
+
+const shiftThresholds = (threshold, offset) => {
+    const thresholds = resolveThresholds(threshold);
+    return Object.fromEntries(
+        FINGER_NAMES.map((name) => [name, thresholds[name] + offset])
+    );
+};
+
+// Full per-hand pipeline: filter landmarks, classify with hysteresis, vote.
+// `process` returns the filtered landmarks and the classifier result with
+// `gesture` and `count` replaced by their voted values (the single-frame
+// values are kept as `rawGesture` and `rawCount`). With `classifyCustom`
+// (see customGestures.js) the taught gesture is voted the same way and
+// reported as `custom`.
+export function createGestureSmoother(options = {}) {
+    let config = { ...DEFAULT_SMOOTHING_OPTIONS, ...options };
+    let filter;
+    let hysteresis;
+    let voteGesture;
+    let voteCount;
+    let voteCustom;
+    let lastTime = -Infinity;
+    let hysteresisKey = null;
+
+    const reset = () => {
+        filter = createLandmarkFilter(config);
+        hysteresis = null;
+        hysteresisKey = null;
+        voteGesture = createMajorityVote(config.voteWindow);
+        voteCount = createMajorityVote(config.voteWindow);
+        voteCustom = createMajorityVote(config.voteWindow);
+    };
+    reset();
+
+    const process = (landmarks, timeMs, classifierOptions = {}, classifyCustom = null) => {
+        if (timeMs - lastTime > config.resetAfterMs) reset();
+        lastTime = timeMs;
+
+        const filtered = filter(landmarks, timeMs);
+
+        // Rebuild the hysteresis state when the base thresholds change
+        const baseThreshold = classifierOptions.threshold ?? DEFAULT_CLASSIFIER_OPTIONS.threshold;
+        const key = JSON.stringify([baseThreshold, config.hysteresis]);
+        if (key !== hysteresisKey) {
+            hysteresis = createFingerHysteresis({
+                enter: shiftThresholds(baseThreshold, config.hysteresis),
+                exit: shiftThresholds(baseThreshold, -config.hysteresis),
+            });
+            hysteresisKey = key;
+        }
+
+        const result = classifyGesture(filtered, {
+            ...classifierOptions,
+            threshold: hysteresis.thresholds(),
+        });
+        hysteresis.update(result.fingers);
+
+        const gesture = voteGesture(result.gesture);
+        const match = classifyCustom ? classifyCustom(filtered) : null;
+        const customGesture = voteCustom(match?.gesture ?? null);
+        return {
+            landmarks: filtered,
+            result: {
+                ...result,
+                rawGesture: result.gesture,
+                rawCount: result.count,
+                gesture,
+                confidence:
+                    gesture === result.gesture
+                        ? result.confidence
+                        : result.scores[gesture] ?? 0,
+                count: voteCount(result.count),
+                custom: customGesture
+                    ? {
+                        gesture: customGesture,
+                        confidence: match?.gesture === customGesture ? match.confidence : 0,
+                    }
+                    : null,
+            },
+        };
+    };
+
+    const setOptions = (next) => {
+        config = { ...config, ...next };
+        reset();
+    };
+
+    return { process, reset, setOptions };
+}
@@ -0,0 +1,71 @@
+import { createEmitter } from "../emitter";
+import { createTrackingPipeline } from "./pipeline";
+
+export { DEFAULT_TRACKING_OPTIONS, HAND_COLORS, unpackLandmarks } from "./pipeline";
+
+// Front end of the hand tracker. With worker support the pipeline runs in
+// ./worker.js and draws on the canvas through an OffscreenCanvas; otherwise
+// it runs here on the main thread. Both expose the same API and emit
+// "ready", "frame" (see pipeline.js) and "error". MediaPipe's WASM and model
+// files are loaded from `assetsPath`.
+
+export const DEFAULT_ASSETS_PATH = "/mediapipe/";
+
+export const supportsWorkerTracking = () =>
+    typeof Worker !== "undefined" &&
+    typeof HTMLCanvasElement !== "undefined" &&
+    "transferControlToOffscreen" in HTMLCanvasElement.prototype;
+
+function createInlineTracker(canvas, options, assetsPath, emitter) {
+    const pipeline = createTrackingPipeline({
+        canvas,
+        locateFile: (file) => `${assetsPath}${file}`,
+        onFrame: (frame) => emitter.emit("frame", frame),
+        onReady: () => emitter.emit("ready"),
+        onError: (error) => emitter.emit("error", error),
+    });
+    pipeline.setOptions(options);
+    return { ...pipeline, inWorker: false };
+}
+
+function createWorkerTracker(canvas, options, assetsPath, emitter) {
+    const worker = new Worker(new URL("./worker.js", import.meta.url), {
+        type: "module",
+    });
+    worker.onmessage = ({ data }) => {
+        if (data.type === "frame") emitter.emit("frame", data.frame);
+        else if (data.type === "ready") emitter.emit("ready");
+        else if (data.type === "error") emitter.emit("error", new Error(data.message));
+    };
+    worker.onerror = (event) =>
+        emitter.emit("error", new Error(event.message || "The tracking worker failed"));
+
+    const offscreen = canvas.transferControlToOffscreen();
+    worker.postMessage({ type: "init", canvas: offscreen, options, assetsPath }, [offscreen]);
+
+    return {
+        inWorker: true,
+        // The bitmap is transferred, not copied
+        send: (image, timestamp) =>
+            worker.postMessage({ type: "frame", image, timestamp }, [image]),
+        replay: (results) => worker.postMessage({ type: "replay", results }),
+        setOptions: (next) => worker.postMessage({ type: "options", options: next }),
+        setCustomGestures: (gestures) => worker.postMessage({ type: "gestures", gestures }),
+        resize: (width, height) => worker.postMessage({ type: "resize", width, height }),
+        clear: () => worker.postMessage({ type: "clear" }),
+        close: () => worker.terminate(),
+    };
+}
+
+// A canvas can hand its drawing over to a worker only once, so create one
+// tracker per canvas and keep it
+export function createTracker(
+    canvas,
+    { options = {}, assetsPath = DEFAULT_ASSETS_PATH, useWorker = supportsWorkerTracking() } = {}
+) {
+    const emitter = createEmitter();
+    const tracker = useWorker
+        ? createWorkerTracker(canvas, options, assetsPath, emitter)
+        : createInlineTracker(canvas, options, assetsPath, emitter);
+    return { on: emitter.on, ...tracker };
+}
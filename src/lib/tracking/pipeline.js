@@ -0,0 +1,232 @@
+import { Hands, HAND_CONNECTIONS } from "@mediapipe/hands";
+import { drawConnectors, drawLandmarks } from "@mediapipe/drawing_utils";
+import { FINGER_NAMES, userHand } from "../gestures";
+import { createGestureSmoother } from "../smoothing";
+import { createKnnClassifier } from "../customGestures";
+
+// Hand tracking pipeline: MediaPipe Hands, then per-hand smoothing and
+// classification, then the landmark overlay drawn on `canvas`. It runs inside
+// the tracking worker (with an OffscreenCanvas) or, where workers cannot draw,
+// on the main thread. Every processed frame is reported through `onFrame` as
+// a compact summary; landmarks travel as flat Float32Arrays of 21 x, y, z.
+
+// Overlay colors per hand (as seen by the user, not MediaPipe's label)
+export const HAND_COLORS = {
+    Left: { connectors: "#00BFFF", landmarks: "#0040FF" },
+    Right: { connectors: "#00FF00", landmarks: "#FF0000" },
+};
+
+export const DEFAULT_TRACKING_OPTIONS = {
+    // Classifier finger threshold (detection.threshold in the settings)
+    threshold: 1.5,
+    smoothing: {},
+    hands: {},
+    knn: {},
+    mirrored: false,
+};
+
+export const packLandmarks = (landmarks) => {
+    const packed = new Float32Array(landmarks.length * 3);
+    landmarks.forEach(({ x, y, z }, index) => {
+        packed[index * 3] = x;
+        packed[index * 3 + 1] = y;
+        packed[index * 3 + 2] = z;
+    });
+    return packed;
+};
+
+export const unpackLandmarks = (packed) =>
+    Array.from({ length: packed.length / 3 }, (_, index) => ({
+        x: packed[index * 3],
+        y: packed[index * 3 + 1],
+        z: packed[index * 3 + 2],
+    }));
+
+// What the rules and motion detector need from the classifier result
+const compactResult = (result) => ({
+    gesture: result.gesture,
+    confidence: result.confidence,
+    rawGesture: result.rawGesture,
+    count: result.count,
+    rawCount: result.rawCount,
+    handedness: result.handedness,
+    custom: result.custom,
+    fingers: Object.fromEntries(
+        FINGER_NAMES.map((name) => [name, { extended: result.fingers[name].extended }])
+    ),
+});
+
+// Replayed sessions carry thumbnails as data URLs
+const decodeThumbnail = (dataUrl) =>
+    fetch(dataUrl)
+        .then((response) => response.blob())
+        .then((blob) => createImageBitmap(blob));
+
+export function createTrackingPipeline({ canvas, locateFile, onFrame, onReady, onError }) {
+    let options = { ...DEFAULT_TRACKING_OPTIONS };
+    const context = canvas.getContext("2d");
+    const smoothers = new Map();
+    let customGestures = [];
+    let classifyCustom = null;
+    // Last replay thumbnail, drawn until the next one arrives
+    let background = null;
+    // Timing of the frame currently inside hands.send
+    let pending = null;
+
+    const getSmoother = (hand) => {
+        let smoother = smoothers.get(hand);
+        if (!smoother) {
+            smoother = createGestureSmoother(options.smoothing);
+            smoothers.set(hand, smoother);
+        }
+        return smoother;
+    };
+
+    const drawImage = (image) => {
+        const { width, height } = canvas;
+        context.clearRect(0, 0, width, height);
+        if (!image) {
+            context.fillStyle = "#6b7280";
+            context.fillRect(0, 0, width, height);
+            return;
+        }
+        context.save();
+        if (options.mirrored) {
+            context.translate(width, 0);
+            context.scale(-1, 1);
+        }
+        context.drawImage(image, 0, 0, width, height);
+        context.restore();
+    };
+
+    const drawHand = (hand, landmarks) => {
+        const colors = HAND_COLORS[hand];
+        // Mirroring is display only; detection always uses the raw image
+        const drawn = options.mirrored
+            ? landmarks.map((point) => ({ ...point, x: 1 - point.x }))
+            : landmarks;
+
+        drawConnectors(context, drawn, HAND_CONNECTIONS, {
+            color: colors.connectors,
+            lineWidth: 5,
+        });
+        drawLandmarks(context, drawn, { color: colors.landmarks, lineWidth: 2 });
+
+        // Hand label next to the wrist
+        context.font = "bold 20px sans-serif";
+        context.fillStyle = colors.connectors;
+        context.fillText(
+            hand,
+            drawn[0].x * canvas.width + 10,
+            drawn[0].y * canvas.height + 20
+        );
+    };
+
+    const process = (results, image, timestamp, inferenceMs) => {
+        const drawStart = performance.now();
+        drawImage(image);
+
+        const hands = (results.multiHandLandmarks || []).map((rawLandmarks, index) => {
+            const handedness = results.multiHandedness?.[index];
+            const label = handedness?.label ?? "Right";
+            const hand = userHand(label);
+            const { landmarks, result } = getSmoother(hand).process(
+                rawLandmarks,
+                timestamp,
+                { threshold: options.threshold, handedness: label },
+                classifyCustom && ((points) => classifyCustom(points, hand))
+            );
+            drawHand(hand, landmarks);
+            return {
+                hand,
+                label,
+                score: handedness?.score ?? 1,
+                result: compactResult(result),
+                landmarks: packLandmarks(landmarks),
+                raw: packLandmarks(rawLandmarks),
+            };
+        });
+
+        onFrame(
+            {
+                timestamp,
+                inferenceMs,
+                drawMs: performance.now() - drawStart,
+                hands,
+            },
+            hands.flatMap(({ landmarks, raw }) => [landmarks.buffer, raw.buffer])
+        );
+    };
+
+    const hands = new Hands({ locateFile });
+    hands.onResults((results) => {
+        if (!pending) return;
+        const { timestamp, startedAt } = pending;
+        process(results, results.image, timestamp, performance.now() - startedAt);
+    });
+
+    hands.setOptions(options.hands);
+    hands.initialize().then(() => onReady && onReady(), onError);
+
+    // Runs one camera frame (an ImageBitmap, closed afterwards) through Hands
+    const send = async (image, timestamp) => {
+        pending = { timestamp, startedAt: performance.now() };
+        try {
+            await hands.send({ image });
+        } catch (error) {
+            onError(error);
+        } finally {
+            pending = null;
+            if (image.close) image.close();
+        }
+    };
+
+    // Recorded results skip inference and go straight to classification
+    const replay = (results) => {
+        if (results.thumbnail) {
+            decodeThumbnail(results.thumbnail).then((bitmap) => {
+                if (background) background.close();
+                background = bitmap;
+            }, onError);
+        }
+        process(results, background, results.timestamp, 0);
+    };
+
+    const setOptions = (next) => {
+        options = { ...options, ...next };
+        if (next.hands) hands.setOptions(options.hands);
+        if (next.smoothing) {
+            for (const smoother of smoothers.values()) smoother.setOptions(options.smoothing);
+        }
+        if (next.knn) setCustomGestures(customGestures);
+    };
+
+    const setCustomGestures = (gestures) => {
+        customGestures = gestures;
+        classifyCustom =
+            gestures.length > 0 ? createKnnClassifier(gestures, options.knn) : null;
+    };
+
+    const resize = (width, height) => {
+        canvas.width = width;
+        canvas.height = height;
+    };
+
+    // Blank the overlay and start the next frames from scratch
+    const clear = () => {
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        for (const smoother of smoothers.values()) smoother.reset();
+        if (background) background.close();
+        background = null;
+    };
+
+    return {
+        send,
+        replay,
+        setOptions,
+        setCustomGestures,
+        resize,
+        clear,
+        close: () => hands.close(),
+    };
+}
@@ -0,0 +1,61 @@
+import { createTrackingPipeline } from "./pipeline";
+
+// Tracking worker: owns MediaPipe Hands and the OffscreenCanvas the overlay
+// is drawn on. Messages in: init, frame, replay, options, gestures, resize,
+// clear. Messages out: ready, frame, error.
+
+// MediaPipe's loader pulls its WASM glue in with importScripts, which module
+// workers do not support. Load the files synchronously and evaluate them in
+// global scope instead, which is what importScripts does.
+self.importScripts = (...urls) => {
+    for (const url of urls) {
+        const request = new XMLHttpRequest();
+        request.open("GET", url, false);
+        request.send();
+        if (request.status !== 200) {
+            throw new Error(`Could not load ${url} (${request.status})`);
+        }
+        (0, eval)(request.responseText);
+    }
+};
+
+let pipeline = null;
+
+const reportError = (error) =>
+    self.postMessage({ type: "error", message: error?.message || String(error) });
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case "init":
+            pipeline = createTrackingPipeline({
+                canvas: data.canvas,
+                locateFile: (file) => `${data.assetsPath}${file}`,
+                onFrame: (frame, transfer) =>
+                    self.postMessage({ type: "frame", frame }, transfer),
+                onReady: () => self.postMessage({ type: "ready" }),
+                onError: reportError,
+            });
+            pipeline.setOptions(data.options);
+            break;
+        case "frame":
+            pipeline.send(data.image, data.timestamp);
+            break;
+        case "replay":
+            pipeline.replay(data.results);
+            break;
+        case "options":
+            pipeline.setOptions(data.options);
+            break;
+        case "gestures":
+            pipeline.setCustomGestures(data.gestures);
+            break;
+        case "resize":
+            pipeline.resize(data.width, data.height);
+            break;
+        case "clear":
+            pipeline.clear();
+            break;
+        default:
+            reportError(new Error(`Unknown message ${data.type}`));
+    }
+};
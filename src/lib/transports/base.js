@@ -0,0 +1,81 @@
+import { createEmitter } from "../emitter";
+
+// Every transport exposes the same surface:
+//   kind, getStatus(), on(event, handler), connect(), disconnect(),
+//   send(command, { signal }) -> Promise<reply text>
+// and emits "connect", "disconnect" and "error" events plus a "status" event
+// carrying the new status string whenever it changes.
+
+export const TRANSPORT_STATUS = {
+    DISCONNECTED: "disconnected",
+    CONNECTING: "connecting",
+    CONNECTED: "connected",
+    ERROR: "error",
+};
+
+export function createTransportBase(kind) {
+    const emitter = createEmitter();
+    let status = TRANSPORT_STATUS.DISCONNECTED;
+
+    const setStatus = (next) => {
+        if (next === status) return;
+        status = next;
+        emitter.emit("status", status);
+    };
+
+    const connected = (detail) => {
+        if (status === TRANSPORT_STATUS.CONNECTED) return;
+        setStatus(TRANSPORT_STATUS.CONNECTED);
+        emitter.emit("connect", detail);
+    };
+
+    const disconnected = (detail) => {
+        const wasConnected = status === TRANSPORT_STATUS.CONNECTED;
+        setStatus(TRANSPORT_STATUS.DISCONNECTED);
+        if (wasConnected) emitter.emit("disconnect", detail);
+    };
+
+    const failed = (error) => {
+        setStatus(TRANSPORT_STATUS.ERROR);
+        emitter.emit("error", error);
+    };
+
+    return {
+        // The part each transport spreads into its public object
+        api: { kind, on: emitter.on, getStatus: () => status },
+        getStatus: () => status,
+        setStatus,
+        connected,
+        disconnected,
+        failed,
+    };
+}
+
+export const notConnectedError = (kind) =>
+    new Error(`${kind} transport is not connected`);
+
+// Rejects `promise` early when `signal` aborts, calling `cleanup` first
+export const withAbort = (promise, signal, cleanup) => {
+    if (!signal) return promise;
+    if (signal.aborted) {
+        cleanup?.();
+        return Promise.reject(signal.reason);
+    }
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            cleanup?.();
+            reject(signal.reason);
+        };
+        signal.addEventListener("abort", onAbort, { once: true });
+        promise.then(
+            (value) => {
+                signal.removeEventListener("abort", onAbort);
+                resolve(value);
+            },
+            (error) => {
+                signal.removeEventListener("abort", onAbort);
+                reject(error);
+            }
+        );
+    });
+};
@@ -0,0 +1,42 @@
+import { COLOR_FORMATS, colorToRgb } from "../color";
+
+// Wire encodings shared by every transport. A command is what the dispatcher
+// hands over (`{ channel, value }`); the payload is the flat key/value form the
+// firmware understands. `state` is kept for boards that only know ON/OFF.
+// Color commands add `r`, `g`, `b` (0-255) or `h` (0-359), `s`, `v` (0-100).
+
+const colorPayload = ({ color, colorFormat }) => {
+    if (!color) return {};
+    if (colorFormat === COLOR_FORMATS.HSV) return { h: color.h, s: color.s, v: color.v };
+    return colorToRgb(color);
+};
+
+export const toPayload = (command) => ({
+    channel: command.channel,
+    value: command.value,
+    state: command.value > 0 ? "ON" : "OFF",
+    ...colorPayload(command),
+});
+
+// `channel=1&value=255&state=ON`, used by the HTTP body and the serial line
+// protocol
+export const encodeForm = (command) =>
+    new URLSearchParams(toPayload(command)).toString();
+
+// `{"channel":1,"value":255,"state":"ON"}`, used by WebSocket and MQTT
+export const encodeJson = (command, extra = {}) =>
+    JSON.stringify({ ...extra, ...toPayload(command) });
+
+// Fills `{key}` placeholders from the payload, e.g. "state={state}" or
+// "channel={channel}&value={value}". Color fields the template does not
+// mention are appended, so color works with the default template.
+export const formatBody = (template, command) => {
+    const payload = toPayload(command);
+    const body = template.replace(/\{(\w+)\}/g, (match, key) =>
+        key in payload ? encodeURIComponent(payload[key]) : match
+    );
+    const extra = Object.entries(colorPayload(command)).filter(
+        ([key]) => !template.includes(`{${key}}`)
+    );
+    return extra.length > 0 ? `${body}&${new URLSearchParams(extra)}` : body;
+};
@@ -0,0 +1,39 @@
+import { createTransportBase } from "./base";
+import { formatBody } from "./command";
+
+// The original firmware interface: one form-encoded POST per command, the
+// reply body is the acknowledgement text.
+export function createHttpTransport({
+    url = "http://192.168.4.1/led",
+    bodyFormat = "channel={channel}&value={value}&state={state}",
+} = {}) {
+    const base = createTransportBase("http");
+
+    // HTTP is stateless, so "connected" only means "ready to send"
+    const connect = async () => base.connected({ url });
+    const disconnect = async () => base.disconnected({ url });
+
+    const send = async (command, { signal } = {}) => {
+        try {
+            const response = await fetch(url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/x-www-form-urlencoded",
+                },
+                body: formatBody(bodyFormat, command),
+                signal,
+            });
+            const data = await response.text();
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${data}`);
+            }
+            base.connected({ url });
+            return data;
+        } catch (error) {
+            if (!signal?.aborted) base.failed(error);
+            throw error;
+        }
+    };
+
+    return { ...base.api, connect, disconnect, send };
+}
@@ -0,0 +1,22 @@
+import { createHttpTransport } from "./http";
+import { createMqttTransport } from "./mqtt";
+import { createSerialTransport } from "./serial";
+import { createVirtualTransport } from "./virtual";
+import { createWebSocketTransport } from "./websocket";
+
+export { TRANSPORT_STATUS } from "./base";
+export { getVirtualBoard } from "./virtual";
+
+export const TRANSPORTS = {
+    http: { label: "HTTP POST", create: createHttpTransport },
+    websocket: { label: "WebSocket", create: createWebSocketTransport },
+    mqtt: { label: "MQTT over WebSocket", create: createMqttTransport },
+    serial: { label: "Web Serial (USB)", create: createSerialTransport },
+    virtual: { label: "Virtual device (simulated)", create: createVirtualTransport },
+};
+
+export function createTransport(kind, options) {
+    const transport = TRANSPORTS[kind];
+    if (!transport) throw new Error(`Unknown transport "${kind}"`);
+    return transport.create(options);
+}
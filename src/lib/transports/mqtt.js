@@ -0,0 +1,117 @@
+import {
+    createTransportBase,
+    notConnectedError,
+    withAbort,
+    TRANSPORT_STATUS,
+} from "./base";
+import { encodeJson } from "./command";
+import {
+    PACKET,
+    connectPacket,
+    decodePackets,
+    disconnectPacket,
+    pingreqPacket,
+    publishPacket,
+    readPacketId,
+} from "./mqttPackets";
+
+// MQTT over WebSocket. Commands are published with QoS 1 as JSON to `topic`;
+// the broker's PUBACK is the acknowledgement.
+export function createMqttTransport({
+    url = "ws://192.168.4.1:8083/mqtt",
+    topic = "glowfinger/led",
+    clientId = `glowfinger-${Math.random().toString(16).slice(2, 10)}`,
+    keepAlive = 30,
+} = {}) {
+    const base = createTransportBase("mqtt");
+    const pending = new Map();
+    let socket = null;
+    let pingTimer = null;
+    let tail = new Uint8Array(0);
+    let nextPacketId = 1;
+
+    const rejectAll = (error) => {
+        for (const { reject } of pending.values()) reject(error);
+        pending.clear();
+    };
+
+    const handlePacket = ({ type, body }) => {
+        if (type === PACKET.CONNACK) {
+            const returnCode = body[1];
+            if (returnCode === 0) {
+                base.connected({ url, topic });
+            } else {
+                base.failed(new Error(`MQTT connection refused (${returnCode})`));
+                socket?.close();
+            }
+        } else if (type === PACKET.PUBACK) {
+            const packetId = readPacketId(body);
+            const entry = pending.get(packetId);
+            if (entry) {
+                pending.delete(packetId);
+                entry.resolve(`PUBACK ${packetId}`);
+            }
+        }
+    };
+
+    const handleMessage = (event) => {
+        const chunk = new Uint8Array(event.data);
+        const buffer = new Uint8Array(tail.length + chunk.length);
+        buffer.set(tail);
+        buffer.set(chunk, tail.length);
+        const { packets, rest } = decodePackets(buffer);
+        tail = rest.slice();
+        packets.forEach(handlePacket);
+    };
+
+    const connect = async () => {
+        if (socket) return;
+        base.setStatus(TRANSPORT_STATUS.CONNECTING);
+        const ws = new WebSocket(url, "mqtt");
+        ws.binaryType = "arraybuffer";
+        socket = ws;
+        tail = new Uint8Array(0);
+
+        ws.onopen = () => {
+            ws.send(connectPacket({ clientId, keepAlive }));
+            pingTimer = setInterval(
+                () => ws.send(pingreqPacket()),
+                (keepAlive * 1000) / 2
+            );
+        };
+        ws.onmessage = handleMessage;
+        ws.onerror = () => {
+            base.failed(new Error(`MQTT WebSocket error on ${url}`));
+        };
+        ws.onclose = (event) => {
+            clearInterval(pingTimer);
+            if (socket !== ws) return;
+            socket = null;
+            rejectAll(new Error(`MQTT connection closed (${event.code})`));
+            base.disconnected({ url, code: event.code });
+        };
+    };
+
+    const disconnect = async () => {
+        if (!socket) return;
+        if (socket.readyState === WebSocket.OPEN) socket.send(disconnectPacket());
+        socket.close();
+    };
+
+    const send = (command, { signal } = {}) => {
+        if (!socket || base.getStatus() !== TRANSPORT_STATUS.CONNECTED) {
+            return Promise.reject(notConnectedError("mqtt"));
+        }
+        const packetId = nextPacketId;
+        nextPacketId = (nextPacketId % 0xffff) + 1;
+        const ack = new Promise((resolve, reject) => {
+            pending.set(packetId, { resolve, reject });
+        });
+        socket.send(
+            publishPacket({ topic, payload: encodeJson(command), packetId })
+        );
+        return withAbort(ack, signal, () => pending.delete(packetId));
+    };
+
+    return { ...base.api, connect, disconnect, send };
+}
@@ -0,0 +1,116 @@
+// Just enough of MQTT 3.1.1 to publish commands: CONNECT/CONNACK,
+// PUBLISH/PUBACK (QoS 0 and 1), PINGREQ/PINGRESP and DISCONNECT. Works on
+// Uint8Arrays only, so the same code runs in the browser and in the Node
+// stand-in broker.
+
+export const PACKET = {
+    CONNECT: 1,
+    CONNACK: 2,
+    PUBLISH: 3,
+    PUBACK: 4,
+    PINGREQ: 12,
+    PINGRESP: 13,
+    DISCONNECT: 14,
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const encodeLength = (length) => {
+    const bytes = [];
+    do {
+        let byte = length % 128;
+        length = Math.floor(length / 128);
+        if (length > 0) byte |= 0x80;
+        bytes.push(byte);
+    } while (length > 0);
+    return bytes;
+};
+
+const encodeString = (value) => {
+    const bytes = encoder.encode(value);
+    return [bytes.length >> 8, bytes.length & 0xff, ...bytes];
+};
+
+const readString = (body, offset) => {
+    const length = (body[offset] << 8) | body[offset + 1];
+    const start = offset + 2;
+    return [decoder.decode(body.subarray(start, start + length)), start + length];
+};
+
+const packet = (type, flags, body = []) =>
+    Uint8Array.from([(type << 4) | flags, ...encodeLength(body.length), ...body]);
+
+export const connectPacket = ({ clientId, keepAlive = 30 }) =>
+    packet(PACKET.CONNECT, 0, [
+        ...encodeString("MQTT"),
+        4, // protocol level 3.1.1
+        0x02, // clean session
+        keepAlive >> 8,
+        keepAlive & 0xff,
+        ...encodeString(clientId),
+    ]);
+
+export const connackPacket = (returnCode = 0) =>
+    packet(PACKET.CONNACK, 0, [0, returnCode]);
+
+export const publishPacket = ({ topic, payload, qos = 1, packetId = 0 }) =>
+    packet(PACKET.PUBLISH, qos << 1, [
+        ...encodeString(topic),
+        ...(qos > 0 ? [packetId >> 8, packetId & 0xff] : []),
+        ...encoder.encode(payload),
+    ]);
+
+export const pubackPacket = (packetId) =>
+    packet(PACKET.PUBACK, 0, [packetId >> 8, packetId & 0xff]);
+
+export const pingreqPacket = () => packet(PACKET.PINGREQ, 0);
+export const pingrespPacket = () => packet(PACKET.PINGRESP, 0);
+export const disconnectPacket = () => packet(PACKET.DISCONNECT, 0);
+
+// Splits a byte stream into packets. Returns the complete packets and the
+// unconsumed tail, which should be prepended to the next chunk.
+export function decodePackets(buffer) {
+    const packets = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        let length = 0;
+        let multiplier = 1;
+        let cursor = offset + 1;
+        let byte;
+        do {
+            if (cursor >= buffer.length) return { packets, rest: buffer.subarray(offset) };
+            byte = buffer[cursor++];
+            length += (byte & 0x7f) * multiplier;
+            multiplier *= 128;
+        } while (byte & 0x80);
+        if (cursor + length > buffer.length) break;
+        packets.push({
+            type: buffer[offset] >> 4,
+            flags: buffer[offset] & 0x0f,
+            body: buffer.subarray(cursor, cursor + length),
+        });
+        offset = cursor + length;
+    }
+    return { packets, rest: buffer.subarray(offset) };
+}
+
+export const readPacketId = (body) => (body[0] << 8) | body[1];
+
+export function parseConnect(body) {
+    const [protocol, offset] = readString(body, 0);
+    const keepAlive = (body[offset + 2] << 8) | body[offset + 3];
+    const [clientId] = readString(body, offset + 4);
+    return { protocol, keepAlive, clientId };
+}
+
+export function parsePublish({ flags, body }) {
+    const qos = (flags >> 1) & 0x03;
+    let [topic, offset] = readString(body, 0);
+    let packetId = 0;
+    if (qos > 0) {
+        packetId = readPacketId(body.subarray(offset));
+        offset += 2;
+    }
+    return { topic, qos, packetId, payload: decoder.decode(body.subarray(offset)) };
+}
@@ -0,0 +1,138 @@
+import {
+    createTransportBase,
+    notConnectedError,
+    withAbort,
+    TRANSPORT_STATUS,
+} from "./base";
+import { encodeForm } from "./command";
+
+// Web Serial for boards plugged in over USB. Line protocol: the app writes
+// `channel=1&value=255&state=ON\n`, the board answers with one line per
+// command, lines starting with "ERR" are failures. `connect` opens the port
+// picker, so it has to be called from a click handler.
+export function createSerialTransport({ baudRate = 115200 } = {}) {
+    const base = createTransportBase("serial");
+    const pending = [];
+    let port = null;
+    let reader = null;
+    let writer = null;
+    // The pipes between the port and the text streams. The port only closes
+    // once both have finished, so `close` waits for them.
+    let pipes = [];
+
+    const rejectAll = (error) => {
+        for (const { reject } of pending.splice(0)) reject(error);
+    };
+
+    const handleLine = (line) => {
+        const entry = pending.shift();
+        if (!entry) return;
+        if (line.startsWith("ERR")) entry.reject(new Error(line));
+        else entry.resolve(line);
+    };
+
+    const readLoop = async () => {
+        let buffer = "";
+        try {
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                let newline;
+                while ((newline = buffer.indexOf("\n")) >= 0) {
+                    const line = buffer.slice(0, newline).trim();
+                    buffer = buffer.slice(newline + 1);
+                    if (line) handleLine(line);
+                }
+            }
+        } catch (error) {
+            base.failed(error);
+        } finally {
+            close();
+        }
+    };
+
+    const close = async () => {
+        if (!port) return;
+        const closing = port;
+        port = null;
+        rejectAll(notConnectedError("serial"));
+        // Cancelling the reader and aborting the writer tear down both pipes,
+        // which unlocks the port's own streams
+        await reader?.cancel().catch(() => {});
+        await writer?.abort().catch(() => {});
+        await Promise.all(pipes);
+        try {
+            await closing.close();
+        } catch {
+            // The device may already be gone
+        }
+        reader = null;
+        writer = null;
+        pipes = [];
+        base.disconnected({});
+    };
+
+    const handleUnplug = (event) => {
+        if (event.target === port) close();
+    };
+
+    const connect = async () => {
+        if (port) return;
+        if (!("serial" in navigator)) {
+            base.failed(new Error("Web Serial is not supported in this browser"));
+            return;
+        }
+        base.setStatus(TRANSPORT_STATUS.CONNECTING);
+        try {
+            const selected = await navigator.serial.requestPort();
+            await selected.open({ baudRate });
+            port = selected;
+            const decoder = new TextDecoderStream();
+            const encoder = new TextEncoderStream();
+            // Either pipe fails once the device is unplugged; `close` handles that
+            pipes = [
+                selected.readable.pipeTo(decoder.writable).catch(() => {}),
+                encoder.readable.pipeTo(selected.writable).catch(() => {}),
+            ];
+            reader = decoder.readable.getReader();
+            writer = encoder.writable.getWriter();
+            navigator.serial.addEventListener("disconnect", handleUnplug);
+            base.connected({ baudRate });
+            readLoop();
+        } catch (error) {
+            port = null;
+            base.failed(error);
+        }
+    };
+
+    const disconnect = async () => {
+        navigator.serial?.removeEventListener("disconnect", handleUnplug);
+        await close();
+    };
+
+    const send = async (command, { signal } = {}) => {
+        if (!writer) throw notConnectedError("serial");
+        let entry;
+        const reply = new Promise((resolve, reject) => {
+            entry = { resolve, reject };
+            pending.push(entry);
+        });
+        try {
+            await writer.write(`${encodeForm(command)}\n`);
+        } catch (error) {
+            // The line never went out, so no reply will come for it: drop
+            // the slot so later replies still match their commands
+            const index = pending.indexOf(entry);
+            if (index >= 0) pending.splice(index, 1);
+            reply.catch(() => {});
+            throw error;
+        }
+        return withAbort(reply, signal, () => {
+            // Keep the slot so the late reply line is still consumed in order
+            entry.resolve = entry.reject = () => {};
+        });
+    };
+
+    return { ...base.api, connect, disconnect, send };
+}
@@ -0,0 +1,134 @@
+import { createEmitter } from "../emitter";
+import { createBoard } from "../virtualBoard";
+import { createTransportBase } from "./base";
+import { encodeForm } from "./command";
+
+// A simulated board inside the app, for working without hardware. Commands
+// go through the same form encoding as the HTTP and serial links and are
+// handled by the stand-in servers' board logic, so the replies and errors
+// are the firmware's. Latency, lost packets and error replies can be
+// injected: a lost command never reaches the board and its request gives up
+// after `replyTimeoutMs`, an error reply reaches the board but is refused.
+
+export const DEFAULT_VIRTUAL_OPTIONS = {
+    name: "virtual",
+    latencyMs: 30,
+    // Up to this much is added to the latency at random
+    jitterMs: 20,
+    lossPercent: 0,
+    errorPercent: 0,
+    replyTimeoutMs: 2000,
+};
+
+// One board per name that outlives the transports talking to it, the way a
+// real board keeps its LEDs lit while the app reconnects. Its "change" event
+// carries the state: { levels, color, stats, lastReply }.
+const boards = new Map();
+
+const emptyStats = () => ({ received: 0, lost: 0, errors: 0 });
+
+export function getVirtualBoard(name = DEFAULT_VIRTUAL_OPTIONS.name) {
+    if (boards.has(name)) return boards.get(name);
+    const board = createBoard();
+    const emitter = createEmitter();
+    let stats = emptyStats();
+    let lastReply = null;
+
+    const getState = () => ({ ...board.getState(), stats, lastReply });
+    const changed = () => emitter.emit("change", getState());
+
+    const virtualBoard = {
+        name,
+        channels: board.channels,
+        on: emitter.on,
+        getState,
+        // Throws with the firmware's error for invalid commands
+        receive: (payload) => {
+            stats = { ...stats, received: stats.received + 1 };
+            try {
+                lastReply = board.apply(payload).reply;
+                return lastReply;
+            } catch (error) {
+                lastReply = `ERR ${error.message}`;
+                throw error;
+            } finally {
+                changed();
+            }
+        },
+        count: (key) => {
+            stats = { ...stats, [key]: stats[key] + 1 };
+            changed();
+        },
+        reset: () => {
+            board.reset();
+            stats = emptyStats();
+            lastReply = null;
+            changed();
+        },
+    };
+    boards.set(name, virtualBoard);
+    return virtualBoard;
+}
+
+const sleep = (ms, signal) =>
+    new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener(
+            "abort",
+            () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            },
+            { once: true }
+        );
+    });
+
+const chance = (percent) => Math.random() * 100 < percent;
+
+export function createVirtualTransport(options = {}) {
+    const config = { ...DEFAULT_VIRTUAL_OPTIONS, ...options };
+    const base = createTransportBase("virtual");
+    const board = getVirtualBoard(config.name);
+
+    // Like HTTP, "connected" only means "ready to send"
+    const connect = async () => base.connected({ name: config.name });
+    const disconnect = async () => base.disconnected({ name: config.name });
+
+    // Half the latency on the way to the board, half on the way back; a
+    // command aborted before it arrives never reaches the board
+    const exchange = async (command, signal) => {
+        const delay = config.latencyMs + Math.random() * config.jitterMs;
+        if (chance(config.lossPercent)) {
+            board.count("lost");
+            await sleep(config.replyTimeoutMs, signal);
+            throw new Error(`No reply from ${config.name} (command lost)`);
+        }
+        await sleep(delay / 2, signal);
+        // Decoded the way the firmware parses a form body: every value a string
+        const payload = Object.fromEntries(new URLSearchParams(encodeForm(command)));
+        const reply = board.receive(payload);
+        await sleep(delay / 2, signal);
+        if (chance(config.errorPercent)) {
+            board.count("errors");
+            throw new Error(`${config.name} answered with an error (injected)`);
+        }
+        return reply;
+    };
+
+    const send = async (command, { signal } = {}) => {
+        try {
+            const reply = await exchange(command, signal);
+            base.connected({ name: config.name });
+            return reply;
+        } catch (error) {
+            if (!signal?.aborted) base.failed(error);
+            throw error;
+        }
+    };
+
+    return { ...base.api, connect, disconnect, send };
+}
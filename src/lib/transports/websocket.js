@@ -0,0 +1,102 @@
+import {
+    createTransportBase,
+    notConnectedError,
+    withAbort,
+    TRANSPORT_STATUS,
+} from "./base";
+import { encodeJson } from "./command";
+
+// Persistent WebSocket. Each command goes out as
+// `{"id":n,"channel":1,"value":255,"state":"ON"}` and the board answers
+// `{"id":n,"reply":"..."}` (or `"error"`), so replies can be matched to
+// requests even when an older one was abandoned. The socket is reopened
+// with backoff until `disconnect` is called.
+export function createWebSocketTransport({
+    url = "ws://192.168.4.1:81/",
+    reconnectDelayMs = 1000,
+    maxReconnectDelayMs = 10000,
+} = {}) {
+    const base = createTransportBase("websocket");
+    const pending = new Map();
+    let socket = null;
+    let nextId = 1;
+    let wantOpen = false;
+    let reconnectTimer = null;
+    let reconnectDelay = reconnectDelayMs;
+
+    const rejectAll = (error) => {
+        for (const { reject } of pending.values()) reject(error);
+        pending.clear();
+    };
+
+    const handleMessage = (event) => {
+        let message;
+        try {
+            message = JSON.parse(event.data);
+        } catch {
+            base.failed(new Error(`Unexpected WebSocket reply: ${event.data}`));
+            return;
+        }
+        const entry = pending.get(message.id);
+        if (!entry) return;
+        pending.delete(message.id);
+        if (message.error) entry.reject(new Error(message.error));
+        else entry.resolve(message.reply ?? "");
+    };
+
+    const scheduleReconnect = () => {
+        if (!wantOpen || reconnectTimer) return;
+        reconnectTimer = setTimeout(() => {
+            reconnectTimer = null;
+            open();
+        }, reconnectDelay);
+        reconnectDelay = Math.min(reconnectDelay * 2, maxReconnectDelayMs);
+    };
+
+    const open = () => {
+        base.setStatus(TRANSPORT_STATUS.CONNECTING);
+        const ws = new WebSocket(url);
+        socket = ws;
+        ws.onopen = () => {
+            reconnectDelay = reconnectDelayMs;
+            base.connected({ url });
+        };
+        ws.onmessage = handleMessage;
+        ws.onerror = () => {
+            base.failed(new Error(`WebSocket error on ${url}`));
+        };
+        ws.onclose = (event) => {
+            if (socket !== ws) return;
+            socket = null;
+            rejectAll(new Error(`WebSocket closed (${event.code})`));
+            base.disconnected({ url, code: event.code });
+            scheduleReconnect();
+        };
+    };
+
+    const connect = async () => {
+        wantOpen = true;
+        if (!socket) open();
+    };
+
+    const disconnect = async () => {
+        wantOpen = false;
+        clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        if (socket) socket.close();
+    };
+
+    const send = (command, { signal } = {}) => {
+        if (!socket || socket.readyState !== WebSocket.OPEN) {
+            return Promise.reject(notConnectedError("websocket"));
+        }
+        const id = nextId++;
+        const reply = new Promise((resolve, reject) => {
+            pending.set(id, { resolve, reject });
+        });
+        socket.send(encodeJson(command, { id }));
+        return withAbort(reply, signal, () => pending.delete(id));
+    };
+
+    return { ...base.api, connect, disconnect, send };
+}
@@ -0,0 +1,100 @@
+// The board's command handling without the wire: takes the flat payload the
+// firmware receives (string or number values, as decoded from a form body or
+// JSON) and returns the reply text it would send. Understands `channel` +
+// `value` (0-255) and falls back to the legacy `state=ON|OFF`, which
+// addresses every channel. Color commands add `r`, `g`, `b` (0-255) or
+// `h` (0-359), `s`, `v` (0-100). Invalid commands throw with the error the
+// firmware reports.
+//
+// Shared by the stand-in servers (server/led.js) and the in-app virtual
+// device, so it has no imports and runs in Node as well as the browser.
+
+export const BOARD_CHANNELS = 8;
+
+const parseValue = (payload) => {
+    if (payload.value !== undefined && payload.value !== "") {
+        const value = Number(payload.value);
+        if (!Number.isInteger(value) || value < 0 || value > 255) {
+            throw new Error(`invalid value "${payload.value}"`);
+        }
+        return value;
+    }
+    const state = String(payload.state ?? "").toUpperCase();
+    if (state === "ON") return 255;
+    if (state === "OFF") return 0;
+    throw new Error(`invalid state "${payload.state}"`);
+};
+
+const parseChannel = (payload, channels) => {
+    const channel = payload.channel ?? "all";
+    if (channel === "all") return "all";
+    const index = Number(channel);
+    if (!Number.isInteger(index) || index < 1 || index > channels) {
+        throw new Error(`invalid channel "${channel}"`);
+    }
+    return index;
+};
+
+const parseComponent = (payload, key, max) => {
+    const value = Number(payload[key]);
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new Error(`invalid ${key} "${payload[key]}"`);
+    }
+    return value;
+};
+
+// { format: "RGB", values: [255, 128, 0] }, HSV likewise, or null for plain
+// commands
+const parseColor = (payload) => {
+    if (payload.r !== undefined) {
+        return {
+            format: "RGB",
+            values: ["r", "g", "b"].map((key) => parseComponent(payload, key, 255)),
+        };
+    }
+    if (payload.h !== undefined) {
+        return {
+            format: "HSV",
+            values: [["h", 359], ["s", 100], ["v", 100]].map(([key, max]) =>
+                parseComponent(payload, key, max)
+            ),
+        };
+    }
+    return null;
+};
+
+// "RGB 255,128,0"
+export const formatBoardColor = (color) => `${color.format} ${color.values.join(",")}`;
+
+// `apply` validates everything before changing anything, so a rejected
+// command leaves the levels as they were
+export function createBoard({ channels = BOARD_CHANNELS } = {}) {
+    const levels = new Array(channels).fill(0);
+    let color = null;
+
+    const apply = (payload) => {
+        const value = parseValue(payload);
+        const channel = parseChannel(payload, channels);
+        const nextColor = parseColor(payload);
+        if (channel === "all") levels.fill(value);
+        else levels[channel - 1] = value;
+        if (nextColor) color = nextColor;
+        const target = channel === "all" ? "ALL" : `LED${channel}`;
+        const reply = nextColor
+            ? `${target} ${value} ${formatBoardColor(nextColor)}`
+            : `${target} ${value}`;
+        return { channel, value, color: nextColor, reply };
+    };
+
+    const reset = () => {
+        levels.fill(0);
+        color = null;
+    };
+
+    return {
+        channels,
+        apply,
+        reset,
+        getState: () => ({ levels: [...levels], color }),
+    };
+}
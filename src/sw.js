@@ -0,0 +1,61 @@
+// Service worker template; plugins/pwa.js injects the precache manifest
+// ({ version, files }) at build time and emits the result as /sw.js.
+//
+// Every precached file is served from the cache, so the app and the
+// MediaPipe model load with no connection at all, e.g. on a tablet joined
+// only to the board's access point. A new version installs next to the old
+// one and waits; the page asks it to take over (SKIP_WAITING) once the user
+// accepts the update. Requests outside the manifest, such as commands to the
+// boards, go to the network untouched.
+
+const { version, files } = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = "glowfinger-";
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+const precached = new Set(files.map((file) => new URL(file, self.location).href));
+const appShell = new URL(files[0], self.location).href;
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(files)));
+});
+
+// Older versions' caches go once this one is in charge
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((names) =>
+                Promise.all(
+                    names
+                        .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                        .map((name) => caches.delete(name))
+                )
+            )
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener("message", (event) => {
+    if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+    if (event.data?.type === "GET_VERSION") event.ports[0]?.postMessage({ version });
+});
+
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET") return;
+    const url = new URL(request.url);
+    url.search = "";
+    url.hash = "";
+    // The app is a single page: every navigation gets the app shell
+    const key = request.mode === "navigate" && url.origin === self.location.origin
+        ? appShell
+        : url.href;
+    if (!precached.has(key)) return;
+
+    event.respondWith(
+        caches
+            .open(CACHE_NAME)
+            .then((cache) => cache.match(key))
+            .then((cached) => cached ?? fetch(request))
+    );
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import { ALL_CHANNELS, DEFAULT_RULES, evaluateRules } from "../src/lib/actions";
+import { classifyGesture } from "../src/lib/gestures";
+import { localHand, placeHand, POSES } from "./fixtures/handModel";
+
+// The command the default rules give a pose held by a right hand
+function commandFor(hand, rotation = 0) {
+    const landmarks = placeHand(localHand(hand), { center: { x: 0.5, y: 0.6 }, rotation });
+    const result = classifyGesture(landmarks, { handedness: "Right" });
+    return evaluateRules(DEFAULT_RULES, result, landmarks, "Right");
+}
+
+const pose = (name) => commandFor(POSES[name].hand, POSES[name].rotation);
+
+describe("DEFAULT_RULES", () => {
+    it("turns everything off for a fist and on for an open palm", () => {
+        expect(pose("fist")).toMatchObject({ channel: ALL_CHANNELS, value: 0 });
+        expect(pose("open_palm")).toMatchObject({ channel: ALL_CHANNELS, value: 255 });
+    });
+
+    it("runs the count rule, not pinch brightness, for thumbs up and down", () => {
+        expect(pose("thumbs_up")).toMatchObject({ channel: 1, value: 255 });
+        expect(pose("thumbs_down")).toMatchObject({ channel: 1, value: 255 });
+    });
+
+    it("switches on the channel of the finger count", () => {
+        expect(pose("pointing")).toMatchObject({ channel: 1, value: 255 });
+        expect(pose("peace")).toMatchObject({ channel: 2, value: 255 });
+        expect(pose("three")).toMatchObject({ channel: 3, value: 255 });
+    });
+
+    it("sets the brightness from the pinch with thumb and index out", () => {
+        const wide = commandFor({ curls: { middle: 1, ring: 1, pinky: 1 }, thumb: "out" });
+        expect(wide.channel).toBe(ALL_CHANNELS);
+        expect(wide.value).toBeGreaterThan(0);
+        expect(wide.value % 15 === 0 || wide.value === 255).toBe(true);
+    });
+
+    it("sends nothing for a pose no rule covers", () => {
+        expect(pose("four")).toBeNull();
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import {
+    CALIBRATION_STEPS,
+    MIN_CALIBRATION_FRAMES,
+    calibrateThresholds,
+    createCalibrationSession,
+} from "../src/lib/calibration";
+import { classifyGesture, FINGER_NAMES, GESTURES } from "../src/lib/gestures";
+import { parseSession } from "../src/lib/recorder";
+import calibrationSession from "./fixtures/synthetic-calibration-session.jsonl?raw";
+
+// The synthetic session holds an open palm for 4 s, then a fist for 4 s
+const frames = parseSession(calibrationSession);
+const landmarksOf = (frame) => frame.multiHandLandmarks[0];
+const openFrames = frames.filter((frame) => frame.t < 4000).slice(10).map(landmarksOf);
+const fistFrames = frames.filter((frame) => frame.t >= 4000).slice(10).map(landmarksOf);
+
+// Runs the wizard over the session, with a countdown and a hold that fit it
+function runWizard() {
+    const wizard = createCalibrationSession({ countdownMs: 1000, holdMs: 2500 });
+    const updates = frames.map((frame) => wizard.update(landmarksOf(frame), frame.t));
+    return { wizard, updates };
+}
+
+describe("calibrateThresholds", () => {
+    it("puts each finger's threshold between its fist and open-palm ratios", () => {
+        const { thresholds, fingers } = calibrateThresholds(openFrames, fistFrames);
+        for (const name of FINGER_NAMES) {
+            const finger = fingers[name];
+            expect(finger.usable).toBe(true);
+            expect(finger.margin).toBeGreaterThan(0);
+            expect(thresholds[name]).toBe(finger.threshold);
+            expect(finger.threshold).toBeGreaterThanOrEqual(finger.closed.p90);
+            expect(finger.threshold).toBeLessThanOrEqual(finger.open.p10);
+        }
+    });
+
+    it("gives thresholds the classifier recognizes both poses with", () => {
+        const { thresholds } = calibrateThresholds(openFrames, fistFrames);
+        const gestures = (list) =>
+            new Set(list.map((landmarks) => classifyGesture(landmarks, { threshold: thresholds }).gesture));
+        expect(gestures(openFrames)).toEqual(new Set([GESTURES.OPEN_PALM]));
+        expect(gestures(fistFrames)).toEqual(new Set([GESTURES.FIST]));
+    });
+
+    it("keeps the fallback for fingers whose poses do not separate", () => {
+        // Fist frames given as the open step and the other way round
+        const { thresholds, fingers } = calibrateThresholds(fistFrames, openFrames, { fallback: 1.7 });
+        for (const name of FINGER_NAMES) {
+            expect(fingers[name].usable).toBe(false);
+            expect(fingers[name].margin).toBeLessThan(0);
+            expect(thresholds[name]).toBe(1.7);
+        }
+    });
+
+    it("refuses too few frames of either pose", () => {
+        const few = openFrames.slice(0, MIN_CALIBRATION_FRAMES - 1);
+        expect(() => calibrateThresholds(few, fistFrames)).toThrow(
+            `Need at least ${MIN_CALIBRATION_FRAMES} frames of each pose (got ${MIN_CALIBRATION_FRAMES - 1} open, ${fistFrames.length} fist)`
+        );
+        expect(() => calibrateThresholds(openFrames, [])).toThrow(`${openFrames.length} open, 0 fist`);
+        expect(() =>
+            calibrateThresholds(openFrames.slice(0, MIN_CALIBRATION_FRAMES), fistFrames)
+        ).not.toThrow();
+    });
+});
+
+describe("createCalibrationSession", () => {
+    it("counts down, records the open palm, then the fist", () => {
+        const { updates } = runWizard();
+        const phases = updates
+            .map(({ step, phase }) => `${step}:${phase}`)
+            .filter((entry, i, all) => entry !== all[i - 1]);
+        expect(phases).toEqual([
+            `${CALIBRATION_STEPS.OPEN}:countdown`,
+            `${CALIBRATION_STEPS.OPEN}:recording`,
+            `${CALIBRATION_STEPS.FIST}:countdown`,
+            `${CALIBRATION_STEPS.FIST}:recording`,
+            "null:done",
+        ]);
+        const recorded = updates.filter(({ phase }) => phase === "recording");
+        expect(Math.max(...recorded.map(({ frames: count }) => count))).toBeGreaterThanOrEqual(70);
+    });
+
+    it("calibrates from the frames the wizard kept", () => {
+        const { wizard } = runWizard();
+        const { thresholds, fingers } = wizard.result();
+        // Close to calibrating from the whole of each pose
+        const expected = calibrateThresholds(openFrames, fistFrames).thresholds;
+        for (const name of FINGER_NAMES) {
+            expect(fingers[name].usable).toBe(true);
+            expect(thresholds[name]).toBeCloseTo(expected[name], 1);
+        }
+    });
+
+    it("does not record frames without a hand", () => {
+        const wizard = createCalibrationSession({ countdownMs: 0, holdMs: 5000 });
+        frames.slice(0, 60).forEach((frame) => wizard.update(null, frame.t));
+        expect(() => wizard.result()).toThrow("got 0 open, 0 fist");
+    });
+});
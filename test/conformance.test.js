@@ -0,0 +1,66 @@
+import { describe, expect, it } from "vitest";
+import { CONFORMANCE_STATUS, CONFORMANCE_SUITE, runConformance } from "../src/lib/conformance";
+import { DEFAULT_SETTINGS, transportOptions } from "../src/lib/settings";
+import { createTransport, getVirtualBoard } from "../src/lib/transports";
+import { DEFAULT_VIRTUAL_OPTIONS } from "../src/lib/transports/virtual";
+
+// A virtual board of its own per test, with no delay unless asked for
+const virtualTransport = (name, options = {}) =>
+    createTransport("virtual", { name, latencyMs: 0, jitterMs: 0, ...options });
+
+describe("runConformance", () => {
+    it("passes every case against the virtual board", async () => {
+        const transport = virtualTransport("conformance-pass");
+        await transport.connect();
+        const seen = [];
+        const report = await runConformance(transport, { onResult: (result) => seen.push(result.id) });
+
+        expect(report.results.filter((result) => result.status !== CONFORMANCE_STATUS.PASS)).toEqual([]);
+        expect(report).toMatchObject({ passed: CONFORMANCE_SUITE.length, failed: 0, unverified: 0 });
+        expect(seen).toEqual(CONFORMANCE_SUITE.map((testCase) => testCase.id));
+        // The suite leaves the board dark
+        expect(getVirtualBoard("conformance-pass").getState().levels.every((level) => level === 0)).toBe(
+            true
+        );
+    });
+
+    it("passes with the virtual device as the default settings configure it", async () => {
+        const transport = createTransport(
+            "virtual",
+            transportOptions({ ...DEFAULT_SETTINGS.device, transport: "virtual", host: "conformance-defaults" })
+        );
+        await transport.connect();
+        const report = await runConformance(transport);
+        expect(report.failed).toBe(0);
+    });
+
+    it("fails a board that never answers", async () => {
+        const transport = virtualTransport("conformance-lost", { lossPercent: 100, replyTimeoutMs: 1000 });
+        await transport.connect();
+        const suite = CONFORMANCE_SUITE.slice(0, 2);
+        const report = await runConformance(transport, { suite, timeoutMs: 20 });
+        expect(report.failed).toBe(2);
+        expect(report.results[0].detail).toBe("no reply within 20 ms");
+    });
+
+    it("stops when aborted", async () => {
+        const transport = virtualTransport("conformance-abort", { latencyMs: 50 });
+        await transport.connect();
+        const controller = new AbortController();
+        const run = runConformance(transport, { signal: controller.signal });
+        controller.abort(new Error("stopped"));
+        await expect(run).rejects.toThrow("stopped");
+    });
+});
+
+describe("virtual device defaults", () => {
+    it("match the settings' fault injection", () => {
+        const { device } = DEFAULT_SETTINGS;
+        expect(DEFAULT_VIRTUAL_OPTIONS).toMatchObject({
+            latencyMs: device.virtualLatencyMs,
+            jitterMs: device.virtualJitterMs,
+            lossPercent: device.virtualLossPercent,
+            errorPercent: device.virtualErrorPercent,
+        });
+    });
+});
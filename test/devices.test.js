@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import {
+    EMPTY_REGISTRY,
+    DEVICES_STORAGE_KEY,
+    addDevice,
+    devicePort,
+    formatAddress,
+    loadDevices,
+    parseAddress,
+} from "../src/lib/devices";
+import { transportOptions } from "../src/lib/settings";
+
+const memoryStorage = (entries = {}) => ({
+    getItem: (key) => entries[key] ?? null,
+    setItem: (key, value) => (entries[key] = value),
+});
+
+describe("parseAddress", () => {
+    it("splits off an optional port", () => {
+        expect(parseAddress("192.168.4.20")).toEqual({ host: "192.168.4.20", port: null });
+        expect(parseAddress(" localhost:8082 ")).toEqual({ host: "localhost", port: 8082 });
+    });
+
+    it("rejects malformed addresses and ports", () => {
+        expect(() => parseAddress("http://glow.local")).toThrow("not a valid address");
+        expect(() => parseAddress("glow.local:")).toThrow("not a valid address");
+        expect(() => parseAddress("glow.local:70000")).toThrow("not a valid port");
+    });
+});
+
+describe("addDevice", () => {
+    it("keeps boards on one host but different ports apart", () => {
+        let registry = addDevice(EMPTY_REGISTRY, { host: "localhost:8080" });
+        registry = addDevice(registry, { host: "localhost", port: 8082 });
+        registry = addDevice(registry, { host: "localhost:8080", name: "Stage left" });
+        expect(registry.devices.map((device) => [device.name, device.host, device.port])).toEqual([
+            ["Stage left", "localhost", 8080],
+            ["localhost:8082", "localhost", 8082],
+        ]);
+    });
+
+    it("sends each board's HTTP commands to its own port", () => {
+        const registry = addDevice(EMPTY_REGISTRY, { host: "localhost:8082" });
+        const [device] = registry.devices;
+        const settings = { transport: "http", host: "unused", httpPort: 80, httpPath: "/led" };
+        const options = transportOptions({
+            ...settings,
+            host: device.host,
+            httpPort: devicePort(device, settings.httpPort),
+        });
+        expect(options.url).toBe("http://localhost:8082/led");
+        expect(devicePort({ port: null }, 8080)).toBe(8080);
+        expect(formatAddress(device)).toBe("localhost:8082");
+    });
+});
+
+describe("loadDevices", () => {
+    it("reads registries saved before boards had ports", () => {
+        const storage = memoryStorage({
+            [DEVICES_STORAGE_KEY]: JSON.stringify({
+                devices: [{ id: "a", name: "A", host: "192.168.4.20", capabilities: {} }],
+                groups: [],
+            }),
+        });
+        expect(loadDevices(storage).devices[0]).toMatchObject({ host: "192.168.4.20", port: null });
+    });
+});
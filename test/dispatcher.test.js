@@ -0,0 +1,152 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { COMMAND_STATUS, createCommandDispatcher } from "../src/lib/dispatcher";
+
+const ON = { channel: 1, value: 255 };
+const OFF = { channel: 1, value: 0 };
+
+// A send that only settles when told to, or rejects once aborted
+function createPendingSend() {
+    const calls = [];
+    const send = (command, { signal }) =>
+        new Promise((resolve, reject) => {
+            calls.push({ command, resolve, reject });
+            signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+        });
+    return { send, calls };
+}
+
+function setup(options = {}) {
+    const { send, calls } = createPendingSend();
+    const statuses = [];
+    const dispatcher = createCommandDispatcher({
+        send,
+        onStatus: (status) => statuses.push(status),
+        holdFrames: 1,
+        ...options,
+    });
+    return { dispatcher, calls, statuses };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe("createCommandDispatcher", () => {
+    it("sends a state once it has been held", () => {
+        const { dispatcher, calls } = setup({ holdFrames: 3 });
+        expect(dispatcher.push(ON, 0)).toBe(false);
+        expect(dispatcher.push(ON, 10)).toBe(false);
+        expect(dispatcher.push(ON, 20)).toBe(true);
+        expect(dispatcher.push(ON, 30)).toBe(false);
+        expect(calls.map(({ command }) => command)).toEqual([ON]);
+    });
+
+    it("reports acknowledged with the reply", async () => {
+        const { dispatcher, calls, statuses } = setup();
+        dispatcher.push(ON, 0);
+        calls[0].resolve("LED1 255");
+        await flush();
+        expect(statuses.map(({ status }) => status)).toEqual([
+            COMMAND_STATUS.PENDING,
+            COMMAND_STATUS.ACKNOWLEDGED,
+        ]);
+        expect(statuses[1].response).toBe("LED1 255");
+    });
+
+    it("reports a cancelled command as idle instead of leaving it pending", async () => {
+        const { dispatcher, statuses } = setup();
+        dispatcher.push(ON, 0);
+        dispatcher.cancel();
+        await flush();
+        expect(statuses.map(({ status }) => status)).toEqual([
+            COMMAND_STATUS.PENDING,
+            COMMAND_STATUS.IDLE,
+        ]);
+        expect(statuses[1].command).toEqual(ON);
+    });
+
+    it("reports nothing when cancelled with nothing in flight", async () => {
+        const { dispatcher, calls, statuses } = setup();
+        dispatcher.push(ON, 0);
+        calls[0].resolve("LED1 255");
+        await flush();
+        dispatcher.cancel();
+        expect(statuses.at(-1).status).toBe(COMMAND_STATUS.ACKNOWLEDGED);
+    });
+
+    it("reports a cancel during the retry backoff", async () => {
+        const { dispatcher, calls, statuses } = setup({ retryDelayMs: 1000 });
+        dispatcher.push(ON, 0);
+        calls[0].reject(new Error("timeout"));
+        await flush();
+        dispatcher.cancel();
+        expect(statuses.at(-1)).toMatchObject({ status: COMMAND_STATUS.IDLE, attempt: 0 });
+        expect(calls).toHaveLength(1);
+    });
+
+    describe("retries", () => {
+        afterEach(() => {
+            vi.useRealTimers();
+        });
+
+        it("retries with exponential backoff until the board answers", async () => {
+            vi.useFakeTimers();
+            const { dispatcher, calls, statuses } = setup({ retryDelayMs: 100, maxRetries: 3 });
+            dispatcher.push(ON, 0);
+            calls[0].reject(new Error("timeout"));
+            await vi.advanceTimersByTimeAsync(99);
+            expect(calls).toHaveLength(1);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(calls).toHaveLength(2);
+
+            calls[1].reject(new Error("timeout"));
+            // The second wait is twice as long
+            await vi.advanceTimersByTimeAsync(199);
+            expect(calls).toHaveLength(2);
+            await vi.advanceTimersByTimeAsync(1);
+            expect(calls).toHaveLength(3);
+
+            calls[2].resolve("LED1 255");
+            await vi.advanceTimersByTimeAsync(0);
+            expect(statuses.map(({ status, attempt }) => [status, attempt])).toEqual([
+                [COMMAND_STATUS.PENDING, 0],
+                [COMMAND_STATUS.PENDING, 1],
+                [COMMAND_STATUS.PENDING, 2],
+                [COMMAND_STATUS.ACKNOWLEDGED, 2],
+            ]);
+            expect(statuses.at(-1).response).toBe("LED1 255");
+        });
+
+        it("reports failed with the last error after maxRetries", async () => {
+            vi.useFakeTimers();
+            const { dispatcher, calls, statuses } = setup({ retryDelayMs: 100, maxRetries: 2 });
+            dispatcher.push(ON, 0);
+            for (let attempt = 0; attempt <= 2; attempt++) {
+                calls[attempt].reject(new Error(`timeout ${attempt}`));
+                await vi.advanceTimersByTimeAsync(100 * 2 ** attempt);
+            }
+            expect(calls).toHaveLength(3);
+            expect(statuses.at(-1)).toMatchObject({
+                status: COMMAND_STATUS.FAILED,
+                command: ON,
+                attempt: 2,
+            });
+            expect(statuses.at(-1).error.message).toBe("timeout 2");
+            // Nothing is left in flight to cancel
+            dispatcher.cancel();
+            expect(statuses.at(-1).status).toBe(COMMAND_STATUS.FAILED);
+        });
+    });
+
+    it("lets a newer command replace the one in flight without an idle report", async () => {
+        const { dispatcher, calls, statuses } = setup();
+        dispatcher.push(ON, 0);
+        dispatcher.push(OFF, 10);
+        await flush();
+        calls[1].resolve("LED1 0");
+        await flush();
+        expect(statuses.map(({ status, command }) => [status, command.value])).toEqual([
+            [COMMAND_STATUS.PENDING, 255],
+            [COMMAND_STATUS.PENDING, 0],
+            [COMMAND_STATUS.ACKNOWLEDGED, 0],
+        ]);
+    });
+});
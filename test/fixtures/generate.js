@@ -0,0 +1,123 @@
+// Writes the landmark fixtures the tests replay. Run from the repository
+// root after changing the hand model:
+//
+//     node test/fixtures/generate.js
+//
+// Every frame comes from handModel.js with seeded noise, not from a camera,
+// so the output is the same on every run. The files are named synthetic-*
+// to keep them apart from real captures; a session saved with the app's
+// recorder has the same shape and can sit next to them.
+import { writeFileSync } from "node:fs";
+import { createRandom, localHand, placeHand, POSES } from "./handModel.js";
+
+const directory = new URL("./", import.meta.url);
+const random = createRandom(20240611);
+
+// Where and how the hand is held: the handedness MediaPipe reports and
+// whether the image shows it mirrored, plus size, position and tilt
+const VARIANTS = [
+    { handedness: "Right", flip: false, scale: 0.2, center: { x: 0.5, y: 0.7 }, tilt: 0 },
+    { handedness: "Right", flip: false, scale: 0.14, center: { x: 0.3, y: 0.6 }, tilt: 12 },
+    { handedness: "Left", flip: true, scale: 0.24, center: { x: 0.65, y: 0.75 }, tilt: -10 },
+    { handedness: "Left", flip: true, scale: 0.17, center: { x: 0.45, y: 0.55 }, tilt: 5 },
+    // The back of a right hand facing the camera
+    { handedness: "Right", flip: true, scale: 0.2, center: { x: 0.5, y: 0.65 }, tilt: -5, back: true },
+];
+
+function gestureFrames() {
+    const frames = [];
+    for (const [pose, spec] of Object.entries(POSES)) {
+        for (const variant of VARIANTS) {
+            const landmarks = placeHand(localHand(spec.hand), {
+                center: variant.center,
+                scale: variant.scale,
+                rotation: (spec.rotation ?? 0) + variant.tilt,
+                flip: variant.flip,
+                noise: 0.002,
+                random,
+            });
+            frames.push({
+                pose,
+                handedness: variant.handedness,
+                palmFacing: !variant.back,
+                expected: {
+                    gesture: spec.gesture,
+                    ...(spec.count !== undefined && { count: spec.count }),
+                },
+                ...(spec.withoutHandedness && { withoutHandedness: spec.withoutHandedness }),
+                landmarks,
+            });
+        }
+    }
+    return frames;
+}
+
+// A recorded session (see src/lib/recorder.js) of one right hand going
+// through `segments` of [pose, frames], blending each pose into the next
+// over `blend` frames, at 30 fps with tracker jitter of `noise`
+function session(segments, { noise, blend = 5, scale = 0.15, seed = 1 }) {
+    const sessionRandom = createRandom(seed);
+    const poses = segments.map(([pose]) => localHand(POSES[pose].hand));
+    const rotations = segments.map(([pose]) => POSES[pose].rotation ?? 0);
+    const lines = [];
+    let frame = 0;
+    segments.forEach(([, length], index) => {
+        for (let i = 0; i < length; i++, frame++) {
+            const previous = index > 0 && i < blend ? index - 1 : index;
+            const mix = previous === index ? 1 : (i + 1) / (blend + 1);
+            const local = poses[index].map((point, landmark) => {
+                const from = poses[previous][landmark];
+                return {
+                    x: from.x + (point.x - from.x) * mix,
+                    y: from.y + (point.y - from.y) * mix,
+                    z: from.z + (point.z - from.z) * mix,
+                };
+            });
+            const rotation = rotations[previous] + (rotations[index] - rotations[previous]) * mix;
+            const landmarks = placeHand(local, {
+                // A slow sway, as a held-up hand never stays put
+                center: { x: 0.5 + 0.02 * Math.sin(frame / 10), y: 0.65 + 0.01 * Math.cos(frame / 13) },
+                scale,
+                rotation,
+                noise,
+                random: sessionRandom,
+            });
+            lines.push(
+                JSON.stringify({
+                    t: Math.round((frame * 1000) / 30),
+                    multiHandLandmarks: [landmarks],
+                    multiHandedness: [{ index: 0, score: 0.97, label: "Right" }],
+                })
+            );
+        }
+    });
+    return lines.map((line) => `${line}\n`).join("");
+}
+
+writeFileSync(
+    new URL("synthetic-gestures.json", directory),
+    JSON.stringify({ source: "test/fixtures/generate.js", frames: gestureFrames() }) + "\n"
+);
+
+// A small, far-away hand whose landmarks jitter enough that single frames
+// disagree, holding a peace sign and then opening the hand
+writeFileSync(
+    new URL("synthetic-noisy-peace-to-palm.jsonl", directory),
+    session([["peace", 45], ["open_palm", 45]], { noise: 0.008, scale: 0.12, seed: 7 })
+);
+
+// The calibration wizard's two poses, four seconds each
+writeFileSync(
+    new URL("synthetic-calibration-session.jsonl", directory),
+    session([["open_palm", 120], ["fist", 120]], { noise: 0.003, seed: 5 })
+);
+
+// A hand at a normal distance driving the default rules: fist (all off), open
+// palm (all on), peace (channel 2), pointing (channel 1) and a fist again
+writeFileSync(
+    new URL("synthetic-lights-session.jsonl", directory),
+    session(
+        [["fist", 30], ["open_palm", 30], ["peace", 30], ["pointing", 30], ["fist", 30]],
+        { noise: 0.003, seed: 11 }
+    )
+);
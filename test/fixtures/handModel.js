@@ -0,0 +1,196 @@
+// Kinematic hand model that produces the 21 landmarks in MediaPipe's layout
+// and coordinate system (x, y normalized to the image, y down, z relative
+// depth on the same scale as x, smaller = closer to the camera). Used by
+// generate.js to write the fixture files and by the motion tests to build
+// trajectories.
+//
+// The hand is built in a local frame with the wrist at the origin, the
+// fingers pointing up (+y) and the palm facing the camera, one palm size
+// (wrist to middle knuckle) long. That is a hand MediaPipe labels "Right":
+// its thumb is towards larger image x.
+
+// Knuckle positions and the finger's lean in the palm plane (degrees)
+const KNUCKLES = {
+    index: { at: [0.32, 0.92], lean: 8 },
+    middle: { at: [0.08, 1.0], lean: 0 },
+    ring: { at: [-0.15, 0.95], lean: -5 },
+    pinky: { at: [-0.36, 0.84], lean: -12 },
+};
+
+// Proximal, middle and distal phalanx lengths
+const PHALANGES = {
+    index: [0.45, 0.27, 0.22],
+    middle: [0.5, 0.3, 0.24],
+    ring: [0.46, 0.28, 0.22],
+    pinky: [0.36, 0.22, 0.2],
+};
+
+// MCP, PIP and DIP flexion of a fully curled finger
+const FULL_CURL = [80, 105, 70];
+
+// Thumb CMC, MCP, IP and tip in the local frame
+export const THUMB_POSES = {
+    // Held out to the side and up, as in an open palm
+    out: [[0.22, 0.22, 0], [0.46, 0.42, -0.02], [0.64, 0.6, -0.03], [0.8, 0.76, -0.04]],
+    // Folded over the curled fingers, as in a fist
+    folded: [[0.22, 0.22, 0], [0.42, 0.4, -0.08], [0.36, 0.58, -0.2], [0.12, 0.62, -0.25]],
+    // Straight along the local +x axis; with the hand turned a quarter this
+    // points up or down, as in a thumbs up or down
+    side: [[0.22, 0.22, 0], [0.45, 0.35, -0.03], [0.7, 0.4, -0.04], [0.93, 0.44, -0.05]],
+    // Straight but laid across the palm towards the pinky: far from the
+    // wrist like an extended thumb, but on the wrong side of the index
+    across: [[0.22, 0.22, 0], [0.4, 0.46, -0.06], [0.1, 0.72, -0.12], [-0.25, 0.98, -0.16]],
+};
+
+const radians = (degrees) => (degrees * Math.PI) / 180;
+
+// Knuckle, PIP, DIP and tip of a finger curled by `curl` (0 straight,
+// 1 a fist); the curl bends the finger towards the camera and the palm
+function finger(name, curl) {
+    const { at, lean } = KNUCKLES[name];
+    const direction = { x: Math.sin(radians(lean)), y: Math.cos(radians(lean)) };
+    let point = { x: at[0], y: at[1], z: 0 };
+    const points = [point];
+    let angle = 0;
+    PHALANGES[name].forEach((length, joint) => {
+        angle += radians(FULL_CURL[joint] * curl);
+        point = {
+            x: point.x + length * Math.cos(angle) * direction.x,
+            y: point.y + length * Math.cos(angle) * direction.y,
+            z: point.z - length * Math.sin(angle),
+        };
+        points.push(point);
+    });
+    return points;
+}
+
+// Deterministic random numbers (mulberry32), so regenerated fixtures match
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    // Standard normal (Box-Muller)
+    next.gaussian = () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+    return next;
+}
+
+// Landmarks in the local frame. `curls` per finger, `thumb` a THUMB_POSES
+// name or four points; `pinchThumb` puts the thumb tip on the index tip
+// (OK sign, pinch).
+export function localHand({ curls = {}, thumb = "out", pinchThumb = false }) {
+    const fingers = Object.fromEntries(
+        Object.keys(KNUCKLES).map((name) => [name, finger(name, curls[name] ?? 0)])
+    );
+    let thumbPoints = (typeof thumb === "string" ? THUMB_POSES[thumb] : thumb).map(
+        ([x, y, z]) => ({ x, y, z })
+    );
+    if (pinchThumb) {
+        const tip = fingers.index[3];
+        const [cmc, mcp] = thumbPoints;
+        const target = { x: tip.x + 0.03, y: tip.y - 0.02, z: tip.z + 0.02 };
+        // The IP joint bulges out to the thumb side between knuckle and tip
+        const ip = {
+            x: (mcp.x + target.x) / 2 + 0.1,
+            y: (mcp.y + target.y) / 2,
+            z: (mcp.z + target.z) / 2,
+        };
+        thumbPoints = [cmc, mcp, ip, target];
+    }
+    return [
+        { x: 0, y: 0, z: 0 },
+        ...thumbPoints,
+        ...fingers.index,
+        ...fingers.middle,
+        ...fingers.ring,
+        ...fingers.pinky,
+    ];
+}
+
+// Places a local hand in the image. `rotation` turns it counterclockwise as
+// seen by the camera (degrees), `scale` is the palm size in image units,
+// `flip` mirrors the result left to right (a "Left" hand, or a "Right" one
+// showing the back of the hand) and `noise` is the standard deviation of the
+// per-coordinate jitter MediaPipe's output has.
+export function placeHand(
+    local,
+    { center = { x: 0.5, y: 0.7 }, scale = 0.2, rotation = 0, flip = false, noise = 0, random = Math.random }
+) {
+    const cos = Math.cos(radians(rotation));
+    const sin = Math.sin(radians(rotation));
+    const jitter = () => (noise ? noise * random.gaussian() : 0);
+    return local.map(({ x, y, z }) => {
+        const rx = x * cos - y * sin;
+        const ry = x * sin + y * cos;
+        return {
+            x: round(center.x + scale * (flip ? -rx : rx) + jitter()),
+            y: round(center.y - scale * ry + jitter()),
+            z: round(scale * z + jitter()),
+        };
+    });
+}
+
+const round = (value) => Math.round(value * 1e5) / 1e5;
+
+// Poses by name, with what the classifier should make of them
+export const POSES = {
+    open_palm: { hand: { thumb: "out" }, gesture: "open_palm", count: 5 },
+    fist: {
+        hand: { curls: { index: 1, middle: 1, ring: 1, pinky: 1 }, thumb: "folded" },
+        gesture: "fist",
+        count: 0,
+    },
+    pointing: {
+        hand: { curls: { middle: 1, ring: 1, pinky: 1 }, thumb: "folded" },
+        gesture: "pointing",
+        count: 1,
+    },
+    peace: {
+        hand: { curls: { ring: 1, pinky: 1 }, thumb: "folded" },
+        gesture: "peace",
+        count: 2,
+    },
+    three: {
+        hand: { curls: { pinky: 1 }, thumb: "folded" },
+        gesture: "none",
+        count: 3,
+    },
+    four: { hand: { thumb: "folded" }, gesture: "none", count: 4 },
+    thumbs_up: {
+        hand: { curls: { index: 1, middle: 1, ring: 1, pinky: 1 }, thumb: "side" },
+        rotation: 90,
+        gesture: "thumbs_up",
+        count: 1,
+    },
+    thumbs_down: {
+        hand: { curls: { index: 1, middle: 1, ring: 1, pinky: 1 }, thumb: "side" },
+        rotation: -90,
+        gesture: "thumbs_down",
+        count: 1,
+    },
+    // The thumb tip sits between straight and bent here, so only the
+    // gesture is asserted, not the count
+    ok: {
+        hand: { curls: { index: 0.7 }, thumb: "out", pinchThumb: true },
+        gesture: "ok",
+    },
+    // Every finger half curled, a claw: each ratio sits on the threshold,
+    // no pattern wins and the classifier must not guess
+    claw: {
+        hand: { curls: { index: 0.47, middle: 0.47, ring: 0.47, pinky: 0.47 }, thumb: "folded" },
+        gesture: "none",
+    },
+    // A fist with the thumb straight across the fingers. Its distance ratio
+    // says extended; only the handedness shows it is on the wrong side, so
+    // without it this reads as a thumbs up.
+    thumb_across: {
+        hand: { curls: { index: 1, middle: 1, ring: 1, pinky: 1 }, thumb: "across" },
+        gesture: "fist",
+        count: 0,
+        withoutHandedness: { gesture: "thumbs_up", count: 1 },
+    },
+};
@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { createFrameScheduler } from "../src/lib/frameScheduler";
+
+describe("createFrameScheduler", () => {
+    it("keeps one frame in flight and drops the others", () => {
+        const scheduler = createFrameScheduler();
+        expect(scheduler.shouldSend(0)).toBe(true);
+        scheduler.markSent(0);
+        expect(scheduler.shouldSend(33)).toBe(false);
+        expect(scheduler.markDone(0, 50)).toBe(50);
+        expect(scheduler.shouldSend(66)).toBe(true);
+        expect(scheduler.getStats()).toMatchObject({ sent: 1, dropped: 1, lost: 0 });
+    });
+
+    it("skips frames while latency is above the target and recovers", () => {
+        const scheduler = createFrameScheduler({ targetLatencyMs: 100, maxSkip: 2 });
+        for (let t = 0; t < 3000; t += 1000) {
+            scheduler.markSent(t);
+            scheduler.markDone(t, t + 300);
+        }
+        expect(scheduler.getStats().skip).toBe(2);
+        for (let t = 3000; t < 30000; t += 1000) {
+            scheduler.markSent(t);
+            scheduler.markDone(t, t + 10);
+        }
+        expect(scheduler.getStats().skip).toBe(0);
+    });
+
+    it("gives up on a frame the tracker never answers", () => {
+        const scheduler = createFrameScheduler({ targetLatencyMs: 100, lostAfter: 10 });
+        scheduler.markSent(0);
+        // Still waiting within ten times the target
+        expect(scheduler.shouldSend(1000)).toBe(false);
+        expect(scheduler.getStats().lost).toBe(0);
+        // Past it, the frame is lost and the next one goes out
+        expect(scheduler.shouldSend(1001)).toBe(true);
+        scheduler.markSent(1001);
+        expect(scheduler.getStats()).toMatchObject({ lost: 1, sent: 2 });
+        // A late answer for the lost frame is not taken for the new one
+        expect(scheduler.markDone(0, 1100)).toBeNull();
+        expect(scheduler.markDone(1001, 1050)).toBe(49);
+    });
+});
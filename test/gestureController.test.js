@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { COMMAND_SOURCES, GestureController } from "../src/lib/gestureController";
+import { COMMAND_STATUS } from "../src/lib/dispatcher";
+import { ARM_STATES, FAIL_SAFE_ACTIONS } from "../src/lib/safety";
+import { GESTURES } from "../src/lib/gestures";
+import { SCENE_STEP_TYPES } from "../src/lib/scenes";
+
+// A send that answers every command with "OK", remembering what it sent
+function createSend() {
+    const sent = [];
+    const send = (command) => {
+        sent.push(command);
+        return Promise.resolve("OK");
+    };
+    return { send, sent };
+}
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+const SCENE = {
+    id: "scene-1",
+    name: "Blink",
+    repeat: 0,
+    steps: [
+        { type: SCENE_STEP_TYPES.SET, channel: 1, value: 255 },
+        { type: SCENE_STEP_TYPES.DELAY, ms: 1000 },
+    ],
+};
+
+describe("GestureController", () => {
+    it("is always armed and sends no fail-safe by default", async () => {
+        const { send, sent } = createSend();
+        const controller = new GestureController({ send });
+        expect(controller.arming.getState()).toBe(ARM_STATES.ARMED);
+        await controller.failSafe("test");
+        expect(sent).toEqual([]);
+    });
+
+    it("stops the scene and sends the fail-safe on its own dispatcher", async () => {
+        const { send, sent } = createSend();
+        const controller = new GestureController({
+            send,
+            safety: { failSafe: FAIL_SAFE_ACTIONS.OFF },
+        });
+        const events = [];
+        controller.on("failSafe", ({ reason }) => events.push(reason));
+        controller.on("command", ({ source, status }) => events.push(`${source} ${status}`));
+
+        controller.scenes.play(SCENE);
+        expect(controller.scenes.getPlaying()).toBe(SCENE);
+        await controller.failSafe("test");
+        await flush();
+
+        expect(controller.scenes.getPlaying()).toBeNull();
+        expect(sent.at(-1)).toMatchObject({ value: 0 });
+        expect(events).toContain("test");
+        expect(events).toContain(`${COMMAND_SOURCES.SAFETY} ${COMMAND_STATUS.ACKNOWLEDGED}`);
+        expect(events).toContain(`${COMMAND_SOURCES.SCENE} ${COMMAND_STATUS.PENDING}`);
+    });
+
+    it("merges safety and color options key by key", () => {
+        const controller = new GestureController({ safety: { failSafe: FAIL_SAFE_ACTIONS.OFF } });
+        expect(controller.getOptions().safety.armGesture).toBe(GESTURES.NONE);
+        controller.setOptions({ safety: { armGesture: GESTURES.OK } });
+        expect(controller.getOptions().safety).toMatchObject({
+            armGesture: GESTURES.OK,
+            failSafe: FAIL_SAFE_ACTIONS.OFF,
+        });
+        expect(controller.arming.getState()).toBe(ARM_STATES.DISARMED);
+        controller.setOptions({ color: { minIntervalMs: 50 } });
+        expect(controller.getOptions().color.pinchMin).toBeGreaterThan(0);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import { classifyGesture, GESTURES } from "../src/lib/gestures";
+import fixtures from "./fixtures/synthetic-gestures.json";
+
+const byPose = (pose) => fixtures.frames.filter((frame) => frame.pose === pose);
+const label = (frame) => `${frame.pose}, ${frame.handedness}${frame.palmFacing ? "" : " (back)"}`;
+
+describe("classifyGesture", () => {
+    it.each(fixtures.frames.map((frame) => [label(frame), frame]))("%s", (name, frame) => {
+        const result = classifyGesture(frame.landmarks, { handedness: frame.handedness });
+        expect(result.gesture).toBe(frame.expected.gesture);
+        if (frame.expected.count !== undefined) expect(result.count).toBe(frame.expected.count);
+        expect(result.palmFacing).toBe(frame.palmFacing);
+    });
+
+    it("covers every built-in gesture", () => {
+        const covered = new Set(fixtures.frames.map((frame) => frame.expected.gesture));
+        expect([...covered].sort()).toEqual(Object.values(GESTURES).sort());
+    });
+
+    it("is confident about clear poses", () => {
+        for (const frame of [...byPose("fist"), ...byPose("open_palm"), ...byPose("peace")]) {
+            const result = classifyGesture(frame.landmarks, { handedness: frame.handedness });
+            expect(result.confidence).toBeGreaterThan(0.9);
+        }
+    });
+
+    it("returns none for a half-curled hand instead of guessing", () => {
+        for (const frame of byPose("claw")) {
+            const result = classifyGesture(frame.landmarks, { handedness: frame.handedness });
+            expect(result.gesture).toBe(GESTURES.NONE);
+            expect(result.scores[GESTURES.FIST]).toBeLessThan(0.5);
+            expect(result.scores[GESTURES.OPEN_PALM]).toBeLessThan(0.5);
+        }
+    });
+
+    it("needs the handedness to tell a thumb across the palm from a thumbs up", () => {
+        for (const frame of byPose("thumb_across")) {
+            const withHand = classifyGesture(frame.landmarks, { handedness: frame.handedness });
+            expect(withHand.fingers.thumb.extended).toBe(false);
+            expect(withHand.gesture).toBe(GESTURES.FIST);
+
+            const withoutHand = classifyGesture(frame.landmarks);
+            expect(withoutHand.palmFacing).toBeNull();
+            expect(withoutHand.gesture).toBe(frame.withoutHandedness.gesture);
+            expect(withoutHand.count).toBe(frame.withoutHandedness.count);
+        }
+    });
+
+    it("tells thumbs up from thumbs down by the thumb direction only", () => {
+        const [up] = byPose("thumbs_up");
+        const [down] = byPose("thumbs_down");
+        const resultUp = classifyGesture(up.landmarks, { handedness: up.handedness });
+        const resultDown = classifyGesture(down.landmarks, { handedness: down.handedness });
+        expect(resultUp.fingers.thumb.extended).toBe(true);
+        expect(resultDown.fingers.thumb.extended).toBe(true);
+        expect(resultUp.scores[GESTURES.THUMBS_DOWN]).toBeLessThan(0.1);
+        expect(resultDown.scores[GESTURES.THUMBS_UP]).toBeLessThan(0.1);
+    });
+
+    it("counts extended fingers from zero to five", () => {
+        const poses = ["fist", "pointing", "peace", "three", "four", "open_palm"];
+        const counts = poses.map((pose) => {
+            const [frame] = byPose(pose);
+            return classifyGesture(frame.landmarks, { handedness: frame.handedness }).count;
+        });
+        expect(counts).toEqual([0, 1, 2, 3, 4, 5]);
+    });
+
+    it("raises the bar with a higher threshold", () => {
+        const [frame] = byPose("open_palm");
+        const result = classifyGesture(frame.landmarks, {
+            handedness: frame.handedness,
+            threshold: 2.5,
+        });
+        expect(result.count).toBe(0);
+        expect(result.gesture).toBe(GESTURES.FIST);
+    });
+});
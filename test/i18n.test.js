@@ -0,0 +1,64 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import App from "../src/App";
+import { LANGUAGES, MESSAGES, createTranslator, describeError, messageError } from "../src/lib/i18n";
+import { DEFAULT_PREFERENCES, savePreferences } from "../src/lib/preferences";
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+// The first render of the app with the preferences set to `language`
+function renderApp(language) {
+    const storage = createStorage();
+    savePreferences({ ...DEFAULT_PREFERENCES, language }, storage);
+    vi.stubGlobal("localStorage", storage);
+    vi.stubGlobal("window", globalThis);
+    return renderToStaticMarkup(createElement(App));
+}
+
+// Text nodes that look like a message key, e.g. ">rules.title<"
+const RAW_KEY = />\s*[a-z]+(\.[A-Za-z_]+)+\s*</;
+
+describe("translations", () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it("has every English message in each language", () => {
+        const keys = Object.keys(MESSAGES.en);
+        for (const language of Object.keys(LANGUAGES)) {
+            const missing = keys.filter((key) => !(key in MESSAGES[language]));
+            expect(missing, language).toEqual([]);
+        }
+    });
+
+    it("renders every panel without raw keys", () => {
+        for (const language of Object.keys(LANGUAGES)) {
+            expect(renderApp(language)).not.toMatch(RAW_KEY);
+        }
+    });
+
+    it("translates the configuration panels", () => {
+        const html = renderApp("id");
+        expect(html).toContain(">Aksi gestur<");
+        expect(html).toContain(">Adegan &amp; urutan<");
+        expect(html).not.toContain(">Gesture actions<");
+        expect(html).not.toContain(">Add rule<");
+    });
+
+    it("translates library errors by key and keeps the English message", () => {
+        const error = messageError("devices.error.port", { port: 70000 });
+        expect(error.message).toBe(createTranslator("en")("devices.error.port", { port: 70000 }));
+        expect(describeError(createTranslator("id"), error)).toBe(
+            createTranslator("id")("devices.error.port", { port: 70000 })
+        );
+        expect(describeError(createTranslator("id"), new Error("plain"))).toBe("plain");
+    });
+});
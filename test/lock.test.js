@@ -0,0 +1,47 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createElement } from "react";
+import { renderToStaticMarkup } from "react-dom/server";
+import App from "../src/App";
+import { PIN_STORAGE_KEY, createPinRecord } from "../src/lib/safety";
+
+// A localStorage holding only what the test puts in it
+function createStorage(entries = {}) {
+    const items = new Map(Object.entries(entries));
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+// The first render of the app, without effects: what a visitor sees before
+// touching anything
+function renderApp(storage) {
+    vi.stubGlobal("localStorage", storage);
+    vi.stubGlobal("window", globalThis);
+    return renderToStaticMarkup(createElement(App));
+}
+
+// Panel headings and buttons as they appear in the markup
+const CONTROLS = [">Custom gestures<", ">Record &amp; replay<", ">Start recording<", ">Calibration<"];
+
+describe("settings lock", () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it("hides the training, session and calibration controls while locked", () => {
+        const pin = createPinRecord("1234");
+        const html = renderApp(createStorage({ [PIN_STORAGE_KEY]: JSON.stringify(pin) }));
+        for (const control of CONTROLS) expect(html).not.toContain(control);
+        expect(html).toContain("Custom gestures are locked");
+        expect(html).toContain("Session recording is locked");
+        expect(html).toContain("Calibration is locked");
+    });
+
+    it("shows them without a PIN", () => {
+        const html = renderApp(createStorage());
+        for (const control of CONTROLS) expect(html).toContain(control);
+        expect(html).not.toContain("are locked");
+    });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, it } from "vitest";
+import { createMetrics, METRICS } from "../src/lib/metrics";
+
+// A clock that only moves when told to
+function createClock(start = 1000) {
+    let time = start;
+    return {
+        now: () => time,
+        advance: (ms) => {
+            time += ms;
+        },
+    };
+}
+
+describe("createMetrics", () => {
+    it("summarizes samples with nearest-rank percentiles", () => {
+        const metrics = createMetrics({ now: createClock().now });
+        // 1..100 in a shuffled order, so sorting is exercised
+        for (let i = 0; i < 100; i++) metrics.record(METRICS.INFERENCE, ((i * 37) % 100) + 1);
+        expect(metrics.summary(METRICS.INFERENCE)).toEqual({
+            count: 100,
+            last: ((99 * 37) % 100) + 1,
+            mean: 50.5,
+            min: 1,
+            p50: 51,
+            p95: 96,
+            max: 100,
+        });
+    });
+
+    it("keeps only the last windowSize samples", () => {
+        const metrics = createMetrics({ windowSize: 3, now: createClock().now });
+        [10, 20, 30, 40].forEach((value) => metrics.record(METRICS.DRAW, value));
+        expect(metrics.summary(METRICS.DRAW)).toMatchObject({ count: 3, min: 20, max: 40 });
+    });
+
+    it("ignores values that are not finite numbers", () => {
+        const metrics = createMetrics({ now: createClock().now });
+        metrics.record(METRICS.DRAW, NaN);
+        metrics.record(METRICS.DRAW, Infinity);
+        expect(metrics.summary(METRICS.DRAW)).toBeNull();
+    });
+
+    it("measures the latency of a timer and of an async call", async () => {
+        const clock = createClock();
+        const metrics = createMetrics({ now: clock.now });
+
+        const stop = metrics.time(METRICS.GESTURE_TO_ACK);
+        clock.advance(120);
+        expect(stop()).toBe(120);
+
+        const send = metrics.timed(METRICS.ACK_ROUND_TRIP, async (reply) => {
+            clock.advance(45);
+            return reply;
+        });
+        expect(await send("LED1 255")).toBe("LED1 255");
+        expect(metrics.summary(METRICS.GESTURE_TO_ACK).last).toBe(120);
+        expect(metrics.summary(METRICS.ACK_ROUND_TRIP).last).toBe(45);
+    });
+
+    it("does not record a failed async call", async () => {
+        const metrics = createMetrics({ now: createClock().now });
+        const send = metrics.timed(METRICS.ACK_ROUND_TRIP, async () => {
+            throw new Error("timeout");
+        });
+        await expect(send()).rejects.toThrow("timeout");
+        expect(metrics.summary(METRICS.ACK_ROUND_TRIP)).toBeNull();
+    });
+
+    it("derives the frame rate from tick intervals in the window", () => {
+        const clock = createClock();
+        const metrics = createMetrics({ now: clock.now });
+        // 2 s at 20 fps, then 1 s at 40 fps
+        metrics.tick(METRICS.CAMERA_FRAME);
+        for (let i = 0; i < 40; i++) {
+            clock.advance(50);
+            metrics.tick(METRICS.CAMERA_FRAME);
+        }
+        for (let i = 0; i < 40; i++) {
+            clock.advance(25);
+            metrics.tick(METRICS.CAMERA_FRAME);
+        }
+        expect(metrics.rate(METRICS.CAMERA_FRAME, 500)).toBe(40);
+        expect(metrics.rate(METRICS.CAMERA_FRAME, 3000)).toBeCloseTo(80 / 3, 5);
+        expect(metrics.summary(METRICS.CAMERA_FRAME).count).toBe(80);
+        expect(metrics.rate(METRICS.INFERENCE)).toBe(0);
+    });
+
+    it("buckets samples into a histogram and exports it as CSV", () => {
+        const metrics = createMetrics({ now: createClock().now });
+        [3, 5, 12, 2000].forEach((value) => metrics.record(METRICS.INFERENCE, value));
+        const buckets = [5, 10, 20];
+        expect(metrics.histogram(METRICS.INFERENCE, buckets)).toEqual([
+            { from: 0, to: 5, count: 1 },
+            { from: 5, to: 10, count: 1 },
+            { from: 10, to: 20, count: 1 },
+            { from: 20, to: Infinity, count: 1 },
+        ]);
+        expect(metrics.toCsv(buckets)).toBe(
+            [
+                "metric,from_ms,to_ms,count",
+                "inferenceMs,0,5,1",
+                "inferenceMs,5,10,1",
+                "inferenceMs,10,20,1",
+                "inferenceMs,20,,1",
+                "",
+            ].join("\n")
+        );
+    });
+});
@@ -0,0 +1,200 @@
+import { describe, expect, it } from "vitest";
+import { GESTURES } from "../src/lib/gestures";
+import { createMotionDetector, MOTIONS } from "../src/lib/motion";
+import { createRandom, localHand, placeHand, POSES } from "./fixtures/handModel";
+
+const FRAME_MS = 33;
+
+// Frames of a hand in `pose` whose wrist follows `path(t)` (t in ms from the
+// start) for `durationMs`, with tracker jitter of `noise`
+function trajectory(path, { durationMs, pose = "open_palm", noise = 0, seed = 1, start = 0 }) {
+    const random = createRandom(seed);
+    const local = localHand(POSES[pose].hand);
+    const frames = [];
+    for (let t = 0; t <= durationMs; t += FRAME_MS) {
+        frames.push({
+            timestamp: start + t,
+            landmarks: placeHand(local, { center: path(t), scale: 0.15, noise, random }),
+            result: { gesture: POSES[pose].gesture },
+        });
+    }
+    return frames;
+}
+
+// Runs frames through a detector and collects everything it emitted
+function detect(frames, options) {
+    const detector = createMotionDetector(options);
+    const events = [];
+    detector.on("motion", (event) => events.push(event));
+    for (const { landmarks, result, timestamp } of frames) {
+        detector.update("Right", landmarks, result, timestamp);
+    }
+    return { events, detector };
+}
+
+const types = (events) => events.map((event) => event.type);
+
+// Everything but "hold", which fires for any pose kept long enough,
+// moving or not
+const movements = (events) => events.filter((event) => event.type !== MOTIONS.HOLD);
+
+const line = (from, to, durationMs) => (t) => {
+    const progress = Math.min(1, t / durationMs);
+    return { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress };
+};
+
+const still = () => ({ x: 0.5, y: 0.6 });
+
+describe("createMotionDetector", () => {
+    describe("swipes", () => {
+        const towardsImageRight = trajectory(line({ x: 0.3, y: 0.6 }, { x: 0.7, y: 0.6 }, 300), {
+            durationMs: 300,
+        });
+
+        it("reports a fast sideways move from the user's point of view", () => {
+            // Not mirrored: image right is the user's left
+            expect(types(detect(towardsImageRight).events)).toEqual([MOTIONS.SWIPE_LEFT]);
+            expect(types(detect(towardsImageRight, { mirrored: true }).events)).toEqual([
+                MOTIONS.SWIPE_RIGHT,
+            ]);
+        });
+
+        it("reports up and down with image y growing downwards", () => {
+            const up = trajectory(line({ x: 0.5, y: 0.8 }, { x: 0.5, y: 0.4 }, 300), {
+                durationMs: 300,
+            });
+            const [event] = detect(up).events;
+            expect(event.type).toBe(MOTIONS.SWIPE_UP);
+            expect(event.dy).toBeLessThan(-0.25);
+            expect(event.durationMs).toBeLessThanOrEqual(400);
+        });
+
+        it("fires once per movement", () => {
+            const there = line({ x: 0.3, y: 0.6 }, { x: 0.7, y: 0.6 }, 300);
+            // Back again straight away, inside the cooldown
+            const frames = [
+                ...trajectory(there, { durationMs: 300 }),
+                ...trajectory(line({ x: 0.7, y: 0.6 }, { x: 0.3, y: 0.6 }, 200), {
+                    durationMs: 200,
+                    start: 333,
+                }),
+            ];
+            expect(types(detect(frames).events)).toEqual([MOTIONS.SWIPE_LEFT]);
+        });
+
+        it("rejects a slow drift over the same distance", () => {
+            const drift = trajectory(line({ x: 0.3, y: 0.6 }, { x: 0.7, y: 0.6 }, 2000), {
+                durationMs: 2000,
+            });
+            expect(movements(detect(drift).events)).toEqual([]);
+        });
+
+        it("rejects a diagonal move where neither axis dominates", () => {
+            const diagonal = trajectory(line({ x: 0.3, y: 0.4 }, { x: 0.6, y: 0.75 }, 300), {
+                durationMs: 300,
+            });
+            expect(detect(diagonal).events).toEqual([]);
+        });
+
+        it("rejects a move shorter than the swipe distance", () => {
+            const short = trajectory(line({ x: 0.4, y: 0.6 }, { x: 0.6, y: 0.6 }, 200), {
+                durationMs: 200,
+            });
+            expect(detect(short).events).toEqual([]);
+        });
+    });
+
+    describe("waves", () => {
+        it("reports a hand waving side to side", () => {
+            // Three waves a second, 0.06 to either side
+            const wave = trajectory(
+                (t) => ({ x: 0.5 + 0.06 * Math.sin((t / 1000) * 2 * Math.PI * 3), y: 0.6 }),
+                { durationMs: 1000 }
+            );
+            const { events } = detect(wave);
+            expect(types(events)).toEqual([MOTIONS.WAVE]);
+            expect(events[0].reversals).toBeGreaterThanOrEqual(4);
+        });
+
+        it("rejects a hand circling slowly", () => {
+            // One circle a second, radius 0.1: it reverses sideways only
+            // twice a second and never covers a swipe within the window
+            const circle = trajectory(
+                (t) => ({
+                    x: 0.5 + 0.1 * Math.cos((t / 1000) * 2 * Math.PI),
+                    y: 0.6 + 0.1 * Math.sin((t / 1000) * 2 * Math.PI),
+                }),
+                { durationMs: 3000 }
+            );
+            expect(movements(detect(circle).events)).toEqual([]);
+        });
+
+        it("reports a fast circle as a wave, not as swipes", () => {
+            // Three circles a second reverse sideways six times a second
+            const circle = trajectory(
+                (t) => ({
+                    x: 0.5 + 0.1 * Math.cos((t / 1000) * 2 * Math.PI * 3),
+                    y: 0.6 + 0.1 * Math.sin((t / 1000) * 2 * Math.PI * 3),
+                }),
+                { durationMs: 1000 }
+            );
+            expect(types(detect(circle).events)).toEqual([MOTIONS.WAVE]);
+        });
+    });
+
+    describe("jitter", () => {
+        const jittery = trajectory(still, { durationMs: 3000, noise: 0.006, seed: 42 });
+
+        it("reports no swipe or wave for a hand held still with tracker noise", () => {
+            expect(movements(detect(jittery).events)).toEqual([]);
+        });
+
+        it("reports a held pose once, after holdMs", () => {
+            const { events } = detect(jittery, { holdMs: 1500 });
+            const holds = events.filter((event) => event.type === MOTIONS.HOLD);
+            expect(holds).toHaveLength(1);
+            expect(holds[0].gesture).toBe(GESTURES.OPEN_PALM);
+            expect(holds[0].durationMs).toBeGreaterThanOrEqual(1500);
+            expect(holds[0].timestamp).toBeLessThan(1500 + 2 * FRAME_MS);
+        });
+
+        it("does not report holding no gesture", () => {
+            const frames = jittery.map((frame) => ({ ...frame, result: { gesture: GESTURES.NONE } }));
+            expect(detect(frames).events).toEqual([]);
+        });
+    });
+
+    describe("pinch and drag", () => {
+        const drag = trajectory(line({ x: 0.5, y: 0.6 }, { x: 0.3, y: 0.7 }, 500), {
+            durationMs: 500,
+            pose: "ok",
+        });
+
+        it("reports start, moves and, when the hand is lost, the end", () => {
+            const { events, detector } = detect(drag);
+            const phases = events.map((event) => event.phase);
+            expect(phases[0]).toBe("start");
+            expect(phases.slice(1).every((phase) => phase === "move")).toBe(true);
+
+            const ended = [];
+            detector.on("pinchdrag", (event) => ended.push(event));
+            detector.lost("Right", 600);
+            expect(ended.map((event) => event.phase)).toEqual(["end"]);
+        });
+
+        it("reports the drag from the user's point of view", () => {
+            const last = detect(drag).events.at(-1);
+            // Towards image left is the user's right when not mirrored
+            expect(last.dx).toBeGreaterThan(0.15);
+            expect(last.dy).toBeGreaterThan(0.05);
+        });
+
+        it("ignores an open hand", () => {
+            const open = trajectory(line({ x: 0.5, y: 0.6 }, { x: 0.4, y: 0.6 }, 500), {
+                durationMs: 500,
+            });
+            const { events } = detect(open);
+            expect(events.filter((event) => event.type === MOTIONS.PINCH_DRAG)).toEqual([]);
+        });
+    });
+});
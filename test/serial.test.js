@@ -0,0 +1,104 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { TRANSPORT_STATUS } from "../src/lib/transports";
+import { createSerialTransport } from "../src/lib/transports/serial";
+
+// A port that answers every `channel=..&value=..` line the way the firmware
+// does, and refuses to close while its streams are still locked
+function createFakePort() {
+    let board;
+    const decoder = new TextDecoder();
+    const port = {
+        open: async () => {
+            if (port.readable) throw new Error("port already open");
+            port.readable = new ReadableStream({ start: (controller) => (board = controller) });
+            port.writable = new WritableStream({
+                write: (chunk) => {
+                    const params = new URLSearchParams(decoder.decode(chunk).trim());
+                    board.enqueue(
+                        new TextEncoder().encode(`OK LED${params.get("channel")} ${params.get("value")}\n`)
+                    );
+                },
+            });
+        },
+        close: async () => {
+            if (port.readable.locked || port.writable.locked) throw new Error("streams are locked");
+            port.readable = null;
+            port.writable = null;
+        },
+    };
+    return port;
+}
+
+// TextEncoderStream whose writer fails the next `failures` writes, as when
+// the device goes away mid-write, and works again afterwards
+const RealTextEncoderStream = globalThis.TextEncoderStream;
+const flakyEncoder = (state) =>
+    class FlakyEncoderStream {
+        constructor() {
+            const inner = new RealTextEncoderStream();
+            const writer = inner.writable.getWriter();
+            this.readable = inner.readable;
+            this.writable = {
+                getWriter: () => ({
+                    write: (text) =>
+                        state.failures-- > 0
+                            ? Promise.reject(new Error("write failed"))
+                            : writer.write(text),
+                    abort: (reason) => writer.abort(reason),
+                }),
+            };
+        }
+    };
+
+function setup() {
+    const port = createFakePort();
+    vi.stubGlobal("navigator", {
+        serial: {
+            requestPort: async () => port,
+            addEventListener: () => {},
+            removeEventListener: () => {},
+        },
+    });
+    return { port, transport: createSerialTransport() };
+}
+
+describe("createSerialTransport", () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+    });
+
+    it("matches each reply line to its command", async () => {
+        const { transport } = setup();
+        await transport.connect();
+        expect(transport.getStatus()).toBe(TRANSPORT_STATUS.CONNECTED);
+        const replies = await Promise.all([
+            transport.send({ channel: 1, value: 255 }),
+            transport.send({ channel: 2, value: 0 }),
+        ]);
+        expect(replies).toEqual(["OK LED1 255", "OK LED2 0"]);
+        await transport.disconnect();
+    });
+
+    it("closes the port so it can be opened again", async () => {
+        const { port, transport } = setup();
+        await transport.connect();
+        await transport.disconnect();
+        expect(port.readable).toBeNull();
+        await transport.connect();
+        expect(await transport.send({ channel: 3, value: 10 })).toBe("OK LED3 10");
+        await transport.disconnect();
+    });
+
+    it("drops the reply slot of a command whose write failed", async () => {
+        const state = { failures: 1 };
+        vi.stubGlobal("TextEncoderStream", flakyEncoder(state));
+        const { transport } = setup();
+        await transport.connect();
+
+        await expect(transport.send({ channel: 1, value: 255 })).rejects.toThrow("write failed");
+        // The next reply belongs to the next command, not to the failed one
+        expect(await transport.send({ channel: 2, value: 128 })).toBe("OK LED2 128");
+        // Closing rejects nothing left over, so there is no unhandled rejection
+        await transport.disconnect();
+    });
+});
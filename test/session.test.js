@@ -0,0 +1,208 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { ALL_CHANNELS, DEFAULT_RULES, evaluateRules, isSameCommand } from "../src/lib/actions";
+import { createCommandDispatcher } from "../src/lib/dispatcher";
+import { GESTURES } from "../src/lib/gestures";
+import { createSessionPlayer, createSessionRecorder, parseSession } from "../src/lib/recorder";
+import { createGestureSmoother } from "../src/lib/smoothing";
+import lightsSession from "./fixtures/synthetic-lights-session.jsonl?raw";
+
+// The synthetic session: a fist, an open palm, a peace sign, pointing and a
+// fist again, 30 frames each at 30 fps
+const frames = parseSession(lightsSession);
+
+// What the app does with each replayed result: smoothed classification,
+// the rules, then the dispatcher's hold check
+function createPipeline(rules = DEFAULT_RULES) {
+    const smoother = createGestureSmoother();
+    const sent = [];
+    const gestures = [];
+    const timestamps = [];
+    const dispatcher = createCommandDispatcher({
+        send: async (command) => {
+            sent.push(command);
+            return "OK";
+        },
+        isEqual: isSameCommand,
+    });
+    const onResults = ({ multiHandLandmarks, multiHandedness, timestamp }) => {
+        const [landmarks] = multiHandLandmarks;
+        const hand = multiHandedness[0].label;
+        const { result } = smoother.process(landmarks, timestamp, { handedness: hand });
+        gestures.push(result.gesture);
+        timestamps.push(timestamp);
+        dispatcher.push(evaluateRules(rules, result, landmarks, hand), timestamp);
+    };
+    return { onResults, sent, gestures, timestamps };
+}
+
+const pairs = (commands) => commands.map(({ channel, value }) => [channel, value]);
+
+describe("createSessionPlayer", () => {
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    it("plays frames at their recorded pace", async () => {
+        vi.useFakeTimers();
+        const pipeline = createPipeline();
+        const onEnd = vi.fn();
+        const player = createSessionPlayer(frames, { ...pipeline, onEnd, startTime: 500 });
+        player.play();
+        // The first frame goes out right away, the next one 33 ms later
+        expect(pipeline.timestamps).toEqual([500]);
+        await vi.advanceTimersByTimeAsync(32);
+        expect(player.position).toBe(1);
+        await vi.advanceTimersByTimeAsync(1);
+        expect(player.position).toBe(2);
+
+        await vi.advanceTimersByTimeAsync(frames.at(-1).t);
+        expect(onEnd).toHaveBeenCalledOnce();
+        expect(player.playing).toBe(false);
+        expect(pipeline.timestamps).toEqual(frames.map((frame) => 500 + frame.t));
+    });
+
+    it("plays faster with a higher speed, keeping the recorded timestamps", async () => {
+        vi.useFakeTimers();
+        const pipeline = createPipeline();
+        const player = createSessionPlayer(frames, { ...pipeline, speed: 2, startTime: 0 });
+        player.play();
+        await vi.advanceTimersByTimeAsync(frames.at(-1).t / 2);
+        expect(player.position).toBe(frames.length);
+        expect(pipeline.timestamps).toEqual(frames.map((frame) => frame.t));
+    });
+
+    it("runs as fast as possible in batches at speed Infinity", async () => {
+        vi.useFakeTimers();
+        // 450 frames: three batches of at most 200
+        const long = [0, 1, 2].flatMap((round) =>
+            frames.map((frame) => ({ ...frame, t: frame.t + round * 5000 }))
+        );
+        const pipeline = createPipeline();
+        const onEnd = vi.fn();
+        const player = createSessionPlayer(long, { ...pipeline, onEnd, speed: Infinity, startTime: 0 });
+        player.play();
+        // The first batch goes out right away, the others each on a new task
+        expect(player.position).toBe(200);
+        await vi.advanceTimersToNextTimerAsync();
+        expect(player.position).toBe(400);
+        await vi.advanceTimersToNextTimerAsync();
+        expect(player.position).toBe(450);
+        expect(onEnd).toHaveBeenCalledOnce();
+    });
+
+    it("pauses, resumes and stops", async () => {
+        vi.useFakeTimers();
+        const pipeline = createPipeline();
+        const onEnd = vi.fn();
+        const player = createSessionPlayer(frames, { ...pipeline, onEnd, startTime: 0 });
+        player.play();
+        await vi.advanceTimersByTimeAsync(100);
+        player.pause();
+        const paused = player.position;
+        await vi.advanceTimersByTimeAsync(1000);
+        expect(player.position).toBe(paused);
+
+        player.play();
+        await vi.advanceTimersByTimeAsync(100);
+        expect(player.position).toBeGreaterThan(paused);
+
+        player.stop();
+        expect(player.position).toBe(0);
+        expect(player.playing).toBe(false);
+        await vi.advanceTimersByTimeAsync(10000);
+        expect(player.position).toBe(0);
+        expect(onEnd).not.toHaveBeenCalled();
+    });
+
+    it("drives the pipeline to one command per pose, in order", async () => {
+        const pipeline = createPipeline();
+        const done = new Promise((resolve) => {
+            createSessionPlayer(frames, { ...pipeline, onEnd: resolve, speed: Infinity, startTime: 0 }).play();
+        });
+        await done;
+        const order = pipeline.gestures.filter((gesture, i) => gesture !== pipeline.gestures[i - 1]);
+        expect(order.filter((gesture) => gesture !== GESTURES.NONE)).toEqual([
+            GESTURES.FIST,
+            GESTURES.OPEN_PALM,
+            GESTURES.PEACE,
+            GESTURES.POINTING,
+            GESTURES.FIST,
+        ]);
+        expect(pairs(pipeline.sent)).toEqual([
+            [ALL_CHANNELS, 0],
+            [ALL_CHANNELS, 255],
+            [2, 255],
+            [1, 255],
+            [ALL_CHANNELS, 0],
+        ]);
+    });
+
+    it("sends nothing for poses no rule handles", async () => {
+        const rules = DEFAULT_RULES.filter((rule) => rule.trigger.gesture !== GESTURES.OPEN_PALM);
+        const pipeline = createPipeline(rules);
+        await new Promise((resolve) => {
+            createSessionPlayer(frames, { ...pipeline, onEnd: resolve, speed: Infinity, startTime: 0 }).play();
+        });
+        expect(pairs(pipeline.sent)).toEqual([
+            [ALL_CHANNELS, 0],
+            [2, 255],
+            [1, 255],
+            [ALL_CHANNELS, 0],
+        ]);
+    });
+});
+
+describe("createSessionRecorder", () => {
+    it("writes JSON Lines that parseSession reads back", async () => {
+        const recorder = createSessionRecorder();
+        const source = frames.slice(0, 20);
+        for (const frame of source) {
+            recorder.record(
+                {
+                    multiHandLandmarks: frame.multiHandLandmarks,
+                    multiHandedness: frame.multiHandedness,
+                },
+                1234.4 + frame.t
+            );
+        }
+        expect(recorder.frameCount).toBe(20);
+
+        const blob = recorder.toBlob();
+        expect(blob.type).toBe("application/x-ndjson");
+        const text = await blob.text();
+        expect(text.endsWith("\n")).toBe(true);
+        expect(text.trim().split("\n")).toHaveLength(20);
+        // Times restart at 0; landmarks and handedness survive unchanged
+        expect(parseSession(text)).toEqual(source);
+    });
+
+    it("rounds landmarks and starts over after clear", async () => {
+        const recorder = createSessionRecorder();
+        const point = { x: 0.123456789, y: 0.5, z: -0.000001234, visibility: 1 };
+        recorder.record(
+            {
+                multiHandLandmarks: [Array(21).fill(point)],
+                multiHandedness: [{ index: 0, score: 0.987654321, label: "Left", extra: true }],
+            },
+            100
+        );
+        const [frame] = parseSession(await recorder.toBlob().text());
+        expect(frame.multiHandLandmarks[0][0]).toEqual({ x: 0.12346, y: 0.5, z: 0 });
+        expect(frame.multiHandedness).toEqual([{ index: 0, score: 0.98765, label: "Left" }]);
+
+        recorder.clear();
+        expect(recorder.frameCount).toBe(0);
+        recorder.record({ multiHandLandmarks: [], multiHandedness: [] }, 5000);
+        expect(parseSession(await recorder.toBlob().text())[0].t).toBe(0);
+    });
+});
+
+describe("parseSession", () => {
+    it("reports the line of bad input", () => {
+        expect(() => parseSession('{"t":0,"multiHandLandmarks":[]}\nnot json\n')).toThrow(
+            "Line 2 is not valid JSON"
+        );
+        expect(() => parseSession('{"t":"soon"}')).toThrow("Line 1 is not a session frame");
+        expect(() => parseSession("\n\n")).toThrow("Session is empty");
+    });
+});
@@ -0,0 +1,67 @@
+import { describe, expect, it } from "vitest";
+import { classifyGesture, GESTURES } from "../src/lib/gestures";
+import { parseSession } from "../src/lib/recorder";
+import { createGestureSmoother, createMajorityVote } from "../src/lib/smoothing";
+import noisySession from "./fixtures/synthetic-noisy-peace-to-palm.jsonl?raw";
+
+const flips = (sequence) => sequence.slice(1).filter((value, i) => value !== sequence[i]).length;
+
+const replay = (frames) => {
+    const smoother = createGestureSmoother();
+    const raw = [];
+    const smoothed = [];
+    for (const frame of frames) {
+        const [landmarks] = frame.multiHandLandmarks;
+        const options = { handedness: frame.multiHandedness[0].label };
+        raw.push(classifyGesture(landmarks, options).gesture);
+        smoothed.push(smoother.process(landmarks, frame.t, options).result.gesture);
+    }
+    return { raw, smoothed };
+};
+
+describe("createGestureSmoother", () => {
+    const frames = parseSession(noisySession);
+
+    it("flips the gesture far less often than single frames on a noisy sequence", () => {
+        const { raw, smoothed } = replay(frames);
+        // The synthetic fixture is noisy enough that single frames disagree often...
+        expect(flips(raw)).toBeGreaterThan(8);
+        // ...while the smoothed output only follows the one real change,
+        // possibly through a short "none" while the hand opens
+        expect(flips(smoothed)).toBeLessThanOrEqual(2);
+        expect(flips(smoothed) * 4).toBeLessThan(flips(raw));
+    });
+
+    it("still follows the real change of pose", () => {
+        const { smoothed } = replay(frames);
+        expect(smoothed.slice(5, 45).every((gesture) => gesture === GESTURES.PEACE)).toBe(true);
+        expect(smoothed.slice(-30).every((gesture) => gesture === GESTURES.OPEN_PALM)).toBe(true);
+    });
+
+    it("keeps the single-frame values as rawGesture and rawCount", () => {
+        const smoother = createGestureSmoother();
+        const [frame] = frames;
+        const { result } = smoother.process(frame.multiHandLandmarks[0], frame.t);
+        const single = classifyGesture(frame.multiHandLandmarks[0]);
+        expect(result.rawGesture).toBe(single.gesture);
+        expect(result.rawCount).toBe(single.count);
+    });
+
+    it("starts over after the hand has been gone", () => {
+        const smoother = createGestureSmoother({ resetAfterMs: 500 });
+        const peace = frames.slice(10, 20);
+        const palm = frames.slice(-10);
+        peace.forEach((frame) => smoother.process(frame.multiHandLandmarks[0], frame.t));
+        // Right after a gap the first frame decides on its own
+        const { result } = smoother.process(palm[0].multiHandLandmarks[0], peace.at(-1).t + 1000);
+        expect(result.gesture).toBe(result.rawGesture);
+    });
+});
+
+describe("createMajorityVote", () => {
+    it("keeps the previous winner on a tie", () => {
+        const vote = createMajorityVote(4);
+        expect(["a", "a", "b", "b"].map(vote)).toEqual(["a", "a", "a", "a"]);
+        expect(vote("b")).toBe("b");
+    });
+});
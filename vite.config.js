@@ -1,11 +1,44 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from "@tailwindcss/vite";
+import pwa from "./plugins/pwa.js";
+import packageJson from "./package.json" with { type: "json" };
+
+// `vite build --mode lib` (npm run build:lib) builds the gesture controller,
+// its hook and <GestureCanvas> from src/index.js into dist-lib as an ES
+// module. Dependencies stay imports, so the consuming app resolves them;
+// the tracking worker is bundled with MediaPipe. MediaPipe's WASM and model
+// files are not included: serve them at the controller's `assetsPath`.
+const dependencies = Object.keys(packageJson.dependencies);
+
+const library = {
+  plugins: [react()],
+  // The worker is referenced relative to the bundle, not the site root
+  base: './',
+  publicDir: false,
+  build: {
+    outDir: 'dist-lib',
+    lib: {
+      entry: 'src/index.js',
+      formats: ['es'],
+      fileName: 'glowfinger',
+    },
+    rollupOptions: {
+      external: (id) =>
+        dependencies.some((name) => id === name || id.startsWith(`${name}/`)),
+    },
+  },
+}
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [
-    react(),
-    tailwindcss(),
-  ],
-})
+export default defineConfig(({ mode }) =>
+  mode === 'lib'
+    ? library
+    : {
+        plugins: [
+          react(),
+          tailwindcss(),
+          pwa(),
+        ],
+      }
+)